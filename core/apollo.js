@@ -1,15 +1,13 @@
 // *************** IMPORT CORE ***************
-const { ApolloServer } = require('apollo-server-express');
+const { ApolloServer, makeExecutableSchema } = require('apollo-server-express');
 
 // *************** IMPORT MODULE ***************
 const typeDefs = require('./typedef');
 const resolvers = require('./resolvers');
 const CreateLoaders = require('./loaders');
-const UserModel = require('../modules/user/user.model');
-const StudentModel = require('../modules/student/student.model');
 
 // *************** IMPORT UTILITIES ***************
-const { AuthorizeRequest } = require('../middleware/auth');
+const { AuthorizeRequest, LoadAuthenticatedUser, ApplyAuthDirectives, ValidateAuthDeclarations } = require('../middleware/auth');
 
 /**
  * Creates and applies Apollo Server middleware to the Express app.
@@ -26,37 +24,31 @@ async function SetupApolloServer(app, port) {
         console.warn("Port not provided to SetupApolloServer; log message might be incomplete.");
         port = '[UNKNOWN_PORT]';
     }
+    const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+    // *************** Refuse to boot when a root field has no auth declaration
+    ValidateAuthDeclarations(schema);
+
     const server = new ApolloServer({
-        typeDefs,
-        resolvers,
+        // *************** Every field declaring @auth is authorized when it is resolved
+        schema: ApplyAuthDirectives(schema),
         context: async ({ req }) => {
-            // *************** Extract GraphQL query from request body
-            const query = req.body && req.body.query;
+            // *************** Device and network information, recorded on the sessions opened or refreshed by the request
+            const requestInfo = {
+                ip_address: req.ip,
+                user_agent: req.headers && req.headers['user-agent']
+            };
 
-            // *************** If introspection query, skip auth and return no user
-            if (query && (query.indexOf('__schema') !== -1 || query.indexOf('__type') !== -1)) {
-                return {
-                    dataLoaders: CreateLoaders(),
-                    user: null
-                };
-            }
+            // *************** Authenticate request and extract user info; introspection needs no user, as only fields declaring @auth check it
+            const { user: decodedUser } = AuthorizeRequest(req);
 
-            // *************** Authorize request and extract user info
-            const { user: decodedUser } = AuthorizeRequest(req, req.body);
+            // *************** Fetch the active account from DB if authenticated
+            const user = await LoadAuthenticatedUser(decodedUser);
 
-            let user;
-
-            // *************** Fetch user details from DB if authenticated
-            if (decodedUser && decodedUser._id) {
-                if (decodedUser.role === 'STUDENT') {
-                    user = await StudentModel.findOne({ _id: decodedUser._id, student_status: 'ACTIVE' }).lean();
-                } else {
-                    user = await UserModel.findOne({ _id: decodedUser._id, user_status: 'ACTIVE' }).lean();
-                }
-            }
             return {
                 dataLoaders: CreateLoaders(),
-                user
+                user,
+                requestInfo
             }
         }
     });
@@ -11,7 +11,30 @@ const config = {
     SENDGRID_SENDER_EMAIL: process.env.SENDGRID_SENDER_EMAIL,
     BCRYPT_ROUNDS: process.env.BCRYPT_ROUNDS,
     JWT_SECRET: process.env.JWT_SECRET,
-    JWT_EXPIRATION: process.env.JWT_EXPIRATION
+    JWT_EXPIRATION: process.env.JWT_EXPIRATION,
+    REFRESH_TOKEN_EXPIRATION_DAYS: process.env.REFRESH_TOKEN_EXPIRATION_DAYS,
+    PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES: process.env.PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES,
+    EMAIL_VERIFICATION_TOKEN_EXPIRATION_MINUTES: process.env.EMAIL_VERIFICATION_TOKEN_EXPIRATION_MINUTES,
+    LOGIN_MAX_FAILED_ATTEMPTS: process.env.LOGIN_MAX_FAILED_ATTEMPTS,
+    LOGIN_MAX_FAILED_ATTEMPTS_PER_IP: process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP,
+    LOGIN_FREE_ATTEMPTS: process.env.LOGIN_FREE_ATTEMPTS,
+    LOGIN_MAX_DELAY_SECONDS: process.env.LOGIN_MAX_DELAY_SECONDS,
+    LOGIN_LOCKOUT_MINUTES: process.env.LOGIN_LOCKOUT_MINUTES,
+    PASSWORD_MIN_LENGTH: process.env.PASSWORD_MIN_LENGTH,
+    PASSWORD_REQUIRE_UPPERCASE: process.env.PASSWORD_REQUIRE_UPPERCASE,
+    PASSWORD_REQUIRE_LOWERCASE: process.env.PASSWORD_REQUIRE_LOWERCASE,
+    PASSWORD_REQUIRE_DIGIT: process.env.PASSWORD_REQUIRE_DIGIT,
+    PASSWORD_REQUIRE_SYMBOL: process.env.PASSWORD_REQUIRE_SYMBOL,
+    PASSWORD_HISTORY_SIZE: process.env.PASSWORD_HISTORY_SIZE,
+    TWO_FACTOR_REQUIRED_ROLES: process.env.TWO_FACTOR_REQUIRED_ROLES,
+    TWO_FACTOR_ENCRYPTION_KEY: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+    TWO_FACTOR_CHALLENGE_EXPIRATION: process.env.TWO_FACTOR_CHALLENGE_EXPIRATION,
+    TWO_FACTOR_RECOVERY_CODE_COUNT: process.env.TWO_FACTOR_RECOVERY_CODE_COUNT,
+    TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER,
+    SIGNED_LINK_EXPIRATION: process.env.SIGNED_LINK_EXPIRATION,
+    RETAKE_MARK_POLICY: process.env.RETAKE_MARK_POLICY,
+    DEFAULT_GRADING_SCALE: process.env.DEFAULT_GRADING_SCALE,
+    APP_URL: process.env.APP_URL
 }
 
 // *************** EXPORT MODULE ***************
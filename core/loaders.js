@@ -2,28 +2,32 @@
 const UserLoader = require('../modules/user/user.loader');
 const StudentLoader = require('../modules/student/student.loader');
 const SchoolLoader = require('../modules/school/school.loader');
+const AcademicYearLoader = require('../modules/academicYear/academic_year.loader');
 const BlockLoader = require('../modules/block/block.loader');
 const SubjectLoader = require('../modules/subject/subject.loader');
 const TestLoader = require('../modules/test/test.loader');
 const StudentTestResultLoader = require('../modules/studentTestResult/student_test_result.loader');
 const TaskLoader = require('../modules/task/task.loader');
+const JurySessionLoader = require('../modules/jurySession/jury_session.loader');
 
 /**
  * Creates and returns an object containing all DataLoader instances.
  * This function centralizes the instantiation of all data loaders, which can then be
  * added to the GraphQL context for each request.
- * @returns {object} An object with initialized DataLoader instances for User, Student, School, Block, Subject, Test, Student Test Result, and Task.
+ * @returns {object} An object with initialized DataLoader instances for User, Student, School, Academic Year, Block, Subject, Test, Student Test Result, Task, and Jury Session.
  */
 function CreateLoaders() {
     return {
         UserLoader: UserLoader(),
         StudentLoader: StudentLoader(),
         SchoolLoader: SchoolLoader(),
+        AcademicYearLoader: AcademicYearLoader(),
         BlockLoader: BlockLoader(),
         SubjectLoader: SubjectLoader(),
         TestLoader: TestLoader(),
         StudentTestResultLoader: StudentTestResultLoader(),
-        TaskLoader: TaskLoader()
+        TaskLoader: TaskLoader(),
+        JurySessionLoader: JurySessionLoader()
     };
 }
 
@@ -3,14 +3,20 @@ const { mergeResolvers } = require('@graphql-tools/merge');
 
 // *************** IMPORT MODULE *************** 
 const userResolvers = require('../modules/user/user.resolvers');
+const sessionResolvers = require('../modules/session/session.resolvers');
+const accountTokenResolvers = require('../modules/accountToken/account_token.resolvers');
+const loginAttemptResolvers = require('../modules/loginAttempt/login_attempt.resolvers');
+const twoFactorResolvers = require('../modules/twoFactor/two_factor.resolvers');
 const studentResolvers = require('../modules/student/student.resolvers');
 const schoolResolvers = require('../modules/school/school.resolvers');
+const academicYearResolvers = require('../modules/academicYear/academic_year.resolvers');
 const blockResolvers = require('../modules/block/block.resolvers');
 const subjectResolvers = require('../modules/subject/subject.resolvers');
 const testResolvers = require('../modules/test/test.resolvers');
 const studentTestResultResolvers = require('../modules/studentTestResult/student_test_result.resolvers');
 const taskResolvers = require('../modules/task/task.resolvers');
 const finalTranscriptResultResolvers = require('../modules/finalTranscriptResult/final_transcript_result.resolvers');
+const jurySessionResolvers = require('../modules/jurySession/jury_session.resolvers');
 
 // *************** EXPORT MODULE ***************
-module.exports = mergeResolvers([userResolvers, schoolResolvers, studentResolvers, blockResolvers, subjectResolvers, testResolvers, studentTestResultResolvers, taskResolvers, finalTranscriptResultResolvers]);
\ No newline at end of file
+module.exports = mergeResolvers([userResolvers, sessionResolvers, accountTokenResolvers, loginAttemptResolvers, twoFactorResolvers, schoolResolvers, academicYearResolvers, studentResolvers, blockResolvers, subjectResolvers, testResolvers, studentTestResultResolvers, taskResolvers, finalTranscriptResultResolvers, jurySessionResolvers]);
\ No newline at end of file
@@ -4,9 +4,16 @@ const express = require('express');
 // *************** IMPORT MODULE ***************
 const FinalTranscriptResultController = require('../modules/finalTranscriptResult/final_transcript_result.controller');
 
+// *************** IMPORT UTILITIES ***************
+const { AuthorizeHttpRoute } = require('../middleware/auth');
+
 const router = express.Router();
 
-router.get('/transcript/:studentId/pdf', FinalTranscriptResultController.GetFinalTranscriptPdf);
+router.get(
+    '/transcript/:studentId/pdf',
+    AuthorizeHttpRoute({ roles: ['ADMIN', 'ACADEMIC_DIRECTOR', 'STUDENT'], ownership: 'studentId', signedResource: 'TRANSCRIPT_PDF' }),
+    FinalTranscriptResultController.GetFinalTranscriptPdf
+);
 
 // *************** EXPORT MODULE ***************
 module.exports = router;
\ No newline at end of file
@@ -4,14 +4,20 @@ const { mergeTypeDefs } = require('@graphql-tools/merge');
 // *************** IMPORT MODULE *************** 
 const commonTypeDefs = require('../shared/typedef/common.typedef')
 const userTypeDefs = require('../modules/user/user.typedef');
+const sessionTypeDefs = require('../modules/session/session.typedef');
+const accountTokenTypeDefs = require('../modules/accountToken/account_token.typedef');
+const loginAttemptTypeDefs = require('../modules/loginAttempt/login_attempt.typedef');
+const twoFactorTypeDefs = require('../modules/twoFactor/two_factor.typedef');
 const studentTypeDefs = require('../modules/student/student.typedef');
 const schoolTypeDefs = require('../modules/school/school.typedef');
+const academicYearTypeDefs = require('../modules/academicYear/academic_year.typedef');
 const blockTypeDefs = require('../modules/block/block.typedef');
 const subjectTypeDefs = require('../modules/subject/subject.typedef');
 const testTypeDefs = require('../modules/test/test.typedef');
 const studentTestResultTypeDefs = require('../modules/studentTestResult/student_test_result.typedef');
 const taskTypeDefs = require('../modules/task/task.typedef');
 const FinalTranscriptResultTypeDefs = require('../modules/finalTranscriptResult/final_transcript_result.typedef');
+const jurySessionTypeDefs = require('../modules/jurySession/jury_session.typedef');
 
 // *************** EXPORT MODULE *************** 
-module.exports = mergeTypeDefs([commonTypeDefs, userTypeDefs, studentTypeDefs, schoolTypeDefs, blockTypeDefs, subjectTypeDefs, testTypeDefs, studentTestResultTypeDefs, taskTypeDefs, FinalTranscriptResultTypeDefs]);
\ No newline at end of file
+module.exports = mergeTypeDefs([commonTypeDefs, userTypeDefs, sessionTypeDefs, accountTokenTypeDefs, loginAttemptTypeDefs, twoFactorTypeDefs, studentTypeDefs, schoolTypeDefs, academicYearTypeDefs, blockTypeDefs, subjectTypeDefs, testTypeDefs, studentTestResultTypeDefs, taskTypeDefs, FinalTranscriptResultTypeDefs, jurySessionTypeDefs]);
\ No newline at end of file
@@ -23,9 +23,9 @@ async function RunTranscriptCalculationWorker() {
         await mongoose.connect(MONGO_URI);
         mongoose.set('debug', true);
 
-        const { studentId, userId } = workerData;
+        const { studentId, userId, triggerEvent, studentTestResultId } = workerData;
 
-        await FinalTranscriptResultHelper.CalculateFinalTranscript({ studentId, userId });
+        await FinalTranscriptResultHelper.CalculateFinalTranscript({ studentId, userId, triggerEvent, studentTestResultId });
 
         if (parentPort) {
             parentPort.postMessage({ status: 'done', studentId: studentId });
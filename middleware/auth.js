@@ -1,23 +1,29 @@
 // *************** IMPORT LIBRARY ***************
 const jwt = require('jsonwebtoken');
 const { ApolloError, AuthenticationError, ForbiddenError } = require('apollo-server');
-const { parse } = require('graphql');
+const { GraphQLObjectType, defaultFieldResolver, getDirectiveValues } = require('graphql');
 
 // *************** IMPORT MODULE *************** 
 const config = require('../core/config');
-const accessMap = require('./access_map');
+const UserModel = require('../modules/user/user.model');
+const StudentModel = require('../modules/student/student.model');
+const SessionModel = require('../modules/session/session.model');
 
 /**
  * Generates a JSON Web Token (JWT) for a given user.
- * @param {object} user - The user object for whom to generate the token. Must contain _id and role properties.
+ * @param {object} user - The user object for whom to generate the token. Must contain _id, role and session_id properties.
  * @returns {string} The generated JWT string.
  */
 function GenerateToken(user) {
-    if (!user || !user._id || !user.role) {
+    if (!user || !user._id || !user.role || !user.session_id) {
         throw new ApolloError('Invalid user object provided for token generation.', 'INTERNAL_SERVER_ERROR');
     }
 
-    const token = jwt.sign({ _id: user._id, role: user.role }, config.JWT_SECRET, { expiresIn: config.JWT_EXPIRATION });
+    const token = jwt.sign(
+        { _id: user._id, role: user.role, session_id: String(user.session_id) },
+        config.JWT_SECRET,
+        { expiresIn: config.JWT_EXPIRATION }
+    );
 
     return token;
 }
@@ -49,63 +55,189 @@ function VerifyToken(token) {
 }
 
 /**
- * Authorizes an incoming GraphQL request by checking it against a predefined access map.
+ * Authenticates an incoming GraphQL request by verifying its bearer token, if any.
+ * Field-level authorization is enforced later by the @auth directives applied with ApplyAuthDirectives.
  * @param {object} req - The incoming HTTP request object, containing headers.
- * @param {object} body - The parsed body of the request, containing the GraphQL query and variables.
- * @returns {Promise<object>} A promise that resolves to an object containing the authenticated user's data for the GraphQL context.
+ * @returns {object} An object containing the decoded token payload, or a null user when no valid token is present.
  */
-function AuthorizeRequest(req, body) {
+function AuthorizeRequest(req) {
+    // *************** Extract token from Authorization header
+    const token = ExtractBearerToken(req);
+
+    if (!token) {
+        return { user: null };
+    }
+
+    // *************** Verify token, an invalid token is treated as unauthenticated
     try {
-        // *************** Extract token from Authorization header
-        const token = ExtractBearerToken(req);
+        const user = VerifyToken(token);
+        return { user };
+    } catch (error) {
+        return { user: null };
+    }
+}
 
-        // *************** Parse GraphQL operation type and field name
-        const operation = GetGraphQLOperation(body && body.query);
+/**
+ * Loads the still active account behind a decoded token payload, provided the session the token was issued for has not been revoked.
+ * @param {object} decodedUser - The decoded token payload, containing the user ID, role and session ID.
+ * @returns {Promise<object|null>} A promise that resolves to the account with its role and session ID, or null when the account or session is not active anymore.
+ */
+async function LoadAuthenticatedUser(decodedUser) {
+    if (!decodedUser || !decodedUser._id || !decodedUser.session_id) {
+        return null;
+    }
 
-        // *************** If operation can't be determined, return unauthenticated
-        if (!operation) {
-            return { user: null };
-        }
+    // *************** Tokens of a logged out or revoked session are rejected before their expiration
+    const isSessionActive = await SessionModel.exists({
+        _id: decodedUser.session_id,
+        user: decodedUser._id,
+        session_status: 'ACTIVE'
+    });
+    if (!isSessionActive) {
+        return null;
+    }
 
-        const { operationType, fieldName } = operation;
+    let account;
 
-        // *************** Get access configuration for this operation
-        const accessConfig = accessMap[operationType] && accessMap[operationType][fieldName];
+    if (decodedUser.role === 'STUDENT') {
+        account = await StudentModel.findOne({ _id: decodedUser._id, student_status: 'ACTIVE' }).lean();
+    } else {
+        account = await UserModel.findOne({ _id: decodedUser._id, user_status: 'ACTIVE' }).lean();
+    }
 
-        // *************** If no access config, try to verify token if present, else unauthenticated
-        if (!accessConfig) {
-            if (token) {
-                try {
-                    const user = VerifyToken(token);
-                    return { user };
-                } catch (error) {
-                    return { user: null };
-                }
-            }
-            return { user: null };
+    if (!account) {
+        return null;
+    }
+
+    // *************** Students carry no role in the database, keep the one from the token
+    if (decodedUser.role === 'STUDENT') {
+        account.role = 'STUDENT';
+    }
+    account.session_id = decodedUser.session_id;
+
+    return account;
+}
+
+/**
+ * Generates a short-lived token granting access to a single resource, meant to be embedded in a download link.
+ * @param {object} args - The arguments for generating the token.
+ * @param {string} args.resource - The kind of resource the token grants access to (e.g., 'TRANSCRIPT_PDF').
+ * @param {string} args.resourceId - The ID of the resource the token grants access to.
+ * @param {string} [args.role] - Optional. The role of the user the link is issued to, when the resource depends on who reads it.
+ * @returns {{token: string, expiresAt: Date}} The signed token and its expiration date.
+ */
+function GenerateSignedLinkToken({ resource, resourceId, role }) {
+    if (!resource || !resourceId) {
+        throw new ApolloError('Invalid resource provided for signed link generation.', 'INTERNAL_SERVER_ERROR');
+    }
+
+    const token = jwt.sign(
+        { resource, resource_id: String(resourceId), role },
+        config.JWT_SECRET,
+        { expiresIn: config.SIGNED_LINK_EXPIRATION || '15m' }
+    );
+
+    const { exp } = jwt.decode(token);
+
+    return { token, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Generates a short-lived token proving that the password step of a login succeeded, to be exchanged for a session once the second factor is checked.
+ * It carries no role nor session, so it is never accepted as an access token.
+ * @param {string} accountId - The ID of the user logging in.
+ * @returns {string} The signed challenge token.
+ */
+function GenerateTwoFactorChallengeToken(accountId) {
+    if (!accountId) {
+        throw new ApolloError('Invalid account provided for challenge generation.', 'INTERNAL_SERVER_ERROR');
+    }
+
+    return jwt.sign(
+        { _id: String(accountId), purpose: 'TWO_FACTOR_CHALLENGE' },
+        config.JWT_SECRET,
+        { expiresIn: config.TWO_FACTOR_CHALLENGE_EXPIRATION || '10m' }
+    );
+}
+
+/**
+ * Verifies a two-factor challenge token and returns its decoded payload.
+ * @param {string} token - The challenge token returned by Login.
+ * @returns {object} The decoded payload, containing the ID of the user logging in.
+ */
+function VerifyTwoFactorChallengeToken(token) {
+    try {
+        const decoded = jwt.verify(token, config.JWT_SECRET);
+
+        if (decoded.purpose !== 'TWO_FACTOR_CHALLENGE' || !decoded._id) {
+            throw new AuthenticationError('Invalid challenge token');
         }
 
-        // *************** Require token for protected operation
-        if (!token) {
-            throw new AuthenticationError('An authentication token is required.');
+        return decoded;
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            throw new AuthenticationError('Challenge token expired, please login again');
         }
+        throw new AuthenticationError('Invalid challenge token');
+    }
+}
 
-        // *************** Verify token and extract user
-        const user = VerifyToken(token);
+/**
+ * Builds an Express middleware that authorizes a route with the same rules as the @auth directive.
+ * The bearer token is verified as for GraphQL requests; when a signed resource is configured,
+ * a valid signed link token in the 'token' query parameter is accepted instead, and its role is kept as 'request.signedLinkRole'.
+ * @param {object} authConfig - The authorization rules of the route.
+ * @param {string[]} authConfig.roles - The roles allowed to access the route.
+ * @param {string} [authConfig.ownership] - Optional. The route parameter holding the owning student's ID.
+ * @param {string} [authConfig.signedResource] - Optional. The resource kind accepted from a signed link token.
+ * @returns {Function} An Express middleware function.
+ */
+function AuthorizeHttpRoute(authConfig) {
+    return async function (request, response, next) {
+        try {
+            // *************** Accept a signed link scoped to the requested resource
+            const signedLinkToken = authConfig.signedResource && request.query && request.query.token;
+            if (signedLinkToken) {
+                const decodedLink = jwt.verify(signedLinkToken, config.JWT_SECRET);
+                const resourceId = request.params[authConfig.ownership];
+
+                if (decodedLink.resource !== authConfig.signedResource || decodedLink.resource_id !== String(resourceId)) {
+                    return response.status(403).json({ error: 'This link does not grant access to the requested resource.' });
+                }
 
-        // *************** Check if user role is allowed for this operation
-        CheckUserRole({ user, accessConfig });
+                request.signedLinkRole = decodedLink.role;
 
-        // *************** Run custom validator if defined in access config
-        RunCustomValidator({ accessConfig, user, variables: body.variables });
+                return next();
+            }
 
-        // *************** Return authenticated user for context
-        return { user };
-    } catch (error) {
-        console.error('Auth error:', error);
+            // *************** Otherwise require the same bearer token as GraphQL requests
+            const { user: decodedUser } = AuthorizeRequest(request);
+            const user = await LoadAuthenticatedUser(decodedUser);
+            if (!user) {
+                return response.status(401).json({ error: 'An authentication token is required.' });
+            }
 
-        throw new ApolloError(`Auth failed: ${error.message}`, 'INTERNAL_SERVER_ERROR');
-    }
+            CheckUserRole({ user, authConfig });
+            CheckOwnership({ user, authConfig, source: request.params });
+
+            request.user = user;
+
+            return next();
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                return response.status(401).json({ error: 'This link has expired.' });
+            }
+            if (error.name === 'JsonWebTokenError') {
+                return response.status(401).json({ error: 'Invalid link token.' });
+            }
+            if (error instanceof ForbiddenError) {
+                return response.status(403).json({ error: error.message });
+            }
+
+            console.error('Auth error:', error);
+            return response.status(500).json({ error: 'An error occurred while authorizing the request.' });
+        }
+    };
 }
 
 /**
@@ -125,55 +257,108 @@ function ExtractBearerToken(req) {
 }
 
 /**
- * Parses a GraphQL query to extract the operation type and field name.
- * @param {string} query - The GraphQL query string from the request body.
- * @returns {{operationType: string, fieldName: string}|null} Operation details or null.
+ * Wraps every field declaring an @auth directive so that it is authorized on its own when it is resolved.
+ * A denied field resolves to an error for that field only, leaving the other fields of the operation untouched.
+ * @param {object} schema - The executable GraphQL schema of the application.
+ * @returns {object} The same schema, with the resolvers of the protected fields wrapped.
  */
-function GetGraphQLOperation(query) {
-    if (!query) {
-        throw new Error('Missing GraphQL query');
-    }
+function ApplyAuthDirectives(schema) {
+    const authDirective = schema.getDirective('auth');
+    const rootTypeNames = GetRootTypeNames(schema);
 
-    // *************** Parse the GraphQL query into AST
-    const parsed = parse(query);
+    for (const type of Object.values(schema.getTypeMap())) {
+        if (!(type instanceof GraphQLObjectType) || type.name.startsWith('__')) {
+            continue;
+        }
 
-    // *************** Find the main operation definition (query/mutation/subscription)
-    const operationDef = parsed.definitions.find(
-        (def) => def.kind === 'OperationDefinition'
-    );
+        for (const field of Object.values(type.getFields())) {
+            const authConfig = field.astNode && getDirectiveValues(authDirective, field.astNode);
+            if (!authConfig) {
+                continue;
+            }
 
-    if (!operationDef) {
-        return null;
+            field.resolve = WrapResolverWithAuthConfig({
+                resolver: field.resolve || defaultFieldResolver,
+                authConfig,
+                isRootField: rootTypeNames.includes(type.name)
+            });
+        }
     }
 
-    // *************** Extract operation type (QUERY, MUTATION, etc.)
-    const operationType = operationDef.operation.toUpperCase();
+    return schema;
+}
+
+/**
+ * Ensures every Query and Mutation field declares either an @auth or a @public directive.
+ * Called at startup so that a forgotten declaration fails the boot instead of exposing the field.
+ * @param {object} schema - The executable GraphQL schema of the application.
+ * @returns {void} - This function does not return a value but throws an error if a root field is undeclared.
+ */
+function ValidateAuthDeclarations(schema) {
+    const undeclaredFields = [];
+
+    for (const typeName of GetRootTypeNames(schema)) {
+        for (const field of Object.values(schema.getType(typeName).getFields())) {
+            const directives = (field.astNode && field.astNode.directives) || [];
+            const isDeclared = directives.some((directive) => ['auth', 'public'].includes(directive.name.value));
 
-    let fieldName;
+            if (!isDeclared) {
+                undeclaredFields.push(`${typeName}.${field.name}`);
+            }
+        }
+    }
 
-    // *************** Extract the first field name from the selection set
-    if (
-        operationDef.selectionSet &&
-        Array.isArray(operationDef.selectionSet.selections) &&
-        operationDef.selectionSet.selections.length
-    ) {
-        fieldName = operationDef.selectionSet.selections[0].name.value;
+    if (undeclaredFields.length) {
+        throw new Error(`Missing @auth or @public declaration on: ${undeclaredFields.join(', ')}`);
     }
+}
+
+/**
+ * Returns the names of the root operation types defined in the schema.
+ * @param {object} schema - The GraphQL schema.
+ * @returns {string[]} The names of the Query and Mutation types.
+ */
+function GetRootTypeNames(schema) {
+    return [schema.getQueryType(), schema.getMutationType()]
+        .filter(Boolean)
+        .map((type) => type.name);
+}
+
+/**
+ * Builds a resolver that authorizes the caller against an @auth configuration before delegating to the original resolver.
+ * @param {object} args - The arguments for wrapping the resolver.
+ * @param {Function} args.resolver - The original field resolver.
+ * @param {object} args.authConfig - The values of the @auth directive, containing roles and an optional ownership.
+ * @param {boolean} args.isRootField - Whether the field belongs to Query or Mutation.
+ * @returns {Function} The wrapped resolver.
+ */
+function WrapResolverWithAuthConfig({ resolver, authConfig, isRootField }) {
+    return function (parent, args, context, info) {
+        const user = context && context.user;
+
+        // *************** Require an authenticated and still active account
+        if (!user || !user._id) {
+            throw new AuthenticationError('An authentication token is required.');
+        }
+
+        // *************** Check if user role is allowed for this field
+        CheckUserRole({ user, authConfig });
 
-    // *************** Return operation type and field name
-    return { operationType, fieldName };
+        // *************** Check the student owns the requested resource, from the arguments on root fields or the parent otherwise
+        CheckOwnership({ user, authConfig, source: isRootField ? args : parent });
+
+        return resolver(parent, args, context, info);
+    };
 }
 
 /**
- * Authorizes a user based on their role against an access configuration.
+ * Authorizes a user based on their role against an @auth configuration.
  * @param {object} user - The authenticated user object, containing a 'role'.
- * @param {object|string[]} accessConfig - The configuration defining allowed roles.
+ * @param {object} authConfig - The values of the @auth directive defining allowed roles.
  * @throws {ForbiddenError} If the user's role is not permitted.
  */
-function CheckUserRole({ user, accessConfig }) {
-    const allowedRoles = Array.isArray(accessConfig)
-        ? accessConfig
-        : accessConfig.roles || [];
+function CheckUserRole({ user, authConfig }) {
+    const allowedRoles = authConfig.roles || [];
 
     if (!allowedRoles.includes(user.role)) {
         throw new ForbiddenError('You are not authorized to perform this action.');
@@ -181,28 +366,34 @@ function CheckUserRole({ user, accessConfig }) {
 }
 
 /**
- * Runs a custom validation function if it exists for the given access config.
- * @param {object} accessConfig - The access configuration.
+ * Checks that a student only accesses their own resource when the @auth configuration declares an ownership.
  * @param {object} user - The authenticated user.
- * @param {object} variables - The GraphQL variables.
- * @throws {ForbiddenError} If the custom validation fails.
+ * @param {object} authConfig - The values of the @auth directive.
+ * @param {object} source - The field arguments or parent object holding the owner's ID under the ownership key.
+ * @throws {ForbiddenError} If the resource is not owned by the student.
  */
-function RunCustomValidator({ accessConfig, user, variables }) {
-    const needsValidation = typeof accessConfig.validator === 'function' && user.role === 'STUDENT';
+function CheckOwnership({ user, authConfig, source }) {
+    const needsValidation = authConfig.ownership && user.role === 'STUDENT';
 
     if (!needsValidation) {
         return;
     }
 
-    try {
-        accessConfig.validator({ user, variables });
-    } catch (err) {
-        throw new ForbiddenError(`Authorization validation failed: ${err.message}`);
+    const resourceId = source && source[authConfig.ownership];
+    if (!resourceId || String(user._id) !== String(resourceId)) {
+        throw new ForbiddenError('Authorization validation failed: You are not authorized to access this resource.');
     }
 }
 
 // *************** EXPORT MODULE ***************s
 module.exports = {
     GenerateToken,
-    AuthorizeRequest
+    AuthorizeRequest,
+    LoadAuthenticatedUser,
+    GenerateSignedLinkToken,
+    GenerateTwoFactorChallengeToken,
+    VerifyTwoFactorChallengeToken,
+    AuthorizeHttpRoute,
+    ApplyAuthDirectives,
+    ValidateAuthDeclarations
 }
\ No newline at end of file
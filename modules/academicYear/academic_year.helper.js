@@ -0,0 +1,287 @@
+// *************** IMPORT CORE ***************
+const { ApolloError } = require('apollo-server');
+const mongoose = require('mongoose');
+
+// *************** IMPORT UTILITES ***************
+const CommonHelper = require('../../shared/helper/index');
+
+// *************** IMPORT VALIDATOR ***************
+const AcademicYearValidator = require('./academic_year.validator');
+const CommonValidator = require('../../shared/validator/index');
+
+/**
+ * Processes and transforms raw academic year input into a structured data payload for a create operation.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.createAcademicYearInput - The raw input object containing the new academic year's properties.
+ * @param {string} args.userId - The ID of the user creating the academic year.
+ * @returns {object} A processed data payload suitable for a database create operation.
+ */
+function GetCreateAcademicYearPayload({ createAcademicYearInput, userId }) {
+    CommonValidator.ValidateInputTypeObject(createAcademicYearInput);
+    CommonValidator.ValidateObjectId(userId);
+    AcademicYearValidator.ValidateAcademicYearInput({ academicYearInput: createAcademicYearInput });
+
+    const {
+        name,
+        school,
+        start_date,
+        end_date,
+        academic_year_status
+    } = createAcademicYearInput;
+
+    return {
+        name,
+        school,
+        start_date: new Date(start_date),
+        end_date: new Date(end_date),
+        academic_year_status: academic_year_status.toUpperCase(),
+        created_by: userId,
+        updated_by: userId
+    };
+}
+
+/**
+ * Processes and transforms raw academic year input into a structured data payload for a partial update operation.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.updateAcademicYearInput - The raw input object containing the academic year's properties to update.
+ * @param {object} args.currentAcademicYear - The stored academic year, used to check the dates.
+ * @param {string} args.userId - The ID of the user updating the academic year.
+ * @returns {object} A processed data payload suitable for a partial database update operation.
+ */
+function GetUpdateAcademicYearPayload({ updateAcademicYearInput, currentAcademicYear, userId }) {
+    CommonValidator.ValidateInputTypeObject(updateAcademicYearInput);
+    CommonValidator.ValidateObjectId(userId);
+    AcademicYearValidator.ValidateAcademicYearInput({ academicYearInput: updateAcademicYearInput, currentAcademicYear, isUpdate: true });
+
+    const {
+        name,
+        start_date,
+        end_date,
+        academic_year_status
+    } = updateAcademicYearInput;
+
+    const payload = {};
+
+    if (name !== undefined && name !== null) payload.name = name;
+    if (start_date !== undefined && start_date !== null) payload.start_date = new Date(start_date);
+    if (end_date !== undefined && end_date !== null) payload.end_date = new Date(end_date);
+    if (academic_year_status !== undefined && academic_year_status !== null) payload.academic_year_status = academic_year_status.toUpperCase();
+
+    payload.updated_by = userId;
+
+    return payload;
+}
+
+/**
+ * Generates a payload for soft-deleting an academic year.
+ * @param {object} args - The arguments for getting the delete payload.
+ * @param {string} args.academicYearId - The unique identifier of the academic year to be deleted.
+ * @param {string} args.userId - The ID of the user performing the deletion.
+ * @returns {object} An object containing the 'filter' and 'update' payload for the academic year.
+ */
+function GetDeleteAcademicYearPayload({ academicYearId, userId }) {
+    CommonValidator.ValidateObjectId(academicYearId);
+    CommonValidator.ValidateObjectId(userId);
+
+    return CommonHelper.BuildDeletePayload({
+        ids: [academicYearId],
+        statusKey: 'academic_year_status',
+        timestamp: Date.now(),
+        userId
+    });
+}
+
+/**
+ * Reads the ID of the copy of a subject or test referenced by passing criteria. Criteria referencing an entity outside of
+ * the copied curriculum would either keep reading the original curriculum or change meaning once the reference is
+ * dropped, so the copy is refused until they are updated.
+ * @param {object} args - The arguments for the lookup.
+ * @param {string} args.id - The ID of the referenced subject or test.
+ * @param {Function} args.remapId - Returns the ID of the copy of an entity, or undefined if it is not copied.
+ * @param {string} args.ownerName - The name of the block, subject, or test the criteria belong to, for the error message.
+ * @returns {string} The ID of the copy.
+ */
+function remapCriteriaReference({ id, remapId, ownerName }) {
+    const clonedId = remapId(id);
+    if (!clonedId) {
+        throw new ApolloError(`The passing criteria of "${ownerName}" reference a subject or test outside of the curriculum being cloned (${id}). Update them before cloning.`, 'CRITERIA_REFERENCE_OUT_OF_CURRICULUM', { field: 'passing_criteria' });
+    }
+    return clonedId;
+}
+
+/**
+ * Copies a criteria expression tree, pointing the subjects and tests its sources read to their copies.
+ * @param {object} args - The arguments for the copy.
+ * @param {object} args.expression - The expression node to copy.
+ * @param {Function} args.remapId - Returns the ID of the copy of an entity, or undefined if it is not copied.
+ * @param {string} args.ownerName - The name of the block, subject, or test the criteria belong to.
+ * @returns {object} The copied expression.
+ */
+function cloneCriteriaExpression({ expression, remapId, ownerName }) {
+    const { operands, sources, ...clonedExpression } = expression;
+
+    return {
+        ...clonedExpression,
+        operands: (operands || []).map(operand => cloneCriteriaExpression({ expression: operand, remapId, ownerName })),
+        sources: (sources || []).map(source => ({
+            source_type: source.source_type,
+            subject: source.subject ? remapCriteriaReference({ id: source.subject, remapId, ownerName }) : undefined,
+            test: source.test ? remapCriteriaReference({ id: source.test, remapId, ownerName }) : undefined,
+            notation_text: source.notation_text
+        }))
+    };
+}
+
+/**
+ * Copies the criteria of a block, subject, or test, pointing the referenced subjects or tests to their copies.
+ * Criteria referencing an entity outside of the copied curriculum are refused, whether they are groups or an expression.
+ * @param {object} args - The arguments for the copy.
+ * @param {object} [args.passingCriteria] - The passing criteria to copy, with 'pass_criteria' and 'fail_criteria'.
+ * @param {string} args.groupKey - The key for the criteria groups array (e.g., 'block_criteria_groups').
+ * @param {string} [args.referenceField] - Optional. The condition field holding a subject or test ID ('subject' or 'test').
+ * @param {Function} args.remapId - Returns the ID of the copy of an entity, or undefined if it is not copied.
+ * @param {string} args.ownerName - The name of the block, subject, or test the criteria belong to.
+ * @returns {object|undefined} The copied passing criteria, or undefined if there is none.
+ */
+function clonePassingCriteria({ passingCriteria, groupKey, referenceField, remapId, ownerName }) {
+    if (!passingCriteria) return undefined;
+
+    const cloneCriteriaSet = (criteriaSet) => {
+        if (!criteriaSet) return criteriaSet;
+
+        if (criteriaSet.expression) {
+            return {
+                [groupKey]: [],
+                expression: cloneCriteriaExpression({ expression: criteriaSet.expression, remapId, ownerName })
+            };
+        }
+
+        if (!Array.isArray(criteriaSet[groupKey])) return criteriaSet;
+
+        return {
+            [groupKey]: criteriaSet[groupKey].map(group => ({
+                conditions: (group.conditions || []).map(condition => {
+                    const { _id, ...clonedCondition } = condition;
+                    if (referenceField && condition[referenceField]) {
+                        clonedCondition[referenceField] = remapCriteriaReference({ id: condition[referenceField], remapId, ownerName });
+                    }
+                    return clonedCondition;
+                })
+            }))
+        };
+    };
+
+    return {
+        pass_criteria: cloneCriteriaSet(passingCriteria.pass_criteria),
+        fail_criteria: cloneCriteriaSet(passingCriteria.fail_criteria)
+    };
+}
+
+/**
+ * Builds the documents of a copy of a curriculum (blocks, subjects, and tests) for an academic year.
+ * Every copy gets a new ID, and every reference between the copied documents points to the copies, so the
+ * copy can then be edited without changing the curriculum it was made from. Results, tasks, and publication
+ * data are not copied. The copy is refused when passing criteria reference a subject or test outside of the curriculum.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {Array<object>} args.blocks - The blocks of the source curriculum.
+ * @param {Array<object>} args.subjects - The subjects of the source blocks.
+ * @param {Array<object>} args.tests - The tests of the source subjects.
+ * @param {object} args.targetAcademicYear - The academic year receiving the copy.
+ * @param {string} args.userId - The ID of the user performing the copy.
+ * @returns {{blocks: Array<object>, subjects: Array<object>, tests: Array<object>}} The documents to insert.
+ */
+function GetCloneCurriculumPayload({ blocks, subjects, tests, targetAcademicYear, userId }) {
+    CommonValidator.ValidateObjectId(userId);
+
+    const idMap = new Map();
+    [...blocks, ...subjects, ...tests].forEach(document => {
+        idMap.set(String(document._id), new mongoose.Types.ObjectId());
+    });
+    const remapId = (id) => (id ? idMap.get(String(id)) : undefined);
+    const remapIds = (ids) => (ids || []).map(remapId).filter(Boolean);
+
+    const audit = { created_by: userId, updated_by: userId };
+
+    const clonedBlocks = blocks.map(block => ({
+        _id: remapId(block._id),
+        name: block.name,
+        description: block.description,
+        evaluation_type: block.evaluation_type,
+        block_type: block.block_type,
+        connected_block: remapId(block.connected_block),
+        is_counted_in_final_transcript: block.is_counted_in_final_transcript,
+        schools: [targetAcademicYear.school],
+        academic_year: targetAcademicYear._id,
+        subjects: remapIds(block.subjects),
+        block_status: block.block_status,
+        block_passing_criteria: clonePassingCriteria({
+            passingCriteria: block.block_passing_criteria,
+            groupKey: 'block_criteria_groups',
+            referenceField: 'subject',
+            remapId,
+            ownerName: block.name
+        }),
+        unmatched_criteria_result: block.unmatched_criteria_result,
+        competency_rules: block.competency_rules,
+        ...audit
+    }));
+
+    const clonedSubjects = subjects.map(subject => ({
+        _id: remapId(subject._id),
+        block: remapId(subject.block),
+        name: subject.name,
+        description: subject.description,
+        coefficient: subject.coefficient,
+        is_transversal: subject.is_transversal,
+        connected_blocks: remapIds(subject.connected_blocks),
+        tests: remapIds(subject.tests),
+        subject_status: subject.subject_status,
+        subject_passing_criteria: clonePassingCriteria({
+            passingCriteria: subject.subject_passing_criteria,
+            groupKey: 'subject_criteria_groups',
+            referenceField: 'test',
+            remapId,
+            ownerName: subject.name
+        }),
+        unmatched_criteria_result: subject.unmatched_criteria_result,
+        ...audit
+    }));
+
+    const clonedTests = tests.map(test => ({
+        _id: remapId(test._id),
+        subject: remapId(test.subject),
+        name: test.name,
+        description: test.description,
+        test_type: test.test_type,
+        result_visibility: test.result_visibility,
+        weight: test.weight,
+        correction_type: test.correction_type,
+        notations: (test.notations || []).map(({ _id, ...notation }) => notation),
+        grading_scale: test.grading_scale,
+        is_retake: test.is_retake,
+        connected_test: remapId(test.connected_test),
+        retake_mark_policy: test.retake_mark_policy,
+        absence_mark_policy: test.absence_mark_policy,
+        excused_absence_mark_policy: test.excused_absence_mark_policy,
+        test_status: test.test_status,
+        test_passing_criteria: clonePassingCriteria({
+            passingCriteria: test.test_passing_criteria,
+            groupKey: 'test_criteria_groups',
+            remapId,
+            ownerName: test.name
+        }),
+        unmatched_criteria_result: test.unmatched_criteria_result,
+        is_published: false,
+        ...audit
+    }));
+
+    return { blocks: clonedBlocks, subjects: clonedSubjects, tests: clonedTests };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    GetCreateAcademicYearPayload,
+    GetUpdateAcademicYearPayload,
+    GetDeleteAcademicYearPayload,
+    GetCloneCurriculumPayload
+}
\ No newline at end of file
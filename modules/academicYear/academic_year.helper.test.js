@@ -0,0 +1,86 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { GetCloneCurriculumPayload } = require('./academic_year.helper');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+const USER_ID = '5f00000000000000000000f1';
+const BLOCK_ID = '5f00000000000000000000b1';
+const SUBJECT_ID = '5f00000000000000000000c1';
+const OTHER_SUBJECT_ID = '5f00000000000000000000c2';
+const TEST_ID = '5f00000000000000000000d1';
+const OUTSIDE_TEST_ID = '5f00000000000000000000d9';
+
+const targetAcademicYear = { _id: '5f00000000000000000000e1', school: '5f00000000000000000000e2' };
+
+/**
+ * Builds a curriculum of one block, two subjects and one test, the block criteria being the given expression.
+ * @param {object} blockExpression - The expression of the block pass criteria.
+ * @returns {{blocks: Array<object>, subjects: Array<object>, tests: Array<object>}} The curriculum to clone.
+ */
+function buildCurriculum(blockExpression) {
+    return {
+        blocks: [{
+            _id: BLOCK_ID,
+            name: 'Block 1',
+            subjects: [SUBJECT_ID, OTHER_SUBJECT_ID],
+            block_passing_criteria: { pass_criteria: { expression: blockExpression } }
+        }],
+        subjects: [
+            { _id: SUBJECT_ID, name: 'Subject 1', block: BLOCK_ID, tests: [TEST_ID] },
+            { _id: OTHER_SUBJECT_ID, name: 'Subject 2', block: BLOCK_ID, tests: [] }
+        ],
+        tests: [{ _id: TEST_ID, name: 'Test 1', subject: SUBJECT_ID, notations: [] }]
+    };
+}
+
+const tests = {
+    'Cross-entity expression sources point to the copied subjects and tests': () => {
+        const curriculum = buildCurriculum({
+            operator: 'OR',
+            operands: [
+                { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'SUBJECT', subject: OTHER_SUBJECT_ID }] },
+                { operator: 'COMPARE', comparison_operator: 'GTE', mark: 12, sources: [{ source_type: 'TEST', test: TEST_ID }] }
+            ]
+        });
+
+        const { blocks, subjects, tests: clonedTests } = GetCloneCurriculumPayload({ ...curriculum, targetAcademicYear, userId: USER_ID });
+        const [subjectOperand, testOperand] = blocks[0].block_passing_criteria.pass_criteria.expression.operands;
+
+        assert.strictEqual(String(subjectOperand.sources[0].subject), String(subjects[1]._id));
+        assert.strictEqual(String(testOperand.sources[0].test), String(clonedTests[0]._id));
+        assert.notStrictEqual(String(subjects[1]._id), OTHER_SUBJECT_ID);
+    },
+
+    'A copied retake test retakes the copy of its test, with the same mark policy': () => {
+        const curriculum = buildCurriculum({ operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 });
+        const retakeTestId = '5f00000000000000000000d2';
+        curriculum.subjects[0].tests.push(retakeTestId);
+        curriculum.tests.push({ _id: retakeTestId, name: 'Test 1 retake', subject: SUBJECT_ID, is_retake: true, connected_test: TEST_ID, retake_mark_policy: 'BEST_OF' });
+
+        const { tests: clonedTests } = GetCloneCurriculumPayload({ ...curriculum, targetAcademicYear, userId: USER_ID });
+
+        assert.strictEqual(String(clonedTests[1].connected_test), String(clonedTests[0]._id));
+        assert.strictEqual(clonedTests[1].retake_mark_policy, 'BEST_OF');
+        assert.strictEqual(clonedTests[1].is_retake, true);
+    },
+
+    'Criteria referencing a test outside the curriculum are refused': () => {
+        const curriculum = buildCurriculum({
+            operator: 'COMPARE',
+            comparison_operator: 'GTE',
+            mark: 10,
+            sources: [{ source_type: 'TEST', test: OUTSIDE_TEST_ID }]
+        });
+
+        assert.throws(
+            () => GetCloneCurriculumPayload({ ...curriculum, targetAcademicYear, userId: USER_ID }),
+            (error) => error.extensions.code === 'CRITERIA_REFERENCE_OUT_OF_CURRICULUM' && error.message.includes('"Block 1"')
+        );
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
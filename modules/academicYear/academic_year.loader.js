@@ -0,0 +1,32 @@
+// *************** IMPORT LIBRARY ***************
+const DataLoader = require('dataloader');
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const AcademicYearModel = require('./academic_year.model');
+
+/**
+ * Creates a new DataLoader for batch-loading academic year data.
+ * This function is used to solve the N+1 problem by collecting individual academic year ID requests
+ * and fetching them in a single database query.
+ * @returns {DataLoader} - An instance of DataLoader for fetching academic years by ID.
+ */
+function AcademicYearLoader() {
+    return new DataLoader(async (academicYearIds) => {
+        try {
+            const academicYears = await AcademicYearModel.find({
+                _id: { $in: academicYearIds },
+            });
+
+            const academicYearsById = new Map(academicYears.map(academicYear => [String(academicYear._id), academicYear]));
+
+            return academicYearIds.map(academicYearId => academicYearsById.get(String(academicYearId)));
+        } catch (error) {
+            console.error('Error batch fetching academic years:', error);
+            throw new ApolloError(`Failed to batch fetch academic years: ${error.message}`, 'ACADEMIC_YEAR_BATCH_FETCH_FAILED');
+        }
+    });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = AcademicYearLoader;
\ No newline at end of file
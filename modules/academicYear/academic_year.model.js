@@ -0,0 +1,74 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+const academicYearSchema = mongoose.Schema({
+    // Academic year's or cohort's name (e.g., '2025-2026')
+    name: {
+        type: String,
+        required: true
+    },
+
+    // ID of the school the academic year belongs to
+    school: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "school",
+        required: true
+    },
+
+    // Date when the academic year starts
+    start_date: {
+        type: Date,
+        required: true
+    },
+
+    // Date when the academic year ends
+    end_date: {
+        type: Date,
+        required: true
+    },
+
+    // Current status of the academic year: ACTIVE, INACTIVE, or DELETED
+    academic_year_status: {
+        type: String,
+        enum: ['ACTIVE', 'INACTIVE', 'DELETED'],
+        required: true
+    },
+
+    // ID of the user who created this academic year record
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+
+    // ID of the user who last updated this academic year record
+    updated_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+
+    // ID of the user who deleted this academic year (if applicable)
+    deleted_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user'
+    },
+
+    // Timestamp when the academic year was marked as deleted
+    deleted_at: {
+        type: Date
+    }
+}, {
+    // Automatically include created_at and updated_at fields
+    timestamps: {
+        // Timestamp when the academic year record was created
+        createdAt: 'created_at',
+        // Timestamp when the academic year record was last updated
+        updatedAt: 'updated_at'
+    }
+});
+
+const AcademicYearModel = mongoose.model('academic_year', academicYearSchema);
+
+// *************** EXPORT MODULE ***************
+module.exports = AcademicYearModel;
\ No newline at end of file
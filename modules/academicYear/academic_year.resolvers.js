@@ -0,0 +1,426 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE *************** 
+const AcademicYearModel = require('./academic_year.model');
+const SchoolModel = require('../school/school.model');
+const StudentModel = require('../student/student.model');
+const BlockModel = require('../block/block.model');
+const SubjectModel = require('../subject/subject.model');
+const TestModel = require('../test/test.model');
+
+// *************** IMPORT HELPER FUNCTION *************** 
+const AcademicYearHelper = require('./academic_year.helper');
+const CommonHelper = require('../../shared/helper/index');
+
+// *************** IMPORT VALIDATOR ***************
+const AcademicYearValidator = require('./academic_year.validator');
+const CommonValidator = require('../../shared/validator/index');
+
+// *************** QUERY ***************
+/**
+ * GraphQL resolver to fetch the academic years of the caller's schools, with optional filters for status and school.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} [args.academic_year_status] - Optional. The status to filter academic years by (e.g., 'ACTIVE').
+ * @param {string} [args.school_id] - Optional. The ID of the school to filter academic years by.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of academic year objects, the most recent first.
+ */
+async function GetAllAcademicYears(_, { academic_year_status, school_id }, context) {
+    try {
+        AcademicYearValidator.ValidateAcademicYearStatusFilter(academic_year_status);
+
+        const academicYearFilter = {
+            academic_year_status: academic_year_status || { $ne: 'DELETED' },
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        };
+
+        if (school_id) {
+            CommonValidator.ValidateObjectId(school_id);
+            CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [school_id] });
+
+            academicYearFilter.school = school_id;
+        }
+
+        const academicYears = await AcademicYearModel.find(academicYearFilter).sort({ start_date: -1 }).lean();
+
+        return academicYears;
+    } catch (error) {
+        console.error('Unexpected error in GetAllAcademicYears:', error);
+
+        throw new ApolloError('Failed to retrieve academic years', 'GET_ACADEMIC_YEARS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to fetch a single academic year of the caller's schools by its unique ID.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.id - The unique identifier of the academic year to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the found academic year object.
+ */
+async function GetOneAcademicYear(_, { id }, context) {
+    try {
+        CommonValidator.ValidateObjectId(id);
+
+        const academicYear = await AcademicYearModel.findOne({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        }).lean();
+        if (!academicYear) {
+            throw new ApolloError('Academic year not found', 'ACADEMIC_YEAR_NOT_FOUND');
+        }
+
+        return academicYear;
+    } catch (error) {
+        console.error('Unexpected error in GetOneAcademicYear:', error);
+
+        throw new ApolloError('Failed to retrieve academic year', 'GET_ACADEMIC_YEAR_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** MUTATION ***************
+/**
+ * GraphQL resolver to create a new academic year for a school.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {object} args.createAcademicYearInput - An object containing the details for the new academic year.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<object>} - A promise that resolves to the newly created academic year object.
+ */
+async function CreateAcademicYear(_, { createAcademicYearInput }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateInputTypeObject(createAcademicYearInput);
+        AcademicYearValidator.ValidateAcademicYearInput({ academicYearInput: createAcademicYearInput });
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [createAcademicYearInput.school] });
+
+        const schoolExists = await SchoolModel.exists({ _id: createAcademicYearInput.school, school_status: { $ne: 'DELETED' } });
+        if (!schoolExists) {
+            throw new ApolloError('School not found', 'SCHOOL_NOT_FOUND');
+        }
+
+        const createAcademicYearPayload = AcademicYearHelper.GetCreateAcademicYearPayload({ createAcademicYearInput, userId });
+
+        const newAcademicYear = await AcademicYearModel.create(createAcademicYearPayload);
+        if (!newAcademicYear) {
+            throw new ApolloError('Failed to create academic year', 'CREATE_ACADEMIC_YEAR_FAILED');
+        }
+
+        return newAcademicYear;
+    } catch (error) {
+        console.error('Unexpected error in CreateAcademicYear:', error);
+
+        throw new ApolloError('Failed to create academic year', 'CREATE_ACADEMIC_YEAR_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to update an existing academic year with partial data. The school of an academic year cannot be changed.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.id - The unique identifier of the academic year to update.
+ * @param {object} args.updateAcademicYearInput - An object containing the fields to be updated.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<object>} - A promise that resolves to the updated academic year object.
+ */
+async function UpdateAcademicYear(_, { id, updateAcademicYearInput }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateObjectId(id);
+        CommonValidator.ValidateInputTypeObject(updateAcademicYearInput);
+
+        const currentAcademicYear = await AcademicYearModel.findOne({ _id: id, academic_year_status: { $ne: 'DELETED' } }).lean();
+        if (!currentAcademicYear) {
+            throw new ApolloError('Academic year not found', 'ACADEMIC_YEAR_NOT_FOUND');
+        }
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [currentAcademicYear.school] });
+
+        const updateAcademicYearPayload = AcademicYearHelper.GetUpdateAcademicYearPayload({ updateAcademicYearInput, currentAcademicYear, userId });
+
+        const updatedAcademicYear = await AcademicYearModel.findOneAndUpdate(
+            { _id: id },
+            { $set: updateAcademicYearPayload },
+            { new: true }
+        ).lean();
+
+        if (!updatedAcademicYear) {
+            throw new ApolloError('Academic year update failed', 'ACADEMIC_YEAR_UPDATE_FAILED');
+        }
+
+        return updatedAcademicYear;
+    } catch (error) {
+        console.error('Unexpected error in UpdateAcademicYear:', error);
+
+        throw new ApolloError('Failed to update academic year', 'UPDATE_ACADEMIC_YEAR_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to soft delete an academic year. An academic year that still has enrolled students
+ * or a curriculum cannot be deleted, as their transcripts depend on it.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.id - The unique identifier of the academic year to delete.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<object>} - A promise that resolves to the academic year object as it was before being soft-deleted.
+ */
+async function DeleteAcademicYear(_, { id }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateObjectId(id);
+
+        const academicYear = await AcademicYearModel.findOne({ _id: id, academic_year_status: { $ne: 'DELETED' } }).lean();
+        if (!academicYear) {
+            throw new ApolloError('Academic year not found', 'ACADEMIC_YEAR_NOT_FOUND');
+        }
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [academicYear.school] });
+
+        const enrolledStudents = await StudentModel.countDocuments({ academic_year: id, student_status: { $ne: 'DELETED' } });
+        if (enrolledStudents) {
+            throw new ApolloError('Cannot delete an academic year with enrolled students', 'ACADEMIC_YEAR_IN_USE');
+        }
+
+        const curriculumBlocks = await BlockModel.countDocuments({ academic_year: id, block_status: { $ne: 'DELETED' } });
+        if (curriculumBlocks) {
+            throw new ApolloError('Cannot delete an academic year that still has blocks', 'ACADEMIC_YEAR_IN_USE');
+        }
+
+        const { filter, update } = AcademicYearHelper.GetDeleteAcademicYearPayload({ academicYearId: id, userId });
+
+        const deletedAcademicYear = await AcademicYearModel.findOneAndUpdate(filter, update).lean();
+        if (!deletedAcademicYear) {
+            throw new ApolloError('Academic year deletion failed', 'ACADEMIC_YEAR_DELETION_FAILED');
+        }
+
+        return deletedAcademicYear;
+    } catch (error) {
+        console.error('Unexpected error in DeleteAcademicYear:', error);
+
+        throw new ApolloError('Failed to delete academic year', 'DELETE_ACADEMIC_YEAR_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to copy a curriculum (blocks, subjects, and tests) into an academic year that has none yet.
+ * The copy is independent: editing it afterwards does not change the curriculum of other years.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.target_academic_year_id - The ID of the academic year receiving the copy.
+ * @param {string} [args.source_academic_year_id] - Optional. The ID of the academic year to copy from. When omitted,
+ * the curriculum of the target's school that is not attached to any academic year is copied.
+ * @param {object} context - The GraphQL context, used here to get the user ID and the caller's schools.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the blocks of the new curriculum.
+ */
+async function CloneCurriculumToYear(_, { target_academic_year_id, source_academic_year_id }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        AcademicYearValidator.ValidateCloneCurriculumInput({
+            targetAcademicYearId: target_academic_year_id,
+            sourceAcademicYearId: source_academic_year_id
+        });
+
+        const targetAcademicYear = await AcademicYearModel.findOne({ _id: target_academic_year_id, academic_year_status: { $ne: 'DELETED' } }).lean();
+        if (!targetAcademicYear) {
+            throw new ApolloError('Target academic year not found', 'ACADEMIC_YEAR_NOT_FOUND');
+        }
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [targetAcademicYear.school] });
+
+        // *************** A year's curriculum is copied once; later changes are made on the copy itself
+        const existingBlocks = await BlockModel.countDocuments({ academic_year: targetAcademicYear._id, block_status: { $ne: 'DELETED' } });
+        if (existingBlocks) {
+            throw new ApolloError('The target academic year already has a curriculum', 'CURRICULUM_ALREADY_EXISTS');
+        }
+
+        const sourceBlockFilter = { block_status: { $ne: 'DELETED' } };
+        if (source_academic_year_id) {
+            const sourceAcademicYear = await AcademicYearModel.findOne({ _id: source_academic_year_id, academic_year_status: { $ne: 'DELETED' } }).lean();
+            if (!sourceAcademicYear) {
+                throw new ApolloError('Source academic year not found', 'ACADEMIC_YEAR_NOT_FOUND');
+            }
+
+            CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [sourceAcademicYear.school] });
+
+            sourceBlockFilter.academic_year = sourceAcademicYear._id;
+        } else {
+            sourceBlockFilter.academic_year = null;
+            sourceBlockFilter.schools = targetAcademicYear.school;
+        }
+
+        const blocks = await BlockModel.find(sourceBlockFilter).lean();
+        if (!blocks.length) {
+            throw new ApolloError('No curriculum found to clone', 'CURRICULUM_NOT_FOUND');
+        }
+
+        const subjects = await SubjectModel.find({ block: { $in: blocks.map(block => block._id) }, subject_status: { $ne: 'DELETED' } }).lean();
+        const tests = await TestModel.find({ subject: { $in: subjects.map(subject => subject._id) }, test_status: { $ne: 'DELETED' } }).lean();
+
+        const clonedCurriculum = AcademicYearHelper.GetCloneCurriculumPayload({ blocks, subjects, tests, targetAcademicYear, userId });
+
+        // *************** Insert from the leaves up so the new blocks only appear once complete
+        if (clonedCurriculum.tests.length) {
+            await TestModel.insertMany(clonedCurriculum.tests);
+        }
+        if (clonedCurriculum.subjects.length) {
+            await SubjectModel.insertMany(clonedCurriculum.subjects);
+        }
+        const clonedBlocks = await BlockModel.insertMany(clonedCurriculum.blocks);
+
+        return clonedBlocks;
+    } catch (error) {
+        console.error('Unexpected error in CloneCurriculumToYear:', error);
+
+        throw new ApolloError('Failed to clone curriculum', 'CLONE_CURRICULUM_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** LOADER ***************
+/**
+ * Loads the school of an academic year using a DataLoader.
+ * @param {object} academicYear - The parent academic year object.
+ * @param {string} academicYear.school - The ID of the school to load.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the school object.
+ */
+async function SchoolLoader(academicYear, _, context) {
+    try {
+        AcademicYearValidator.ValidateSchoolLoaderInput(academicYear, context);
+
+        const school = await context.dataLoaders.SchoolLoader.load(academicYear.school);
+
+        return school;
+    } catch (error) {
+        console.error("Error fetching school:", error);
+
+        throw new ApolloError(`Failed to fetch school for ${academicYear.name}`, 'SCHOOL_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who created the academic year using a DataLoader.
+ * @param {object} academicYear - The parent academic year object.
+ * @param {string} academicYear.created_by - The ID of the user who created the academic year.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the user object.
+ */
+async function CreatedByLoader(academicYear, _, context) {
+    try {
+        AcademicYearValidator.ValidateUserLoaderInput(academicYear, context, 'created_by');
+
+        const createdBy = await context.dataLoaders.UserLoader.load(academicYear.created_by);
+
+        return createdBy;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch user: ${error.message}`, 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who last updated the academic year using a DataLoader.
+ * @param {object} academicYear - The parent academic year object.
+ * @param {string} academicYear.updated_by - The ID of the user who last updated the academic year.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the user object.
+ */
+async function UpdatedByLoader(academicYear, _, context) {
+    try {
+        AcademicYearValidator.ValidateUserLoaderInput(academicYear, context, 'updated_by');
+
+        const updatedBy = await context.dataLoaders.UserLoader.load(academicYear.updated_by);
+
+        return updatedBy;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch user: ${error.message}`, 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who deleted the academic year using a DataLoader.
+ * @param {object} academicYear - The parent academic year object.
+ * @param {string} academicYear.deleted_by - The ID of the user who performed the deletion.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the user object.
+ */
+async function DeletedByLoader(academicYear, _, context) {
+    try {
+        AcademicYearValidator.ValidateUserLoaderInput(academicYear, context, 'deleted_by');
+
+        if (!academicYear.deleted_by) {
+            return null;
+        }
+
+        const deletedBy = await context.dataLoaders.UserLoader.load(academicYear.deleted_by);
+
+        return deletedBy;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch user: ${error.message}`, 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    Query: {
+        GetAllAcademicYears,
+        GetOneAcademicYear
+    },
+
+    Mutation: {
+        CreateAcademicYear,
+        UpdateAcademicYear,
+        DeleteAcademicYear,
+        CloneCurriculumToYear
+    },
+
+    AcademicYear: {
+        school: SchoolLoader,
+        created_by: CreatedByLoader,
+        updated_by: UpdatedByLoader,
+        deleted_by: DeletedByLoader
+    }
+}
\ No newline at end of file
@@ -0,0 +1,53 @@
+// *************** IMPORT LIBRARY ***************
+const { gql } = require('apollo-server-express');
+
+// *************** EXPORT MODULE ***************
+module.exports = gql`
+    enum AcademicYearStatus {
+        ACTIVE
+        INACTIVE
+        DELETED
+    }
+
+    input CreateAcademicYearInput {
+        name: String!
+        school: ID!
+        start_date: String!
+        end_date: String!
+        academic_year_status: AcademicYearStatus!
+    }
+
+    input UpdateAcademicYearInput {
+        name: String
+        start_date: String
+        end_date: String
+        academic_year_status: AcademicYearStatus
+    }
+
+    type AcademicYear {
+        _id: ID!
+        name: String!
+        school: School!
+        start_date: String!
+        end_date: String!
+        academic_year_status: AcademicYearStatus!
+        created_by: User!
+        created_at: String!
+        updated_by: User!
+        updated_at: String!
+        deleted_by: User
+        deleted_at: String
+    }
+
+    type Query {
+        GetAllAcademicYears(academic_year_status: AcademicYearStatus, school_id: ID): [AcademicYear!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
+        GetOneAcademicYear(id: ID!): AcademicYear @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
+    }
+
+    type Mutation {
+        CreateAcademicYear(createAcademicYearInput: CreateAcademicYearInput!): AcademicYear! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        UpdateAcademicYear(id: ID!, updateAcademicYearInput: UpdateAcademicYearInput!): AcademicYear! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        DeleteAcademicYear(id: ID!): AcademicYear! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        CloneCurriculumToYear(target_academic_year_id: ID!, source_academic_year_id: ID): [Block!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+    }
+`
\ No newline at end of file
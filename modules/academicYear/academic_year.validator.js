@@ -0,0 +1,189 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+/**
+ * Validates the input for fetching all academic years.
+ * @param {string} academic_year_status - The status of the academic years to filter by (optional).
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateAcademicYearStatusFilter(academic_year_status) {
+    const validStatus = ['ACTIVE', 'INACTIVE'];
+
+    if (!academic_year_status) {
+        return;
+    }
+
+    if (typeof academic_year_status !== 'string' || !validStatus.includes(academic_year_status.toUpperCase())) {
+        throw new ApolloError(`Academic year status must be one of: ${validStatus.join(', ')}.`, 'BAD_USER_INPUT', {
+            field: 'academic_year_status'
+        });
+    }
+}
+
+/**
+ * Validates the input object for creating or updating an academic year using a rule-based approach.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.academicYearInput - An object containing the academic year's properties to be validated.
+ * @param {string} [args.academicYearInput.name] - The name of the academic year.
+ * @param {string} [args.academicYearInput.school] - The ID of the school the academic year belongs to.
+ * @param {string} [args.academicYearInput.start_date] - The date the academic year starts.
+ * @param {string} [args.academicYearInput.end_date] - The date the academic year ends.
+ * @param {string} [args.academicYearInput.academic_year_status] - The status of the academic year.
+ * @param {object} [args.currentAcademicYear] - Optional. The stored academic year, used to check the dates of a partial update.
+ * @param {boolean} [args.isUpdate=false] - Optional flag to indicate if this is an update operation, which allows for partial data.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateAcademicYearInput({ academicYearInput, currentAcademicYear, isUpdate = false }) {
+    const validStatus = ['ACTIVE', 'INACTIVE'];
+
+    const validationRules = [
+        {
+            field: 'name',
+            required: true,
+            validate: (val) => typeof val === 'string' && val.trim() !== '',
+            message: 'Name is required.',
+        },
+        {
+            field: 'school',
+            required: !isUpdate,
+            validate: (val) => mongoose.Types.ObjectId.isValid(val),
+            message: 'A valid school ID is required.',
+        },
+        {
+            field: 'start_date',
+            required: true,
+            validate: (val) => !isNaN(new Date(val).getTime()),
+            message: 'A valid start date is required.',
+        },
+        {
+            field: 'end_date',
+            required: true,
+            validate: (val) => !isNaN(new Date(val).getTime()),
+            message: 'A valid end date is required.',
+        },
+        {
+            field: 'academic_year_status',
+            required: true,
+            validate: (val) => typeof val === 'string' && validStatus.includes(val.toUpperCase()),
+            message: `Academic year status must be one of: ${validStatus.join(', ')}.`,
+        },
+    ];
+
+    for (const rule of validationRules) {
+        const value = academicYearInput[rule.field];
+        if ((!isUpdate && rule.required) || value !== undefined) {
+            if (!rule.validate(value)) {
+                const message = typeof rule.message === 'function' ? rule.message(value) : rule.message;
+                throw new ApolloError(message, 'BAD_USER_INPUT', { field: rule.field });
+            }
+        }
+    }
+
+    // *************** On update, a single date is checked against the other stored one
+    const startDate = academicYearInput.start_date || (currentAcademicYear && currentAcademicYear.start_date);
+    const endDate = academicYearInput.end_date || (currentAcademicYear && currentAcademicYear.end_date);
+
+    if (startDate && endDate && new Date(startDate).getTime() >= new Date(endDate).getTime()) {
+        throw new ApolloError('The end date must be after the start date.', 'BAD_USER_INPUT', { field: 'end_date' });
+    }
+}
+
+/**
+ * Validates the input for cloning a curriculum into an academic year.
+ * @param {object} args - The arguments for the validation.
+ * @param {string} args.targetAcademicYearId - The ID of the academic year receiving the copy.
+ * @param {string} [args.sourceAcademicYearId] - Optional. The ID of the academic year to copy from; the curriculum not attached to any year is copied when omitted.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateCloneCurriculumInput({ targetAcademicYearId, sourceAcademicYearId }) {
+    if (!mongoose.Types.ObjectId.isValid(targetAcademicYearId)) {
+        throw new ApolloError('A valid target academic year ID is required.', 'BAD_USER_INPUT', { field: 'target_academic_year_id' });
+    }
+
+    if (sourceAcademicYearId === undefined || sourceAcademicYearId === null) {
+        return;
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(sourceAcademicYearId)) {
+        throw new ApolloError('Source academic year ID must be a valid ID.', 'BAD_USER_INPUT', { field: 'source_academic_year_id' });
+    }
+
+    if (String(sourceAcademicYearId) === String(targetAcademicYearId)) {
+        throw new ApolloError('The source and target academic years must be different.', 'BAD_USER_INPUT', { field: 'source_academic_year_id' });
+    }
+}
+
+/**
+ * Validates the inputs for the SchoolLoader resolver on the AcademicYear type.
+ * @param {object} parent - The parent academic year object, which must contain a valid 'school' ID.
+ * @param {object} context - The GraphQL context, which must contain a configured SchoolLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateSchoolLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT', {
+            field: 'parent'
+        });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(parent.school)) {
+        throw new ApolloError('Input error: parent.school must be a valid ID.', 'BAD_USER_INPUT', {
+            field: 'parent.school'
+        });
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.SchoolLoader ||
+        typeof context.dataLoaders.SchoolLoader.load !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: SchoolLoader not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+}
+
+/**
+ * Validates the inputs for resolvers that use the UserLoader.
+ * @param {object} parent - The parent object.
+ * @param {object} context - The GraphQL context, which must contain a configured UserLoader.
+ * @param {string} fieldName - The name of the property on the academic year object that holds the user ID (e.g., 'created_by').
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateUserLoaderInput(parent, context, fieldName) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT');
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.UserLoader ||
+        typeof context.dataLoaders.UserLoader.load !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: UserLoader not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+
+    const userId = parent[fieldName];
+
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ApolloError(`Input error: If provided, parent.${fieldName} must be a valid ID.`, 'BAD_USER_INPUT');
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    ValidateAcademicYearStatusFilter,
+    ValidateAcademicYearInput,
+    ValidateCloneCurriculumInput,
+    ValidateSchoolLoaderInput,
+    ValidateUserLoaderInput
+}
\ No newline at end of file
@@ -0,0 +1,217 @@
+// *************** IMPORT LIBRARY ***************
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+const AccountTokenModel = require('./account_token.model');
+const UserModel = require('../user/user.model');
+const StudentModel = require('../student/student.model');
+
+// *************** IMPORT UTILITES ***************
+const TaskHelper = require('../task/task.helper');
+const CommonHelper = require('../../shared/helper/index');
+
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+
+/**
+ * Hashes an account token so that only its digest is ever persisted.
+ * @param {string} token - The raw token sent by email.
+ * @returns {string} The hexadecimal SHA-256 digest of the token.
+ */
+function HashAccountToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Finds the user or student owning an email address, searching the same collections as Login.
+ * @param {string} email - The email address to look up.
+ * @returns {Promise<{account: object, accountModel: string}|null>} A promise that resolves to the account and its collection, or null if none matches.
+ */
+async function FindAccountByEmail(email) {
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const user = await UserModel.findOne({ email: normalizedEmail, user_status: 'ACTIVE' }).lean();
+    if (user) {
+        return { account: user, accountModel: 'user' };
+    }
+
+    const student = await StudentModel.findOne({ email: normalizedEmail, student_status: 'ACTIVE' }).lean();
+    if (student) {
+        return { account: student, accountModel: 'student' };
+    }
+
+    return null;
+}
+
+/**
+ * Returns the Mongoose model of an account collection.
+ * @param {string} accountModel - The collection of the account: 'user' or 'student'.
+ * @returns {object} The UserModel or the StudentModel.
+ */
+function GetAccountModel(accountModel) {
+    return accountModel === 'student' ? StudentModel : UserModel;
+}
+
+/**
+ * Builds the payload of a new single-use account token, along with the update revoking the tokens of the same type still active for the account.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.accountId - The ID of the user or student the token is issued for.
+ * @param {string} args.accountModel - The collection of the account: 'user' or 'student'.
+ * @param {string} args.tokenType - The purpose of the token: 'PASSWORD_RESET' or 'EMAIL_VERIFICATION'.
+ * @returns {{token: string, accountToken: object, previousAccountTokens: {filter: object, update: object}}} The raw token, the token document to create, and the revocation of the previous tokens.
+ */
+function GetCreateAccountTokenPayload({ accountId, accountModel, tokenType }) {
+    CommonValidator.ValidateObjectId(accountId);
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const expirationMinutes = tokenType === 'PASSWORD_RESET'
+        ? (parseInt(config.PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES) || 60)
+        : (parseInt(config.EMAIL_VERIFICATION_TOKEN_EXPIRATION_MINUTES) || 2880);
+
+    return {
+        token,
+        accountToken: {
+            account: accountId,
+            account_model: accountModel,
+            token_type: tokenType,
+            token_hash: HashAccountToken(token),
+            expires_at: new Date(Date.now() + expirationMinutes * 60 * 1000),
+            token_status: 'ACTIVE'
+        },
+        previousAccountTokens: {
+            filter: { account: accountId, token_type: tokenType, token_status: 'ACTIVE' },
+            update: { $set: { token_status: 'REVOKED' } }
+        }
+    };
+}
+
+/**
+ * Builds the filter and update consuming an account token. The filter only matches an active,
+ * unexpired token so that applying it atomically guarantees the token is used once.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.token - The raw token received by email.
+ * @param {string} args.tokenType - The expected purpose of the token.
+ * @returns {{filter: object, update: object}} The filter and update for a findOneAndUpdate operation.
+ */
+function GetUseAccountTokenPayload({ token, tokenType }) {
+    return {
+        filter: {
+            token_hash: HashAccountToken(token),
+            token_type: tokenType,
+            token_status: 'ACTIVE',
+            expires_at: { $gt: new Date() }
+        },
+        update: {
+            $set: {
+                token_status: 'USED',
+                used_at: Date.now()
+            }
+        }
+    };
+}
+
+/**
+ * Builds the update setting a new password on an account. Receiving the reset email proves the ownership of the address, so it is also marked as verified.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.newPassword - The new plaintext password.
+ * @param {object} args.account - The user or student as currently stored, containing its password and password history.
+ * @returns {Promise<object>} A promise that resolves to the update to apply to the account.
+ */
+async function GetResetPasswordPayload({ newPassword, account }) {
+    const hashedPassword = await bcrypt.hash(newPassword, parseInt(config.BCRYPT_ROUNDS));
+
+    return {
+        $set: {
+            password: hashedPassword,
+            password_history: CommonHelper.BuildPasswordHistory({
+                previousPasswordHash: account.password,
+                passwordHistory: account.password_history
+            }),
+            is_email_verified: true,
+            email_verified_at: Date.now()
+        }
+    };
+}
+
+/**
+ * Constructs the content of an account token email.
+ * @param {object} args - The arguments for creating the email content.
+ * @param {object} args.account - The user or student document receiving the email.
+ * @param {string} args.token - The raw token to embed in the link.
+ * @param {string} args.tokenType - The purpose of the token: 'PASSWORD_RESET' or 'EMAIL_VERIFICATION'.
+ * @returns {object} An object containing the email 'subject' and 'html' content.
+ */
+function GetAccountTokenEmail({ account, token, tokenType }) {
+    const baseUrl = (config.APP_URL || '').replace(/\/$/, '');
+
+    if (tokenType === 'PASSWORD_RESET') {
+        const link = `${baseUrl}/reset-password?token=${token}`;
+
+        return {
+            subject: 'Reset your password',
+            html: `
+    <h2>Reset your password</h2>
+    <p>Hello ${account.first_name} ${account.last_name},</p>
+    <p>A password reset was requested for your account. Use the link below to choose a new password:</p>
+    <p><a href="${link}">${link}</a></p>
+    <p>This link can only be used once and expires soon. If you did not request it, you can ignore this email.</p>
+`
+        };
+    }
+
+    const link = `${baseUrl}/verify-email?token=${token}`;
+
+    return {
+        subject: 'Verify your email address',
+        html: `
+    <h2>Verify your email address</h2>
+    <p>Hello ${account.first_name} ${account.last_name},</p>
+    <p>An account was created for you. Please confirm your email address with the link below:</p>
+    <p><a href="${link}">${link}</a></p>
+`
+    };
+}
+
+/**
+ * Issues a new single-use token for an account, revoking the previous ones of the same type, and emails it to the account.
+ * @param {object} args - The arguments for issuing the token.
+ * @param {object} args.account - The user or student document, containing _id, email, first_name, and last_name.
+ * @param {string} args.accountModel - The collection of the account: 'user' or 'student'.
+ * @param {string} args.tokenType - The purpose of the token: 'PASSWORD_RESET' or 'EMAIL_VERIFICATION'.
+ * @returns {Promise<object>} - A promise that resolves to the outcome of the email sending attempt.
+ */
+async function IssueAccountToken({ account, accountModel, tokenType }) {
+    const { token, accountToken, previousAccountTokens } = GetCreateAccountTokenPayload({
+        accountId: account._id,
+        accountModel,
+        tokenType
+    });
+
+    await AccountTokenModel.updateMany(previousAccountTokens.filter, previousAccountTokens.update);
+    await AccountTokenModel.create(accountToken);
+
+    const emailContent = GetAccountTokenEmail({ account, token, tokenType });
+
+    const sendEmail = await TaskHelper.SendEmailWithSendGrid({
+        to: account.email,
+        subject: emailContent.subject,
+        html: emailContent.html
+    });
+    if (!sendEmail.success) {
+        console.error(`${tokenType} email failed to send:`, sendEmail.error);
+    }
+
+    return sendEmail;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    FindAccountByEmail,
+    GetAccountModel,
+    GetUseAccountTokenPayload,
+    GetResetPasswordPayload,
+    IssueAccountToken
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+const accountTokenSchema = mongoose.Schema({
+    // The ID of the account (user or student) the token was issued for
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'account_model',
+        required: true
+    },
+
+    // Collection of the account the token was issued for: user or student
+    account_model: {
+        type: String,
+        enum: ['user', 'student'],
+        required: true
+    },
+
+    // Purpose of the token: password reset or email verification
+    token_type: {
+        type: String,
+        enum: ['PASSWORD_RESET', 'EMAIL_VERIFICATION'],
+        required: true
+    },
+
+    // SHA-256 hash of the token sent by email, the raw token is never stored
+    token_hash: {
+        type: String,
+        required: true,
+        index: true
+    },
+
+    // Timestamp after which the token can no longer be used
+    expires_at: {
+        type: Date,
+        required: true
+    },
+
+    // Current status of the token: active, used, or revoked by a newer token of the same type
+    token_status: {
+        type: String,
+        enum: ['ACTIVE', 'USED', 'REVOKED'],
+        default: 'ACTIVE'
+    },
+
+    // Timestamp when the token was used
+    used_at: {
+        type: Date
+    }
+}, {
+    // Automatically include created_at and updated_at fields
+    timestamps: {
+        // Timestamp when the token was issued
+        createdAt: 'created_at',
+        // Timestamp when the token was last updated
+        updatedAt: 'updated_at'
+    }
+});
+
+const AccountTokenModel = mongoose.model('account_token', accountTokenSchema);
+
+// *************** EXPORT MODULE ***************
+module.exports = AccountTokenModel;
\ No newline at end of file
@@ -0,0 +1,197 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const AccountTokenModel = require('./account_token.model');
+const SessionModel = require('../session/session.model');
+
+// *************** IMPORT HELPER FUNCTION ***************
+const AccountTokenHelper = require('./account_token.helper');
+const SessionHelper = require('../session/session.helper');
+
+// *************** IMPORT VALIDATOR ***************
+const AccountTokenValidator = require('./account_token.validator');
+const CommonValidator = require('../../shared/validator/index');
+
+// *************** MUTATION ***************
+/**
+ * GraphQL resolver to email a single-use password reset link to a user or student.
+ * It resolves to true whether or not the email belongs to an account, so it cannot be used to discover accounts.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.email - The email address of the account.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the request is processed.
+ */
+async function RequestPasswordReset(_, { email }) {
+    try {
+        AccountTokenValidator.ValidateEmailInput(email);
+
+        const found = await AccountTokenHelper.FindAccountByEmail(email);
+        if (!found) {
+            return true;
+        }
+
+        await AccountTokenHelper.IssueAccountToken({
+            account: found.account,
+            accountModel: found.accountModel,
+            tokenType: 'PASSWORD_RESET'
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in RequestPasswordReset:', error);
+
+        throw new ApolloError('Failed to request password reset', 'REQUEST_PASSWORD_RESET_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to set a new password with a password reset token. The new password must follow
+ * the password policy and differ from the recent ones, then the token is consumed and every session of the account is revoked.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.token - The password reset token received by email.
+ * @param {string} args.new_password - The new password.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the password is changed.
+ */
+async function ResetPassword(_, { token, new_password }) {
+    try {
+        AccountTokenValidator.ValidateResetPasswordInput({ token, newPassword: new_password });
+
+        const useAccountToken = AccountTokenHelper.GetUseAccountTokenPayload({ token, tokenType: 'PASSWORD_RESET' });
+
+        // *************** Check the new password against the policy before the token is consumed, so a rejected password does not burn the link
+        const pendingAccountToken = await AccountTokenModel.findOne(useAccountToken.filter).lean();
+        if (!pendingAccountToken) {
+            throw new ApolloError('Invalid or expired token', 'INVALID_TOKEN');
+        }
+
+        const AccountModel = AccountTokenHelper.GetAccountModel(pendingAccountToken.account_model);
+
+        const account = await AccountModel.findOne({ _id: pendingAccountToken.account })
+            .select({ email: 1, password: 1, password_history: 1 })
+            .lean();
+        if (!account) {
+            throw new ApolloError('Account not found', 'ACCOUNT_NOT_FOUND');
+        }
+
+        CommonValidator.ValidatePasswordPolicy({ password: new_password, email: account.email });
+        await CommonValidator.ValidatePasswordNotReused({
+            password: new_password,
+            passwordHashes: [account.password, ...(account.password_history || [])]
+        });
+
+        // *************** Consume the token, the filter only matches an active and unexpired token
+        const accountToken = await AccountTokenModel.findOneAndUpdate(
+            { ...useAccountToken.filter, _id: pendingAccountToken._id },
+            useAccountToken.update
+        ).lean();
+        if (!accountToken) {
+            throw new ApolloError('Invalid or expired token', 'INVALID_TOKEN');
+        }
+
+        const resetPasswordPayload = await AccountTokenHelper.GetResetPasswordPayload({ newPassword: new_password, account });
+
+        const updatedAccount = await AccountModel.updateOne({ _id: accountToken.account }, resetPasswordPayload);
+        if (!updatedAccount.n) {
+            throw new ApolloError('Account not found', 'ACCOUNT_NOT_FOUND');
+        }
+
+        // *************** Sign out every device that may have been using the old password
+        await SessionModel.updateMany(
+            { user: accountToken.account, session_status: 'ACTIVE' },
+            SessionHelper.GetRevokeSessionPayload('PASSWORD_RESET')
+        );
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in ResetPassword:', error);
+
+        throw new ApolloError('Failed to reset password', 'RESET_PASSWORD_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to confirm the email address of a user or student with an email verification token.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.token - The email verification token received by email.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the email address is verified.
+ */
+async function VerifyEmail(_, { token }) {
+    try {
+        AccountTokenValidator.ValidateAccountTokenInput(token);
+
+        const useAccountToken = AccountTokenHelper.GetUseAccountTokenPayload({ token, tokenType: 'EMAIL_VERIFICATION' });
+
+        const accountToken = await AccountTokenModel.findOneAndUpdate(useAccountToken.filter, useAccountToken.update).lean();
+        if (!accountToken) {
+            throw new ApolloError('Invalid or expired token', 'INVALID_TOKEN');
+        }
+
+        const AccountModel = AccountTokenHelper.GetAccountModel(accountToken.account_model);
+
+        const verifiedAccount = await AccountModel.updateOne(
+            { _id: accountToken.account },
+            { $set: { is_email_verified: true, email_verified_at: Date.now() } }
+        );
+        if (!verifiedAccount.n) {
+            throw new ApolloError('Account not found', 'ACCOUNT_NOT_FOUND');
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in VerifyEmail:', error);
+
+        throw new ApolloError('Failed to verify email', 'VERIFY_EMAIL_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to send a new email verification link to an account whose address is not verified yet.
+ * Like RequestPasswordReset, it resolves to true whether or not a matching account exists.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.email - The email address of the account.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the request is processed.
+ */
+async function ResendEmailVerification(_, { email }) {
+    try {
+        AccountTokenValidator.ValidateEmailInput(email);
+
+        const found = await AccountTokenHelper.FindAccountByEmail(email);
+        if (!found || found.account.is_email_verified !== false) {
+            return true;
+        }
+
+        await AccountTokenHelper.IssueAccountToken({
+            account: found.account,
+            accountModel: found.accountModel,
+            tokenType: 'EMAIL_VERIFICATION'
+        });
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in ResendEmailVerification:', error);
+
+        throw new ApolloError('Failed to resend email verification', 'RESEND_EMAIL_VERIFICATION_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    Mutation: {
+        RequestPasswordReset,
+        ResetPassword,
+        VerifyEmail,
+        ResendEmailVerification
+    }
+}
\ No newline at end of file
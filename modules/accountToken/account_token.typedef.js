@@ -0,0 +1,12 @@
+// *************** IMPORT LIBRARY ***************
+const { gql } = require('apollo-server-express');
+
+// *************** EXPORT MODULE ***************
+module.exports = gql`
+    type Mutation {
+        RequestPasswordReset(email: String!): Boolean! @public
+        ResetPassword(token: String!, new_password: String!): Boolean! @public
+        VerifyEmail(token: String!): Boolean! @public
+        ResendEmailVerification(email: String!): Boolean! @public
+    }
+`
\ No newline at end of file
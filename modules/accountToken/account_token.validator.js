@@ -0,0 +1,46 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+/**
+ * Validates the email address an account token is requested for.
+ * @param {string} email - The email address of the account.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateEmailInput(email) {
+    if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+        throw new ApolloError('A valid email address is required.', 'BAD_USER_INPUT', { field: 'email' });
+    }
+}
+
+/**
+ * Validates the format of an account token received by email.
+ * @param {string} token - The raw token.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateAccountTokenInput(token) {
+    if (!token || typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+        throw new ApolloError('Invalid token format.', 'BAD_USER_INPUT', { field: 'token' });
+    }
+}
+
+/**
+ * Validates the inputs for resetting a password with a reset token.
+ * @param {object} args - The arguments for the validation.
+ * @param {string} args.token - The raw password reset token.
+ * @param {string} args.newPassword - The new plaintext password.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateResetPasswordInput({ token, newPassword }) {
+    ValidateAccountTokenInput(token);
+
+    if (!newPassword || typeof newPassword !== 'string' || newPassword.trim() === '') {
+        throw new ApolloError('Password is required.', 'BAD_USER_INPUT', { field: 'new_password' });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    ValidateEmailInput,
+    ValidateAccountTokenInput,
+    ValidateResetPasswordInput
+}
\ No newline at end of file
@@ -6,6 +6,7 @@ const BlockModel = require('./block.model');
 
 // *************** IMPORT UTILITES ***************
 const CommonHelper = require('../../shared/helper/index')
+const TestHelper = require('../test/test.helper');
 
 // *************** IMPORT VALIDATOR ***************
 const CommonValidator = require('../../shared/validator/index');
@@ -22,6 +23,9 @@ const BlockValidator = require('./block.validator');
  * @param {string} [args.createBlockInput.connected_block] - Optional. The ID of a related block.
  * @param {boolean} args.createBlockInput.is_counted_in_final_transcript - Flag for final transcript inclusion.
  * @param {string} args.createBlockInput.block_status - The initial status of the block (e.g., 'ACTIVE').
+ * @param {Array<string>} args.createBlockInput.schools - The IDs of the schools the block belongs to.
+ * @param {string} [args.createBlockInput.academic_year] - Optional. The ID of the academic year whose curriculum the block belongs to.
+ * @param {object} [args.createBlockInput.competency_rules] - Optional. The rules deriving competency levels, only for COMPETENCY blocks.
  * @param {string} args.userId - The ID of the user creating the block.
  * @returns {object} A processed data payload suitable for a database create operation.
  */
@@ -37,7 +41,10 @@ function GetCreateBlockPayload({ createBlockInput, userId }) {
         block_type,
         connected_block,
         is_counted_in_final_transcript,
-        block_status
+        block_status,
+        schools,
+        academic_year,
+        competency_rules
     } = createBlockInput;
 
     return {
@@ -48,6 +55,9 @@ function GetCreateBlockPayload({ createBlockInput, userId }) {
         connected_block,
         is_counted_in_final_transcript,
         block_status: block_status.toUpperCase(),
+        schools,
+        academic_year,
+        competency_rules,
         created_by: userId,
         updated_by: userId
     }
@@ -59,13 +69,14 @@ function GetCreateBlockPayload({ createBlockInput, userId }) {
  * @param {object} args - The arguments for creating the payload.
  * @param {object} args.updateBlockInput - The raw input object containing the block's properties to update.
  * @param {Array<object>} args.subjects - The existing subjects of the block, used for validation.
+ * @param {Array<object>} [args.tests] - Optional. The existing tests of the block's subjects, used for validation.
  * @param {string} args.userId - The ID of the user updating the block.
  * @returns {object} A processed data payload suitable for a partial database update operation.
  */
-function GetUpdateBlockPayload({ updateBlockInput, subjects, userId }) {
+function GetUpdateBlockPayload({ updateBlockInput, subjects, tests, userId }) {
     CommonValidator.ValidateInputTypeObject(updateBlockInput);
     CommonValidator.ValidateObjectId(userId);
-    BlockValidator.ValidateBlockInput({ blockInput: updateBlockInput, subjects, isUpdate: true });
+    BlockValidator.ValidateBlockInput({ blockInput: updateBlockInput, subjects, tests, isUpdate: true });
 
     const {
         name,
@@ -75,7 +86,10 @@ function GetUpdateBlockPayload({ updateBlockInput, subjects, userId }) {
         connected_block,
         is_counted_in_final_transcript,
         block_status,
-        block_passing_criteria
+        block_passing_criteria,
+        unmatched_criteria_result,
+        competency_rules,
+        schools
     } = updateBlockInput;
 
     const payload = {};
@@ -92,6 +106,11 @@ function GetUpdateBlockPayload({ updateBlockInput, subjects, userId }) {
     if (block_passing_criteria !== undefined && block_passing_criteria !== null) {
         payload.block_passing_criteria = block_passing_criteria;
     }
+    if (unmatched_criteria_result !== undefined && unmatched_criteria_result !== null) {
+        payload.unmatched_criteria_result = unmatched_criteria_result.toUpperCase();
+    }
+    if (competency_rules !== undefined && competency_rules !== null) payload.competency_rules = competency_rules;
+    if (schools !== undefined && schools !== null) payload.schools = schools;
 
     payload.updated_by = userId;
 
@@ -158,9 +177,253 @@ async function GetDeleteBlockPayload({ blockId, userId }) {
     }
 }
 
+/**
+ * Lists the sources of a criteria expression tree, from all of its nodes.
+ * @param {object} [expression] - The expression to walk.
+ * @returns {Array<object>} The sources read by the expression.
+ */
+function getCriteriaExpressionSources(expression) {
+    if (!expression) return [];
+
+    return [
+        ...(expression.sources || []),
+        ...(expression.operands || []).flatMap(getCriteriaExpressionSources)
+    ];
+}
+
+/**
+ * Lists the conditions and expression sources of a passing criteria that reference an item the entity cannot be evaluated
+ * against, such as a deleted or inactive subject or test, or a notation the test no longer has.
+ * Notation references are only checked on sources reading the entity's own notations, as the notations of other tests
+ * are checked with those tests.
+ * @param {object} args - The arguments for the check.
+ * @param {object} [args.passingCriteria] - The passing criteria of the entity, with its 'pass_criteria' and 'fail_criteria'.
+ * @param {string} args.groupKey - The key for the criteria groups array (e.g., 'block_criteria_groups').
+ * @param {string} args.referenceKey - The field of the conditions holding the reference: 'subject', 'test' or 'notation_text'.
+ * @param {Set<string>} args.availableReferences - The references the entity can be evaluated against.
+ * @returns {Array<string>} The dangling references, once each.
+ */
+function findDanglingCriteriaReferences({ passingCriteria, groupKey, referenceKey, availableReferences }) {
+    const danglingReferences = new Set();
+
+    for (const criteriaSet of [passingCriteria && passingCriteria.pass_criteria, passingCriteria && passingCriteria.fail_criteria]) {
+        const conditions = ((criteriaSet && criteriaSet[groupKey]) || []).flatMap(group => group.conditions || []);
+        const sources = getCriteriaExpressionSources(criteriaSet && criteriaSet.expression)
+            .filter(source => referenceKey !== 'notation_text' || !source.test);
+
+        for (const condition of [...conditions, ...sources]) {
+            const reference = condition[referenceKey];
+            if (reference && !availableReferences.has(String(reference))) {
+                danglingReferences.add(String(reference));
+            }
+        }
+    }
+
+    return [...danglingReferences];
+}
+
+/**
+ * Tells whether a passing criteria has pass criteria, either an expression or at least one group, without which its entity falls back to its result for unmatched criteria.
+ * @param {object} [passingCriteria] - The passing criteria of the entity.
+ * @param {string} groupKey - The key for the criteria groups array (e.g., 'block_criteria_groups').
+ * @returns {boolean} True if the entity has pass criteria.
+ */
+function hasPassCriteria(passingCriteria, groupKey) {
+    const passCriteria = passingCriteria && passingCriteria.pass_criteria;
+
+    return Boolean(passCriteria && (passCriteria.expression || (Array.isArray(passCriteria[groupKey]) && passCriteria[groupKey].length)));
+}
+
+/**
+ * Lists the issues of a curriculum, as the final transcript calculation sees it: subjects whose test weights do not sum to 1,
+ * blocks whose subject coefficients sum to 0, entities without pass criteria, and criteria referencing subjects, tests or
+ * notations that are not part of the curriculum anymore.
+ * Weights, coefficients and criteria are only checked in blocks evaluated by SCORE, as competency levels use none of them.
+ * @param {Array<object>} blocks - The active blocks of the curriculum, with their active subjects and tests populated.
+ * @returns {Array<object>} The issues found, each with its type, the block, subject or test it concerns, and a message.
+ */
+function GetCurriculumIntegrityIssues(blocks) {
+    const curriculumTestIds = new Set(blocks.flatMap(block => block.subjects.flatMap(subject => subject.tests.map(test => String(test._id)))));
+    const issues = [];
+
+    // *************** Transversal subjects count in the blocks they are connected to, with their coefficient
+    const transversalSubjectsByBlock = new Map();
+    for (const block of blocks) {
+        for (const subject of block.subjects) {
+            if (!subject.is_transversal) continue;
+
+            for (const connectedBlockId of subject.connected_blocks || []) {
+                if (String(connectedBlockId) === String(block._id)) continue;
+
+                const transversalSubjects = transversalSubjectsByBlock.get(String(connectedBlockId)) || [];
+                transversalSubjects.push(subject);
+                transversalSubjectsByBlock.set(String(connectedBlockId), transversalSubjects);
+            }
+        }
+    }
+
+    for (const block of blocks) {
+        if (block.evaluation_type !== 'SCORE') continue;
+
+        const blockSubjects = [...block.subjects, ...(transversalSubjectsByBlock.get(String(block._id)) || [])];
+        const coefficientSum = blockSubjects.reduce((sum, subject) => sum + subject.coefficient, 0);
+        if (coefficientSum <= 0) {
+            issues.push({
+                issue_type: 'BLOCK_COEFFICIENTS_INVALID',
+                block: block._id,
+                found_total: coefficientSum,
+                message: `The subject coefficients of block "${block.name}" sum to 0, so its mark cannot be calculated.`
+            });
+        }
+
+        if (!hasPassCriteria(block.block_passing_criteria, 'block_criteria_groups')) {
+            issues.push({
+                issue_type: 'MISSING_PASS_CRITERIA',
+                block: block._id,
+                message: `Block "${block.name}" has no pass criteria, so it falls back to its result for unmatched criteria (${block.unmatched_criteria_result || 'FAIL'}) unless its fail criteria decide it.`
+            });
+        }
+
+        for (const subjectId of findDanglingCriteriaReferences({
+            passingCriteria: block.block_passing_criteria,
+            groupKey: 'block_criteria_groups',
+            referenceKey: 'subject',
+            availableReferences: new Set(blockSubjects.map(subject => String(subject._id)))
+        })) {
+            issues.push({
+                issue_type: 'DANGLING_CRITERIA_REFERENCE',
+                block: block._id,
+                reference: subjectId,
+                message: `The criteria of block "${block.name}" reference subject ${subjectId}, which is not an active subject of the block.`
+            });
+        }
+
+        for (const testId of findDanglingCriteriaReferences({
+            passingCriteria: block.block_passing_criteria,
+            groupKey: 'block_criteria_groups',
+            referenceKey: 'test',
+            availableReferences: new Set(blockSubjects.flatMap(subject => subject.tests.map(test => String(test._id))))
+        })) {
+            issues.push({
+                issue_type: 'DANGLING_CRITERIA_REFERENCE',
+                block: block._id,
+                reference: testId,
+                message: `The criteria of block "${block.name}" reference test ${testId}, which is not an active test of the block's subjects.`
+            });
+        }
+
+        for (const subject of block.subjects) {
+            // *************** Retakes whose connected test is in the curriculum count through the test they retake
+            const weightedTests = subject.tests.filter(test => !(test.is_retake && test.connected_test && curriculumTestIds.has(String(test.connected_test))));
+            const weightSum = weightedTests.reduce((sum, test) => sum + test.weight, 0);
+            if (!TestHelper.IsTestWeightSumComplete(weightSum)) {
+                issues.push({
+                    issue_type: 'TEST_WEIGHTS_INCONSISTENT',
+                    block: block._id,
+                    subject: subject._id,
+                    expected_total: 1,
+                    found_total: Number(weightSum.toFixed(4)),
+                    message: `The test weights of subject "${subject.name}" sum to ${Number(weightSum.toFixed(4))} instead of 1.`
+                });
+            }
+
+            if (!hasPassCriteria(subject.subject_passing_criteria, 'subject_criteria_groups')) {
+                issues.push({
+                    issue_type: 'MISSING_PASS_CRITERIA',
+                    block: block._id,
+                    subject: subject._id,
+                    message: `Subject "${subject.name}" has no pass criteria, so it falls back to its result for unmatched criteria (${subject.unmatched_criteria_result || 'FAIL'}) unless its fail criteria decide it.`
+                });
+            }
+
+            for (const testId of findDanglingCriteriaReferences({
+                passingCriteria: subject.subject_passing_criteria,
+                groupKey: 'subject_criteria_groups',
+                referenceKey: 'test',
+                availableReferences: new Set(subject.tests.map(test => String(test._id)))
+            })) {
+                issues.push({
+                    issue_type: 'DANGLING_CRITERIA_REFERENCE',
+                    block: block._id,
+                    subject: subject._id,
+                    reference: testId,
+                    message: `The criteria of subject "${subject.name}" reference test ${testId}, which is not an active test of the subject.`
+                });
+            }
+
+            for (const test of subject.tests) {
+                if (!hasPassCriteria(test.test_passing_criteria, 'test_criteria_groups')) {
+                    issues.push({
+                        issue_type: 'MISSING_PASS_CRITERIA',
+                        block: block._id,
+                        subject: subject._id,
+                        test: test._id,
+                        message: `Test "${test.name}" has no pass criteria, so it falls back to its result for unmatched criteria (${test.unmatched_criteria_result || 'FAIL'}) unless its fail criteria decide it.`
+                    });
+                }
+
+                for (const notationText of findDanglingCriteriaReferences({
+                    passingCriteria: test.test_passing_criteria,
+                    groupKey: 'test_criteria_groups',
+                    referenceKey: 'notation_text',
+                    availableReferences: new Set((test.notations || []).map(notation => notation.notation_text))
+                })) {
+                    issues.push({
+                        issue_type: 'DANGLING_CRITERIA_REFERENCE',
+                        block: block._id,
+                        subject: subject._id,
+                        test: test._id,
+                        reference: notationText,
+                        message: `The criteria of test "${test.name}" reference notation "${notationText}", which the test does not have.`
+                    });
+                }
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Checks the curriculum of a school, as the final transcript calculation sees it: its active blocks, subjects and tests.
+ * The issues reported are listed by GetCurriculumIntegrityIssues.
+ * @param {object} args - The arguments for the check.
+ * @param {string} args.schoolId - The ID of the school.
+ * @param {string} [args.academicYearId] - Optional. The ID of the academic year, or none for the school's unversioned curriculum.
+ * @returns {Promise<object>} A promise that resolves to the report, with the issues found and whether there are none.
+ */
+async function GetCurriculumIntegrityReport({ schoolId, academicYearId }) {
+    CommonValidator.ValidateObjectId(schoolId);
+    if (academicYearId) {
+        CommonValidator.ValidateObjectId(academicYearId);
+    }
+
+    const blocks = await BlockModel.find({ block_status: 'ACTIVE', schools: schoolId, academic_year: academicYearId || null })
+        .populate({
+            path: 'subjects',
+            match: { subject_status: 'ACTIVE' },
+            populate: {
+                path: 'tests',
+                match: { test_status: 'ACTIVE' }
+            }
+        }).lean();
+
+    const issues = GetCurriculumIntegrityIssues(blocks);
+
+    return {
+        school: schoolId,
+        academic_year: academicYearId || null,
+        checked_block_count: blocks.length,
+        is_consistent: !issues.length,
+        issues
+    };
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
     GetCreateBlockPayload,
     GetUpdateBlockPayload,
     GetDeleteBlockPayload,
+    GetCurriculumIntegrityIssues,
+    GetCurriculumIntegrityReport
 }
\ No newline at end of file
@@ -0,0 +1,105 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { GetCurriculumIntegrityIssues } = require('./block.helper');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+const PASS_AT_TEN = { pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 } } };
+
+/**
+ * Builds a test with pass criteria.
+ * @param {object} test - The fields of the test, including its '_id' and 'weight'.
+ * @returns {object} The test.
+ */
+function buildTest(test) {
+    return { name: test._id, notations: [{ notation_text: 'Exam', max_points: 20 }], test_passing_criteria: PASS_AT_TEN, ...test };
+}
+
+/**
+ * Builds a SCORE block with pass criteria and one subject of coefficient 1 with pass criteria.
+ * @param {Array<object>} tests - The tests of the subject.
+ * @param {object} [subject] - Optional. Fields replacing the defaults of the subject.
+ * @returns {object} The block.
+ */
+function buildBlock(tests, subject) {
+    return {
+        _id: 'block-1',
+        name: 'Block 1',
+        evaluation_type: 'SCORE',
+        block_passing_criteria: PASS_AT_TEN,
+        subjects: [{ _id: 'subject-1', name: 'Subject 1', coefficient: 1, subject_passing_criteria: PASS_AT_TEN, tests, ...subject }]
+    };
+}
+
+/**
+ * Lists the types of the issues found.
+ * @param {Array<object>} issues - The issues.
+ * @returns {Array<string>} The type of each issue.
+ */
+function getIssueTypes(issues) {
+    return issues.map(issue => issue.issue_type);
+}
+
+const tests = {
+    'A consistent curriculum has no issues': () => {
+        assert.deepStrictEqual(GetCurriculumIntegrityIssues([buildBlock([buildTest({ _id: 'test-a', weight: 0.4 }), buildTest({ _id: 'test-b', weight: 0.6 })])]), []);
+    },
+
+    'Test weights not summing to 1 are reported with their sum': () => {
+        const issues = GetCurriculumIntegrityIssues([buildBlock([buildTest({ _id: 'test-a', weight: 0.4 }), buildTest({ _id: 'test-b', weight: 0.4 })])]);
+
+        assert.deepStrictEqual(getIssueTypes(issues), ['TEST_WEIGHTS_INCONSISTENT']);
+        assert.strictEqual(issues[0].subject, 'subject-1');
+        assert.strictEqual(issues[0].found_total, 0.8);
+    },
+
+    'Retakes of a test of the curriculum do not count in the weights': () => {
+        const issues = GetCurriculumIntegrityIssues([buildBlock([
+            buildTest({ _id: 'test-a', weight: 1 }),
+            buildTest({ _id: 'test-a-retake', weight: 1, is_retake: true, connected_test: 'test-a' })
+        ])]);
+
+        assert.deepStrictEqual(issues, []);
+    },
+
+    'Subject coefficients summing to 0 are reported': () => {
+        const issues = GetCurriculumIntegrityIssues([buildBlock([buildTest({ _id: 'test-a', weight: 1 })], { coefficient: 0 })]);
+
+        assert.deepStrictEqual(getIssueTypes(issues), ['BLOCK_COEFFICIENTS_INVALID']);
+    },
+
+    'A transversal subject connected to a block counts in its coefficients': () => {
+        const block = buildBlock([buildTest({ _id: 'test-a', weight: 1 })], { coefficient: 0 });
+        const transversalBlock = {
+            ...buildBlock([buildTest({ _id: 'test-b', weight: 1 })], { _id: 'subject-transversal', is_transversal: true, connected_blocks: ['block-1'] }),
+            _id: 'block-transversal'
+        };
+
+        assert.deepStrictEqual(GetCurriculumIntegrityIssues([block, transversalBlock]), []);
+    },
+
+    'Entities without pass criteria and dangling criteria references are reported': () => {
+        const block = buildBlock([buildTest({ _id: 'test-a', weight: 1, test_passing_criteria: undefined })], {
+            subject_passing_criteria: {
+                pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'TEST', test: 'test-deleted' }] } }
+            }
+        });
+
+        const issues = GetCurriculumIntegrityIssues([block]);
+
+        assert.deepStrictEqual(getIssueTypes(issues), ['DANGLING_CRITERIA_REFERENCE', 'MISSING_PASS_CRITERIA']);
+        assert.strictEqual(issues[0].reference, 'test-deleted');
+        assert.strictEqual(issues[1].test, 'test-a');
+    },
+
+    'COMPETENCY blocks are not checked for weights, coefficients or criteria': () => {
+        const block = { ...buildBlock([buildTest({ _id: 'test-a', weight: 0.2, test_passing_criteria: undefined })], { coefficient: 0 }), evaluation_type: 'COMPETENCY' };
+
+        assert.deepStrictEqual(GetCurriculumIntegrityIssues([block]), []);
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
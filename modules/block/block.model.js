@@ -1,6 +1,9 @@
 // *************** IMPORT CORE ***************
 const mongoose = require('mongoose');
 
+// *************** IMPORT MODULE ***************
+const CriteriaExpressionSchema = require('../../shared/schema/criteria_expression.schema');
+
 const blockCriteriaGroupListSchema = mongoose.Schema({
     // An array of criteria groups, each group will be checked by OR logical operator
     block_criteria_groups: [{
@@ -18,18 +21,28 @@ const blockCriteriaGroupListSchema = mongoose.Schema({
                 ref: "subject"
             },
 
-            // The comparison operator used in the criteria: 'GTE' (>=), 'LTE' (<=), 'GT' (>), 'LT' (<), 'E' (==)
+            // The comparison operator used in the criteria: 'GTE' (>=), 'LTE' (<=), 'GT' (>), 'LT' (<), 'E' (==), 'BETWEEN' (mark <= value <= mark_max)
             comparison_operator: {
                 type: String,
-                enum: ['GTE', 'LTE', 'GT', 'LT', 'E']
+                enum: ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN']
             },
 
             // The average of total subject marks, or the mark of one subject (depends on criteria_type)
             mark: {
                 type: Number
+            },
+
+            // The upper bound of the range, for the 'BETWEEN' operator
+            mark_max: {
+                type: Number
             }
         }]
-    }]
+    }],
+
+    // A nested boolean expression, used instead of the criteria groups when it is set
+    expression: {
+        type: CriteriaExpressionSchema
+    }
 }, { _id: false });
 
 const blockPassingCriteriaSchema = mongoose.Schema({
@@ -44,6 +57,42 @@ const blockPassingCriteriaSchema = mongoose.Schema({
     },
 }, { _id: false });
 
+const blockCompetencyRulesSchema = mongoose.Schema({
+    // Minimum share of a notation's max points for the notation to be ACQUIRED
+    acquired_threshold: {
+        type: Number,
+        min: 0,
+        max: 1
+    },
+
+    // Minimum share of a notation's max points for the notation to be IN_PROGRESS; below it, the notation is NOT_ACQUIRED
+    in_progress_threshold: {
+        type: Number,
+        min: 0,
+        max: 1
+    },
+
+    // Minimum share of ACQUIRED items (notations of a test, tests of a subject, subjects of the block) for their parent to be ACQUIRED
+    min_acquired_share: {
+        type: Number,
+        min: 0,
+        max: 1
+    },
+
+    // Maximum number of NOT_ACQUIRED items tolerated for their parent to be ACQUIRED
+    max_not_acquired: {
+        type: Number,
+        min: 0
+    },
+
+    // Share of NOT_ACQUIRED items above which their parent is NOT_ACQUIRED; otherwise a parent that is not ACQUIRED is IN_PROGRESS
+    max_not_acquired_share: {
+        type: Number,
+        min: 0,
+        max: 1
+    }
+}, { _id: false });
+
 const blockSchema = mongoose.Schema({
     // Block’s name
     name: {
@@ -83,6 +132,18 @@ const blockSchema = mongoose.Schema({
         required: true
     },
 
+    // List of school IDs the block belongs to; its subjects and tests belong to the same schools
+    schools: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "school"
+    }],
+
+    // ID of the academic year whose curriculum the block belongs to; blocks without one form the school's unversioned curriculum
+    academic_year: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "academic_year"
+    },
+
     // List of subject IDs associated with the block
     subjects: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -101,6 +162,19 @@ const blockSchema = mongoose.Schema({
         type: blockPassingCriteriaSchema
     },
 
+    // Result of the block when the student has every mark its criteria read but neither its pass nor its fail criteria are met,
+    // or when it has no pass criteria: PASS, FAIL, or INCOMPLETE to leave the decision open
+    unmatched_criteria_result: {
+        type: String,
+        enum: ['PASS', 'FAIL', 'INCOMPLETE'],
+        default: 'FAIL'
+    },
+
+    // Rules deriving competency levels from marks and from the levels of sub-items, only for evaluation type: COMPETENCY
+    competency_rules: {
+        type: blockCompetencyRulesSchema
+    },
+
     // ID of the user who created this block record
     created_by: {
         type: mongoose.Schema.Types.ObjectId,
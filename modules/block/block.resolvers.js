@@ -7,9 +7,12 @@ const SubjectModel = require('../subject/subject.model');
 const TestModel = require('../test/test.model');
 const StudentTestResultModel = require('../studentTestResult/student_test_result.model');
 const TaskModel = require('../task/task.model');
+const SchoolModel = require('../school/school.model');
+const AcademicYearModel = require('../academicYear/academic_year.model');
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const BlockHelper = require('./block.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const BlockValidator = require('./block.validator');
@@ -17,17 +20,27 @@ const CommonValidator = require('../../shared/validator/index');
 
 // *************** QUERY ***************
 /**
- * GraphQL resolver to fetch all blocks, with an optional filter for block status.
+ * GraphQL resolver to fetch all blocks of the caller's schools, with optional filters for block status and academic year.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} [args.block_status] - Optional. The status to filter blocks by (e.g., 'ACTIVE').
+ * @param {string} [args.academic_year_id] - Optional. The ID of the academic year whose curriculum to fetch.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<Array<object>>} - A promise that resolves to an array of block objects.
  */
-async function GetAllBlocks(_, { block_status }) {
+async function GetAllBlocks(_, { block_status, academic_year_id }, context) {
     try {
         BlockValidator.ValidateBlockStatusFilter(block_status);
 
-        const blockFilter = block_status ? { block_status: block_status } : { block_status: { $ne: 'DELETED' } };
+        const blockFilter = {
+            block_status: block_status || { $ne: 'DELETED' },
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        };
+
+        if (academic_year_id) {
+            CommonValidator.ValidateObjectId(academic_year_id);
+            blockFilter.academic_year = academic_year_id;
+        }
 
         const blocks = await BlockModel.find(blockFilter).lean();
 
@@ -42,17 +55,21 @@ async function GetAllBlocks(_, { block_status }) {
 }
 
 /**
- * GraphQL resolver to fetch a single block by its unique ID.
+ * GraphQL resolver to fetch a single block of the caller's schools by its unique ID.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the block to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found block object.
  */
-async function GetOneBlock(_, { id }) {
+async function GetOneBlock(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id)
 
-        const block = await BlockModel.findById(id).lean();
+        const block = await BlockModel.findOne({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).lean();
         if (!block) {
             throw new ApolloError('Block not found', 'BLOCK_NOT_FOUND');
         }
@@ -67,6 +84,33 @@ async function GetOneBlock(_, { id }) {
     }
 }
 
+/**
+ * GraphQL resolver to check the curriculum of a school for inconsistencies the final transcript calculation would run into:
+ * test weights that do not sum to 1, subject coefficients summing to 0, missing pass criteria, and dangling criteria references.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.school_id - The ID of the school whose curriculum to check.
+ * @param {string} [args.academic_year_id] - Optional. The ID of the academic year, or none for the school's unversioned curriculum.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the integrity report of the curriculum.
+ */
+async function GetCurriculumIntegrityReport(_, { school_id, academic_year_id }, context) {
+    try {
+        CommonValidator.ValidateObjectId(school_id);
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [school_id] });
+
+        const curriculumIntegrityReport = await BlockHelper.GetCurriculumIntegrityReport({ schoolId: school_id, academicYearId: academic_year_id });
+
+        return curriculumIntegrityReport;
+    } catch (error) {
+        console.error('Unexpected error in GetCurriculumIntegrityReport:', error);
+
+        throw new ApolloError('Failed to check curriculum integrity', 'GET_CURRICULUM_INTEGRITY_REPORT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** MUTATION ***************
 /**
  * GraphQL resolver to create a new block.
@@ -86,6 +130,26 @@ async function CreateBlock(_, { createBlockInput }, context) {
         CommonValidator.ValidateInputTypeObject(createBlockInput);
         BlockValidator.ValidateBlockInput({ blockInput: createBlockInput });
 
+        // *************** The block can only be attached to existing schools the user belongs to
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: createBlockInput.schools, requireAll: true });
+
+        const schoolCount = await SchoolModel.countDocuments({ _id: { $in: createBlockInput.schools }, school_status: { $ne: 'DELETED' } });
+        if (schoolCount !== new Set(createBlockInput.schools.map(String)).size) {
+            throw new ApolloError('One or more schools not found', 'SCHOOL_NOT_FOUND');
+        }
+
+        // *************** A block of an academic year's curriculum must belong to the school of that year
+        if (createBlockInput.academic_year) {
+            const academicYear = await AcademicYearModel.findOne({ _id: createBlockInput.academic_year, academic_year_status: { $ne: 'DELETED' } }).lean();
+            if (!academicYear) {
+                throw new ApolloError('Academic year not found', 'ACADEMIC_YEAR_NOT_FOUND');
+            }
+
+            if (!createBlockInput.schools.map(String).includes(String(academicYear.school))) {
+                throw new ApolloError('The block must belong to the school of its academic year', 'BAD_USER_INPUT');
+            }
+        }
+
         // *************** Prepare payload and create the block
         const createBlockPayload = BlockHelper.GetCreateBlockPayload({ createBlockInput, userId });
 
@@ -123,14 +187,44 @@ async function UpdateBlock(_, { id, updateBlockInput }, context) {
         CommonValidator.ValidateObjectId(id);
         CommonValidator.ValidateInputTypeObject(updateBlockInput);
 
-        const block = await BlockModel.findById(id).select({ subjects: 1 }).lean();
+        const block = await BlockModel.findById(id).select({ subjects: 1, schools: 1, academic_year: 1, evaluation_type: 1 }).lean();
         if (!block) {
             throw new ApolloError('Block not found', 'NOT_FOUND');
         }
 
-        BlockValidator.ValidateBlockInput({ blockInput: updateBlockInput, subjects: block.subjects, isUpdate: true });
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: block.schools });
+
+        // *************** Criteria expressions of the block may reference the tests of its subjects
+        const tests = updateBlockInput.block_passing_criteria
+            ? await TestModel.distinct('_id', { subject: { $in: block.subjects }, test_status: { $ne: 'DELETED' } })
+            : [];
+
+        BlockValidator.ValidateBlockInput({
+            blockInput: updateBlockInput,
+            subjects: block.subjects,
+            tests,
+            currentEvaluationType: block.evaluation_type,
+            isUpdate: true
+        });
+
+        // *************** Moving the block to other schools requires belonging to all of them
+        if (updateBlockInput.schools) {
+            CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: updateBlockInput.schools, requireAll: true });
+
+            const schoolCount = await SchoolModel.countDocuments({ _id: { $in: updateBlockInput.schools }, school_status: { $ne: 'DELETED' } });
+            if (schoolCount !== new Set(updateBlockInput.schools.map(String)).size) {
+                throw new ApolloError('One or more schools not found', 'SCHOOL_NOT_FOUND');
+            }
+
+            if (block.academic_year) {
+                const academicYear = await AcademicYearModel.findById(block.academic_year).select({ school: 1 }).lean();
+                if (academicYear && !updateBlockInput.schools.map(String).includes(String(academicYear.school))) {
+                    throw new ApolloError('The block must belong to the school of its academic year', 'BAD_USER_INPUT');
+                }
+            }
+        }
 
-        const updateBlockPayload = BlockHelper.GetUpdateBlockPayload({ updateBlockInput, subjects: block.subjects, userId });
+        const updateBlockPayload = BlockHelper.GetUpdateBlockPayload({ updateBlockInput, subjects: block.subjects, tests, userId });
 
         const updatedBlock = await BlockModel.findOneAndUpdate(
             { _id: id },
@@ -170,6 +264,13 @@ async function DeleteBlock(_, { id }, context) {
 
         CommonValidator.ValidateObjectId(id);
 
+        const blockToDelete = await BlockModel.findById(id).select({ schools: 1 }).lean();
+        if (!blockToDelete) {
+            throw new ApolloError('Block not found', 'BLOCK_NOT_FOUND');
+        }
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: blockToDelete.schools });
+
         // *************** Get the payload for deleting a block
         const {
             block,
@@ -268,6 +369,58 @@ async function SubjectLoader(parent, _, context) {
     }
 }
 
+/**
+ * Loads the schools the block belongs to using a DataLoader.
+ * @param {object} parent - The parent object.
+ * @param {Array<string>} parent.schools - An array of school IDs to load.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of school objects.
+ */
+async function SchoolLoader(parent, _, context) {
+    try {
+        BlockValidator.ValidateSchoolLoaderInput(parent, context);
+
+        const schools = await context.dataLoaders.SchoolLoader.loadMany(parent.schools || []);
+
+        return schools;
+    } catch (error) {
+        console.error("Error fetching schools:", error);
+
+        throw new ApolloError(`Failed to fetch schools for ${parent.name}`, 'SCHOOL_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the academic year whose curriculum the block belongs to using a DataLoader.
+ * @param {object} parent - The parent object.
+ * @param {string} [parent.academic_year] - The ID of the academic year to load, if any.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the academic year object, or null for the unversioned curriculum.
+ */
+async function AcademicYearLoader(parent, _, context) {
+    try {
+        BlockValidator.ValidateAcademicYearLoaderInput(parent, context);
+
+        if (!parent.academic_year) {
+            return null;
+        }
+
+        const academicYear = await context.dataLoaders.AcademicYearLoader.load(parent.academic_year);
+
+        return academicYear;
+    } catch (error) {
+        console.error("Error fetching academic year:", error);
+
+        throw new ApolloError(`Failed to fetch academic year for ${parent.name}`, 'ACADEMIC_YEAR_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 /**
  * Loads the user who created the block using a DataLoader.
  * @param {object} block - The parent block object.
@@ -334,11 +487,38 @@ async function DeletedByLoader(block, _, context) {
     }
 }
 
+/**
+ * Loads a school, block, subject or test referenced by a curriculum integrity report using a DataLoader.
+ * @param {object} parent - The parent report or issue.
+ * @param {string} fieldName - The name of the property holding the ID (e.g., 'subject').
+ * @param {string} loaderName - The name of the loader on the context (e.g., 'SubjectLoader').
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the referenced object, or null if the report does not reference one.
+ */
+async function IntegrityReportItemLoader(parent, fieldName, loaderName, context) {
+    try {
+        BlockValidator.ValidateIntegrityReportLoaderInput(parent, context, fieldName, loaderName);
+
+        if (!parent[fieldName]) {
+            return null;
+        }
+
+        const item = await context.dataLoaders[loaderName].load(parent[fieldName]);
+
+        return item;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch ${fieldName}`, 'INTEGRITY_REPORT_ITEM_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
     Query: {
         GetAllBlocks,
-        GetOneBlock
+        GetOneBlock,
+        GetCurriculumIntegrityReport
     },
 
     Mutation: {
@@ -348,9 +528,22 @@ module.exports = {
     },
 
     Block: {
+        schools: SchoolLoader,
+        academic_year: AcademicYearLoader,
         subjects: SubjectLoader,
         created_by: CreatedByLoader,
         updated_by: UpdatedByLoader,
         deleted_by: DeletedByLoader
+    },
+
+    CurriculumIntegrityReport: {
+        school: (report, _, context) => IntegrityReportItemLoader(report, 'school', 'SchoolLoader', context),
+        academic_year: (report, _, context) => IntegrityReportItemLoader(report, 'academic_year', 'AcademicYearLoader', context)
+    },
+
+    CurriculumIntegrityIssue: {
+        block: (issue, _, context) => IntegrityReportItemLoader(issue, 'block', 'BlockLoader', context),
+        subject: (issue, _, context) => IntegrityReportItemLoader(issue, 'subject', 'SubjectLoader', context),
+        test: (issue, _, context) => IntegrityReportItemLoader(issue, 'test', 'TestLoader', context)
     }
 }
\ No newline at end of file
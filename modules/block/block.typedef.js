@@ -24,6 +24,12 @@ module.exports = gql`
         DELETED
     }
     
+    enum CompetencyLevel {
+        ACQUIRED
+        IN_PROGRESS
+        NOT_ACQUIRED
+    }
+
     input CreateBlockInput {
         name: String!
         description: String!
@@ -32,6 +38,9 @@ module.exports = gql`
         connected_block: ID
         is_counted_in_final_transcript: Boolean!
         block_status: BlockStatus!
+        schools: [ID!]!
+        academic_year: ID
+        competency_rules: CompetencyRulesInput
     }
 
     input UpdateBlockInput {
@@ -43,6 +52,17 @@ module.exports = gql`
         is_counted_in_final_transcript: Boolean
         block_status: BlockStatus
         block_passing_criteria: BlockPassingCriteriaInput
+        unmatched_criteria_result: UnmatchedCriteriaResult
+        competency_rules: CompetencyRulesInput
+        schools: [ID!]
+    }
+
+    input CompetencyRulesInput {
+        acquired_threshold: Float
+        in_progress_threshold: Float
+        min_acquired_share: Float
+        max_not_acquired: Int
+        max_not_acquired_share: Float
     }
 
     input BlockPassingCriteriaInput {
@@ -52,6 +72,7 @@ module.exports = gql`
 
     input BlockCriteriaGroupListInput {
         block_criteria_groups: [BlockCriteriaGroupInput!]
+        expression: CriteriaExpressionInput
     }
 
     input BlockCriteriaGroupInput {
@@ -63,6 +84,7 @@ module.exports = gql`
         subject: ID
         comparison_operator: ComparisonOperator
         mark: Float
+        mark_max: Float
     }
 
     type Block {
@@ -73,9 +95,13 @@ module.exports = gql`
         block_type: BlockType!
         connected_block: Block
         is_counted_in_final_transcript: Boolean!
+        schools: [School!]!
+        academic_year: AcademicYear
         subjects: [Subject!]!
         block_status: BlockStatus!
         block_passing_criteria: BlockPassingCriteria
+        unmatched_criteria_result: UnmatchedCriteriaResult
+        competency_rules: CompetencyRules
         created_by: User!
         created_at: String!
         updated_by: User!
@@ -84,6 +110,14 @@ module.exports = gql`
         deleted_at: String
     }
 
+    type CompetencyRules {
+        acquired_threshold: Float
+        in_progress_threshold: Float
+        min_acquired_share: Float
+        max_not_acquired: Int
+        max_not_acquired_share: Float
+    }
+
     type BlockPassingCriteria {
         pass_criteria: BlockCriteriaGroupList
         fail_criteria: BlockCriteriaGroupList
@@ -91,6 +125,7 @@ module.exports = gql`
 
     type BlockCriteriaGroupList {
         block_criteria_groups: [BlockCriteriaGroup!]
+        expression: CriteriaExpression
     }
 
     type BlockCriteriaGroup {
@@ -102,16 +137,44 @@ module.exports = gql`
         subject: ID
         comparison_operator: ComparisonOperator
         mark: Float
+        mark_max: Float
+    }
+
+    enum CurriculumIssueType {
+        TEST_WEIGHTS_INCONSISTENT
+        BLOCK_COEFFICIENTS_INVALID
+        MISSING_PASS_CRITERIA
+        DANGLING_CRITERIA_REFERENCE
+    }
+
+    type CurriculumIntegrityIssue {
+        issue_type: CurriculumIssueType!
+        block: Block!
+        subject: Subject
+        test: Test
+        reference: String
+        expected_total: Float
+        found_total: Float
+        message: String!
+    }
+
+    type CurriculumIntegrityReport {
+        school: School!
+        academic_year: AcademicYear
+        checked_block_count: Int!
+        is_consistent: Boolean!
+        issues: [CurriculumIntegrityIssue!]!
     }
 
     type Query {
-        GetAllBlocks(block_status: BlockStatus): [Block!]!
-        GetOneBlock(id: ID!): Block
+        GetAllBlocks(block_status: BlockStatus, academic_year_id: ID): [Block!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
+        GetOneBlock(id: ID!): Block @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
+        GetCurriculumIntegrityReport(school_id: ID!, academic_year_id: ID): CurriculumIntegrityReport! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 
     type Mutation {
-        CreateBlock(createBlockInput: CreateBlockInput!): Block!
-        UpdateBlock(id: ID!, updateBlockInput: UpdateBlockInput!): Block!
-        DeleteBlock(id: ID!): Block!
+        CreateBlock(createBlockInput: CreateBlockInput!): Block! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        UpdateBlock(id: ID!, updateBlockInput: UpdateBlockInput!): Block! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        DeleteBlock(id: ID!): Block! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 `
\ No newline at end of file
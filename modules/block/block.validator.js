@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 // *************** IMPORT LIBRARY ***************
 const { ApolloError } = require('apollo-server');
 
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+
 /**
  * Validates the input for fetching all blocks.
  * @param {string} block_status - The status of the blocks to filter by (optional).
@@ -35,14 +38,20 @@ function ValidateBlockStatusFilter(block_status) {
  * @param {boolean} [args.blockInput.is_counted_in_final_transcript] - Flag for final transcript inclusion.
  * @param {string} [args.blockInput.block_status] - Optional. The status of the block.
  * @param {object} [args.blockInput.block_passing_criteria] - Optional. The criteria for passing the block.
+ * @param {object} [args.blockInput.competency_rules] - Optional. The rules deriving competency levels, only for COMPETENCY blocks.
+ * @param {Array<string>} [args.blockInput.schools] - The IDs of the schools the block belongs to.
+ * @param {string} [args.blockInput.academic_year] - Optional. The ID of the academic year whose curriculum the block belongs to.
  * @param {Array<object>} [args.subjects] - The existing subjects of the block, required for validating passing criteria.
+ * @param {Array<object>} [args.tests] - Optional. The existing tests of the block's subjects, which criteria expressions may reference.
+ * @param {string} [args.currentEvaluationType] - Optional. The evaluation type of the block being updated, used when the input does not change it.
  * @param {boolean} [args.isUpdate=false] - Optional flag to indicate if this is an update operation, which allows for partial data.
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
-function ValidateBlockInput({ blockInput, subjects, isUpdate = false }) {
+function ValidateBlockInput({ blockInput, subjects, tests, currentEvaluationType, isUpdate = false }) {
     const validEvaluationType = ['COMPETENCY', 'SCORE'];
     const validBlockType = ['REGULAR', 'COMPETENCY', 'SOFT_SKILL', 'ACADEMIC_RECOMMENDATION', 'SPECIALIZATION', 'TRANSVERSAL', 'RETAKE'];
     const validStatus = ['ACTIVE', 'INACTIVE'];
+    const validUnmatchedCriteriaResult = ['PASS', 'FAIL', 'INCOMPLETE'];
     const competencyBlockTypes = ['COMPETENCY', 'SOFT_SKILL', 'ACADEMIC_RECOMMENDATION', 'RETAKE'];
     const scoreBlockTypes = ['REGULAR', 'TRANSVERSAL', 'SPECIALIZATION', 'RETAKE'];
 
@@ -89,6 +98,24 @@ function ValidateBlockInput({ blockInput, subjects, isUpdate = false }) {
             validate: (val) => mongoose.Types.ObjectId.isValid(val),
             message: (val) => `Invalid connected_block ID: ${val}`,
         },
+        {
+            field: 'schools',
+            required: true,
+            validate: (val) => Array.isArray(val) && val.length > 0 && val.every(id => mongoose.Types.ObjectId.isValid(id)),
+            message: 'Schools must be a non-empty array of valid school IDs.',
+        },
+        {
+            field: 'academic_year',
+            required: false,
+            validate: (val) => mongoose.Types.ObjectId.isValid(val),
+            message: (val) => `Invalid academic_year ID: ${val}`,
+        },
+        {
+            field: 'unmatched_criteria_result',
+            required: false,
+            validate: (val) => typeof val === 'string' && validUnmatchedCriteriaResult.includes(val.toUpperCase()),
+            message: `Unmatched criteria result must be one of: ${validUnmatchedCriteriaResult.join(', ')}.`,
+        },
     ];
 
     for (const rule of validationRules) {
@@ -122,6 +149,10 @@ function ValidateBlockInput({ blockInput, subjects, isUpdate = false }) {
         throw new ApolloError('Block type must be RETAKE to have a connected block.', 'BAD_USER_INPUT', { field: 'connected_block' });
     }
 
+    if (blockInput.competency_rules) {
+        validateCompetencyRulesInput({ competencyRules: blockInput.competency_rules, evaluationType: evaluation_type || currentEvaluationType });
+    }
+
     if (blockInput.block_passing_criteria) {
         if (!subjects || !subjects.length) {
             throw new ApolloError("Cannot set 'block_passing_criteria' because the block has no subjects.", 'BAD_USER_INPUT');
@@ -129,19 +160,53 @@ function ValidateBlockInput({ blockInput, subjects, isUpdate = false }) {
 
         validateBlockPassingCriteriaInput({
             blockPassingCriteria: blockInput.block_passing_criteria,
-            subjects: subjects
+            subjects: subjects,
+            tests: tests || []
         });
     }
 }
 
+/**
+ * Validates the rules deriving the competency levels of a COMPETENCY block.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.competencyRules - The competency rules to validate.
+ * @param {string} [args.evaluationType] - Optional. The evaluation type set along with the rules, if any.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function validateCompetencyRulesInput({ competencyRules, evaluationType }) {
+    if (evaluationType && evaluationType.toUpperCase() !== 'COMPETENCY') {
+        throw new ApolloError('Competency rules can only be set on a COMPETENCY block.', 'BAD_USER_INPUT', { field: 'competency_rules' });
+    }
+
+    const isShare = (val) => typeof val === 'number' && !isNaN(val) && val >= 0 && val <= 1;
+    const shareFields = ['acquired_threshold', 'in_progress_threshold', 'min_acquired_share', 'max_not_acquired_share'];
+
+    for (const field of shareFields) {
+        if (competencyRules[field] !== undefined && competencyRules[field] !== null && !isShare(competencyRules[field])) {
+            throw new ApolloError(`competency_rules.${field} must be a number between 0 and 1.`, 'BAD_USER_INPUT', { field: `competency_rules.${field}` });
+        }
+    }
+
+    const { acquired_threshold, in_progress_threshold, max_not_acquired } = competencyRules;
+
+    if (max_not_acquired !== undefined && max_not_acquired !== null && (!Number.isInteger(max_not_acquired) || max_not_acquired < 0)) {
+        throw new ApolloError('competency_rules.max_not_acquired must be a non-negative integer.', 'BAD_USER_INPUT', { field: 'competency_rules.max_not_acquired' });
+    }
+
+    if (typeof acquired_threshold === 'number' && typeof in_progress_threshold === 'number' && in_progress_threshold > acquired_threshold) {
+        throw new ApolloError('competency_rules.in_progress_threshold cannot be above acquired_threshold.', 'BAD_USER_INPUT', { field: 'competency_rules.in_progress_threshold' });
+    }
+}
+
 /**
  * Validates the top-level structure of a block's passing criteria object.
  * @param {object} args - The arguments for the validation.
  * @param {object} args.blockPassingCriteria - The passing criteria object to validate.
  * @param {Array<object>} args.subjects - An array of the block's subjects to validate against.
+ * @param {Array<object>} args.tests - An array of the tests of the block's subjects to validate against.
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
-function validateBlockPassingCriteriaInput({ blockPassingCriteria, subjects }) {
+function validateBlockPassingCriteriaInput({ blockPassingCriteria, subjects, tests }) {
     const { pass_criteria, fail_criteria } = blockPassingCriteria;
 
     if (!pass_criteria && !fail_criteria) {
@@ -152,24 +217,86 @@ function validateBlockPassingCriteriaInput({ blockPassingCriteria, subjects }) {
     }
 
     const availableSubjectIds = new Set(subjects.map(String));
+    const availableTestIds = new Set(tests.map(String));
 
     if (pass_criteria) {
-        validateCriteriaGroups({
-            criteriaGroups: pass_criteria.block_criteria_groups,
+        validateCriteriaSet({
+            criteriaSet: pass_criteria,
             availableSubjectIds: availableSubjectIds,
-            path: 'block_passing_criteria.pass_criteria.block_criteria_groups'
+            availableTestIds: availableTestIds,
+            path: 'block_passing_criteria.pass_criteria'
         });
     }
 
     if (fail_criteria) {
-        validateCriteriaGroups({
-            criteriaGroups: fail_criteria.block_criteria_groups,
+        validateCriteriaSet({
+            criteriaSet: fail_criteria,
             availableSubjectIds: availableSubjectIds,
-            path: 'block_passing_criteria.fail_criteria.block_criteria_groups'
+            availableTestIds: availableTestIds,
+            path: 'block_passing_criteria.fail_criteria'
         });
     }
 }
 
+/**
+ * Validates a pass or fail criteria set of a block, which is defined either by criteria groups or by a criteria expression.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.criteriaSet - The pass_criteria or fail_criteria object to validate.
+ * @param {Set<string>} args.availableSubjectIds - A Set of subject IDs that are valid for this block.
+ * @param {Set<string>} args.availableTestIds - A Set of IDs of the tests of the block's subjects.
+ * @param {string} args.path - The dot-notation path to the criteria set, used for error messages.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function validateCriteriaSet({ criteriaSet, availableSubjectIds, availableTestIds, path }) {
+    if (!criteriaSet.expression) {
+        validateCriteriaGroups({
+            criteriaGroups: criteriaSet.block_criteria_groups,
+            availableSubjectIds,
+            path: `${path}.block_criteria_groups`
+        });
+        return;
+    }
+
+    if (Array.isArray(criteriaSet.block_criteria_groups) && criteriaSet.block_criteria_groups.length) {
+        throw new ApolloError(
+            `Field '${path}' must define either 'block_criteria_groups' or 'expression', not both.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
+    // *************** A block expression can read the block's own score, its subjects, and the tests of its subjects with their notations
+    CommonValidator.ValidateCriteriaExpression({
+        expression: criteriaSet.expression,
+        path: `${path}.expression`,
+        validateSource: (source, sourcePath) => {
+            if (source.source_type === 'SELF') return;
+
+            if (source.source_type === 'SUBJECT') {
+                if (!availableSubjectIds.has(String(source.subject))) {
+                    throw new ApolloError(
+                        `Subject with ID "${source.subject}" in '${sourcePath}.subject' is not associated with this block.`,
+                        'BAD_USER_INPUT'
+                    );
+                }
+                return;
+            }
+
+            if (!availableTestIds.has(String(source.test))) {
+                throw new ApolloError(
+                    `Test with ID "${source.test}" in '${sourcePath}.test' does not belong to a subject of this block.`,
+                    'BAD_USER_INPUT'
+                );
+            }
+            if (source.source_type === 'NOTATION' && (typeof source.notation_text !== 'string' || source.notation_text.trim() === '')) {
+                throw new ApolloError(
+                    `Field '${sourcePath}.notation_text' is required and must be a non-empty string when 'source_type' is 'NOTATION'.`,
+                    'BAD_USER_INPUT'
+                );
+            }
+        }
+    });
+}
+
 /**
  * Validates an array of criteria groups.
  * @param {object} args - The arguments for the validation.
@@ -216,7 +343,7 @@ function validateCriteriaGroups({ criteriaGroups, availableSubjectIds, path }) {
  */
 function validateSingleCondition({ condition, availableSubjectIds, path }) {
     const validCriteriaType = ['MARK', 'AVERAGE'];
-    const validComparisonOperator = ['GTE', 'LTE', 'GT', 'LT', 'E'];
+    const validComparisonOperator = ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN'];
 
     if (
         typeof condition.criteria_type !== 'string' ||
@@ -245,6 +372,13 @@ function validateSingleCondition({ condition, availableSubjectIds, path }) {
         );
     }
 
+    if (condition.comparison_operator.toUpperCase() === 'BETWEEN' && (typeof condition.mark_max !== 'number' || condition.mark_max < condition.mark)) {
+        throw new ApolloError(
+            `Field '${path}.mark_max' is required and must be a number ≥ 'mark' when 'comparison_operator' is 'BETWEEN'.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
     if (condition.criteria_type.toUpperCase() === 'MARK') {
         if (
             typeof condition.subject !== 'string' ||
@@ -305,6 +439,72 @@ function ValidateSubjectLoaderInput(parent, context) {
     }
 }
 
+/**
+ * Validates the inputs for the SchoolLoader resolver.
+ * @param {object} parent - The parent object, which may contain a 'schools' array of valid ObjectIDs.
+ * @param {object} context - The GraphQL context, which must contain a configured SchoolLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateSchoolLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT', {
+            field: 'parent'
+        });
+    }
+
+    for (const schoolId of parent.schools || []) {
+        if (!mongoose.Types.ObjectId.isValid(schoolId)) {
+            throw new ApolloError(`Invalid school ID found in schools array: ${schoolId}`, 'BAD_USER_INPUT', {
+                field: 'parent.schools'
+            });
+        }
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.SchoolLoader ||
+        typeof context.dataLoaders.SchoolLoader.loadMany !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: SchoolLoader with loadMany function not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+}
+
+/**
+ * Validates the inputs for the AcademicYearLoader resolver.
+ * @param {object} parent - The parent object, which may contain a valid 'academic_year' ID.
+ * @param {object} context - The GraphQL context, which must contain a configured AcademicYearLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateAcademicYearLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT', {
+            field: 'parent'
+        });
+    }
+
+    if (parent.academic_year && !mongoose.Types.ObjectId.isValid(parent.academic_year)) {
+        throw new ApolloError('Input error: If provided, parent.academic_year must be a valid ID.', 'BAD_USER_INPUT', {
+            field: 'parent.academic_year'
+        });
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.AcademicYearLoader ||
+        typeof context.dataLoaders.AcademicYearLoader.load !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: AcademicYearLoader not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+}
+
 /**
  * Validates the inputs for resolvers that use the UserLoader.
  * @param {object} parent - The parent object.
@@ -336,10 +536,47 @@ function ValidateUserLoaderInput(parent, context, fieldName) {
     }
 }
 
+/**
+ * Validates the inputs for resolvers loading one school, block, subject or test referenced by a curriculum integrity report.
+ * @param {object} parent - The parent report or issue.
+ * @param {object} context - The GraphQL context, which must contain the configured loader.
+ * @param {string} fieldName - The name of the property holding the ID (e.g., 'subject').
+ * @param {string} loaderName - The name of the loader on the context (e.g., 'SubjectLoader').
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateIntegrityReportLoaderInput(parent, context, fieldName, loaderName) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT', {
+            field: 'parent'
+        });
+    }
+
+    if (parent[fieldName] && !mongoose.Types.ObjectId.isValid(parent[fieldName])) {
+        throw new ApolloError(`Input error: If provided, parent.${fieldName} must be a valid ID.`, 'BAD_USER_INPUT', {
+            field: `parent.${fieldName}`
+        });
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders[loaderName] ||
+        typeof context.dataLoaders[loaderName].load !== 'function'
+    ) {
+        throw new ApolloError(
+            `Server configuration error: ${loaderName} not found on context.`,
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
     ValidateBlockStatusFilter,
     ValidateBlockInput,
+    ValidateIntegrityReportLoaderInput,
     ValidateSubjectLoaderInput,
+    ValidateSchoolLoaderInput,
+    ValidateAcademicYearLoaderInput,
     ValidateUserLoaderInput
 };
\ No newline at end of file
@@ -0,0 +1,65 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT VALIDATOR ***************
+const { ValidateBlockInput } = require('./block.validator');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Validates an update of the competency rules of a block.
+ * @param {object} competencyRules - The competency rules of the update.
+ * @param {string} [currentEvaluationType='COMPETENCY'] - Optional. The evaluation type of the block being updated.
+ * @returns {void}
+ */
+function validateCompetencyRules(competencyRules, currentEvaluationType = 'COMPETENCY') {
+    ValidateBlockInput({ blockInput: { competency_rules: competencyRules }, currentEvaluationType, isUpdate: true });
+}
+
+/**
+ * Asserts that an update of the competency rules of a block is refused on the given field.
+ * @param {object} competencyRules - The competency rules of the update.
+ * @param {string} field - The field the error must point to.
+ * @param {string} [currentEvaluationType] - Optional. The evaluation type of the block being updated.
+ * @returns {void}
+ */
+function assertCompetencyRulesRejected(competencyRules, field, currentEvaluationType) {
+    assert.throws(
+        () => validateCompetencyRules(competencyRules, currentEvaluationType),
+        (error) => error.extensions.code === 'BAD_USER_INPUT' && error.extensions.field === field
+    );
+}
+
+const tests = {
+    'Competency rules within their bounds are accepted': () => {
+        validateCompetencyRules({ acquired_threshold: 0.8, in_progress_threshold: 0.5, min_acquired_share: 0.75, max_not_acquired: 1, max_not_acquired_share: 0.25 });
+    },
+
+    'Competency rules are refused on a block evaluated by score': () => {
+        assertCompetencyRulesRejected({ acquired_threshold: 0.8 }, 'competency_rules', 'SCORE');
+    },
+
+    'Thresholds and shares must lie between 0 and 1': () => {
+        assertCompetencyRulesRejected({ acquired_threshold: 1.5 }, 'competency_rules.acquired_threshold');
+        assertCompetencyRulesRejected({ max_not_acquired_share: -0.1 }, 'competency_rules.max_not_acquired_share');
+    },
+
+    'The number of competencies not acquired must be a non-negative integer': () => {
+        assertCompetencyRulesRejected({ max_not_acquired: 1.5 }, 'competency_rules.max_not_acquired');
+        assertCompetencyRulesRejected({ max_not_acquired: -1 }, 'competency_rules.max_not_acquired');
+    },
+
+    'The in progress threshold cannot be above the acquired threshold': () => {
+        assertCompetencyRulesRejected({ acquired_threshold: 0.5, in_progress_threshold: 0.6 }, 'competency_rules.in_progress_threshold');
+    },
+
+    'A COMPETENCY evaluation is refused on a block type evaluated by score': () => {
+        assert.throws(
+            () => ValidateBlockInput({ blockInput: { evaluation_type: 'COMPETENCY', block_type: 'REGULAR' }, isUpdate: true }),
+            (error) => error.extensions.code === 'LOGIC_SANITY_ERROR'
+        );
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -0,0 +1,367 @@
+// *************** Criteria are evaluated with three values: true when met, false when not met, and null when it depends
+// *************** on marks the student does not have yet. A missing mark must never decide a result, even through a NOT.
+
+/**
+ * Combines values connected by AND: false as soon as one is false, unknown while one is unknown, true otherwise.
+ * @param {Array<boolean|null>} values - The values to combine.
+ * @returns {boolean|null} The combined value, null if unknown.
+ */
+function combineAll(values) {
+    if (values.includes(false)) return false;
+    if (values.includes(null)) return null;
+    return true;
+}
+
+/**
+ * Combines values connected by OR: true as soon as one is true, unknown while one is unknown, false otherwise.
+ * @param {Array<boolean|null>} values - The values to combine.
+ * @returns {boolean|null} The combined value, null if unknown.
+ */
+function combineAny(values) {
+    if (values.includes(true)) return true;
+    if (values.includes(null)) return null;
+    return false;
+}
+
+/**
+ * Reads the value of an evaluated trace.
+ * @param {object} trace - A trace with its 'is_met' and 'is_unknown' flags.
+ * @returns {boolean|null} The value of the trace, null if unknown.
+ */
+function getTraceValue(trace) {
+    return trace.is_unknown ? null : trace.is_met;
+}
+
+/**
+ * Turns a value into the flags stored on a trace.
+ * @param {boolean|null} value - The value, null if unknown.
+ * @returns {{is_met: boolean, is_unknown: boolean}} The flags of the trace; an unknown value is not met.
+ */
+function getTraceFlags(value) {
+    return { is_met: value === true, is_unknown: value === null };
+}
+
+/**
+ * Compares a mark with the threshold of a condition or expression.
+ * @param {object} args - The arguments for the comparison.
+ * @param {number} [args.sourceMark] - The mark read from the source; the comparison is unknown when it is missing.
+ * @param {string} args.comparisonOperator - The operator: 'GTE', 'LTE', 'GT', 'LT', 'E' or 'BETWEEN'.
+ * @param {number} args.threshold - The mark compared with, or the lower bound of a 'BETWEEN' range.
+ * @param {number} [args.thresholdMax] - The upper bound of a 'BETWEEN' range.
+ * @returns {boolean|null} Whether the mark meets the comparison, or null if the mark is missing.
+ */
+function compareMark({ sourceMark, comparisonOperator, threshold, thresholdMax }) {
+    if (typeof sourceMark === 'undefined' || sourceMark === null) return null;
+
+    switch (comparisonOperator) {
+        case 'GTE': return sourceMark >= threshold;
+        case 'LTE': return sourceMark <= threshold;
+        case 'GT': return sourceMark > threshold;
+        case 'LT': return sourceMark < threshold;
+        case 'E': return sourceMark == threshold;
+        case 'BETWEEN': return sourceMark >= threshold && sourceMark <= thresholdMax;
+        default: return false;
+    }
+}
+
+/**
+ * Evaluates a single condition (e.g., mark >= 80) and records how it was evaluated.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {object} args.condition - The condition object to evaluate.
+ * @param {Map<string, object>} args.marksMap - A map of all calculated marks for lookup.
+ * @param {number} [args.selfScore] - The score of the entity itself (used for 'AVERAGE' type), or undefined if some of its marks are missing.
+ * @param {Array<object>} [args.selfMarks] - The detailed marks of the entity itself (used for 'MARK' type on the current item).
+ * @returns {object} - The trace of the condition: its definition, the source mark used, and whether it is met or unknown.
+ */
+function evaluateSingleCondition({ condition, marksMap, selfScore, selfMarks }) {
+    const { criteria_type, subject, test, notation_text, comparison_operator, mark: threshold, mark_max: thresholdMax } = condition;
+
+    let sourceMark;
+
+    if (criteria_type === 'AVERAGE') {
+        sourceMark = selfScore;
+    } else if (criteria_type === 'MARK') {
+        let resultSource;
+        if (test || subject) {
+            const sourceId = subject ? String(subject) : String(test);
+            resultSource = marksMap.get(sourceId);
+        } else {
+            resultSource = { marks: selfMarks };
+        }
+
+        if (resultSource && notation_text && resultSource.marks) {
+            const notation = resultSource.marks.find(m => m.notation_text === notation_text);
+            sourceMark = notation ? notation.mark : undefined;
+        } else if (resultSource && !notation_text && (test || subject) && !resultSource.isIncomplete) {
+            // *************** Without a notation, the condition reads the average of the referenced subject or test
+            sourceMark = resultSource.averageMark;
+        }
+    }
+
+    return {
+        criteria_type,
+        subject,
+        test,
+        notation_text,
+        comparison_operator,
+        threshold,
+        threshold_max: thresholdMax,
+        source_mark: sourceMark,
+        ...getTraceFlags(compareMark({ sourceMark, comparisonOperator: comparison_operator, threshold, thresholdMax }))
+    };
+}
+
+/**
+ * Evaluates a group of conditions that are logically connected by 'AND'.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {Array<object>} args.conditions - The array of conditions in the group.
+ * @param {Map<string, object>} args.marksMap - A map of all calculated marks.
+ * @param {number} args.selfScore - The score of the entity itself.
+ * @param {Array<object>} [args.selfMarks] - The detailed marks of the entity itself.
+ * @returns {object} - The trace of the group: the trace of each condition, and whether all of them are met or it is unknown.
+ */
+function evaluateConditionGroup({ conditions, marksMap, selfScore, selfMarks }) {
+    // *************** Every condition is traced, even after one fails, so the trace shows all the unmet ones
+    const conditionTraces = (conditions || []).map(condition =>
+        evaluateSingleCondition({ condition, marksMap, selfScore, selfMarks })
+    );
+
+    return {
+        conditions: conditionTraces,
+        ...getTraceFlags(combineAll(conditionTraces.map(getTraceValue)))
+    };
+}
+
+/**
+ * Reads the mark a criteria expression source points to.
+ * @param {object} args - The arguments for the lookup.
+ * @param {object} args.source - The source: 'SELF', or a 'SUBJECT', 'TEST' or 'NOTATION' with its reference.
+ * @param {Map<string, object>} args.marksMap - A map of all calculated marks; an average calculated without all of its marks is missing.
+ * @param {number} [args.selfScore] - The score of the entity itself, or undefined if some of its marks are missing.
+ * @param {Array<object>} [args.selfMarks] - The detailed marks of the entity itself, for notations of the evaluated test.
+ * @returns {number|undefined} The mark, or undefined if the student has none.
+ */
+function resolveSourceMark({ source, marksMap, selfScore, selfMarks }) {
+    switch (source.source_type) {
+        case 'SELF':
+            return selfScore;
+        case 'SUBJECT':
+        case 'TEST': {
+            const result = marksMap.get(String(source.source_type === 'SUBJECT' ? source.subject : source.test));
+            return result && !result.isIncomplete ? result.averageMark : undefined;
+        }
+        case 'NOTATION': {
+            const marks = source.test ? (marksMap.get(String(source.test)) || {}).marks : selfMarks;
+            const notation = (marks || []).find(mark => mark.notation_text === source.notation_text);
+            return notation ? notation.mark : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Evaluates a criteria expression tree and records how each node was evaluated.
+ * 'AND', 'OR' and 'NOT' combine their operands; 'COMPARE' checks one source, the entity's own score by default;
+ * 'AT_LEAST' and 'ALL' count the sources meeting the comparison, the entity's direct children by default.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {object} args.expression - The expression node to evaluate.
+ * @param {object} args.evaluationContext - The marks the expression reads: 'marksMap', 'selfScore', 'selfMarks', and 'childSources'.
+ * @returns {object} The trace of the node: its definition, the traces of its operands or sources, and whether it is met or unknown.
+ */
+function evaluateCriteriaExpression({ expression, evaluationContext }) {
+    const { operator } = expression;
+
+    if (['AND', 'OR', 'NOT'].includes(operator)) {
+        const operandTraces = (expression.operands || []).map(operand =>
+            evaluateCriteriaExpression({ expression: operand, evaluationContext })
+        );
+
+        const operandValues = operandTraces.map(getTraceValue);
+
+        let value;
+        if (operator === 'AND') {
+            value = operandValues.length > 0 ? combineAll(operandValues) : false;
+        } else if (operator === 'OR') {
+            value = combineAny(operandValues);
+        } else if (operandValues.length !== 1) {
+            value = false;
+        } else {
+            // *************** The negation of an unknown operand stays unknown
+            value = operandValues[0] === null ? null : !operandValues[0];
+        }
+
+        return { operator, operands: operandTraces, sources: [], ...getTraceFlags(value) };
+    }
+
+    let sources = expression.sources && expression.sources.length ? expression.sources : null;
+    if (!sources) {
+        sources = operator === 'COMPARE' ? [{ source_type: 'SELF' }] : evaluationContext.childSources;
+    }
+
+    const sourceTraces = sources.map(source => {
+        const sourceMark = resolveSourceMark({ source, ...evaluationContext });
+
+        return {
+            source_type: source.source_type,
+            subject: source.subject,
+            test: source.test,
+            notation_text: source.notation_text,
+            source_mark: sourceMark,
+            ...getTraceFlags(compareMark({
+                sourceMark,
+                comparisonOperator: expression.comparison_operator,
+                threshold: expression.mark,
+                thresholdMax: expression.mark_max
+            }))
+        };
+    });
+    const sourceValues = sourceTraces.map(getTraceValue);
+    const metCount = sourceValues.filter(sourceValue => sourceValue === true).length;
+    const unknownCount = sourceValues.filter(sourceValue => sourceValue === null).length;
+
+    let value;
+    if (operator === 'COMPARE') {
+        value = sourceValues.length === 1 ? sourceValues[0] : false;
+    } else if (operator === 'AT_LEAST') {
+        const minCount = expression.min_count || 1;
+
+        // *************** Unknown while the missing marks could still change the outcome either way
+        if (metCount >= minCount) {
+            value = true;
+        } else if (metCount + unknownCount < minCount) {
+            value = false;
+        } else {
+            value = null;
+        }
+    } else {
+        value = combineAll(sourceValues);
+    }
+
+    return {
+        operator,
+        comparison_operator: expression.comparison_operator,
+        threshold: expression.mark,
+        threshold_max: expression.mark_max,
+        min_count: operator === 'AT_LEAST' ? (expression.min_count || 1) : undefined,
+        met_count: metCount,
+        sources: sourceTraces,
+        operands: [],
+        ...getTraceFlags(value)
+    };
+}
+
+/**
+ * Tells whether a criteria trace read a mark the student does not have yet, anywhere in its conditions or expression.
+ * @param {object} trace - The trace of a criteria set, a condition group or an expression node.
+ * @returns {boolean} True if at least one condition or source had no mark.
+ */
+function hasMissingMarks(trace) {
+    const isMissing = (mark) => typeof mark === 'undefined' || mark === null;
+
+    return (trace.groups || []).some(group => group.conditions.some(condition => isMissing(condition.source_mark)))
+        || (trace.sources || []).some(source => isMissing(source.source_mark))
+        || (trace.operands || []).some(hasMissingMarks)
+        || Boolean(trace.expression && hasMissingMarks(trace.expression));
+}
+
+/**
+ * Evaluates a set of criteria (pass or fail) for an entity: its expression when it has one, its criteria groups otherwise.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {object} args.criteriaSet - The pass_criteria or fail_criteria object.
+ * @param {string} args.groupKey - The key for the criteria groups array (e.g., 'block_criteria_groups').
+ * @param {object} args.evaluationContext - The marks the criteria read: 'marksMap', 'selfScore', 'selfMarks', and 'childSources'.
+ * @returns {object} - The trace of the set: the trace of its expression or of each group, whether the set is met or unknown,
+ * and whether it read marks that are missing.
+ */
+function evaluateCriteriaSet({ criteriaSet, groupKey, evaluationContext }) {
+    let criteriaSetTrace;
+
+    if (criteriaSet && criteriaSet.expression) {
+        const expressionTrace = evaluateCriteriaExpression({ expression: criteriaSet.expression, evaluationContext });
+
+        criteriaSetTrace = { groups: [], expression: expressionTrace, ...getTraceFlags(getTraceValue(expressionTrace)) };
+    } else if (!criteriaSet || !Array.isArray(criteriaSet[groupKey])) {
+        criteriaSetTrace = { groups: [], ...getTraceFlags(false) };
+    } else {
+        const { marksMap, selfScore, selfMarks } = evaluationContext;
+        const groupTraces = criteriaSet[groupKey].map(group =>
+            evaluateConditionGroup({ conditions: group.conditions, marksMap, selfScore, selfMarks })
+        );
+
+        // *************** Groups are connected by OR
+        criteriaSetTrace = {
+            groups: groupTraces,
+            ...getTraceFlags(combineAny(groupTraces.map(getTraceValue)))
+        };
+    }
+
+    criteriaSetTrace.has_missing_marks = hasMissingMarks(criteriaSetTrace);
+
+    return criteriaSetTrace;
+}
+
+/**
+ * Evaluates the passing criteria of a test, subject or block into one of three results:
+ * - 'FAIL' when its fail criteria are met;
+ * - 'PASS' when its pass criteria are met, and its fail criteria are known not to be, whatever the missing marks turn out to be;
+ * - 'INCOMPLETE' when either set is unknown until marks the student does not have yet are entered;
+ * - otherwise, when the student has every mark but neither set is met, or the entity has no pass criteria, the entity's result for
+ * unmatched criteria, 'FAIL' by default.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {object} [args.passingCriteria] - The passing criteria of the entity, with its 'pass_criteria' and 'fail_criteria'.
+ * @param {string} args.groupKey - The key for the criteria groups array (e.g., 'block_criteria_groups').
+ * @param {Map<string, object>} args.marksMap - A map of all calculated marks.
+ * @param {number} args.selfScore - The score of the entity itself.
+ * @param {boolean} [args.isSelfScoreIncomplete=false] - Optional. Whether the score of the entity was calculated without some of its marks,
+ * in which case criteria reading it see a missing mark.
+ * @param {Array<object>} [args.selfMarks] - The detailed marks of the entity itself.
+ * @param {Array<object>} [args.childSources] - Optional. The sources of the entity's direct children, read by 'AT_LEAST' and
+ * 'ALL' expressions that do not list their own sources.
+ * @param {string} [args.unmatchedCriteriaResult='FAIL'] - Optional. The result when every mark is available but neither set is met, or no pass criteria are defined: 'PASS', 'FAIL' or 'INCOMPLETE'.
+ * @returns {{result: string, criteriaTrace: object}} The result of the entity: 'PASS', 'FAIL' or 'INCOMPLETE', and the trace
+ * of the evaluation to store with its result.
+ */
+function EvaluatePassingCriteria({ passingCriteria, groupKey, marksMap, selfScore, isSelfScoreIncomplete = false, selfMarks, childSources = [], unmatchedCriteriaResult = 'FAIL' }) {
+    const evaluationContext = { marksMap, selfScore: isSelfScoreIncomplete ? undefined : selfScore, selfMarks, childSources };
+
+    const passCriteriaTrace = evaluateCriteriaSet({
+        criteriaSet: passingCriteria && passingCriteria.pass_criteria,
+        groupKey,
+        evaluationContext
+    });
+    const failCriteriaTrace = evaluateCriteriaSet({
+        criteriaSet: passingCriteria && passingCriteria.fail_criteria,
+        groupKey,
+        evaluationContext
+    });
+
+    let result;
+    if (failCriteriaTrace.is_met) {
+        result = 'FAIL';
+    } else if (failCriteriaTrace.is_unknown) {
+        result = 'INCOMPLETE';
+    } else if (passCriteriaTrace.is_met) {
+        result = 'PASS';
+    } else if (passCriteriaTrace.is_unknown) {
+        result = 'INCOMPLETE';
+    } else {
+        result = unmatchedCriteriaResult || 'FAIL';
+    }
+
+    return {
+        result,
+        criteriaTrace: {
+            self_score: selfScore,
+            pass_criteria: passCriteriaTrace,
+            fail_criteria: failCriteriaTrace,
+            is_passed: result === 'PASS',
+            result
+        }
+    };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    EvaluatePassingCriteria
+}
\ No newline at end of file
@@ -0,0 +1,197 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { EvaluatePassingCriteria } = require('./final_transcript_criteria.engine');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+const TEST_A = '5f0000000000000000000001';
+const TEST_B = '5f0000000000000000000002';
+
+const childSources = [
+    { source_type: 'TEST', test: TEST_A },
+    { source_type: 'TEST', test: TEST_B }
+];
+
+// *************** "No test below 8"
+const noTestBelowEight = {
+    operator: 'NOT',
+    operands: [{ operator: 'AT_LEAST', min_count: 1, comparison_operator: 'LT', mark: 8 }]
+};
+
+/**
+ * Builds the marks map the engine reads, from the average of each test; a missing average leaves the test out.
+ * @param {object} averageMarks - The average mark of each test, by test ID.
+ * @returns {Map<string, object>} The marks map.
+ */
+function buildMarksMap(averageMarks) {
+    return new Map(Object.entries(averageMarks).map(([testId, averageMark]) => [testId, { averageMark, marks: [] }]));
+}
+
+/**
+ * Evaluates passing criteria over the two tests of the fixture.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {object} args.passingCriteria - The pass and fail criteria.
+ * @param {object} args.averageMarks - The average mark of each test the student has, by test ID.
+ * @param {string} [args.unmatchedCriteriaResult] - Optional. The result when no criteria match.
+ * @returns {string} The result: 'PASS', 'FAIL' or 'INCOMPLETE'.
+ */
+function evaluate({ passingCriteria, averageMarks, unmatchedCriteriaResult }) {
+    return EvaluatePassingCriteria({
+        passingCriteria,
+        groupKey: 'subject_criteria_groups',
+        marksMap: buildMarksMap(averageMarks),
+        selfScore: 12,
+        childSources,
+        unmatchedCriteriaResult
+    }).result;
+}
+
+const tests = {
+    'Criteria groups are connected by OR and their conditions by AND': () => {
+        const passingCriteria = {
+            pass_criteria: {
+                subject_criteria_groups: [
+                    { conditions: [{ criteria_type: 'AVERAGE', comparison_operator: 'GTE', mark: 14 }] },
+                    {
+                        conditions: [
+                            { criteria_type: 'AVERAGE', comparison_operator: 'GTE', mark: 10 },
+                            { criteria_type: 'MARK', test: TEST_A, comparison_operator: 'GTE', mark: 12 }
+                        ]
+                    }
+                ]
+            }
+        };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12, [TEST_B]: 9 } }), 'PASS');
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 11, [TEST_B]: 9 } }), 'FAIL');
+    },
+
+    'OR over expressions passes as soon as one operand is met': () => {
+        const passingCriteria = {
+            pass_criteria: {
+                expression: {
+                    operator: 'OR',
+                    operands: [
+                        { operator: 'COMPARE', comparison_operator: 'GTE', mark: 14 },
+                        { operator: 'COMPARE', comparison_operator: 'GTE', mark: 15, sources: [{ source_type: 'TEST', test: TEST_B }] }
+                    ]
+                }
+            }
+        };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 10, [TEST_B]: 16 } }), 'PASS');
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 10, [TEST_B]: 12 } }), 'FAIL');
+    },
+
+    'BETWEEN includes both bounds of the range': () => {
+        const passingCriteria = {
+            pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'BETWEEN', mark: 10, mark_max: 12, sources: [{ source_type: 'TEST', test: TEST_A }] } }
+        };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 10 } }), 'PASS');
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12 } }), 'PASS');
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12.5 } }), 'FAIL');
+    },
+
+    'AT_LEAST counts the children meeting the comparison': () => {
+        const passingCriteria = { pass_criteria: { expression: { operator: 'AT_LEAST', min_count: 2, comparison_operator: 'GTE', mark: 10 } } };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 10, [TEST_B]: 11 } }), 'PASS');
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 10, [TEST_B]: 9 } }), 'FAIL');
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 10 } }), 'INCOMPLETE');
+    },
+
+    'A cross-entity source reads the average of another subject': () => {
+        const otherSubjectId = '5f00000000000000000000aa';
+        const marksMap = buildMarksMap({ [TEST_A]: 12, [otherSubjectId]: 8 });
+        const passingCriteria = {
+            pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'SUBJECT', subject: otherSubjectId }] } }
+        };
+
+        const { result, criteriaTrace } = EvaluatePassingCriteria({ passingCriteria, groupKey: 'subject_criteria_groups', marksMap, selfScore: 12, childSources });
+
+        assert.strictEqual(result, 'FAIL');
+        assert.strictEqual(criteriaTrace.pass_criteria.expression.sources[0].source_mark, 8);
+    },
+
+    'NOT over a missing mark in the pass criteria gives INCOMPLETE': () => {
+        const passingCriteria = { pass_criteria: { expression: noTestBelowEight } };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12 } }), 'INCOMPLETE');
+    },
+
+    'NOT over a missing mark in the fail criteria gives INCOMPLETE': () => {
+        const passingCriteria = {
+            pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 } },
+            fail_criteria: { expression: { operator: 'NOT', operands: [{ operator: 'ALL', comparison_operator: 'GTE', mark: 8 }] } }
+        };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12 } }), 'INCOMPLETE');
+    },
+
+    'NOT is decided once every mark is entered': () => {
+        const passingCriteria = { pass_criteria: { expression: noTestBelowEight } };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12, [TEST_B]: 9 } }), 'PASS');
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12, [TEST_B]: 5 } }), 'FAIL');
+    },
+
+    'A known mark decides NOT even when another one is missing': () => {
+        const passingCriteria = { pass_criteria: { expression: noTestBelowEight } };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 5 } }), 'FAIL');
+    },
+
+    'NOT over an unknown AND or OR stays unknown': () => {
+        const missingTestBelowEight = { operator: 'COMPARE', comparison_operator: 'LT', mark: 8, sources: [{ source_type: 'TEST', test: TEST_B }] };
+        const andExpression = { operator: 'NOT', operands: [{ operator: 'AND', operands: [{ operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 }, missingTestBelowEight] }] };
+        const orExpression = { operator: 'NOT', operands: [{ operator: 'OR', operands: [{ operator: 'COMPARE', comparison_operator: 'LT', mark: 10 }, missingTestBelowEight] }] };
+
+        assert.strictEqual(evaluate({ passingCriteria: { pass_criteria: { expression: andExpression } }, averageMarks: { [TEST_A]: 12 } }), 'INCOMPLETE');
+        assert.strictEqual(evaluate({ passingCriteria: { pass_criteria: { expression: orExpression } }, averageMarks: { [TEST_A]: 12 } }), 'INCOMPLETE');
+    },
+
+    'Known fail criteria do not block the result when unrelated marks are missing': () => {
+        const passingCriteria = {
+            pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 } },
+            fail_criteria: {
+                expression: {
+                    operator: 'AND',
+                    operands: [
+                        { operator: 'COMPARE', comparison_operator: 'LT', mark: 5, sources: [{ source_type: 'TEST', test: TEST_A }] },
+                        { operator: 'COMPARE', comparison_operator: 'LT', mark: 5, sources: [{ source_type: 'TEST', test: TEST_B }] }
+                    ]
+                }
+            }
+        };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12 } }), 'PASS');
+    },
+
+    'Without pass criteria the result for unmatched criteria applies': () => {
+        const averageMarks = { [TEST_A]: 12, [TEST_B]: 9 };
+
+        assert.strictEqual(evaluate({ passingCriteria: undefined, averageMarks }), 'FAIL');
+        assert.strictEqual(evaluate({ passingCriteria: {}, averageMarks, unmatchedCriteriaResult: 'PASS' }), 'PASS');
+        assert.strictEqual(evaluate({ passingCriteria: {}, averageMarks, unmatchedCriteriaResult: 'INCOMPLETE' }), 'INCOMPLETE');
+    },
+
+    'Fail criteria still decide an entity without pass criteria': () => {
+        const failCriteria = { expression: { operator: 'AT_LEAST', min_count: 1, comparison_operator: 'LT', mark: 8 } };
+
+        assert.strictEqual(evaluate({ passingCriteria: { fail_criteria: failCriteria }, averageMarks: { [TEST_A]: 5 }, unmatchedCriteriaResult: 'PASS' }), 'FAIL');
+        assert.strictEqual(evaluate({ passingCriteria: { fail_criteria: failCriteria }, averageMarks: { [TEST_A]: 12 }, unmatchedCriteriaResult: 'PASS' }), 'INCOMPLETE');
+        assert.strictEqual(evaluate({ passingCriteria: { fail_criteria: failCriteria }, averageMarks: { [TEST_A]: 12, [TEST_B]: 9 }, unmatchedCriteriaResult: 'PASS' }), 'PASS');
+    },
+
+    'A PASS default applies when every mark is entered but no criteria match': () => {
+        const passingCriteria = { pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 14 } } };
+
+        assert.strictEqual(evaluate({ passingCriteria, averageMarks: { [TEST_A]: 12 }, unmatchedCriteriaResult: 'PASS' }), 'PASS');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
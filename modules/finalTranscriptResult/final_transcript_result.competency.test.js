@@ -0,0 +1,121 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult, FindSubjectResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+// *************** Criteria no mark can meet, to show that a COMPETENCY block does not read them
+const UNREACHABLE_CRITERIA = {
+    pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GT', mark: 20 } }
+};
+
+/**
+ * Builds a COMPETENCY block of one subject, each of its tests being marked on one notation out of 20.
+ * @param {object} args - The arguments for the curriculum.
+ * @param {Array<string>} args.testIds - The IDs of the tests of the subject.
+ * @param {object} [args.competencyRules] - Optional. The competency rules of the block.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildCompetencyCurriculum({ testIds, competencyRules }) {
+    return [BuildBlock({
+        _id: 'block-1',
+        evaluation_type: 'COMPETENCY',
+        block_type: 'COMPETENCY',
+        competency_rules: competencyRules,
+        block_passing_criteria: UNREACHABLE_CRITERIA,
+        subjects: [BuildSubject({
+            _id: 'subject-1',
+            subject_passing_criteria: UNREACHABLE_CRITERIA,
+            tests: testIds.map(testId => BuildTest({ _id: testId, test_passing_criteria: UNREACHABLE_CRITERIA }))
+        })]
+    })];
+}
+
+const tests = {
+    'A notation maps to a level from the share of its max points the student obtained': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCompetencyCurriculum({ testIds: ['acquired', 'in-progress', 'not-acquired'] }),
+            studentTestResults: [BuildTestResult('acquired', 14), BuildTestResult('in-progress', 8), BuildTestResult('not-acquired', 7.9)]
+        });
+
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'acquired').competency_level, 'ACQUIRED');
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'in-progress').competency_level, 'IN_PROGRESS');
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'not-acquired').competency_level, 'NOT_ACQUIRED');
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'acquired').test_result, 'PASS');
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'in-progress').test_result, 'FAIL');
+    },
+
+    'A block whose competencies are all acquired passes, whatever its criteria': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCompetencyCurriculum({ testIds: ['test-a', 'test-b'] }),
+            studentTestResults: [BuildTestResult('test-a', 15), BuildTestResult('test-b', 18)]
+        });
+
+        const blockResult = FindBlockResult(transcript, 'block-1');
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').competency_level, 'ACQUIRED');
+        assert.strictEqual(blockResult.competency_level, 'ACQUIRED');
+        assert.strictEqual(blockResult.block_result, 'PASS');
+        assert.strictEqual(blockResult.criteria_trace, undefined);
+        assert.strictEqual(transcript.overall_result, 'PASS');
+    },
+
+    'By default, one competency below ACQUIRED keeps the subject in progress, and most of them not acquired fails it': () => {
+        const inProgressTranscript = CalculateTranscript({
+            blocks: buildCompetencyCurriculum({ testIds: ['test-a', 'test-b'] }),
+            studentTestResults: [BuildTestResult('test-a', 15), BuildTestResult('test-b', 10)]
+        });
+        const notAcquiredTranscript = CalculateTranscript({
+            blocks: buildCompetencyCurriculum({ testIds: ['test-a', 'test-b', 'test-c'] }),
+            studentTestResults: [BuildTestResult('test-a', 15), BuildTestResult('test-b', 2), BuildTestResult('test-c', 3)]
+        });
+
+        assert.strictEqual(FindSubjectResult(inProgressTranscript, 'block-1', 'subject-1').competency_level, 'IN_PROGRESS');
+        assert.strictEqual(FindBlockResult(inProgressTranscript, 'block-1').block_result, 'FAIL');
+        assert.strictEqual(FindSubjectResult(notAcquiredTranscript, 'block-1', 'subject-1').competency_level, 'NOT_ACQUIRED');
+    },
+
+    'The competency rules of the block replace the defaults': () => {
+        const competencyRules = { acquired_threshold: 0.5, min_acquired_share: 0.5, max_not_acquired: 1 };
+        const transcript = CalculateTranscript({
+            blocks: buildCompetencyCurriculum({ testIds: ['test-a', 'test-b'], competencyRules }),
+            studentTestResults: [BuildTestResult('test-a', 10), BuildTestResult('test-b', 2)]
+        });
+
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'test-a').competency_level, 'ACQUIRED');
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').competency_level, 'ACQUIRED');
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_result, 'PASS');
+    },
+
+    'A competency not acquired because of a missing mark leaves the block incomplete': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCompetencyCurriculum({ testIds: ['test-a', 'test-b'] }),
+            studentTestResults: [BuildTestResult('test-a', 15)]
+        });
+
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'test-b').competency_level, 'NOT_ACQUIRED');
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'test-b').test_result, 'INCOMPLETE');
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'INCOMPLETE');
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_result, 'INCOMPLETE');
+        assert.strictEqual(transcript.overall_result, 'INCOMPLETE');
+    },
+
+    'A SCORE block next to a COMPETENCY block keeps its criteria': () => {
+        const blocks = [
+            ...buildCompetencyCurriculum({ testIds: ['test-a'] }),
+            BuildBlock({ _id: 'block-2', subjects: [BuildSubject({ _id: 'subject-2', tests: [BuildTest({ _id: 'test-b' })] })] })
+        ];
+
+        const transcript = CalculateTranscript({ blocks, studentTestResults: [BuildTestResult('test-a', 15), BuildTestResult('test-b', 9)] });
+
+        const scoreBlockResult = FindBlockResult(transcript, 'block-2');
+        assert.strictEqual(scoreBlockResult.competency_level, undefined);
+        assert.strictEqual(scoreBlockResult.block_result, 'FAIL');
+        assert.ok(scoreBlockResult.criteria_trace);
+        assert.strictEqual(transcript.overall_result, 'FAIL');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
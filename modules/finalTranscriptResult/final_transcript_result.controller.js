@@ -2,11 +2,18 @@
 const mongoose = require('mongoose');
 
 // *************** IMPORT MODULE ***************
+const StudentModel = require('../student/student.model');
 const FinalTranscriptResultHelper = require('./final_transcript_result.helper');
 
+// *************** IMPORT UTILITIES ***************
+const CommonHelper = require('../../shared/helper/index');
+
 /**
  * Handles an HTTP request to generate and stream a student's final transcript as a PDF.
- * @param {object} request - The Express request object, containing the student ID in its parameters.
+ * @param {object} request - The Express request object, containing the student ID in its parameters, and
+ * 'include_criteria_trace=true' in its query to append the explanation of each criteria evaluation. Students, and links
+ * that do not say who they were issued to, only get the results released to the student. A bearer token only gives access to the
+ * students of the caller's schools, as signed links are only issued for them.
  * @param {object} response - The Express response object, used to send the PDF or an error.
  * @returns {Promise<void>} - This function does not return a value but sends an HTTP response.
  */
@@ -17,7 +24,24 @@ async function GetFinalTranscriptPdf(request, response) {
             return response.status(400).json({ error: 'Invalid Student ID format.' });
         }
 
-        const pdfBuffer = await FinalTranscriptResultHelper.GenerateFinalTranscriptPdf(studentId);
+        // *************** Only the transcripts of the students of the caller's schools can be downloaded
+        if (request.user) {
+            const studentExists = await StudentModel.exists({
+                _id: studentId,
+                ...CommonHelper.BuildSchoolScopeFilter({ user: request.user, field: 'school' })
+            });
+            if (!studentExists) {
+                return response.status(404).json({ error: 'Student not found.' });
+            }
+        }
+
+        const viewerRole = request.user ? request.user.role : request.signedLinkRole;
+
+        const pdfBuffer = await FinalTranscriptResultHelper.GenerateFinalTranscriptPdf({
+            studentId,
+            includeCriteriaTrace: request.query.include_criteria_trace === 'true',
+            isStudentView: !viewerRole || viewerRole === 'STUDENT'
+        });
 
         response.setHeader('Content-Type', 'application/pdf');
         response.setHeader('Content-Disposition', `inline; filename=transcript-${studentId}.pdf`);
@@ -0,0 +1,107 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult, FindSubjectResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Builds a curriculum of one block with one subject of two tests, the subject passing on an average of 12 with both tests
+ * at 10, or on an average of 15.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildCurriculum() {
+    const subjectPassingCriteria = {
+        pass_criteria: {
+            subject_criteria_groups: [
+                {
+                    conditions: [
+                        { criteria_type: 'AVERAGE', comparison_operator: 'GTE', mark: 12 },
+                        { criteria_type: 'MARK', test: 'test-a', comparison_operator: 'GTE', mark: 10 },
+                        { criteria_type: 'MARK', test: 'test-b', comparison_operator: 'GTE', mark: 10 }
+                    ]
+                },
+                { conditions: [{ criteria_type: 'AVERAGE', comparison_operator: 'GTE', mark: 15 }] }
+            ]
+        },
+        fail_criteria: {
+            expression: { operator: 'AT_LEAST', min_count: 1, comparison_operator: 'LT', mark: 5 }
+        }
+    };
+
+    return [BuildBlock({
+        _id: 'block-1',
+        subjects: [BuildSubject({
+            _id: 'subject-1',
+            subject_passing_criteria: subjectPassingCriteria,
+            tests: [BuildTest({ _id: 'test-a', weight: 0.5 }), BuildTest({ _id: 'test-b', weight: 0.5 })]
+        })]
+    })];
+}
+
+const tests = {
+    'Every condition of a group is traced, with the mark it read, even after one is not met': () => {
+        const transcript = CalculateTranscript({ blocks: buildCurriculum(), studentTestResults: [BuildTestResult('test-a', 9), BuildTestResult('test-b', 16)] });
+
+        const criteriaTrace = FindSubjectResult(transcript, 'block-1', 'subject-1').criteria_trace;
+        const [firstGroup, secondGroup] = criteriaTrace.pass_criteria.groups;
+
+        assert.strictEqual(criteriaTrace.self_score, 12.5);
+        assert.deepStrictEqual(firstGroup.conditions.map(condition => [condition.source_mark, condition.is_met]), [[12.5, true], [9, false], [16, true]]);
+        assert.strictEqual(firstGroup.is_met, false);
+        assert.strictEqual(secondGroup.conditions[0].threshold, 15);
+        assert.strictEqual(secondGroup.is_met, false);
+        assert.strictEqual(criteriaTrace.pass_criteria.is_met, false);
+        assert.strictEqual(criteriaTrace.result, 'FAIL');
+        assert.strictEqual(criteriaTrace.is_passed, false);
+    },
+
+    'An expression trace counts the sources meeting the comparison': () => {
+        const transcript = CalculateTranscript({ blocks: buildCurriculum(), studentTestResults: [BuildTestResult('test-a', 4), BuildTestResult('test-b', 20)] });
+
+        const failExpressionTrace = FindSubjectResult(transcript, 'block-1', 'subject-1').criteria_trace.fail_criteria.expression;
+
+        assert.strictEqual(failExpressionTrace.min_count, 1);
+        assert.strictEqual(failExpressionTrace.met_count, 1);
+        assert.deepStrictEqual(failExpressionTrace.sources.map(source => [source.test, source.source_mark, source.is_met]), [['test-a', 4, true], ['test-b', 20, false]]);
+        assert.strictEqual(failExpressionTrace.is_met, true);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'FAIL');
+    },
+
+    'A passing subject records which group passed it': () => {
+        const transcript = CalculateTranscript({ blocks: buildCurriculum(), studentTestResults: [BuildTestResult('test-a', 12), BuildTestResult('test-b', 13)] });
+
+        const criteriaTrace = FindSubjectResult(transcript, 'block-1', 'subject-1').criteria_trace;
+
+        assert.deepStrictEqual(criteriaTrace.pass_criteria.groups.map(group => group.is_met), [true, false]);
+        assert.strictEqual(criteriaTrace.fail_criteria.is_met, false);
+        assert.strictEqual(criteriaTrace.is_passed, true);
+    },
+
+    'A trace reading a mark the student does not have yet is flagged': () => {
+        const transcript = CalculateTranscript({ blocks: buildCurriculum(), studentTestResults: [BuildTestResult('test-a', 12)] });
+
+        const criteriaTrace = FindSubjectResult(transcript, 'block-1', 'subject-1').criteria_trace;
+
+        assert.strictEqual(criteriaTrace.pass_criteria.has_missing_marks, true);
+        assert.strictEqual(criteriaTrace.pass_criteria.groups[0].conditions[2].source_mark, undefined);
+        assert.strictEqual(criteriaTrace.pass_criteria.is_unknown, true);
+        assert.strictEqual(criteriaTrace.result, 'INCOMPLETE');
+    },
+
+    'Test and block results carry their own traces': () => {
+        const transcript = CalculateTranscript({ blocks: buildCurriculum(), studentTestResults: [BuildTestResult('test-a', 12), BuildTestResult('test-b', 13)] });
+
+        const testTrace = FindTestResult(transcript, 'block-1', 'subject-1', 'test-a').criteria_trace;
+        const blockTrace = FindBlockResult(transcript, 'block-1').criteria_trace;
+
+        assert.strictEqual(testTrace.self_score, 12);
+        assert.strictEqual(testTrace.pass_criteria.expression.sources[0].source_type, 'SELF');
+        assert.strictEqual(blockTrace.self_score, 12.5);
+        assert.strictEqual(blockTrace.result, 'PASS');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -0,0 +1,130 @@
+// *************** IMPORT MODULE ***************
+const { BuildFinalTranscriptPayload } = require('./final_transcript_result.helper');
+
+// *************** Passes a test, subject or block whose own mark is at least 10
+const PASS_AT_TEN = {
+    pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 } }
+};
+
+/**
+ * Builds a test marked on a single 'Exam' notation out of 20, passed from 10, unless overridden.
+ * @param {object} test - The fields of the test, including its '_id'; they replace the defaults.
+ * @returns {object} The test, as populated in the curriculum of the transcript.
+ */
+function BuildTest(test) {
+    return {
+        name: test._id,
+        weight: 1,
+        notations: [{ notation_text: 'Exam', max_points: 20 }],
+        test_passing_criteria: PASS_AT_TEN,
+        ...test
+    };
+}
+
+/**
+ * Builds a subject of coefficient 1, passed from 10, unless overridden.
+ * @param {object} subject - The fields of the subject, including its '_id' and 'tests'; they replace the defaults.
+ * @returns {object} The subject, as populated in the curriculum of the transcript.
+ */
+function BuildSubject(subject) {
+    return {
+        name: subject._id,
+        coefficient: 1,
+        subject_passing_criteria: PASS_AT_TEN,
+        ...subject
+    };
+}
+
+/**
+ * Builds a block evaluated by score, passed from 10, unless overridden.
+ * @param {object} block - The fields of the block, including its '_id' and 'subjects'; they replace the defaults.
+ * @returns {object} The block, as populated in the curriculum of the transcript.
+ */
+function BuildBlock(block) {
+    return {
+        name: block._id,
+        evaluation_type: 'SCORE',
+        block_type: 'REGULAR',
+        block_passing_criteria: PASS_AT_TEN,
+        ...block
+    };
+}
+
+/**
+ * Builds a validated result of a test marked on its 'Exam' notation.
+ * @param {string} testId - The ID of the test.
+ * @param {number} mark - The mark of the student, which is also the average mark of the result.
+ * @param {object} [studentTestResult] - Optional. Fields replacing the defaults, such as the status or absence.
+ * @returns {object} The student test result.
+ */
+function BuildTestResult(testId, mark, studentTestResult) {
+    return {
+        test: testId,
+        marks: [{ notation_text: 'Exam', mark }],
+        average_mark: mark,
+        student_test_result_status: 'VALIDATED',
+        ...studentTestResult
+    };
+}
+
+/**
+ * Calculates the transcript of a student of a school without a grading scale or rounding rules.
+ * @param {object} args - The arguments for the calculation.
+ * @param {Array<object>} args.blocks - The blocks of the curriculum, with their subjects and tests populated.
+ * @param {Array<object>} args.studentTestResults - The student's test results.
+ * @param {object} [args.school] - Optional. The student's school, with its grading scale and rounding rules.
+ * @returns {object} The calculated transcript.
+ */
+function CalculateTranscript({ blocks, studentTestResults, school }) {
+    return BuildFinalTranscriptPayload({ student: {}, school, blocks, studentTestResults });
+}
+
+/**
+ * Finds the result of a block in a transcript.
+ * @param {object} transcript - The calculated transcript.
+ * @param {string} blockId - The ID of the block.
+ * @returns {object|undefined} The block result, or undefined if the block is not reported.
+ */
+function FindBlockResult(transcript, blockId) {
+    return transcript.block_results.find(blockResult => String(blockResult.block) === String(blockId));
+}
+
+/**
+ * Finds the result of a subject in a block of a transcript.
+ * @param {object} transcript - The calculated transcript.
+ * @param {string} blockId - The ID of the block the subject is reported in.
+ * @param {string} subjectId - The ID of the subject.
+ * @returns {object|undefined} The subject result, or undefined if the subject is not reported in the block.
+ */
+function FindSubjectResult(transcript, blockId, subjectId) {
+    const blockResult = FindBlockResult(transcript, blockId);
+
+    return blockResult && blockResult.subject_results.find(subjectResult => String(subjectResult.subject) === String(subjectId));
+}
+
+/**
+ * Finds the result of a test in a subject of a transcript.
+ * @param {object} transcript - The calculated transcript.
+ * @param {string} blockId - The ID of the block the subject is reported in.
+ * @param {string} subjectId - The ID of the subject.
+ * @param {string} testId - The ID of the test.
+ * @returns {object|undefined} The test result, or undefined if the test is not reported in the subject.
+ */
+function FindTestResult(transcript, blockId, subjectId, testId) {
+    const subjectResult = FindSubjectResult(transcript, blockId, subjectId);
+
+    return subjectResult && subjectResult.test_results.find(testResult => String(testResult.test) === String(testId));
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    PASS_AT_TEN,
+    BuildTest,
+    BuildSubject,
+    BuildBlock,
+    BuildTestResult,
+    CalculateTranscript,
+    FindBlockResult,
+    FindSubjectResult,
+    FindTestResult
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult, FindSubjectResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Builds a curriculum of one block with one subject of the given tests, which weigh the same.
+ * @param {Array<object>} tests - The tests of the subject.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildCurriculum(tests) {
+    return [BuildBlock({
+        _id: 'block-1',
+        subjects: [BuildSubject({ _id: 'subject-1', tests: tests.map(test => BuildTest({ weight: 1 / tests.length, ...test })) })]
+    })];
+}
+
+const tests = {
+    'A scaled test keeps its mark on its scale, and counts on the scale of the school': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum([{ _id: 'test-a', grading_scale: 100 }]),
+            studentTestResults: [BuildTestResult('test-a', 60)],
+            school: { grading_scale: 20 }
+        });
+
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'test-a').test_total_mark, 60);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 12);
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_total_mark, 12);
+    },
+
+    'Tests on different scales are added on the scale of the school': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum([{ _id: 'test-a', grading_scale: 100 }, { _id: 'test-b', grading_scale: 10 }]),
+            studentTestResults: [BuildTestResult('test-a', 80), BuildTestResult('test-b', 5)],
+            school: { grading_scale: 20 }
+        });
+
+        // *************** (80 / 100 * 20 + 5 / 10 * 20) / 2
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_total_mark, 13);
+    },
+
+    'Unscaled tests keep their raw average when no test of the curriculum has a scale': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum([{ _id: 'test-a', notations: [{ notation_text: 'Exam', max_points: 10 }] }]),
+            studentTestResults: [BuildTestResult('test-a', 5)],
+            school: { grading_scale: 100 }
+        });
+
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 5);
+    },
+
+    'Unscaled tests are converted from the default scale in a curriculum with scaled tests': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum([
+                { _id: 'test-a', grading_scale: 20 },
+                { _id: 'test-b', notations: [{ notation_text: 'Exam', max_points: 10 }] }
+            ]),
+            studentTestResults: [BuildTestResult('test-a', 10), BuildTestResult('test-b', 5)],
+            school: { grading_scale: 20 }
+        });
+
+        // *************** The unscaled 5 out of 10 points is worth 10 out of 20, as the scaled test's mark
+        assert.strictEqual(FindTestResult(transcript, 'block-1', 'subject-1', 'test-b').test_total_mark, 5);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 10);
+    },
+
+    'Subject and block marks follow the rounding rules of the school': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum([{ _id: 'test-a', grading_scale: 20 }, { _id: 'test-b', grading_scale: 20 }, { _id: 'test-c', grading_scale: 20 }]),
+            studentTestResults: [BuildTestResult('test-a', 10), BuildTestResult('test-b', 10), BuildTestResult('test-c', 11)],
+            school: { grading_scale: 20, mark_rounding: { increment: 0.5, method: 'UP' } }
+        });
+
+        // *************** 31 / 3 = 10.33
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 10.5);
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_total_mark, 10.5);
+    },
+
+    'Criteria compare marks on the scale of the school': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum([{ _id: 'test-a', grading_scale: 100 }]),
+            studentTestResults: [BuildTestResult('test-a', 45)],
+            school: { grading_scale: 20 }
+        });
+
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').criteria_trace.self_score, 9);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'FAIL');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -1,4 +1,5 @@
 // *************** IMPORT LIBRARY *************** 
+const { ApolloError } = require('apollo-server');
 const fs = require('fs').promises;
 const path = require('path');
 const puppeteer = require('puppeteer');
@@ -6,10 +7,26 @@ const handlebars = require('handlebars');
 
 // *************** IMPORT MODULE *************** 
 const BlockModel = require('../block/block.model');
+const StudentModel = require('../student/student.model');
+const SchoolModel = require('../school/school.model');
 const StudentTestResultModel = require('../studentTestResult/student_test_result.model')
+const TestModel = require('../test/test.model');
 const FinalTranscriptResultModel = require('./final_transcript_result.model');
+const FinalTranscriptVersionModel = require('./final_transcript_version.model');
 require('../subject/subject.model');
-require('../test/test.model');
+require('../academicYear/academic_year.model');
+require('../user/user.model');
+require('../jurySession/jury_session.model');
+const config = require('../../core/config');
+
+// *************** IMPORT UTILITIES ***************
+const { GenerateSignedLinkToken } = require('../../middleware/auth');
+const CommonHelper = require('../../shared/helper/index');
+
+const CriteriaEngine = require('./final_transcript_criteria.engine');
+
+// *************** IMPORT VALIDATOR ***************
+const FinalTranscriptResultValidator = require('./final_transcript_result.validator');
 
 /**
  * A Handlebars helper to format a date into a human-readable string (e.g., "July 7, 2025").
@@ -23,28 +40,324 @@ handlebars.registerHelper('formatDate', function (date) {
     });
 });
 
+/**
+ * A Handlebars helper telling whether a block result is only informational, i.e. not counted toward the overall result.
+ * Results calculated before the flag existed are considered counted, and retakes are labelled as such instead.
+ * @param {object} blockResult - The block result being rendered.
+ * @returns {boolean} True if the block is not counted in the final transcript.
+ */
+handlebars.registerHelper('isInformationalBlock', function (blockResult) {
+    return Boolean(blockResult) && blockResult.is_counted_in_final_transcript === false && !blockResult.retake_of_block;
+});
+
+/**
+ * A Handlebars helper giving the CSS class of a result, so that incomplete results stand out from failures.
+ * @param {string} result - The result: 'PASS', 'FAIL' or 'INCOMPLETE'.
+ * @returns {string} The CSS class of the result, or an empty string if it needs no styling.
+ */
+handlebars.registerHelper('resultClass', function (result) {
+    return result === 'INCOMPLETE' ? 'result-incomplete' : '';
+});
+
+/**
+ * A Handlebars helper to format a competency level into a human-readable label (e.g., "In progress").
+ * @param {string} competencyLevel - The competency level: 'ACQUIRED', 'IN_PROGRESS' or 'NOT_ACQUIRED'.
+ * @returns {string} The formatted label, or an empty string if there is no level.
+ */
+handlebars.registerHelper('formatCompetencyLevel', function (competencyLevel) {
+    if (!competencyLevel) return '';
+    const label = competencyLevel.replace(/_/g, ' ').toLowerCase();
+    return label.charAt(0).toUpperCase() + label.slice(1);
+});
+
+/**
+ * A Handlebars helper explaining why a test has no mark and how the missing mark is counted (e.g., "Excused, excluded from the average").
+ * @param {object} testResult - The test result, with its 'missing_mark_reason' and 'missing_mark_policy'.
+ * @returns {string} The explanation, or an empty string if the student has a mark for the test.
+ */
+handlebars.registerHelper('formatMissingMark', function (testResult) {
+    const reasonLabels = { NOT_TAKEN: 'Not taken yet', NOT_VALIDATED: 'Not validated yet', ABSENT: 'Absent', EXCUSED: 'Excused' };
+    const policyLabels = { EXCLUDE_FROM_AVERAGE: 'excluded from the average', COUNT_AS_ZERO: 'counted as zero', BLOCK_SUBJECT_RESULT: 'subject result pending' };
+
+    if (!testResult || !testResult.missing_mark_reason) return '';
+    const reasonLabel = reasonLabels[testResult.missing_mark_reason] || testResult.missing_mark_reason;
+    return testResult.missing_mark_policy ? `${reasonLabel}, ${policyLabels[testResult.missing_mark_policy]}` : reasonLabel;
+});
+
+/**
+ * A Handlebars helper to format the operator of a criteria condition as a symbol (e.g., "≥").
+ * @param {string} comparisonOperator - The operator: 'GTE', 'LTE', 'GT', 'LT', 'E' or 'BETWEEN'.
+ * @returns {string} The symbol of the operator, or the operator itself if it is unknown.
+ */
+handlebars.registerHelper('formatComparisonOperator', function (comparisonOperator) {
+    const symbols = { GTE: '≥', LTE: '≤', GT: '>', LT: '<', E: '=', BETWEEN: 'between' };
+    return symbols[comparisonOperator] || comparisonOperator || '';
+});
+
+/**
+ * A Handlebars helper to format the threshold a mark is compared with (e.g., "≥ 10" or "between 8 and 12").
+ * @param {string} comparisonOperator - The operator of the condition or expression.
+ * @param {number} threshold - The mark compared with, or the lower bound of a 'BETWEEN' range.
+ * @param {number} [thresholdMax] - The upper bound of a 'BETWEEN' range.
+ * @returns {string} The formatted comparison.
+ */
+handlebars.registerHelper('formatThreshold', function (comparisonOperator, threshold, thresholdMax) {
+    if (comparisonOperator === 'BETWEEN') {
+        return `between ${threshold} and ${thresholdMax}`;
+    }
+    return `${handlebars.helpers.formatComparisonOperator(comparisonOperator)} ${threshold}`;
+});
+
+/**
+ * A Handlebars helper to describe a node of a criteria expression (e.g., "At least 2 of").
+ * @param {object} expressionTrace - The trace of the expression node, with its operator and its minimum count.
+ * @returns {string} The description of the node.
+ */
+handlebars.registerHelper('formatExpressionOperator', function (expressionTrace) {
+    const labels = { AND: 'All of', OR: 'Any of', NOT: 'Not', COMPARE: 'Condition', ALL: 'All of' };
+    if (expressionTrace.operator === 'AT_LEAST') {
+        return `At least ${expressionTrace.min_count} of`;
+    }
+    return labels[expressionTrace.operator] || expressionTrace.operator;
+});
+
+/**
+ * A Handlebars helper to display the scale the subject and block marks of a school's transcripts are expressed on (e.g., "20").
+ * @param {object} gradedEntity - The school the marks belong to.
+ * @returns {number} The grading scale of the school, or the default scale if it has none.
+ */
+handlebars.registerHelper('gradingScale', function (gradedEntity) {
+    return CommonHelper.GetGradingScale(gradedEntity);
+});
+
+/**
+ * Builds a short-lived signed link to download a student's final transcript PDF without a bearer token.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.studentId - The unique identifier of the student.
+ * @param {boolean} [args.includeCriteriaTrace] - Optional. Whether the PDF ends with the criteria evaluation appendix.
+ * @param {string} args.role - The role of the user requesting the link, so the PDF shows what this user may see.
+ * @returns {{url: string, expires_at: Date}} The download URL and the date it stops being valid.
+ */
+function GetFinalTranscriptPdfLinkPayload({ studentId, includeCriteriaTrace, role }) {
+    const { token, expiresAt } = GenerateSignedLinkToken({ resource: 'TRANSCRIPT_PDF', resourceId: studentId, role });
+
+    const baseUrl = (config.APP_URL || '').replace(/\/$/, '');
+    const appendixQuery = includeCriteriaTrace ? '&include_criteria_trace=true' : '';
+
+    return {
+        url: `${baseUrl}/api/transcript/${studentId}/pdf?token=${token}${appendixQuery}`,
+        expires_at: expiresAt
+    };
+}
+
+/**
+ * Reads the ID of a reference, whether it is populated or not.
+ * @param {object|string} reference - The referenced document or its ID.
+ * @returns {string} The ID of the reference.
+ */
+function getReferenceId(reference) {
+    return String(reference && reference._id ? reference._id : reference);
+}
+
+/**
+ * Tells whether a criteria trace reads the mark of one of the given tests, in any of its conditions or expression sources.
+ * @param {object|Array<object>} trace - The trace, or a part of it.
+ * @param {Set<string>} testIds - The IDs of the tests.
+ * @returns {boolean} True if the trace mentions one of the tests.
+ */
+function isTraceReadingTests(trace, testIds) {
+    if (Array.isArray(trace)) return trace.some(item => isTraceReadingTests(item, testIds));
+    if (!trace || Object.getPrototypeOf(trace) !== Object.prototype) return false;
+    if (trace.test && testIds.has(getReferenceId(trace.test))) return true;
+
+    return Object.values(trace).some(value => isTraceReadingTests(value, testIds));
+}
+
+/**
+ * Finds the tests of a transcript whose results the student may not see yet, following each test's result visibility.
+ * The transcript only reads validated marks, so a test is released once its visibility allows it; a test that no longer exists is hidden.
+ * @param {object} args - The arguments for the lookup.
+ * @param {Array<object>} args.blockResults - The block results of the transcript.
+ * @param {Array<object>} [args.inputMarks=[]] - Optional. The test results a transcript version was calculated from.
+ * @param {boolean} args.isJuryDecided - Whether a jury has finalized the student's final transcript.
+ * @returns {Promise<Set<string>>} A promise that resolves to the IDs of the unreleased tests.
+ */
+async function GetUnreleasedTestIds({ blockResults, inputMarks = [], isJuryDecided }) {
+    const testIds = new Set(inputMarks.map(inputMark => getReferenceId(inputMark.test)));
+    for (const blockResult of blockResults) {
+        for (const subjectResult of blockResult.subject_results) {
+            for (const testResult of subjectResult.test_results) {
+                testIds.add(getReferenceId(testResult.test));
+                if (testResult.retake_test) testIds.add(getReferenceId(testResult.retake_test));
+            }
+        }
+    }
+
+    const tests = await TestModel.find({ _id: { $in: [...testIds] } }).select({ result_visibility: 1 }).lean();
+    const releasedTestIds = new Set(tests
+        .filter(test => CommonHelper.IsResultVisibleToStudent({ test, isCorrected: true, isJuryDecided }))
+        .map(test => String(test._id)));
+
+    return new Set([...testIds].filter(testId => !releasedTestIds.has(testId)));
+}
+
+/**
+ * Keeps only what identifies a block result, for a block whose mark, result and level the student may not see yet.
+ * @param {object} blockResult - The block result.
+ * @returns {object} The block result without anything computed from the marks.
+ */
+function hideBlockResult(blockResult) {
+    const { block, evaluation_type, is_counted_in_final_transcript, retake_of_block, retake_block, subject_results } = blockResult;
+
+    return { block, evaluation_type, is_counted_in_final_transcript, retake_of_block, retake_block, subject_results, is_result_hidden: true };
+}
+
+/**
+ * Removes from a transcript, or one of its versions, what a student may not see yet. An unreleased test, or a test whose retake is
+ * unreleased, keeps only its row. So do the subjects computed from it and their blocks, along with the blocks retaking or retaken by
+ * them, as their marks, results and levels would reveal its mark, and the jury's decisions on those blocks; the overall result is hidden
+ * as well, unless the jury decided it. The criteria traces reading an unreleased mark are removed wherever they are.
+ * @param {object} args - The arguments for the removal.
+ * @param {object} args.transcript - The final transcript result or version, as a plain object.
+ * @param {Set<string>} args.unreleasedTestIds - The IDs of the unreleased tests, as returned by GetUnreleasedTestIds.
+ * @param {boolean} [args.isOverallResultDecided=false] - Optional. Whether the overall result is the published decision of the jury,
+ * shown whatever the marks it was calculated from.
+ * @returns {object} A copy of the transcript, as the student may see it.
+ */
+function HideUnreleasedResults({ transcript, unreleasedTestIds, isOverallResultDecided = false }) {
+    if (!unreleasedTestIds.size) return transcript;
+
+    const hideTrace = (trace) => (isTraceReadingTests(trace, unreleasedTestIds) ? undefined : trace);
+
+    const blockResults = transcript.block_results.map(blockResult => ({
+        ...blockResult,
+        criteria_trace: hideTrace(blockResult.criteria_trace),
+        subject_results: blockResult.subject_results.map(subjectResult => {
+            const testResults = subjectResult.test_results.map(testResult => {
+                const isUnreleased = unreleasedTestIds.has(getReferenceId(testResult.test))
+                    || Boolean(testResult.retake_test && unreleasedTestIds.has(getReferenceId(testResult.retake_test)));
+                if (isUnreleased) {
+                    return { test: testResult.test, is_result_hidden: true };
+                }
+
+                return { ...testResult, criteria_trace: hideTrace(testResult.criteria_trace) };
+            });
+
+            if (testResults.some(testResult => testResult.is_result_hidden)) {
+                return { subject: subjectResult.subject, transversal_block: subjectResult.transversal_block, test_results: testResults, is_result_hidden: true };
+            }
+
+            return { ...subjectResult, criteria_trace: hideTrace(subjectResult.criteria_trace), test_results: testResults };
+        })
+    }));
+
+    // *************** A retake decides the result of the block it retakes, so both are hidden together
+    const hiddenBlockIds = new Set(blockResults
+        .filter(blockResult => blockResult.subject_results.some(subjectResult => subjectResult.is_result_hidden))
+        .map(blockResult => getReferenceId(blockResult.block)));
+    const visibleBlockResults = blockResults.map(blockResult => {
+        const isHidden = [blockResult.block, blockResult.retake_block, blockResult.retake_of_block]
+            .some(blockId => blockId && hiddenBlockIds.has(getReferenceId(blockId)));
+
+        return isHidden ? hideBlockResult(blockResult) : blockResult;
+    });
+
+    const isOverallResultHidden = !isOverallResultDecided && visibleBlockResults.some(blockResult =>
+        blockResult.is_result_hidden && blockResult.is_counted_in_final_transcript !== false
+    );
+
+    // *************** The jury's decision on a hidden block is its result
+    let juryDecision = transcript.jury_decision;
+    if (juryDecision) {
+        const hiddenResultBlockIds = new Set(visibleBlockResults
+            .filter(blockResult => blockResult.is_result_hidden)
+            .map(blockResult => getReferenceId(blockResult.block)));
+
+        juryDecision = {
+            ...juryDecision,
+            block_overrides: (juryDecision.block_overrides || []).filter(blockOverride => !hiddenResultBlockIds.has(getReferenceId(blockOverride.block)))
+        };
+        if (isOverallResultHidden) {
+            juryDecision.computed_overall_result = null;
+        }
+    }
+
+    if (!isOverallResultHidden) {
+        return { ...transcript, jury_decision: juryDecision, block_results: visibleBlockResults };
+    }
+
+    return {
+        ...transcript,
+        overall_result: null,
+        is_overall_result_hidden: true,
+        jury_decision: juryDecision,
+        block_results: visibleBlockResults
+    };
+}
+
+/**
+ * Collects the names of the subjects and tests of a populated transcript, so that the criteria appendix can name the
+ * subject or test a condition reads the mark of.
+ * @param {object} transcriptData - The transcript, with its subjects and tests populated.
+ * @returns {object} The names of the subjects and tests, by ID.
+ */
+function getCriteriaSourceNames(transcriptData) {
+    const criteriaSourceNames = {};
+
+    for (const blockResult of transcriptData.block_results) {
+        for (const subjectResult of blockResult.subject_results) {
+            if (subjectResult.subject) criteriaSourceNames[String(subjectResult.subject._id)] = subjectResult.subject.name;
+
+            for (const testResult of subjectResult.test_results) {
+                if (testResult.test) criteriaSourceNames[String(testResult.test._id)] = testResult.test.name;
+            }
+        }
+    }
+
+    return criteriaSourceNames;
+}
+
 /**
  * Generates a PDF buffer for a student's final transcript.
  * This function fetches the data, compiles an HTML template with it,
  * and uses a headless browser (Puppeteer) to render the HTML and create the PDF.
- * @param {string} studentId - The unique identifier of the student.
+ * @param {object} args - The arguments for the generation.
+ * @param {string} args.studentId - The unique identifier of the student.
+ * @param {boolean} [args.includeCriteriaTrace] - Optional. Whether to append the explanation of each criteria evaluation.
+ * @param {boolean} [args.isStudentView] - Optional. Whether the PDF is for the student, hiding the results not released to them yet.
  * @returns {Promise<Buffer>} A promise that resolves to a Buffer containing the generated PDF data.
  */
-async function GenerateFinalTranscriptPdf(studentId) {
-    const transcriptData = await FinalTranscriptResultModel.findOne({ student: studentId })
+async function GenerateFinalTranscriptPdf({ studentId, includeCriteriaTrace, isStudentView }) {
+    let transcriptData = await FinalTranscriptResultModel.findOne({ student: studentId })
         .populate({ path: 'student', populate: { path: 'school' } })
+        .populate({ path: 'academic_year' })
         .populate({ path: 'block_results.block' })
+        .populate({ path: 'block_results.retake_of_block' })
         .populate({ path: 'block_results.subject_results.subject' })
+        .populate({ path: 'block_results.subject_results.transversal_block' })
         .populate({ path: 'block_results.subject_results.test_results.test' })
+        .populate({ path: 'block_results.subject_results.test_results.retake_test' })
+        .populate({ path: 'jury_decision.jury_session' })
+        .populate({ path: 'signatories', select: 'first_name last_name' })
         .lean();
 
     if (!transcriptData) {
         throw new Error('Transcript data not found');
     }
 
+    if (isStudentView) {
+        const isJuryDecided = transcriptData.transcript_status === 'FINALIZED';
+        const unreleasedTestIds = await GetUnreleasedTestIds({ blockResults: transcriptData.block_results, isJuryDecided });
+        transcriptData = HideUnreleasedResults({ transcript: transcriptData, unreleasedTestIds, isOverallResultDecided: isJuryDecided });
+    }
+
     const templatePath = path.resolve(__dirname, '../../templates/final_transcript_result.hbs');
     const templateHtml = await fs.readFile(templatePath, 'utf8');
-    const finalHtml = handlebars.compile(templateHtml)(transcriptData);
+    const finalHtml = handlebars.compile(templateHtml)({
+        ...transcriptData,
+        include_criteria_trace: Boolean(includeCriteriaTrace),
+        criteria_source_names: includeCriteriaTrace ? getCriteriaSourceNames(transcriptData) : {}
+    });
 
     const browser = await puppeteer.launch({ headless: true, args: ['--no-sandbox'] });
     const page = await browser.newPage();
@@ -62,192 +375,538 @@ async function GenerateFinalTranscriptPdf(studentId) {
 }
 
 /**
- * Evaluates a single condition (e.g., mark >= 80).
- * @param {object} args - The arguments for the evaluation.
- * @param {object} args.condition - The condition object to evaluate.
- * @param {Map<string, object>} args.marksMap - A map of all calculated marks for lookup.
- * @param {number} args.selfScore - The score of the entity itself (used for 'AVERAGE' type).
- * @param {Array<object>} [args.selfMarks] - The detailed marks of the entity itself (used for 'MARK' type on the current item).
- * @returns {boolean} - True if the condition is met, otherwise false.
- */
-function evaluateSingleCondition({ condition, marksMap, selfScore, selfMarks }) {
-    const { criteria_type, subject, test, notation_text, comparison_operator, mark: threshold } = condition;
-
-    let sourceMark;
-
-    if (criteria_type === 'AVERAGE') {
-        sourceMark = selfScore;
-    } else if (criteria_type === 'MARK') {
-        let resultSource;
-        if (test || subject) {
-            const sourceId = subject ? String(subject) : String(test);
-            resultSource = marksMap.get(sourceId);
-        } else {
-            resultSource = { marks: selfMarks };
+ * Reads the policy applied to retake tests that do not define their own, from the configuration.
+ * @returns {string} 'SUBSTITUTE' to replace the original mark with the retake mark, or 'BEST_OF' to keep the higher one.
+ */
+function getDefaultRetakeMarkPolicy() {
+    const policy = (config.RETAKE_MARK_POLICY || 'SUBSTITUTE').toUpperCase();
+
+    return ['SUBSTITUTE', 'BEST_OF'].includes(policy) ? policy : 'SUBSTITUTE';
+}
+
+/**
+ * Tells why a student test result gives no mark to the transcript.
+ * @param {object} studentTestResult - The student test result, with its status and absence.
+ * @returns {string|null} 'NOT_VALIDATED' while the result awaits validation, 'ABSENT' or 'EXCUSED' when the student did not sit
+ * the test, or null if the result's mark counts.
+ */
+function getMissingMarkReason(studentTestResult) {
+    if (studentTestResult.student_test_result_status !== 'VALIDATED') return 'NOT_VALIDATED';
+
+    return studentTestResult.absence_status || null;
+}
+
+/**
+ * Reads how a test handles a student who has no mark for it. Absences follow the test's policies, while a mark that is not
+ * taken or not validated yet may still come, so it always leaves the subject result incomplete.
+ * @param {object} args - The arguments for the lookup.
+ * @param {object} args.test - The test document.
+ * @param {string} args.missingMarkReason - Why the mark is missing: 'NOT_TAKEN', 'NOT_VALIDATED', 'ABSENT' or 'EXCUSED'.
+ * @returns {string} 'EXCLUDE_FROM_AVERAGE', 'COUNT_AS_ZERO' or 'BLOCK_SUBJECT_RESULT'.
+ */
+function getMissingMarkPolicy({ test, missingMarkReason }) {
+    if (missingMarkReason === 'ABSENT') return test.absence_mark_policy || 'COUNT_AS_ZERO';
+    if (missingMarkReason === 'EXCUSED') return test.excused_absence_mark_policy || 'EXCLUDE_FROM_AVERAGE';
+
+    return 'BLOCK_SUBJECT_RESULT';
+}
+
+/**
+ * Builds the attempt standing for a mark the student does not have. It counts as 0 in the marks shown, but leaves the results
+ * reading it incomplete.
+ * @param {string} missingMarkReason - Why the mark is missing.
+ * @returns {object} The attempt, with 'averageMark', 'marks', 'isIncomplete' and 'missingMarkReason'.
+ */
+function getMissingAttempt(missingMarkReason) {
+    return { averageMark: 0, marks: [], isIncomplete: true, missingMarkReason };
+}
+
+/**
+ * Maps the student's test results to the attempts the calculation reads, by test ID. Deleted results are ignored, and a result
+ * without a usable mark becomes a zero on every notation when its test counts it as zero, or a missing attempt otherwise.
+ * @param {object} args - The arguments for the mapping.
+ * @param {Array<object>} args.blocks - The blocks of the curriculum, with their subjects and tests populated.
+ * @param {Array<object>} args.studentTestResults - The student's test results.
+ * @returns {Map<string, object>} The attempts, with 'averageMark', 'marks', whether the mark is missing, and why.
+ */
+function getTestAttempts({ blocks, studentTestResults }) {
+    const testsById = new Map(blocks.flatMap(block => block.subjects.flatMap(subject => subject.tests)).map(test => [String(test._id), test]));
+    const marksMap = new Map();
+
+    for (const result of studentTestResults) {
+        if (result.student_test_result_status === 'DELETED') continue;
+
+        const missingMarkReason = getMissingMarkReason(result);
+        if (!missingMarkReason) {
+            marksMap.set(String(result.test), { averageMark: result.average_mark, marks: result.marks });
+            continue;
         }
 
-        if (resultSource && notation_text && resultSource.marks) {
-            const notation = resultSource.marks.find(m => m.notation_text === notation_text);
-            sourceMark = notation ? notation.mark : undefined;
+        const test = testsById.get(String(result.test));
+        if (test && getMissingMarkPolicy({ test, missingMarkReason }) === 'COUNT_AS_ZERO') {
+            const marks = (test.notations || []).map(notation => ({ notation_text: notation.notation_text, mark: 0 }));
+            marksMap.set(String(result.test), { averageMark: 0, marks, missingMarkReason });
+        } else {
+            marksMap.set(String(result.test), getMissingAttempt(missingMarkReason));
         }
     }
 
-    if (typeof sourceMark === 'undefined') return false;
+    return marksMap;
+}
+
+/**
+ * Tells whether the student has a mark for a test, including a zero counted for an absence.
+ * @param {Map<string, object>} marksMap - The map of all student test results.
+ * @param {string} testId - The ID of the test.
+ * @returns {boolean} True if the test has an attempt whose mark is not missing.
+ */
+function isTestAttempted(marksMap, testId) {
+    const attempt = marksMap.get(String(testId));
+
+    return Boolean(attempt) && !attempt.isIncomplete;
+}
+
+/**
+ * Evaluates the pass and fail criteria of a test against one attempt of the student.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {object} args.test - The test document.
+ * @param {object} args.attempt - The student's result for the attempt, with 'averageMark', 'marks', and whether it is missing.
+ * @param {Map<string, object>} args.marksMap - The map of all student test results.
+ * @returns {{result: string, criteriaTrace: object}} - The result of the attempt: 'PASS', 'FAIL' or 'INCOMPLETE', and the trace of the evaluation.
+ */
+function evaluateTestAttempt({ test, attempt, marksMap }) {
+    return CriteriaEngine.EvaluatePassingCriteria({
+        passingCriteria: test.test_passing_criteria,
+        groupKey: 'test_criteria_groups',
+        marksMap,
+        selfScore: attempt.averageMark,
+        isSelfScoreIncomplete: Boolean(attempt.isIncomplete),
+        selfMarks: attempt.marks,
+        unmatchedCriteriaResult: test.unmatched_criteria_result,
+        childSources: (test.notations || []).map(notation => ({ source_type: 'NOTATION', notation_text: notation.notation_text }))
+    });
+}
+
+/**
+ * Reads the competency rules of a COMPETENCY block, filling in the defaults for the rules it does not define.
+ * @param {object} block - The block document.
+ * @returns {object|null} The competency rules, or null if the block is evaluated by score.
+ */
+function getCompetencyRules(block) {
+    if (block.evaluation_type !== 'COMPETENCY') return null;
+
+    const competencyRules = block.competency_rules || {};
+    const withDefault = (value, defaultValue) => (typeof value === 'number' ? value : defaultValue);
+
+    return {
+        acquired_threshold: withDefault(competencyRules.acquired_threshold, 0.7),
+        in_progress_threshold: withDefault(competencyRules.in_progress_threshold, 0.4),
+        min_acquired_share: withDefault(competencyRules.min_acquired_share, 1),
+        max_not_acquired: withDefault(competencyRules.max_not_acquired, 0),
+        max_not_acquired_share: withDefault(competencyRules.max_not_acquired_share, 0.5)
+    };
+}
+
+/**
+ * Combines the competency levels of sub-items (the notations of a test, the tests of a subject or the subjects of a block)
+ * into the level of their parent. An item without any sub-item is NOT_ACQUIRED.
+ * @param {object} args - The arguments for the aggregation.
+ * @param {Array<string>} args.competencyLevels - The competency levels of the sub-items.
+ * @param {object} args.competencyRules - The competency rules of the block, as returned by getCompetencyRules.
+ * @returns {string} The competency level of the parent: 'ACQUIRED', 'IN_PROGRESS' or 'NOT_ACQUIRED'.
+ */
+function aggregateCompetencyLevels({ competencyLevels, competencyRules }) {
+    if (!competencyLevels.length) return 'NOT_ACQUIRED';
 
-    switch (comparison_operator) {
-        case 'GTE': return sourceMark >= threshold;
-        case 'LTE': return sourceMark <= threshold;
-        case 'GT': return sourceMark > threshold;
-        case 'LT': return sourceMark < threshold;
-        case 'E': return sourceMark == threshold;
-        default: return false;
+    const acquiredCount = competencyLevels.filter(level => level === 'ACQUIRED').length;
+    const notAcquiredCount = competencyLevels.filter(level => level === 'NOT_ACQUIRED').length;
+
+    if (acquiredCount / competencyLevels.length >= competencyRules.min_acquired_share && notAcquiredCount <= competencyRules.max_not_acquired) {
+        return 'ACQUIRED';
     }
+
+    return notAcquiredCount / competencyLevels.length > competencyRules.max_not_acquired_share ? 'NOT_ACQUIRED' : 'IN_PROGRESS';
 }
 
 /**
- * Evaluates a group of conditions that are logically connected by 'AND'.
+ * Derives the result of a test, subject or block evaluated by competency: only ACQUIRED passes, and a level below it
+ * is INCOMPLETE instead of FAIL while some of the marks it is derived from are missing.
  * @param {object} args - The arguments for the evaluation.
- * @param {Array<object>} args.conditions - The array of conditions in the group.
- * @param {Map<string, object>} args.marksMap - A map of all calculated marks.
- * @param {number} args.selfScore - The score of the entity itself.
- * @param {Array<object>} [args.selfMarks] - The detailed marks of the entity itself.
- * @returns {boolean} - True if all conditions in the group are met, otherwise false.
- */
-function evaluateConditionGroup({ conditions, marksMap, selfScore, selfMarks }) {
-    // *************** 'every' implements the AND logic
-    return conditions.every(condition =>
-        evaluateSingleCondition({ condition, marksMap, selfScore, selfMarks })
-    );
+ * @param {string} args.competencyLevel - The competency level reached.
+ * @param {boolean} args.hasMissingMarks - Whether the level was derived without some of the student's marks.
+ * @returns {string} The result: 'PASS', 'FAIL' or 'INCOMPLETE'.
+ */
+function getCompetencyResult({ competencyLevel, hasMissingMarks }) {
+    if (competencyLevel === 'ACQUIRED') return 'PASS';
+
+    return hasMissingMarks ? 'INCOMPLETE' : 'FAIL';
 }
 
 /**
- * Evaluates a set of criteria (pass or fail) for an entity.
+ * Derives the competency level reached on a test attempt. Each notation maps to a level from the share of its max points
+ * the student obtained, and a notation the student has no mark for is NOT_ACQUIRED.
  * @param {object} args - The arguments for the evaluation.
- * @param {object} args.criteriaSet - The pass_criteria or fail_criteria object.
- * @param {string} args.groupKey - The key for the criteria groups array (e.g., 'block_criteria_groups').
- * @param {Map<string, object>} args.marksMap - A map of all calculated marks.
- * @param {number} args.selfScore - The score of the entity itself.
- * @param {Array<object>} [args.selfMarks] - The detailed marks of the entity itself.
- * @returns {boolean} - True if the criteria set is satisfied, otherwise false.
- */
-function evaluateCriteriaSet({ criteriaSet, groupKey, marksMap, selfScore, selfMarks }) {
-    if (!criteriaSet || !Array.isArray(criteriaSet[groupKey])) return false;
-
-    // *************** 'some' implements the OR logic between groups
-    return criteriaSet[groupKey].some(group =>
-        evaluateConditionGroup({ conditions: group.conditions, marksMap, selfScore, selfMarks })
-    );
+ * @param {object} args.test - The test document, with its notations.
+ * @param {object} args.attempt - The student's result for the attempt, with 'marks'.
+ * @param {object} args.competencyRules - The competency rules of the block, as returned by getCompetencyRules.
+ * @returns {string} The competency level reached on the test.
+ */
+function calculateTestCompetencyLevel({ test, attempt, competencyRules }) {
+    const competencyLevels = (test.notations || []).map(notation => {
+        const studentMark = (attempt.marks || []).find(mark => mark.notation_text === notation.notation_text);
+        if (!studentMark || !notation.max_points) return 'NOT_ACQUIRED';
+
+        const share = studentMark.mark / notation.max_points;
+        if (share >= competencyRules.acquired_threshold) return 'ACQUIRED';
+        return share >= competencyRules.in_progress_threshold ? 'IN_PROGRESS' : 'NOT_ACQUIRED';
+    });
+
+    return aggregateCompetencyLevels({ competencyLevels, competencyRules });
+}
+
+/**
+ * Grades one attempt of a test: by its competency level in a COMPETENCY block, where only ACQUIRED passes,
+ * and by the test's passing criteria otherwise.
+ * @param {object} args - The arguments for the evaluation.
+ * @param {object} args.test - The test document.
+ * @param {object} args.attempt - The student's result for the attempt, with 'averageMark', 'marks', and whether it is missing.
+ * @param {Map<string, object>} args.marksMap - The map of all student test results.
+ * @param {object|null} args.competencyRules - The competency rules of the block, or null if it is evaluated by score.
+ * @returns {{result: string, competencyLevel: (string|undefined), criteriaTrace: (object|undefined)}} The result of the attempt,
+ * and its competency level or the trace of its criteria evaluation.
+ */
+function gradeTestAttempt({ test, attempt, marksMap, competencyRules }) {
+    if (!competencyRules) {
+        const { result, criteriaTrace } = evaluateTestAttempt({ test, attempt, marksMap });
+
+        return { result, competencyLevel: undefined, criteriaTrace };
+    }
+
+    const competencyLevel = calculateTestCompetencyLevel({ test, attempt, competencyRules });
+
+    return {
+        result: getCompetencyResult({ competencyLevel, hasMissingMarks: Boolean(attempt.isIncomplete) }),
+        competencyLevel,
+        criteriaTrace: undefined
+    };
+}
+
+/**
+ * Finds the retake tests of a curriculum. A retake test whose connected test is part of the curriculum is not
+ * graded on its own: its mark is used for its connected test, following its retake mark policy.
+ * @param {object} args - The arguments for the lookup.
+ * @param {Array<object>} args.blocks - The blocks of the curriculum, with their subjects and tests populated.
+ * @param {Map<string, object>} args.marksMap - The map of all student test results.
+ * @returns {{retakeTestIds: Set<string>, attemptedRetakeTestsByOriginal: Map<string, object>}} The IDs of all such
+ * retake tests, and the retake tests the student has a result for, by the ID of their connected test.
+ */
+function getRetakeTests({ blocks, marksMap }) {
+    const tests = blocks.flatMap(block => block.subjects.flatMap(subject => subject.tests));
+    const testIds = new Set(tests.map(test => String(test._id)));
+
+    const retakeTestIds = new Set();
+    const attemptedRetakeTestsByOriginal = new Map();
+
+    for (const test of tests) {
+        if (!test.is_retake || !test.connected_test || !testIds.has(String(test.connected_test))) continue;
+
+        retakeTestIds.add(String(test._id));
+        if (isTestAttempted(marksMap, test._id)) {
+            attemptedRetakeTestsByOriginal.set(String(test.connected_test), test);
+        }
+    }
+
+    return { retakeTestIds, attemptedRetakeTestsByOriginal };
 }
 
 /**
- * Calculates the results for all tests within a single subject.
+ * Converts the mark of a test attempt to the scale of the transcript's subject and block marks. A test with a grading scale has its
+ * average converted from that scale. A test without one keeps its raw average when no test of the curriculum has a scale, as before
+ * scales existed; otherwise, so that subject and block marks add marks of a single scale, its marks are normalized against the points
+ * of their notations on the default scale, as they would be had the test been given that scale.
+ * @param {object} args - The arguments for the conversion.
+ * @param {object} args.attempt - The attempt, with its 'averageMark' and 'marks'.
+ * @param {object} args.test - The test of the attempt, with its 'notations' and 'grading_scale'.
+ * @param {object} args.gradingSettings - The scale of the transcript's marks, whether the curriculum has scaled tests, and the rounding rules.
+ * @returns {number} The mark on the transcript's scale.
+ */
+function convertToTranscriptScale({ attempt, test, gradingSettings }) {
+    const { transcriptScale, isCurriculumScaled, markRounding } = gradingSettings;
+
+    if (CommonHelper.HasGradingScale(test)) {
+        return attempt.averageMark / CommonHelper.GetGradingScale(test) * transcriptScale;
+    }
+    if (!isCurriculumScaled) {
+        return attempt.averageMark;
+    }
+
+    const defaultScaleTest = { notations: test.notations, grading_scale: CommonHelper.GetGradingScale() };
+    const defaultScaleMark = CommonHelper.CalculateAverageMark({ marks: attempt.marks, test: defaultScaleTest, markRounding });
+
+    return defaultScaleMark / defaultScaleTest.grading_scale * transcriptScale;
+}
+
+/**
+ * Calculates the results for all tests within a single subject. When the student took the retake of a test, both
+ * attempts are recorded and the mark retained for the test follows the retake mark policy. A test the student has no mark
+ * for is handled by its missing mark policy: left out of the average, with its weight spread over the other tests, counted
+ * as zero, or counted as 0 while leaving the subject result incomplete.
  * @param {object} args - The arguments for the calculation.
  * @param {object} args.subject - The subject document, with its 'tests' array populated.
- * @param {Map<string, object>} args.marksMap - The map of all student test results.
- * @returns {object} An object containing test results, the weighted sum of marks, and the sum of test weights.
+ * @param {Map<string, object>} args.marksMap - The map of all student test results, updated with the retained attempt of retaken tests.
+ * @param {object} args.retakeTests - The retake tests of the curriculum, as returned by getRetakeTests.
+ * @param {object|null} args.competencyRules - The competency rules of the block, or null if it is evaluated by score.
+ * @param {object} args.gradingSettings - The scale of the transcript's subject and block marks, whether the curriculum has scaled tests, and the rounding rules of the student's school.
+ * @returns {object} An object containing test results, the weighted sum of marks on the transcript's scale,
+ * and whether the student is missing marks that block the subject result.
  */
-function calculateTestResultsForSubject({ subject, marksMap }) {
+function calculateTestResultsForSubject({ subject, marksMap, retakeTests, competencyRules, gradingSettings }) {
+    const { markRounding } = gradingSettings;
+
     const testResults = [];
     let subjectWeightedSum = 0;
     let testWeightSum = 0;
+    let excludedWeightSum = 0;
+    let hasMissingMarks = false;
 
     for (const test of subject.tests) {
-        const resultForTest = marksMap.get(String(test._id)) || { averageMark: 0, marks: [] };
-
-        const passed = evaluateCriteriaSet({
-            criteriaSet: test.test_passing_criteria && test.test_passing_criteria.pass_criteria,
-            groupKey: 'test_criteria_groups',
-            marksMap,
-            selfScore: resultForTest.averageMark,
-            selfMarks: resultForTest.marks
-        });
-        const failed = evaluateCriteriaSet({
-            criteriaSet: test.test_passing_criteria && test.test_passing_criteria.fail_criteria,
-            groupKey: 'test_criteria_groups',
-            marksMap,
-            selfScore: resultForTest.averageMark,
-            selfMarks: resultForTest.marks
-        });
+        // *************** Retake tests are reported with the test they retake
+        if (retakeTests.retakeTestIds.has(String(test._id))) continue;
 
-        const testPassed = !failed && passed;
-        const weightedMark = resultForTest.averageMark * test.weight;
+        const originalAttempt = marksMap.get(String(test._id)) || getMissingAttempt('NOT_TAKEN');
+        const originalGrade = gradeTestAttempt({ test, attempt: originalAttempt, marksMap, competencyRules });
+        const missingMarkReason = originalAttempt.missingMarkReason;
 
-        testResults.push({
+        const testResult = {
             test: test._id,
-            test_result: testPassed ? 'PASS' : 'FAIL',
-            test_total_mark: Number(resultForTest.averageMark.toFixed(2)),
-            test_weighted_mark: Number(weightedMark.toFixed(2))
-        });
+            test_result: originalGrade.result,
+            test_total_mark: CommonHelper.RoundMark({ mark: originalAttempt.averageMark, markRounding }),
+            missing_mark_reason: missingMarkReason,
+            missing_mark_policy: missingMarkReason ? getMissingMarkPolicy({ test, missingMarkReason }) : undefined,
+            competency_level: originalGrade.competencyLevel,
+            criteria_trace: originalGrade.criteriaTrace
+        };
+        let retainedMark = convertToTranscriptScale({ attempt: originalAttempt, test, gradingSettings });
+        let isExcludedFromAverage = testResult.missing_mark_policy === 'EXCLUDE_FROM_AVERAGE';
+        let isRetainedMarkMissing = Boolean(originalAttempt.isIncomplete) && !isExcludedFromAverage;
+
+        const retakeTest = retakeTests.attemptedRetakeTestsByOriginal.get(String(test._id));
+        if (retakeTest) {
+            const retakeAttempt = marksMap.get(String(retakeTest._id));
+            const retakeGrade = gradeTestAttempt({ test: retakeTest, attempt: retakeAttempt, marksMap, competencyRules });
+            const retakeMarkPolicy = retakeTest.retake_mark_policy || getDefaultRetakeMarkPolicy();
+            const retakeMark = convertToTranscriptScale({ attempt: retakeAttempt, test: retakeTest, gradingSettings });
+            const isRetakeApplied = retakeMarkPolicy === 'SUBSTITUTE' || Boolean(originalAttempt.isIncomplete) || retakeMark > retainedMark;
+
+            Object.assign(testResult, {
+                original_test_total_mark: testResult.test_total_mark,
+                original_test_result: testResult.test_result,
+                retake_test: retakeTest._id,
+                retake_test_total_mark: CommonHelper.RoundMark({ mark: retakeAttempt.averageMark, markRounding }),
+                retake_test_result: retakeGrade.result,
+                retake_mark_policy: retakeMarkPolicy,
+                is_retake_applied: isRetakeApplied
+            });
+
+            // *************** Criteria referencing the original test now see the retained attempt
+            if (isRetakeApplied) {
+                testResult.test_total_mark = testResult.retake_test_total_mark;
+                testResult.test_result = testResult.retake_test_result;
+                testResult.competency_level = retakeGrade.competencyLevel;
+                testResult.criteria_trace = retakeGrade.criteriaTrace;
+                testResult.missing_mark_reason = undefined;
+                testResult.missing_mark_policy = undefined;
+                retainedMark = retakeMark;
+                isExcludedFromAverage = false;
+                isRetainedMarkMissing = false;
+                marksMap.set(String(test._id), retakeAttempt);
+            }
+        }
+
+        const weightedMark = isExcludedFromAverage ? 0 : retainedMark * test.weight;
+        testResult.test_weighted_mark = CommonHelper.RoundMark({ mark: weightedMark, markRounding });
+        testResults.push(testResult);
 
         subjectWeightedSum += weightedMark;
         testWeightSum += test.weight;
+        excludedWeightSum += isExcludedFromAverage ? test.weight : 0;
+        hasMissingMarks = hasMissingMarks || isRetainedMarkMissing;
     }
 
-    return { testResults, subjectWeightedSum, testWeightSum };
+    // *************** The weight of the tests left out of the average is spread over the others; with no test left, the subject has no mark
+    if (excludedWeightSum > 0) {
+        const includedWeightSum = testWeightSum - excludedWeightSum;
+        if (includedWeightSum > 0) {
+            subjectWeightedSum = subjectWeightedSum * testWeightSum / includedWeightSum;
+        } else {
+            hasMissingMarks = true;
+        }
+    }
+
+    return { testResults, subjectWeightedSum, hasMissingMarks };
 }
 
 /**
- * Calculates the results for all subjects within a single block.
+ * Calculates the result of a single subject. A subject is calculated once even when it is reported in several blocks,
+ * as transversal subjects are, so that the retakes of its tests are not applied twice.
  * @param {object} args - The arguments for the calculation.
- * @param {object} args.block - The block document, with its 'subjects' array populated.
- * @param {Map<string, object>} args.marksMap - The map of all student test results, which will be updated with subject scores.
- * @returns {object} An object containing subject results, the weighted sum of marks, and the sum of subject coefficients.
+ * @param {object} args.subject - The subject document, with its 'tests' array populated.
+ * @param {Map<string, object>} args.marksMap - The map of all student test results, which will be updated with the subject score.
+ * @param {object} args.retakeTests - The retake tests of the curriculum, as returned by getRetakeTests.
+ * @param {object|null} args.competencyRules - The competency rules of the subject's block, or null if it is evaluated by score.
+ * @param {Map<string, object>} args.subjectResultCache - The subjects already calculated, by subject ID.
+ * @param {object} args.gradingSettings - The scale of the transcript's subject and block marks, whether the curriculum has scaled tests, and the rounding rules of the student's school.
+ * @returns {{subjectResult: object, subjectTotalMark: number, hasMissingMarks: boolean}} The subject result, its unrounded mark after
+ * applying the coefficient, and whether the student has no result for some of its tests.
  */
-function calculateSubjectResultsForBlock({ block, marksMap }) {
-    const subjectResults = [];
-    let blockWeightedSum = 0;
-    let blockCoefficientSum = 0;
+function calculateSubjectResult({ subject, marksMap, retakeTests, competencyRules, subjectResultCache, gradingSettings }) {
+    const cachedSubjectResult = subjectResultCache.get(String(subject._id));
+    if (cachedSubjectResult) return cachedSubjectResult;
 
-    for (const subject of block.subjects) {
-        const { testResults, subjectWeightedSum, testWeightSum } = calculateTestResultsForSubject({ subject, marksMap });
+    // *************** Test weights are kept consistent when tests are saved, and reported by the curriculum integrity report otherwise
+    const { testResults, subjectWeightedSum, hasMissingMarks } = calculateTestResultsForSubject({ subject, marksMap, retakeTests, competencyRules, gradingSettings });
 
-        if (Math.abs(testWeightSum - 1) > 0.01) {
-            console.warn(`Warning: Test weights for subject ${subject._id} do not sum to 1. Found: ${testWeightSum}`);
-        }
+    const subjectScore = subjectWeightedSum;
+    marksMap.set(String(subject._id), { averageMark: subjectScore, isIncomplete: hasMissingMarks });
 
-        const subjectScore = subjectWeightedSum;
-        marksMap.set(String(subject._id), { averageMark: subjectScore });
+    let subjectResultStatus;
+    let competencyLevel;
+    let criteriaTrace;
 
-        const passed = evaluateCriteriaSet({
-            criteriaSet: subject.subject_passing_criteria && subject.subject_passing_criteria.pass_criteria,
-            groupKey: 'subject_criteria_groups',
-            marksMap,
-            selfScore: subjectScore,
+    // *************** Tests left out of the average are not read by the subject's level or criteria either
+    const countedTestResults = testResults.filter(testResult => testResult.missing_mark_policy !== 'EXCLUDE_FROM_AVERAGE');
+
+    // *************** In a COMPETENCY block, the subject's level comes from its tests' levels instead of its criteria
+    if (competencyRules) {
+        competencyLevel = aggregateCompetencyLevels({
+            competencyLevels: countedTestResults.map(testResult => testResult.competency_level),
+            competencyRules
         });
-        const failed = evaluateCriteriaSet({
-            criteriaSet: subject.subject_passing_criteria && subject.subject_passing_criteria.fail_criteria,
+        subjectResultStatus = getCompetencyResult({ competencyLevel, hasMissingMarks });
+    } else {
+        ({ result: subjectResultStatus, criteriaTrace } = CriteriaEngine.EvaluatePassingCriteria({
+            passingCriteria: subject.subject_passing_criteria,
             groupKey: 'subject_criteria_groups',
             marksMap,
             selfScore: subjectScore,
-        });
+            isSelfScoreIncomplete: hasMissingMarks,
+            childSources: countedTestResults.map(testResult => ({ source_type: 'TEST', test: testResult.test })),
+            unmatchedCriteriaResult: subject.unmatched_criteria_result
+        }));
+    }
 
-        const subjectPassed = !failed && passed;
-        const subjectTotalMark = subjectScore * subject.coefficient;
+    const subjectTotalMark = subjectScore * subject.coefficient;
 
-        subjectResults.push({
+    const calculatedSubjectResult = {
+        subjectResult: {
             subject: subject._id,
             test_results: testResults,
-            subject_total_mark: Number(subjectTotalMark.toFixed(2)),
-            subject_result: subjectPassed ? 'PASS' : 'FAIL'
+            subject_total_mark: CommonHelper.RoundMark({ mark: subjectTotalMark, markRounding: gradingSettings.markRounding }),
+            subject_result: subjectResultStatus,
+            competency_level: competencyLevel,
+            criteria_trace: criteriaTrace
+        },
+        subjectTotalMark,
+        hasMissingMarks
+    };
+    subjectResultCache.set(String(subject._id), calculatedSubjectResult);
+
+    return calculatedSubjectResult;
+}
+
+/**
+ * Groups the transversal subjects of a curriculum by the blocks they are connected to.
+ * @param {Array<object>} blocks - The blocks of the curriculum, with their subjects populated.
+ * @returns {Map<string, Array<{subject: object, transversalBlock: object}>>} The transversal subjects, and the TRANSVERSAL
+ * block each belongs to, by the ID of the block they are connected to.
+ */
+function getTransversalSubjectsByBlock(blocks) {
+    const transversalSubjectsByBlock = new Map();
+
+    for (const transversalBlock of blocks) {
+        for (const subject of transversalBlock.subjects) {
+            if (!subject.is_transversal || !Array.isArray(subject.connected_blocks)) continue;
+
+            for (const connectedBlockId of subject.connected_blocks) {
+                if (String(connectedBlockId) === String(transversalBlock._id)) continue;
+
+                const transversalSubjects = transversalSubjectsByBlock.get(String(connectedBlockId)) || [];
+                transversalSubjects.push({ subject, transversalBlock });
+                transversalSubjectsByBlock.set(String(connectedBlockId), transversalSubjects);
+            }
+        }
+    }
+
+    return transversalSubjectsByBlock;
+}
+
+/**
+ * Calculates the results for all subjects within a single block, including the transversal subjects connected to it.
+ * A transversal subject contributes to the block's score with its coefficient, as the block's own subjects do, and is
+ * reported with the TRANSVERSAL block it comes from.
+ * @param {object} args - The arguments for the calculation.
+ * @param {object} args.block - The block document, with its 'subjects' array populated.
+ * @param {Array<{subject: object, transversalBlock: object}>} args.transversalSubjects - The transversal subjects connected to the block.
+ * @param {Map<string, object>} args.marksMap - The map of all student test results, which will be updated with subject scores.
+ * @param {object} args.retakeTests - The retake tests of the curriculum, as returned by getRetakeTests.
+ * @param {object|null} args.competencyRules - The competency rules of the block, or null if it is evaluated by score.
+ * @param {Map<string, object>} args.subjectResultCache - The subjects already calculated, by subject ID.
+ * @param {object} args.gradingSettings - The scale of the transcript's subject and block marks, whether the curriculum has scaled tests, and the rounding rules of the student's school.
+ * @returns {object} An object containing subject results, the weighted sum of marks, the sum of subject coefficients, and whether
+ * the student has no result for some of the tests of the subjects.
+ */
+function calculateSubjectResultsForBlock({ block, transversalSubjects, marksMap, retakeTests, competencyRules, subjectResultCache, gradingSettings }) {
+    const subjectResults = [];
+    let blockWeightedSum = 0;
+    let blockCoefficientSum = 0;
+    let hasMissingMarks = false;
+
+    for (const subject of block.subjects) {
+        const calculatedSubjectResult = calculateSubjectResult({ subject, marksMap, retakeTests, competencyRules, subjectResultCache, gradingSettings });
+
+        subjectResults.push(calculatedSubjectResult.subjectResult);
+        blockWeightedSum += calculatedSubjectResult.subjectTotalMark;
+        blockCoefficientSum += subject.coefficient;
+        hasMissingMarks = hasMissingMarks || calculatedSubjectResult.hasMissingMarks;
+    }
+
+    for (const { subject, transversalBlock } of transversalSubjects) {
+        const calculatedSubjectResult = calculateSubjectResult({
+            subject,
+            marksMap,
+            retakeTests,
+            competencyRules: getCompetencyRules(transversalBlock),
+            subjectResultCache,
+            gradingSettings
         });
 
-        blockWeightedSum += subjectTotalMark;
+        subjectResults.push({ ...calculatedSubjectResult.subjectResult, transversal_block: transversalBlock._id });
+        blockWeightedSum += calculatedSubjectResult.subjectTotalMark;
         blockCoefficientSum += subject.coefficient;
+        hasMissingMarks = hasMissingMarks || calculatedSubjectResult.hasMissingMarks;
     }
 
-    return { subjectResults, blockWeightedSum, blockCoefficientSum };
+    return { subjectResults, blockWeightedSum, blockCoefficientSum, hasMissingMarks };
 }
 
 /**
- * Calculates the entire final transcript for a single student.
- * This function orchestrates the aggregation of all test results and evaluation of all passing criteria.
- * @param {object} args - The arguments for the calculation.
- * @param {string} args.studentId - The ID of the student for whom to calculate the transcript.
- * @param {string} args.userId - The ID of the user initiating the calculation.
- * @returns {Promise<void>} - This function does not return a value but saves the result to the database.
+ * Loads what a student's final transcript is calculated from: the curriculum of the student's school and of the academic
+ * year they are enrolled in, so later changes to other years' curricula do not affect it, and the student's test results.
+ * Students who are not enrolled in an academic year are evaluated against the school's curriculum that is not attached to any year.
+ * @param {string} studentId - The ID of the student.
+ * @returns {Promise<{student: object, school: object, blocks: Array<object>, studentTestResults: Array<object>}>} A promise that resolves
+ * to the student, the grading settings of its school, the active blocks of the curriculum with their subjects and tests populated,
+ * and the student's test results that are not deleted.
  */
-async function CalculateFinalTranscript({ studentId, userId }) {
-    const blocks = await BlockModel.find({ block_status: 'ACTIVE' })
+async function getFinalTranscriptInputs(studentId) {
+    const student = await StudentModel.findById(studentId).select({ school: 1, academic_year: 1 }).lean();
+    if (!student) {
+        throw new Error(`Student ${studentId} not found`);
+    }
+
+    const school = await SchoolModel.findById(student.school).select({ grading_scale: 1, mark_rounding: 1 }).lean();
+
+    const blocks = await BlockModel.find({ block_status: 'ACTIVE', schools: student.school, academic_year: student.academic_year || null })
         .populate({
             path: 'subjects',
             match: { subject_status: 'ACTIVE' },
@@ -257,47 +916,240 @@ async function CalculateFinalTranscript({ studentId, userId }) {
             }
         }).lean();
 
-    const studentTestResults = await StudentTestResultModel.find({ student: studentId }).lean();
-    const marksMap = new Map();
-    studentTestResults.forEach(result => {
-        marksMap.set(String(result.test), { averageMark: result.average_mark, marks: result.marks });
-    });
+    // *************** Results awaiting validation are loaded so the transcript can tell them apart from tests not taken; only validated marks count
+    const studentTestResults = await StudentTestResultModel.find({ student: studentId, student_test_result_status: { $ne: 'DELETED' } }).lean();
+
+    return { student, school, blocks, studentTestResults };
+}
+
+/**
+ * Derives the overall result of a student from the blocks counted in the final transcript: a failed block fails the student,
+ * and otherwise an incomplete block leaves the overall result incomplete.
+ * @param {Array<object>} blockResults - The block results of the transcript.
+ * @returns {string} The overall result: 'PASS', 'FAIL' or 'INCOMPLETE'.
+ */
+function getOverallResult(blockResults) {
+    const countedBlockResults = blockResults
+        .filter(blockResult => blockResult.is_counted_in_final_transcript)
+        .map(blockResult => blockResult.block_result);
+
+    if (countedBlockResults.includes('FAIL')) return 'FAIL';
+
+    return countedBlockResults.includes('INCOMPLETE') ? 'INCOMPLETE' : 'PASS';
+}
+
+/**
+ * Calculates a final transcript in memory, without saving it.
+ * Blocks evaluated by COMPETENCY derive their outcome from competency levels instead of marks and criteria, and transversal
+ * subjects count in every block they are connected to.
+ * This function orchestrates the aggregation of all test results and evaluation of all passing criteria.
+ * Test marks are kept on the scale of their test; subject and block marks are expressed on the scale of the student's school.
+ * @param {object} args - The arguments for the calculation.
+ * @param {object} args.student - The student, containing its academic year.
+ * @param {object} [args.school] - Optional. The student's school, containing its grading scale and rounding rules.
+ * @param {Array<object>} args.blocks - The blocks of the curriculum, with their subjects and tests populated.
+ * @param {Array<object>} args.studentTestResults - The student's test results, with their 'test', 'marks', 'average_mark', status and absence.
+ * @returns {{academic_year: (string|null), block_results: Array<object>, overall_result: string}} The calculated transcript.
+ */
+function BuildFinalTranscriptPayload({ student, school, blocks, studentTestResults }) {
+    const gradingSettings = {
+        transcriptScale: CommonHelper.GetGradingScale(school),
+        isCurriculumScaled: blocks.some(block => block.subjects.some(subject => subject.tests.some(test => CommonHelper.HasGradingScale(test)))),
+        markRounding: school ? school.mark_rounding : undefined
+    };
 
+    const marksMap = getTestAttempts({ blocks, studentTestResults });
+
+    const retakeTests = getRetakeTests({ blocks, marksMap });
+    const transversalSubjectsByBlock = getTransversalSubjectsByBlock(blocks);
+    const subjectResultCache = new Map();
+    const blockIds = new Set(blocks.map(block => String(block._id)));
     const blockResults = [];
-    let allBlocksPassed = true;
 
     for (const block of blocks) {
-        const { subjectResults, blockWeightedSum, blockCoefficientSum } = calculateSubjectResultsForBlock({ block, marksMap });
-        const blockScore = blockCoefficientSum ? blockWeightedSum / blockCoefficientSum : 0;
+        // *************** A RETAKE block is only reported once the student has taken one of its tests
+        const isRetakeOfBlock = block.block_type === 'RETAKE' && block.connected_block && blockIds.has(String(block.connected_block));
+        const isRetakeAttempted = block.subjects.some(subject => subject.tests.some(test => isTestAttempted(marksMap, test._id)));
+        if (isRetakeOfBlock && !isRetakeAttempted) continue;
 
-        const passed = evaluateCriteriaSet({
-            criteriaSet: block.block_passing_criteria && block.block_passing_criteria.pass_criteria,
-            groupKey: 'block_criteria_groups',
+        const competencyRules = getCompetencyRules(block);
+        const { subjectResults, blockWeightedSum, blockCoefficientSum, hasMissingMarks } = calculateSubjectResultsForBlock({
+            block,
+            transversalSubjects: transversalSubjectsByBlock.get(String(block._id)) || [],
             marksMap,
-            selfScore: blockScore,
+            retakeTests,
+            competencyRules,
+            subjectResultCache,
+            gradingSettings
         });
-        const failed = evaluateCriteriaSet({
-            criteriaSet: block.block_passing_criteria && block.block_passing_criteria.fail_criteria,
-            groupKey: 'block_criteria_groups',
-            marksMap,
-            selfScore: blockScore,
-        });
-        const blockPassed = !failed && passed;
+        const blockScore = blockCoefficientSum ? blockWeightedSum / blockCoefficientSum : 0;
+
+        let blockResultStatus;
+        let competencyLevel;
+        let criteriaTrace;
 
-        if (!blockPassed) allBlocksPassed = false;
+        if (competencyRules) {
+            competencyLevel = aggregateCompetencyLevels({
+                competencyLevels: subjectResults
+                    .filter(subjectResult => subjectResult.competency_level)
+                    .map(subjectResult => subjectResult.competency_level),
+                competencyRules
+            });
+            blockResultStatus = getCompetencyResult({ competencyLevel, hasMissingMarks });
+        } else {
+            ({ result: blockResultStatus, criteriaTrace } = CriteriaEngine.EvaluatePassingCriteria({
+                passingCriteria: block.block_passing_criteria,
+                groupKey: 'block_criteria_groups',
+                marksMap,
+                selfScore: blockScore,
+                isSelfScoreIncomplete: hasMissingMarks,
+                childSources: subjectResults.map(subjectResult => ({ source_type: 'SUBJECT', subject: subjectResult.subject })),
+                unmatchedCriteriaResult: block.unmatched_criteria_result
+            }));
+        }
 
         blockResults.push({
             block: block._id,
+            evaluation_type: block.evaluation_type,
+            // *************** Blocks not counted in the final transcript, and retakes, which count through the block they retake, are informational
+            is_counted_in_final_transcript: block.is_counted_in_final_transcript !== false && !isRetakeOfBlock,
+            retake_of_block: isRetakeOfBlock ? block.connected_block : undefined,
             subject_results: subjectResults,
-            block_total_mark: Number(blockScore.toFixed(2)),
-            block_result: blockPassed ? 'PASS' : 'FAIL'
+            block_total_mark: CommonHelper.RoundMark({ mark: blockScore, markRounding: gradingSettings.markRounding }),
+            block_result: blockResultStatus,
+            competency_level: competencyLevel,
+            criteria_trace: criteriaTrace
         });
     }
 
+    // *************** A passed retake overturns the failed block it retakes, keeping the original result on record
+    for (const retakeBlockResult of blockResults.filter(blockResult => blockResult.retake_of_block)) {
+        const originalBlockResult = blockResults.find(blockResult => String(blockResult.block) === String(retakeBlockResult.retake_of_block));
+        if (!originalBlockResult) continue;
+
+        originalBlockResult.retake_block = retakeBlockResult.block;
+        originalBlockResult.original_block_result = originalBlockResult.block_result;
+
+        if (originalBlockResult.block_result === 'FAIL' && retakeBlockResult.block_result === 'PASS') {
+            originalBlockResult.block_result = 'PASS';
+            originalBlockResult.is_overturned_by_retake = true;
+        }
+    }
+
+    return {
+        academic_year: student.academic_year || null,
+        block_results: blockResults,
+        overall_result: getOverallResult(blockResults)
+    };
+}
+
+/**
+ * Applies the decisions of a jury to a calculated transcript: decided block results replace the calculated ones, which
+ * are kept along with the justification, the overall result is recalculated from them, and a decided overall result replaces it.
+ * @param {object} args - The arguments for applying the decisions.
+ * @param {object} args.finalTranscript - The calculated transcript, updated in place.
+ * @param {object} [args.juryDecision] - Optional. The decisions of the jury stored on the student's transcript.
+ * @returns {object} The decisions of the jury, with the calculated overall result, to store with the transcript.
+ */
+function ApplyJuryDecision({ finalTranscript, juryDecision }) {
+    if (!juryDecision) return undefined;
+
+    for (const blockOverride of juryDecision.block_overrides || []) {
+        const blockResult = finalTranscript.block_results.find(result => String(result.block) === String(blockOverride.block));
+        if (!blockResult) continue;
+
+        blockResult.computed_block_result = blockResult.block_result;
+        blockResult.block_result = blockOverride.block_result;
+        blockResult.jury_justification = blockOverride.justification;
+    }
+
+    finalTranscript.overall_result = getOverallResult(finalTranscript.block_results);
+
+    const appliedJuryDecision = { ...juryDecision, computed_overall_result: finalTranscript.overall_result };
+    if (juryDecision.overall_result) {
+        finalTranscript.overall_result = juryDecision.overall_result;
+    }
+
+    return appliedJuryDecision;
+}
+
+/**
+ * Saves a calculated transcript as the student's next version. Versions are numbered per student; when another
+ * calculation takes the same number concurrently, the next free number is used.
+ * @param {object} finalTranscriptVersionPayload - The version to save, without its number.
+ * @returns {Promise<object>} A promise that resolves to the saved version.
+ */
+async function createFinalTranscriptVersion(finalTranscriptVersionPayload) {
+    const maxAttempts = 3;
+
+    for (let attempt = 1; ; attempt++) {
+        const latestVersion = await FinalTranscriptVersionModel.findOne({ student: finalTranscriptVersionPayload.student })
+            .sort({ version: -1 })
+            .select({ version: 1 })
+            .lean();
+
+        try {
+            return await FinalTranscriptVersionModel.create({
+                ...finalTranscriptVersionPayload,
+                version: latestVersion ? latestVersion.version + 1 : 1
+            });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= maxAttempts) throw error;
+        }
+    }
+}
+
+/**
+ * Calculates the entire final transcript for a single student and saves it. Every calculation is kept as an immutable
+ * version, along with the curriculum and the marks it was calculated from, and the current result points to the latest one.
+ * The decisions of the jury are applied on top of the calculated results, and a transcript finalized by a jury is not
+ * recalculated until a jury reopens it.
+ * @param {object} args - The arguments for the calculation.
+ * @param {string} args.studentId - The ID of the student for whom to calculate the transcript.
+ * @param {string} args.userId - The ID of the user initiating the calculation.
+ * @param {string} [args.triggerEvent='RECALCULATION'] - Optional. The event that triggered the calculation: 'MARKS_VALIDATED', 'JURY_DECISION' or 'RECALCULATION'.
+ * @param {string} [args.studentTestResultId] - Optional. The ID of the student test result whose validation triggered the calculation.
+ * @returns {Promise<void>} - This function does not return a value but saves the result to the database.
+ */
+async function CalculateFinalTranscript({ studentId, userId, triggerEvent = 'RECALCULATION', studentTestResultId }) {
+    const currentFinalTranscriptResult = await FinalTranscriptResultModel.findOne({ student: studentId })
+        .select({ transcript_status: 1, jury_decision: 1 })
+        .lean();
+    if (currentFinalTranscriptResult && currentFinalTranscriptResult.transcript_status === 'FINALIZED') {
+        throw new Error('The final transcript has been finalized by a jury and cannot be recalculated until it is reopened.');
+    }
+
+    const { student, school, blocks, studentTestResults } = await getFinalTranscriptInputs(studentId);
+
+    const calculatedFinalTranscript = BuildFinalTranscriptPayload({ student, school, blocks, studentTestResults });
+    const juryDecision = ApplyJuryDecision({
+        finalTranscript: calculatedFinalTranscript,
+        juryDecision: currentFinalTranscriptResult && currentFinalTranscriptResult.jury_decision
+    });
+
+    const finalTranscriptVersion = await createFinalTranscriptVersion({
+        student: studentId,
+        trigger_event: triggerEvent,
+        trigger_student_test_result: studentTestResultId,
+        ...calculatedFinalTranscript,
+        jury_decision: juryDecision,
+        curriculum_snapshot: { blocks },
+        input_marks: studentTestResults.map(result => ({
+            test: result.test,
+            student_test_result: result._id,
+            marks: result.marks,
+            average_mark: result.average_mark,
+            absence_status: result.absence_status,
+            student_test_result_status: result.student_test_result_status
+        })),
+        created_by: userId
+    });
+
     const finalTranscriptResultPayload = {
         student: studentId,
-        block_results: blockResults,
-        overall_result: allBlocksPassed ? 'PASS' : 'FAIL',
+        ...calculatedFinalTranscript,
+        jury_decision: juryDecision,
+        version: finalTranscriptVersion.version,
         created_by: userId,
         updated_by: userId
     };
@@ -313,8 +1165,262 @@ async function CalculateFinalTranscript({ studentId, userId }) {
     }
 }
 
+/**
+ * Indexes the results of a transcript by block, subject and test, so that two versions can be compared item by item.
+ * A subject is keyed within its block, as transversal subjects are reported in several blocks, and a test within its subject.
+ * @param {Array<object>} blockResults - The block results of a transcript version.
+ * @returns {Map<string, object>} The items of the transcript, by key.
+ */
+function indexTranscriptItems(blockResults) {
+    const transcriptItems = new Map();
+
+    for (const blockResult of blockResults) {
+        const blockKey = String(blockResult.block);
+        transcriptItems.set(blockKey, {
+            level: 'BLOCK',
+            block: blockResult.block,
+            result: blockResult.block_result,
+            mark: blockResult.block_total_mark,
+            competency_level: blockResult.competency_level
+        });
+
+        for (const subjectResult of blockResult.subject_results) {
+            const subjectKey = `${blockKey}/${subjectResult.subject}`;
+            transcriptItems.set(subjectKey, {
+                level: 'SUBJECT',
+                block: blockResult.block,
+                subject: subjectResult.subject,
+                result: subjectResult.subject_result,
+                mark: subjectResult.subject_total_mark,
+                competency_level: subjectResult.competency_level
+            });
+
+            for (const testResult of subjectResult.test_results) {
+                transcriptItems.set(`${subjectKey}/${testResult.test}`, {
+                    level: 'TEST',
+                    block: blockResult.block,
+                    subject: subjectResult.subject,
+                    test: testResult.test,
+                    result: testResult.test_result,
+                    mark: testResult.test_total_mark,
+                    competency_level: testResult.competency_level
+                });
+            }
+        }
+    }
+
+    return transcriptItems;
+}
+
+/**
+ * Compares two versions of a student's transcript at block, subject and test level.
+ * @param {object} args - The arguments for the comparison.
+ * @param {object} args.fromVersion - The older version.
+ * @param {object} args.toVersion - The newer version.
+ * @returns {object} The overall results of both versions and the items that were added, removed or changed.
+ */
+function GetFinalTranscriptVersionDiffPayload({ fromVersion, toVersion }) {
+    const fromItems = indexTranscriptItems(fromVersion.block_results);
+    const toItems = indexTranscriptItems(toVersion.block_results);
+    const changes = [];
+
+    for (const [key, toItem] of toItems) {
+        const fromItem = fromItems.get(key);
+        const { result, mark, competency_level, ...item } = toItem;
+
+        if (!fromItem) {
+            changes.push({ ...item, change_type: 'ADDED', to_result: result, to_mark: mark, to_competency_level: competency_level });
+            continue;
+        }
+
+        if (fromItem.result !== result || fromItem.mark !== mark || fromItem.competency_level !== competency_level) {
+            changes.push({
+                ...item,
+                change_type: 'CHANGED',
+                from_result: fromItem.result,
+                to_result: result,
+                from_mark: fromItem.mark,
+                to_mark: mark,
+                from_competency_level: fromItem.competency_level,
+                to_competency_level: competency_level
+            });
+        }
+    }
+
+    for (const [key, fromItem] of fromItems) {
+        if (toItems.has(key)) continue;
+
+        const { result, mark, competency_level, ...item } = fromItem;
+        changes.push({ ...item, change_type: 'REMOVED', from_result: result, from_mark: mark, from_competency_level: competency_level });
+    }
+
+    return {
+        student: toVersion.student,
+        from_version: fromVersion.version,
+        to_version: toVersion.version,
+        from_overall_result: fromVersion.overall_result,
+        to_overall_result: toVersion.overall_result,
+        changes
+    };
+}
+
+/**
+ * Replaces the student's results of some tests with hypothetical marks, or adds them for tests the student has not taken.
+ * The average mark of each hypothetical result is calculated as it would be when the marks are entered.
+ * @param {object} args - The arguments for the replacement.
+ * @param {Array<object>} args.studentTestResults - The student's actual test results.
+ * @param {Array<{test: string, marks: Array<object>}>} args.hypotheticalResults - The hypothetical marks, by test.
+ * @param {Map<string, object>} args.testsById - The tests of the curriculum, by ID.
+ * @param {object} [args.school] - Optional. The student's school, containing its rounding rules.
+ * @returns {Array<object>} The test results to calculate the hypothetical transcript with.
+ */
+function applyHypotheticalResults({ studentTestResults, hypotheticalResults, testsById, school }) {
+    const hypotheticalTestIds = new Set(hypotheticalResults.map(hypotheticalResult => String(hypotheticalResult.test)));
+
+    const hypotheticalTestResults = hypotheticalResults.map(({ test, marks }) => ({
+        test,
+        marks,
+        student_test_result_status: 'VALIDATED',
+        average_mark: CommonHelper.CalculateAverageMark({
+            marks,
+            test: testsById.get(String(test)),
+            markRounding: school ? school.mark_rounding : undefined
+        })
+    }));
+
+    return [
+        ...studentTestResults.filter(result => !hypotheticalTestIds.has(String(result.test))),
+        ...hypotheticalTestResults
+    ];
+}
+
+/**
+ * Calculates in memory what a student's final transcript would be with some test marks overridden or added.
+ * @param {object} args - The arguments for the simulation.
+ * @param {object} args.student - The student, containing its academic year.
+ * @param {object} [args.school] - Optional. The student's school, containing its grading scale and rounding rules.
+ * @param {Array<object>} args.blocks - The blocks of the curriculum, with their subjects and tests populated.
+ * @param {Array<object>} args.studentTestResults - The student's actual test results.
+ * @param {Array<{test: string, marks: Array<object>}>} args.hypotheticalResults - The hypothetical marks, by test.
+ * @returns {object} The hypothetical transcript.
+ */
+function GetSimulatedFinalTranscriptPayload({ student, school, blocks, studentTestResults, hypotheticalResults }) {
+    const testsById = new Map(blocks.flatMap(block => block.subjects.flatMap(subject => subject.tests)).map(test => [String(test._id), test]));
+    FinalTranscriptResultValidator.ValidateHypotheticalResultsInput({ hypotheticalResults, testsById });
+
+    return BuildFinalTranscriptPayload({
+        student,
+        school,
+        blocks,
+        studentTestResults: applyHypotheticalResults({ studentTestResults, hypotheticalResults, testsById, school })
+    });
+}
+
+/**
+ * Calculates what a student's final transcript would be with some test marks overridden or added, without saving it.
+ * @param {object} args - The arguments for the simulation.
+ * @param {string} args.studentId - The ID of the student.
+ * @param {Array<{test: string, marks: Array<object>}>} args.hypotheticalResults - The hypothetical marks, by test.
+ * @returns {Promise<object>} A promise that resolves to the hypothetical transcript.
+ */
+async function SimulateFinalTranscript({ studentId, hypotheticalResults }) {
+    const { student, school, blocks, studentTestResults } = await getFinalTranscriptInputs(studentId);
+
+    return {
+        student: studentId,
+        ...GetSimulatedFinalTranscriptPayload({ student, school, blocks, studentTestResults, hypotheticalResults })
+    };
+}
+
+/**
+ * Finds in memory the lowest mark a student needs on a test for the block containing it to pass, all other marks being kept.
+ * Every notation of the test is given the same share of its max points, raised by steps of 1%, and the transcript is
+ * recalculated with the same criteria evaluator at each step, so the first passing step is the answer even when criteria
+ * are not monotonic.
+ * @param {object} args - The arguments for the search.
+ * @param {object} args.student - The student, containing its academic year.
+ * @param {object} [args.school] - Optional. The student's school, containing its grading scale and rounding rules.
+ * @param {Array<object>} args.blocks - The blocks of the curriculum, with their subjects and tests populated.
+ * @param {Array<object>} args.studentTestResults - The student's actual test results.
+ * @param {string} args.testId - The ID of the test.
+ * @returns {object} The block, its current result, and the minimum marks if they exist.
+ */
+function GetMinimumMarkToPassPayload({ student, school, blocks, studentTestResults, testId }) {
+    const block = blocks.find(curriculumBlock => curriculumBlock.subjects.some(subject => subject.tests.some(test => String(test._id) === String(testId))));
+    if (!block) {
+        throw new ApolloError('Test not found in the curriculum of the student', 'NOT_FOUND');
+    }
+
+    const test = block.subjects.flatMap(subject => subject.tests).find(blockTest => String(blockTest._id) === String(testId));
+    if (!test.notations || !test.notations.length) {
+        throw new ApolloError('The test has no notations to mark', 'BAD_USER_INPUT');
+    }
+
+    const getBlockResult = (transcript) => transcript.block_results.find(blockResult => String(blockResult.block) === String(block._id));
+
+    const testsById = new Map([[String(test._id), test]]);
+
+    const currentBlockResult = getBlockResult(BuildFinalTranscriptPayload({ student, school, blocks, studentTestResults }));
+    const minimumMarkToPass = {
+        test: test._id,
+        block: block._id,
+        current_block_result: currentBlockResult ? currentBlockResult.block_result : null,
+        is_reachable: false,
+        minimum_average_mark: null,
+        minimum_marks: []
+    };
+
+    const stepCount = 100;
+    for (let step = 0; step <= stepCount; step++) {
+        const marks = test.notations.map(notation => ({
+            notation_text: notation.notation_text,
+            mark: Number((notation.max_points * step / stepCount).toFixed(2))
+        }));
+
+        const hypotheticalTestResults = applyHypotheticalResults({ studentTestResults, hypotheticalResults: [{ test: test._id, marks }], testsById, school });
+        const transcript = BuildFinalTranscriptPayload({ student, school, blocks, studentTestResults: hypotheticalTestResults });
+
+        const blockResult = getBlockResult(transcript);
+        if (blockResult && blockResult.block_result === 'PASS') {
+            const hypotheticalTestResult = hypotheticalTestResults.find(result => String(result.test) === String(test._id));
+
+            return {
+                ...minimumMarkToPass,
+                is_reachable: true,
+                minimum_average_mark: hypotheticalTestResult.average_mark,
+                minimum_marks: marks
+            };
+        }
+    }
+
+    return minimumMarkToPass;
+}
+
+/**
+ * Finds the lowest mark a student needs on a test for the block containing it to pass, all other marks being kept.
+ * @param {object} args - The arguments for the search.
+ * @param {string} args.studentId - The ID of the student.
+ * @param {string} args.testId - The ID of the test.
+ * @returns {Promise<object>} A promise that resolves to the block, its current result, and the minimum marks if they exist.
+ */
+async function GetMinimumMarkToPass({ studentId, testId }) {
+    const { student, school, blocks, studentTestResults } = await getFinalTranscriptInputs(studentId);
+
+    return GetMinimumMarkToPassPayload({ student, school, blocks, studentTestResults, testId });
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
+    BuildFinalTranscriptPayload,
+    ApplyJuryDecision,
     CalculateFinalTranscript,
-    GenerateFinalTranscriptPdf
+    GetSimulatedFinalTranscriptPayload,
+    SimulateFinalTranscript,
+    GetMinimumMarkToPassPayload,
+    GetMinimumMarkToPass,
+    GenerateFinalTranscriptPdf,
+    GetFinalTranscriptPdfLinkPayload,
+    GetFinalTranscriptVersionDiffPayload,
+    GetUnreleasedTestIds,
+    HideUnreleasedResults
 }
\ No newline at end of file
@@ -0,0 +1,68 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { ApplyJuryDecision } = require('./final_transcript_result.helper');
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Calculates the transcript of a student who failed the first of two blocks and passed the second.
+ * @returns {object} The calculated transcript.
+ */
+function calculateFailedTranscript() {
+    const blocks = ['block-1', 'block-2'].map(blockId => BuildBlock({
+        _id: blockId,
+        subjects: [BuildSubject({ _id: `${blockId}-subject`, tests: [BuildTest({ _id: `${blockId}-test` })] })]
+    }));
+
+    return CalculateTranscript({ blocks, studentTestResults: [BuildTestResult('block-1-test', 8), BuildTestResult('block-2-test', 14)] });
+}
+
+const tests = {
+    'Without a jury decision the calculated results are kept': () => {
+        const finalTranscript = calculateFailedTranscript();
+
+        assert.strictEqual(ApplyJuryDecision({ finalTranscript, juryDecision: undefined }), undefined);
+        assert.strictEqual(finalTranscript.overall_result, 'FAIL');
+    },
+
+    'A decided block result replaces the calculated one, which is kept, and the overall result follows it': () => {
+        const finalTranscript = calculateFailedTranscript();
+
+        const juryDecision = ApplyJuryDecision({
+            finalTranscript,
+            juryDecision: { block_overrides: [{ block: 'block-1', block_result: 'PASS', justification: 'Medical certificate' }] }
+        });
+
+        const blockResult = FindBlockResult(finalTranscript, 'block-1');
+        assert.strictEqual(blockResult.block_result, 'PASS');
+        assert.strictEqual(blockResult.computed_block_result, 'FAIL');
+        assert.strictEqual(blockResult.jury_justification, 'Medical certificate');
+        assert.strictEqual(FindBlockResult(finalTranscript, 'block-2').computed_block_result, undefined);
+        assert.strictEqual(finalTranscript.overall_result, 'PASS');
+        assert.strictEqual(juryDecision.computed_overall_result, 'PASS');
+    },
+
+    'A decided overall result replaces the one derived from the blocks': () => {
+        const finalTranscript = calculateFailedTranscript();
+
+        const juryDecision = ApplyJuryDecision({ finalTranscript, juryDecision: { overall_result: 'PASS', overall_result_justification: 'Compensation' } });
+
+        assert.strictEqual(finalTranscript.overall_result, 'PASS');
+        assert.strictEqual(juryDecision.computed_overall_result, 'FAIL');
+        assert.strictEqual(FindBlockResult(finalTranscript, 'block-1').block_result, 'FAIL');
+    },
+
+    'A decision on a block no longer in the curriculum is ignored': () => {
+        const finalTranscript = calculateFailedTranscript();
+
+        ApplyJuryDecision({ finalTranscript, juryDecision: { block_overrides: [{ block: 'block-removed', block_result: 'PASS' }] } });
+
+        assert.strictEqual(finalTranscript.overall_result, 'FAIL');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -0,0 +1,136 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult, FindSubjectResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Builds a curriculum of one block with one subject made of two tests of weight 0.5, 'test-a' and 'test-b'.
+ * @param {object} [args] - Optional. The arguments for the curriculum.
+ * @param {object} [args.testB] - Optional. Fields replacing the defaults of 'test-b', such as its absence policies.
+ * @param {object} [args.subject] - Optional. Fields replacing the defaults of the subject, such as its criteria.
+ * @param {object} [args.block] - Optional. Fields replacing the defaults of the block, such as its evaluation type.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildCurriculum({ testB, subject, block } = {}) {
+    return [BuildBlock({
+        _id: 'block-1',
+        subjects: [BuildSubject({
+            _id: 'subject-1',
+            tests: [BuildTest({ _id: 'test-a', weight: 0.5 }), BuildTest({ _id: 'test-b', weight: 0.5, ...testB })],
+            ...subject
+        })],
+        ...block
+    })];
+}
+
+const tests = {
+    'An absence counts as zero by default': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum(),
+            studentTestResults: [BuildTestResult('test-a', 16), BuildTestResult('test-b', null, { absence_status: 'ABSENT' })]
+        });
+
+        const testResult = FindTestResult(transcript, 'block-1', 'subject-1', 'test-b');
+        assert.strictEqual(testResult.missing_mark_reason, 'ABSENT');
+        assert.strictEqual(testResult.missing_mark_policy, 'COUNT_AS_ZERO');
+        assert.strictEqual(testResult.test_result, 'FAIL');
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 8);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'FAIL');
+    },
+
+    'An excused absence is left out of the average by default and its weight spread over the other tests': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum(),
+            studentTestResults: [BuildTestResult('test-a', 16), BuildTestResult('test-b', null, { absence_status: 'EXCUSED' })]
+        });
+
+        const testResult = FindTestResult(transcript, 'block-1', 'subject-1', 'test-b');
+        assert.strictEqual(testResult.missing_mark_reason, 'EXCUSED');
+        assert.strictEqual(testResult.missing_mark_policy, 'EXCLUDE_FROM_AVERAGE');
+        assert.strictEqual(testResult.test_weighted_mark, 0);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 16);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'PASS');
+    },
+
+    'The absence policies of a test replace the defaults': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum({ testB: { absence_mark_policy: 'EXCLUDE_FROM_AVERAGE' } }),
+            studentTestResults: [BuildTestResult('test-a', 16), BuildTestResult('test-b', null, { absence_status: 'ABSENT' })]
+        });
+        const excusedTranscript = CalculateTranscript({
+            blocks: buildCurriculum({ testB: { excused_absence_mark_policy: 'COUNT_AS_ZERO' } }),
+            studentTestResults: [BuildTestResult('test-a', 16), BuildTestResult('test-b', null, { absence_status: 'EXCUSED' })]
+        });
+
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 16);
+        assert.strictEqual(FindSubjectResult(excusedTranscript, 'block-1', 'subject-1').subject_total_mark, 8);
+    },
+
+    'A subject whose tests are all left out of the average is incomplete': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum(),
+            studentTestResults: [
+                BuildTestResult('test-a', null, { absence_status: 'EXCUSED' }),
+                BuildTestResult('test-b', null, { absence_status: 'EXCUSED' })
+            ]
+        });
+
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'INCOMPLETE');
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_result, 'INCOMPLETE');
+        assert.strictEqual(transcript.overall_result, 'INCOMPLETE');
+    },
+
+    'A test not taken yet leaves the subject incomplete instead of failed': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum(),
+            studentTestResults: [BuildTestResult('test-a', 4)]
+        });
+
+        const testResult = FindTestResult(transcript, 'block-1', 'subject-1', 'test-b');
+        assert.strictEqual(testResult.missing_mark_reason, 'NOT_TAKEN');
+        assert.strictEqual(testResult.missing_mark_policy, 'BLOCK_SUBJECT_RESULT');
+        assert.strictEqual(testResult.test_result, 'INCOMPLETE');
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'INCOMPLETE');
+    },
+
+    'A result awaiting validation does not count and leaves the subject incomplete': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum(),
+            studentTestResults: [BuildTestResult('test-a', 16), BuildTestResult('test-b', 18, { student_test_result_status: 'PENDING' })]
+        });
+
+        const testResult = FindTestResult(transcript, 'block-1', 'subject-1', 'test-b');
+        assert.strictEqual(testResult.missing_mark_reason, 'NOT_VALIDATED');
+        assert.strictEqual(testResult.test_total_mark, 0);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'INCOMPLETE');
+    },
+
+    'A test left out of the average is not read by the criteria of its subject': () => {
+        const subject = {
+            subject_passing_criteria: { pass_criteria: { expression: { operator: 'ALL', comparison_operator: 'GTE', mark: 10 } } }
+        };
+
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum({ subject }),
+            studentTestResults: [BuildTestResult('test-a', 16), BuildTestResult('test-b', null, { absence_status: 'EXCUSED' })]
+        });
+
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'PASS');
+    },
+
+    'A test left out of the average is not read by the competency level of its subject': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildCurriculum({ block: { evaluation_type: 'COMPETENCY', block_type: 'COMPETENCY' } }),
+            studentTestResults: [BuildTestResult('test-a', 16), BuildTestResult('test-b', null, { absence_status: 'EXCUSED' })]
+        });
+
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').competency_level, 'ACQUIRED');
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_result, 'PASS');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
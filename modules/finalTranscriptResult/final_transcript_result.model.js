@@ -1,6 +1,278 @@
 // *************** IMPORT CORE ***************
 const mongoose = require('mongoose');
 
+const criteriaConditionTraceSchema = mongoose.Schema({
+    // 'AVERAGE' on the entity's own score, or 'MARK' on a notation
+    criteria_type: {
+        type: String
+    },
+
+    // Reference to the subject whose mark the condition reads, if any
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "subject"
+    },
+
+    // Reference to the test whose mark the condition reads, if any
+    test: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "test"
+    },
+
+    // Notation whose mark the condition reads, for 'MARK' conditions
+    notation_text: {
+        type: String
+    },
+
+    // Operator comparing the source mark with the threshold
+    comparison_operator: {
+        type: String
+    },
+
+    // Mark the source mark is compared with
+    threshold: {
+        type: Number
+    },
+
+    // Upper bound of the range, for the 'BETWEEN' operator
+    threshold_max: {
+        type: Number
+    },
+
+    // Mark found for the condition; missing when the student has no such mark, in which case the condition is unknown
+    source_mark: {
+        type: Number
+    },
+
+    // Whether the condition is met
+    is_met: {
+        type: Boolean,
+        required: true
+    },
+
+    // Whether the condition cannot be decided until the missing mark is entered
+    is_unknown: {
+        type: Boolean
+    }
+}, { _id: false });
+
+const criteriaExpressionTraceSchema = mongoose.Schema({
+    // Operator of the expression node: 'AND', 'OR', 'NOT', 'COMPARE', 'AT_LEAST' or 'ALL'
+    operator: {
+        type: String
+    },
+
+    // Operator comparing the source marks with the threshold, for nodes comparing marks
+    comparison_operator: {
+        type: String
+    },
+
+    // Mark the source marks are compared with, or the lower bound of a 'BETWEEN' range
+    threshold: {
+        type: Number
+    },
+
+    // Upper bound of the range, for the 'BETWEEN' operator
+    threshold_max: {
+        type: Number
+    },
+
+    // Number of sources that had to meet the comparison, for 'AT_LEAST'
+    min_count: {
+        type: Number
+    },
+
+    // Number of sources that met the comparison
+    met_count: {
+        type: Number
+    },
+
+    // Marks the node compared, with whether each met the comparison
+    sources: [{
+        _id: false,
+        source_type: {
+            type: String
+        },
+        subject: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "subject"
+        },
+        test: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "test"
+        },
+        notation_text: {
+            type: String
+        },
+        // Missing when the student has no such mark, in which case the comparison is unknown
+        source_mark: {
+            type: Number
+        },
+        is_met: {
+            type: Boolean,
+            required: true
+        },
+        is_unknown: {
+            type: Boolean
+        }
+    }],
+
+    // Whether the node is met
+    is_met: {
+        type: Boolean,
+        required: true
+    },
+
+    // Whether the node cannot be decided until missing marks are entered
+    is_unknown: {
+        type: Boolean
+    }
+}, { _id: false });
+
+// *************** Traces nest like the expressions they explain
+criteriaExpressionTraceSchema.add({
+    operands: [criteriaExpressionTraceSchema]
+});
+
+const criteriaSetTraceSchema = mongoose.Schema({
+    // Condition groups of the set, connected by OR; the conditions of a group are connected by AND
+    groups: [{
+        _id: false,
+        conditions: [criteriaConditionTraceSchema],
+        is_met: {
+            type: Boolean,
+            required: true
+        },
+        is_unknown: {
+            type: Boolean
+        }
+    }],
+
+    // Evaluation of the expression of the set, used instead of its groups when it has one
+    expression: {
+        type: criteriaExpressionTraceSchema
+    },
+
+    // Whether the expression, or at least one group, is met
+    is_met: {
+        type: Boolean,
+        required: true
+    },
+
+    // Whether the set cannot be decided until missing marks are entered
+    is_unknown: {
+        type: Boolean
+    },
+
+    // Whether a condition or source read a mark the student does not have yet
+    has_missing_marks: {
+        type: Boolean
+    }
+}, { _id: false });
+
+const criteriaTraceSchema = mongoose.Schema({
+    // Score of the entity the criteria were evaluated with, for 'AVERAGE' conditions
+    self_score: {
+        type: Number
+    },
+
+    // Evaluation of the pass criteria
+    pass_criteria: {
+        type: criteriaSetTraceSchema
+    },
+
+    // Evaluation of the fail criteria
+    fail_criteria: {
+        type: criteriaSetTraceSchema
+    },
+
+    // Whether the pass criteria are met and the fail criteria are not
+    is_passed: {
+        type: Boolean,
+        required: true
+    },
+
+    // 'PASS', 'FAIL', or 'INCOMPLETE' when the outcome depends on missing marks or the entity leaves unmatched criteria undecided
+    result: {
+        type: String,
+        enum: ['PASS', 'FAIL', 'INCOMPLETE']
+    }
+}, { _id: false });
+
+const juryDecisionSchema = mongoose.Schema({
+    // Reference to the jury session that last reviewed the transcript
+    jury_session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "jury_session"
+    },
+
+    // Block results decided by the jury, replacing the calculated ones
+    block_overrides: [{
+        _id: false,
+
+        // Reference to the block whose result is decided
+        block: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "block",
+            required: true
+        },
+
+        // ‘PASS’ or ‘FAIL’ decided by the jury for the block
+        block_result: {
+            type: String,
+            enum: ['PASS', 'FAIL'],
+            required: true
+        },
+
+        // Reason given by the jury for the decision
+        justification: {
+            type: String,
+            required: true
+        },
+
+        // Reference to the user who recorded the decision
+        decided_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'user',
+            required: true
+        },
+
+        // Timestamp when the decision was recorded
+        decided_at: {
+            type: Date,
+            required: true
+        }
+    }],
+
+    // ‘PASS’ or ‘FAIL’ decided by the jury for the student, replacing the calculated overall result
+    overall_result: {
+        type: String,
+        enum: ['PASS', 'FAIL']
+    },
+
+    // Reason given by the jury for the overall decision
+    overall_result_justification: {
+        type: String
+    },
+
+    // Reference to the user who recorded the overall decision
+    overall_result_decided_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user'
+    },
+
+    // Timestamp when the overall decision was recorded
+    overall_result_decided_at: {
+        type: Date
+    },
+
+    // Overall result as calculated from the blocks, before the jury's overall decision
+    computed_overall_result: {
+        type: String,
+        enum: ['PASS', 'FAIL', 'INCOMPLETE']
+    }
+}, { _id: false });
+
 const finalTranscriptResultSchema = mongoose.Schema({
     // Reference to student model that have this final transcript
     student: {
@@ -9,13 +281,70 @@ const finalTranscriptResultSchema = mongoose.Schema({
         required: true
     },
 
-    // 'PASS' or 'FAIL' for a student, student can be decided as 'PASS' if all blocks also 'PASS'
+    // Reference to the academic year whose curriculum the transcript was calculated with, if the student is enrolled in one
+    academic_year: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "academic_year"
+    },
+
+    // Number of the final transcript version this result was calculated as
+    version: {
+        type: Number
+    },
+
+    // 'PASS' or 'FAIL' for a student, student can be decided as 'PASS' if all blocks counted in the final transcript also 'PASS';
+    // 'INCOMPLETE' when no counted block failed but some are incomplete
     overall_result: {
         type: String,
-        enum: ['PASS', 'FAIL'],
+        enum: ['PASS', 'FAIL', 'INCOMPLETE'],
         required: true
     },
 
+    // Whether the transcript can still be recalculated (DRAFT) or was locked by a jury (FINALIZED)
+    transcript_status: {
+        type: String,
+        enum: ['DRAFT', 'FINALIZED'],
+        default: 'DRAFT'
+    },
+
+    // Decisions of the jury replacing calculated results, kept across recalculations
+    jury_decision: {
+        type: juryDecisionSchema
+    },
+
+    // Timestamp when the jury finalized the transcript
+    finalized_at: {
+        type: Date
+    },
+
+    // Reference to the user who finalized the transcript
+    finalized_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user'
+    },
+
+    // References to the members of the jury who signed the finalized transcript
+    signatories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user'
+    }],
+
+    // Timestamp when a jury last reopened the transcript
+    reopened_at: {
+        type: Date
+    },
+
+    // Reference to the user who last reopened the transcript
+    reopened_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user'
+    },
+
+    // Reason given by the jury for reopening the transcript
+    reopen_justification: {
+        type: String
+    },
+
     // Array of BlockResult object
     block_results: [{
         // Reference to Block model
@@ -25,19 +354,78 @@ const finalTranscriptResultSchema = mongoose.Schema({
             required: true
         },
 
-        // ‘PASS’ or ‘FAIL’ for a block, block can be decided as ‘PASS’ if the block criteria condition achieved
+        // ‘PASS’ or ‘FAIL’ for a block, block can be decided as ‘PASS’ if the block criteria condition achieved;
+        // ‘INCOMPLETE’ when its outcome depends on marks the student does not have yet
         block_result: {
             type: String,
-            enum: ['PASS', 'FAIL'],
+            enum: ['PASS', 'FAIL', 'INCOMPLETE'],
             required: true
         },
 
-        // Total mark of a block, comes from the block’s average total subject marks
+        // Evaluation type of the block when the result was calculated: 'SCORE' or 'COMPETENCY'
+        evaluation_type: {
+            type: String,
+            enum: ['SCORE', 'COMPETENCY']
+        },
+
+        // ‘PASS’, ‘FAIL’ or ‘INCOMPLETE’ as calculated for the block, when the jury decided another result
+        computed_block_result: {
+            type: String,
+            enum: ['PASS', 'FAIL', 'INCOMPLETE']
+        },
+
+        // Reason given by the jury when it decided the block result
+        jury_justification: {
+            type: String
+        },
+
+        // Whether the block counts toward the overall result; blocks that do not are only informational
+        is_counted_in_final_transcript: {
+            type: Boolean,
+            default: true
+        },
+
+        // Reference to the block this RETAKE block result retakes; the retake counts through that block's result
+        retake_of_block: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "block"
+        },
+
+        // Reference to the RETAKE block the student took for this block, if any
+        retake_block: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "block"
+        },
+
+        // ‘PASS’, ‘FAIL’ or ‘INCOMPLETE’ for the block before its retake was considered, if the student took one
+        original_block_result: {
+            type: String,
+            enum: ['PASS', 'FAIL', 'INCOMPLETE']
+        },
+
+        // Whether the block failed and was passed through its retake
+        is_overturned_by_retake: {
+            type: Boolean,
+            default: false
+        },
+
+        // Total mark of a block, comes from the block’s average total subject marks, including the connected transversal subjects
         block_total_mark: {
             type: Number,
             required: true
         },
 
+        // Competency level reached on the block, only in blocks evaluated by COMPETENCY
+        competency_level: {
+            type: String,
+            enum: ['ACQUIRED', 'IN_PROGRESS', 'NOT_ACQUIRED']
+        },
+
+        // Evaluation of the block's passing criteria, explaining its result; missing in blocks evaluated by COMPETENCY
+        criteria_trace: {
+            type: criteriaTraceSchema
+        },
+
         // Array of SubjectResult object
         subject_results: [{
             // Reference to Subject model
@@ -47,10 +435,17 @@ const finalTranscriptResultSchema = mongoose.Schema({
                 required: true
             },
 
-            // ‘PASS’ or ‘FAIL’ for a subject, subject can be decided as ‘PASS’ if the subject criteria condition achieved
+            // Reference to the TRANSVERSAL block the subject belongs to, if it is reported in this block as a connected transversal subject
+            transversal_block: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "block"
+            },
+
+            // ‘PASS’ or ‘FAIL’ for a subject, subject can be decided as ‘PASS’ if the subject criteria condition achieved;
+            // ‘INCOMPLETE’ when its outcome depends on marks the student does not have yet
             subject_result: {
                 type: String,
-                enum: ['PASS', 'FAIL'],
+                enum: ['PASS', 'FAIL', 'INCOMPLETE'],
                 required: true
             },
 
@@ -60,6 +455,17 @@ const finalTranscriptResultSchema = mongoose.Schema({
                 required: true
             },
 
+            // Competency level reached on the subject, only in blocks evaluated by COMPETENCY
+            competency_level: {
+                type: String,
+                enum: ['ACQUIRED', 'IN_PROGRESS', 'NOT_ACQUIRED']
+            },
+
+            // Evaluation of the subject's passing criteria, explaining its result; missing in blocks evaluated by COMPETENCY
+            criteria_trace: {
+                type: criteriaTraceSchema
+            },
+
             // Array of TestResult object
             test_results: [{
                 // Reference to Test model
@@ -69,10 +475,11 @@ const finalTranscriptResultSchema = mongoose.Schema({
                     required: true
                 },
 
-                // ‘PASS’ or ‘FAIL’ for a test, test can be decided as ‘PASS’ if the test criteria condition achieved
+                // ‘PASS’ or ‘FAIL’ for a test, test can be decided as ‘PASS’ if the test criteria condition achieved;
+                // ‘INCOMPLETE’ when the student has no result for it, or its outcome depends on missing marks
                 test_result: {
                     type: String,
-                    enum: ['PASS', 'FAIL'],
+                    enum: ['PASS', 'FAIL', 'INCOMPLETE'],
                     required: true
                 },
 
@@ -86,6 +493,71 @@ const finalTranscriptResultSchema = mongoose.Schema({
                 test_weighted_mark: {
                     type: Number,
                     required: true
+                },
+
+                // Why the student has no mark for the test, if so: NOT_TAKEN when there is no result, NOT_VALIDATED while the result
+                // awaits validation, ABSENT or EXCUSED when the student did not sit it
+                missing_mark_reason: {
+                    type: String,
+                    enum: ['NOT_TAKEN', 'NOT_VALIDATED', 'ABSENT', 'EXCUSED']
+                },
+
+                // How the missing mark was handled, following the test's policy for absences; a mark not taken or not validated yet always
+                // leaves the subject result incomplete
+                missing_mark_policy: {
+                    type: String,
+                    enum: ['EXCLUDE_FROM_AVERAGE', 'COUNT_AS_ZERO', 'BLOCK_SUBJECT_RESULT']
+                },
+
+                // Competency level reached on the test, from the retained attempt, only in blocks evaluated by COMPETENCY
+                competency_level: {
+                    type: String,
+                    enum: ['ACQUIRED', 'IN_PROGRESS', 'NOT_ACQUIRED']
+                },
+
+                // Evaluation of the test's passing criteria on the retained attempt, explaining its result; missing in blocks evaluated by COMPETENCY
+                criteria_trace: {
+                    type: criteriaTraceSchema
+                },
+
+                // Total mark of the first attempt, if the student took the retake of the test
+                original_test_total_mark: {
+                    type: Number
+                },
+
+                // ‘PASS’, ‘FAIL’ or ‘INCOMPLETE’ for the first attempt, if the student took the retake of the test
+                original_test_result: {
+                    type: String,
+                    enum: ['PASS', 'FAIL', 'INCOMPLETE']
+                },
+
+                // Reference to the retake test the student took for this test, if any
+                retake_test: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "test"
+                },
+
+                // Total mark of the retake attempt
+                retake_test_total_mark: {
+                    type: Number
+                },
+
+                // ‘PASS’, ‘FAIL’ or ‘INCOMPLETE’ for the retake attempt
+                retake_test_result: {
+                    type: String,
+                    enum: ['PASS', 'FAIL', 'INCOMPLETE']
+                },
+
+                // Policy used to combine the attempts: 'SUBSTITUTE' or 'BEST_OF'
+                retake_mark_policy: {
+                    type: String,
+                    enum: ['SUBSTITUTE', 'BEST_OF']
+                },
+
+                // Whether the retake attempt is the one retained for the test's mark and result
+                is_retake_applied: {
+                    type: Boolean,
+                    default: false
                 }
             }]
         }],
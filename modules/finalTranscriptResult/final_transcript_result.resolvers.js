@@ -3,6 +3,12 @@ const { ApolloError } = require('apollo-server');
 
 // *************** IMPORT MODULE *************** 
 const FinalTranscriptResultModel = require('./final_transcript_result.model');
+const FinalTranscriptVersionModel = require('./final_transcript_version.model');
+const StudentModel = require('../student/student.model');
+
+// *************** IMPORT HELPER FUNCTION *************** 
+const FinalTranscriptResultHelper = require('./final_transcript_result.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const FinalTranscriptResultValidator = require('./final_transcript_result.validator')
@@ -11,21 +17,47 @@ const CommonValidator = require('../../shared/validator/index');
 // *************** QUERY ***************
 /**
  * GraphQL resolver to fetch the final transcript result for a single student.
+ * A student only sees the results of the tests released to them, following each test's result visibility.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.studentId - The unique identifier of the student.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools and role.
  * @returns {Promise<object>} - A promise that resolves to the found final transcript result object.
  */
-async function GetFinalTranscriptResult(_, { studentId }) {
+async function GetFinalTranscriptResult(_, { studentId }, context) {
     try {
         CommonValidator.ValidateObjectId(studentId);
 
-        const finalTranscriptResult = await FinalTranscriptResultModel.findOne({ student: studentId });
+        // *************** Only the transcripts of the students of the caller's schools can be read
+        const studentExists = await StudentModel.exists({
+            _id: studentId,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        });
+        if (!studentExists) {
+            throw new ApolloError('Student not found', 'NOT_FOUND');
+        }
+
+        const finalTranscriptResult = await FinalTranscriptResultModel.findOne({ student: studentId }).lean();
         if (!finalTranscriptResult) {
             throw new ApolloError('Final transcript result not found', 'NOT_FOUND');
         }
 
-        return finalTranscriptResult;
+        if (context.user.role !== 'STUDENT') {
+            return finalTranscriptResult;
+        }
+
+        // *************** Hide the results not released to the student yet
+        const isJuryDecided = finalTranscriptResult.transcript_status === 'FINALIZED';
+        const unreleasedTestIds = await FinalTranscriptResultHelper.GetUnreleasedTestIds({
+            blockResults: finalTranscriptResult.block_results,
+            isJuryDecided
+        });
+
+        return FinalTranscriptResultHelper.HideUnreleasedResults({
+            transcript: finalTranscriptResult,
+            unreleasedTestIds,
+            isOverallResultDecided: isJuryDecided
+        });
     } catch (error) {
         console.error('Unexpected error in GetFinalTranscriptResult:', error);
 
@@ -35,6 +67,248 @@ async function GetFinalTranscriptResult(_, { studentId }) {
     }
 }
 
+/**
+ * GraphQL resolver to issue a short-lived signed link for downloading a student's final transcript PDF.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.studentId - The unique identifier of the student.
+ * @param {boolean} [args.include_criteria_trace] - Optional. Whether the PDF ends with an appendix explaining each criteria evaluation.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools and role.
+ * @returns {Promise<object>} - A promise that resolves to the signed link and its expiration date.
+ */
+async function GetFinalTranscriptPdfLink(_, { studentId, include_criteria_trace }, context) {
+    try {
+        CommonValidator.ValidateObjectId(studentId);
+
+        const studentExists = await StudentModel.exists({
+            _id: studentId,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        });
+        if (!studentExists) {
+            throw new ApolloError('Student not found', 'NOT_FOUND');
+        }
+
+        const finalTranscriptResult = await FinalTranscriptResultModel.exists({ student: studentId });
+        if (!finalTranscriptResult) {
+            throw new ApolloError('Final transcript result not found', 'NOT_FOUND');
+        }
+
+        const pdfLink = FinalTranscriptResultHelper.GetFinalTranscriptPdfLinkPayload({
+            studentId,
+            includeCriteriaTrace: include_criteria_trace,
+            role: context.user.role
+        });
+
+        return pdfLink;
+    } catch (error) {
+        console.error('Unexpected error in GetFinalTranscriptPdfLink:', error);
+
+        throw new ApolloError('Failed to generate final transcript PDF link', 'GET_FINAL_TRANSCRIPT_PDF_LINK_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to fetch every calculated version of a student's final transcript, the latest first.
+ * A student only sees the results and validated input marks of the tests released to them.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.studentId - The unique identifier of the student.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools and role.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the versions of the transcript.
+ */
+async function GetFinalTranscriptHistory(_, { studentId }, context) {
+    try {
+        CommonValidator.ValidateObjectId(studentId);
+
+        const studentExists = await StudentModel.exists({
+            _id: studentId,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        });
+        if (!studentExists) {
+            throw new ApolloError('Student not found', 'NOT_FOUND');
+        }
+
+        const finalTranscriptVersions = await FinalTranscriptVersionModel.find({ student: studentId })
+            .select({ curriculum_snapshot: 0 })
+            .sort({ version: -1 })
+            .lean();
+
+        if (context.user.role !== 'STUDENT') {
+            return finalTranscriptVersions;
+        }
+
+        // *************** Hide the results not released to the student yet, in every version
+        const isJuryDecided = Boolean(await FinalTranscriptResultModel.exists({ student: studentId, transcript_status: 'FINALIZED' }));
+        const unreleasedTestIds = await FinalTranscriptResultHelper.GetUnreleasedTestIds({
+            blockResults: finalTranscriptVersions.flatMap(finalTranscriptVersion => finalTranscriptVersion.block_results),
+            inputMarks: finalTranscriptVersions.flatMap(finalTranscriptVersion => finalTranscriptVersion.input_marks),
+            isJuryDecided
+        });
+
+        return finalTranscriptVersions.map(finalTranscriptVersion => {
+            // *************** Versions also keep the results still pending validation, which a student never sees
+            const pendingTestIds = finalTranscriptVersion.input_marks
+                .filter(inputMark => inputMark.student_test_result_status !== 'VALIDATED')
+                .map(inputMark => String(inputMark.test));
+            const hiddenTestIds = new Set([...unreleasedTestIds, ...pendingTestIds]);
+
+            return {
+                ...FinalTranscriptResultHelper.HideUnreleasedResults({
+                    transcript: finalTranscriptVersion,
+                    unreleasedTestIds: hiddenTestIds,
+                    isOverallResultDecided: isJuryDecided && Boolean(finalTranscriptVersion.jury_decision)
+                }),
+                input_marks: finalTranscriptVersion.input_marks.filter(inputMark => !hiddenTestIds.has(String(inputMark.test)))
+            };
+        });
+    } catch (error) {
+        console.error('Unexpected error in GetFinalTranscriptHistory:', error);
+
+        throw new ApolloError('Failed to retrieve final transcript history', 'GET_FINAL_TRANSCRIPT_HISTORY_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to compare two versions of a student's final transcript at block, subject and test level.
+ * A student does not see the changes of the tests not released to them, nor of the results calculated from them.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.studentId - The unique identifier of the student.
+ * @param {number} args.from_version - The number of the older version.
+ * @param {number} args.to_version - The number of the newer version.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools and role.
+ * @returns {Promise<object>} - A promise that resolves to the differences between the versions.
+ */
+async function GetFinalTranscriptVersionDiff(_, { studentId, from_version, to_version }, context) {
+    try {
+        CommonValidator.ValidateObjectId(studentId);
+        FinalTranscriptResultValidator.ValidateVersionDiffInput({ fromVersion: from_version, toVersion: to_version });
+
+        const studentExists = await StudentModel.exists({
+            _id: studentId,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        });
+        if (!studentExists) {
+            throw new ApolloError('Student not found', 'NOT_FOUND');
+        }
+
+        const finalTranscriptVersions = await FinalTranscriptVersionModel.find({ student: studentId, version: { $in: [from_version, to_version] } })
+            .select({ curriculum_snapshot: 0, input_marks: 0 })
+            .lean();
+
+        let fromVersion = finalTranscriptVersions.find(finalTranscriptVersion => finalTranscriptVersion.version === from_version);
+        let toVersion = finalTranscriptVersions.find(finalTranscriptVersion => finalTranscriptVersion.version === to_version);
+        if (!fromVersion || !toVersion) {
+            throw new ApolloError('Final transcript version not found', 'NOT_FOUND');
+        }
+
+        // *************** Hidden results compare as equal, so a student does not see their marks change
+        if (context.user.role === 'STUDENT') {
+            const isJuryDecided = Boolean(await FinalTranscriptResultModel.exists({ student: studentId, transcript_status: 'FINALIZED' }));
+            const unreleasedTestIds = await FinalTranscriptResultHelper.GetUnreleasedTestIds({
+                blockResults: [...fromVersion.block_results, ...toVersion.block_results],
+                isJuryDecided
+            });
+
+            fromVersion = FinalTranscriptResultHelper.HideUnreleasedResults({
+                transcript: fromVersion,
+                unreleasedTestIds,
+                isOverallResultDecided: isJuryDecided && Boolean(fromVersion.jury_decision)
+            });
+            toVersion = FinalTranscriptResultHelper.HideUnreleasedResults({
+                transcript: toVersion,
+                unreleasedTestIds,
+                isOverallResultDecided: isJuryDecided && Boolean(toVersion.jury_decision)
+            });
+        }
+
+        const finalTranscriptDiff = FinalTranscriptResultHelper.GetFinalTranscriptVersionDiffPayload({ fromVersion, toVersion });
+
+        return finalTranscriptDiff;
+    } catch (error) {
+        console.error('Unexpected error in GetFinalTranscriptVersionDiff:', error);
+
+        throw new ApolloError('Failed to compare final transcript versions', 'GET_FINAL_TRANSCRIPT_VERSION_DIFF_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to calculate what a student's final transcript would be with some test marks overridden or added.
+ * Nothing is saved.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.studentId - The unique identifier of the student.
+ * @param {Array<object>} args.hypothetical_results - The hypothetical marks, by test.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the hypothetical final transcript result.
+ */
+async function SimulateFinalTranscript(_, { studentId, hypothetical_results }, context) {
+    try {
+        CommonValidator.ValidateObjectId(studentId);
+
+        const studentExists = await StudentModel.exists({
+            _id: studentId,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        });
+        if (!studentExists) {
+            throw new ApolloError('Student not found', 'NOT_FOUND');
+        }
+
+        const simulatedFinalTranscriptResult = await FinalTranscriptResultHelper.SimulateFinalTranscript({
+            studentId,
+            hypotheticalResults: hypothetical_results
+        });
+
+        return simulatedFinalTranscriptResult;
+    } catch (error) {
+        console.error('Unexpected error in SimulateFinalTranscript:', error);
+
+        throw new ApolloError('Failed to simulate final transcript', 'SIMULATE_FINAL_TRANSCRIPT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to find the lowest mark a student needs on a test for the block containing it to pass.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.studentId - The unique identifier of the student.
+ * @param {string} args.testId - The unique identifier of the test.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the block, its current result, and the minimum marks if they exist.
+ */
+async function MinimumMarkToPass(_, { studentId, testId }, context) {
+    try {
+        CommonValidator.ValidateObjectId(studentId);
+        CommonValidator.ValidateObjectId(testId);
+
+        const studentExists = await StudentModel.exists({
+            _id: studentId,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        });
+        if (!studentExists) {
+            throw new ApolloError('Student not found', 'NOT_FOUND');
+        }
+
+        const minimumMarkToPass = await FinalTranscriptResultHelper.GetMinimumMarkToPass({ studentId, testId });
+
+        return minimumMarkToPass;
+    } catch (error) {
+        console.error('Unexpected error in MinimumMarkToPass:', error);
+
+        throw new ApolloError('Failed to calculate the minimum mark to pass', 'MINIMUM_MARK_TO_PASS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** LOADER ***************
 /**
  * Loads the student associated with a final transcript result using a DataLoader.
@@ -102,6 +376,32 @@ async function UpdatedByLoader(finalTranscriptResult, _, context) {
     }
 }
 
+/**
+ * Loads the academic year the final transcript result was calculated for using a DataLoader.
+ * @param {object} finalTranscriptResult - The parent final transcript result object.
+ * @param {string} [finalTranscriptResult.academic_year] - The ID of the academic year to load, if any.
+ * @param {object} _ - The arguments object, not used here.
+ * @param {object} context - The GraphQL context containing dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the academic year object, or null if there is none.
+ */
+async function AcademicYearLoader(finalTranscriptResult, _, context) {
+    try {
+        FinalTranscriptResultValidator.ValidateAcademicYearLoaderInput(finalTranscriptResult, context);
+
+        if (!finalTranscriptResult.academic_year) {
+            return null;
+        }
+
+        const academicYear = await context.dataLoaders.AcademicYearLoader.load(finalTranscriptResult.academic_year);
+
+        return academicYear;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch academic year`, 'ACADEMIC_YEAR_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 /**
  * Loads the block associated with a block result using a DataLoader.
  * @param {object} parent - The parent object.
@@ -124,6 +424,84 @@ async function BlockLoader(parent, _, context) {
     }
 }
 
+/**
+ * Loads the block a RETAKE block result retakes using a DataLoader.
+ * @param {object} parent - The parent block result object.
+ * @param {string} [parent.retake_of_block] - The ID of the retaken block, if the result is a retake.
+ * @param {object} _ - The arguments object, not used here.
+ * @param {object} context - The GraphQL context containing dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the block object, or null if the result is not a retake.
+ */
+async function RetakeOfBlockLoader(parent, _, context) {
+    try {
+        if (!parent.retake_of_block) {
+            return null;
+        }
+
+        FinalTranscriptResultValidator.ValidateBlockLoaderInput(parent, context, 'retake_of_block');
+
+        const block = await context.dataLoaders.BlockLoader.load(parent.retake_of_block);
+
+        return block;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch block`, 'BLOCK_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the RETAKE block the student took for a block result using a DataLoader.
+ * @param {object} parent - The parent block result object.
+ * @param {string} [parent.retake_block] - The ID of the RETAKE block, if the student took one.
+ * @param {object} _ - The arguments object, not used here.
+ * @param {object} context - The GraphQL context containing dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the block object, or null if there was no retake.
+ */
+async function RetakeBlockLoader(parent, _, context) {
+    try {
+        if (!parent.retake_block) {
+            return null;
+        }
+
+        FinalTranscriptResultValidator.ValidateBlockLoaderInput(parent, context, 'retake_block');
+
+        const block = await context.dataLoaders.BlockLoader.load(parent.retake_block);
+
+        return block;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch block`, 'BLOCK_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the TRANSVERSAL block a subject result comes from using a DataLoader.
+ * @param {object} parent - The parent subject result object.
+ * @param {string} [parent.transversal_block] - The ID of the TRANSVERSAL block, if the subject is a connected transversal subject.
+ * @param {object} _ - The arguments object, not used here.
+ * @param {object} context - The GraphQL context containing dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the block object, or null if the subject belongs to the block itself.
+ */
+async function TransversalBlockLoader(parent, _, context) {
+    try {
+        if (!parent.transversal_block) {
+            return null;
+        }
+
+        FinalTranscriptResultValidator.ValidateBlockLoaderInput(parent, context, 'transversal_block');
+
+        const block = await context.dataLoaders.BlockLoader.load(parent.transversal_block);
+
+        return block;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch block`, 'BLOCK_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 /**
  * Loads the parent subject for a subject result using a DataLoader.
  * @param {object} parent - The parent parent object.
@@ -168,27 +546,362 @@ async function TestLoader(parent, _, context) {
     }
 }
 
+/**
+ * Loads the retake test the student took for a test result using a DataLoader.
+ * @param {object} parent - The parent test result object.
+ * @param {string} [parent.retake_test] - The ID of the retake test, if the student took one.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the test object, or null if there was no retake.
+ */
+async function RetakeTestLoader(parent, _, context) {
+    try {
+        if (!parent.retake_test) {
+            return null;
+        }
+
+        FinalTranscriptResultValidator.ValidateTestLoaderInput(parent, context, 'retake_test');
+
+        const test = await context.dataLoaders.TestLoader.load(parent.retake_test);
+
+        return test;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch test`, 'TEST_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the student test result whose validation triggered a transcript version using a DataLoader.
+ * @param {object} finalTranscriptVersion - The parent final transcript version object.
+ * @param {string} [finalTranscriptVersion.trigger_student_test_result] - The ID of the student test result, if a validation triggered the version.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the student test result, or null if the version was not triggered by a validation.
+ */
+async function TriggerStudentTestResultLoader(finalTranscriptVersion, _, context) {
+    try {
+        if (!finalTranscriptVersion.trigger_student_test_result) {
+            return null;
+        }
+
+        FinalTranscriptResultValidator.ValidateStudentTestResultLoaderInput(finalTranscriptVersion, context);
+
+        const studentTestResult = await context.dataLoaders.StudentTestResultLoader.load(finalTranscriptVersion.trigger_student_test_result);
+
+        return studentTestResult;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch student test result`, 'STUDENT_TEST_RESULT_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the subject a traced criteria condition or expression source reads the mark of, or a transcript change is about, using a DataLoader.
+ * @param {object} parent - The parent condition trace or transcript change object.
+ * @param {string} [parent.subject] - The ID of the subject, if the condition reads a subject's mark or the change is about a subject.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the subject object, or null if the condition reads no subject.
+ */
+async function ConditionSubjectLoader(parent, _, context) {
+    try {
+        if (!parent.subject) {
+            return null;
+        }
+
+        FinalTranscriptResultValidator.ValidateSubjectLoaderInput(parent, context);
+
+        const subject = await context.dataLoaders.SubjectLoader.load(parent.subject);
+
+        return subject;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch subject`, 'SUBJECT_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the test a traced criteria condition or expression source reads the mark of, or a transcript change is about, using a DataLoader.
+ * @param {object} parent - The parent condition trace or transcript change object.
+ * @param {string} [parent.test] - The ID of the test, if the condition reads a test's mark or the change is about a test.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the test object, or null if the condition reads no test.
+ */
+async function ConditionTestLoader(parent, _, context) {
+    try {
+        if (!parent.test) {
+            return null;
+        }
+
+        FinalTranscriptResultValidator.ValidateTestLoaderInput(parent, context);
+
+        const test = await context.dataLoaders.TestLoader.load(parent.test);
+
+        return test;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch test`, 'TEST_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who finalized the transcript using a DataLoader.
+ * @param {object} finalTranscriptResult - The parent final transcript result object.
+ * @param {string} [finalTranscriptResult.finalized_by] - The ID of the user who finalized the transcript, if it is finalized.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the user object, or null if the transcript is not finalized.
+ */
+async function FinalizedByLoader(finalTranscriptResult, _, context) {
+    try {
+        FinalTranscriptResultValidator.ValidateUserLoaderInput(finalTranscriptResult, context, 'finalized_by');
+
+        if (!finalTranscriptResult.finalized_by) {
+            return null;
+        }
+
+        const finalizedBy = await context.dataLoaders.UserLoader.load(finalTranscriptResult.finalized_by);
+
+        return finalizedBy;
+    } catch (error) {
+        throw new ApolloError('Failed to fetch user', 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who last reopened the transcript using a DataLoader.
+ * @param {object} finalTranscriptResult - The parent final transcript result object.
+ * @param {string} [finalTranscriptResult.reopened_by] - The ID of the user who reopened the transcript, if it was reopened.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the user object, or null if the transcript was never reopened.
+ */
+async function ReopenedByLoader(finalTranscriptResult, _, context) {
+    try {
+        FinalTranscriptResultValidator.ValidateUserLoaderInput(finalTranscriptResult, context, 'reopened_by');
+
+        if (!finalTranscriptResult.reopened_by) {
+            return null;
+        }
+
+        const reopenedBy = await context.dataLoaders.UserLoader.load(finalTranscriptResult.reopened_by);
+
+        return reopenedBy;
+    } catch (error) {
+        throw new ApolloError('Failed to fetch user', 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the members of the jury who signed the finalized transcript using a DataLoader.
+ * @param {object} finalTranscriptResult - The parent final transcript result object.
+ * @param {Array<string>} [finalTranscriptResult.signatories] - The IDs of the signatories.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the user objects, empty if the transcript is not finalized.
+ */
+async function SignatoriesLoader(finalTranscriptResult, _, context) {
+    try {
+        FinalTranscriptResultValidator.ValidateUserLoaderInput(finalTranscriptResult, context, 'signatories');
+
+        const signatories = await context.dataLoaders.UserLoader.loadMany(finalTranscriptResult.signatories || []);
+
+        return signatories.filter(Boolean);
+    } catch (error) {
+        throw new ApolloError('Failed to fetch users', 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the jury session that last reviewed the transcript using a DataLoader.
+ * @param {object} juryDecision - The parent jury decision object.
+ * @param {string} [juryDecision.jury_session] - The ID of the jury session to load.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the jury session object, or null if there is none.
+ */
+async function JurySessionLoader(juryDecision, _, context) {
+    try {
+        FinalTranscriptResultValidator.ValidateJurySessionLoaderInput(juryDecision, context);
+
+        if (!juryDecision.jury_session) {
+            return null;
+        }
+
+        const jurySession = await context.dataLoaders.JurySessionLoader.load(juryDecision.jury_session);
+
+        return jurySession;
+    } catch (error) {
+        throw new ApolloError('Failed to fetch jury session', 'JURY_SESSION_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who recorded the overall result decided by the jury using a DataLoader.
+ * @param {object} juryDecision - The parent jury decision object.
+ * @param {string} [juryDecision.overall_result_decided_by] - The ID of the user who recorded the decision, if any.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the user object, or null if the jury did not decide the overall result.
+ */
+async function OverallResultDecidedByLoader(juryDecision, _, context) {
+    try {
+        FinalTranscriptResultValidator.ValidateUserLoaderInput(juryDecision, context, 'overall_result_decided_by');
+
+        if (!juryDecision.overall_result_decided_by) {
+            return null;
+        }
+
+        const decidedBy = await context.dataLoaders.UserLoader.load(juryDecision.overall_result_decided_by);
+
+        return decidedBy;
+    } catch (error) {
+        throw new ApolloError('Failed to fetch user', 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who recorded a block result decided by the jury using a DataLoader.
+ * @param {object} blockOverride - The parent jury block override object.
+ * @param {string} blockOverride.decided_by - The ID of the user who recorded the decision.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the user object.
+ */
+async function DecidedByLoader(blockOverride, _, context) {
+    try {
+        FinalTranscriptResultValidator.ValidateUserLoaderInput(blockOverride, context, 'decided_by');
+
+        const decidedBy = await context.dataLoaders.UserLoader.load(blockOverride.decided_by);
+
+        return decidedBy;
+    } catch (error) {
+        throw new ApolloError('Failed to fetch user', 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Resolves whether a block result counts toward the overall result. Results calculated before the flag existed are considered counted.
+ * @param {object} blockResult - The parent block result object.
+ * @returns {boolean} - False only if the block was explicitly excluded from the final transcript.
+ */
+function IsCountedInFinalTranscriptResolver(blockResult) {
+    return blockResult.is_counted_in_final_transcript !== false;
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
     Query: {
-        GetFinalTranscriptResult
+        GetFinalTranscriptResult,
+        GetFinalTranscriptPdfLink,
+        GetFinalTranscriptHistory,
+        GetFinalTranscriptVersionDiff,
+        SimulateFinalTranscript,
+        MinimumMarkToPass
     },
 
     FinalTranscriptResult: {
         student: StudentLoader,
+        academic_year: AcademicYearLoader,
+        transcript_status: (finalTranscriptResult) => finalTranscriptResult.transcript_status || 'DRAFT',
+        is_overall_result_hidden: (finalTranscriptResult) => Boolean(finalTranscriptResult.is_overall_result_hidden),
+        finalized_by: FinalizedByLoader,
+        signatories: SignatoriesLoader,
+        reopened_by: ReopenedByLoader,
         created_by: CreatedByLoader,
         updated_by: UpdatedByLoader,
     },
 
+    JuryDecision: {
+        jury_session: JurySessionLoader,
+        block_overrides: (juryDecision) => juryDecision.block_overrides || [],
+        overall_result_decided_by: OverallResultDecidedByLoader,
+    },
+
+    JuryBlockOverride: {
+        block: BlockLoader,
+        decided_by: DecidedByLoader,
+    },
+
+    FinalTranscriptVersion: {
+        student: StudentLoader,
+        academic_year: AcademicYearLoader,
+        trigger_student_test_result: TriggerStudentTestResultLoader,
+        created_by: CreatedByLoader,
+        is_overall_result_hidden: (finalTranscriptVersion) => Boolean(finalTranscriptVersion.is_overall_result_hidden),
+    },
+
+    TranscriptInputMark: {
+        test: TestLoader,
+    },
+
+    FinalTranscriptDiff: {
+        student: StudentLoader,
+    },
+
+    TranscriptChange: {
+        block: BlockLoader,
+        subject: ConditionSubjectLoader,
+        test: ConditionTestLoader,
+    },
+
+    SimulatedFinalTranscriptResult: {
+        student: StudentLoader,
+        academic_year: AcademicYearLoader,
+    },
+
+    MinimumMarkToPass: {
+        test: TestLoader,
+        block: BlockLoader,
+    },
+
     BlockResult: {
         block: BlockLoader,
+        is_counted_in_final_transcript: IsCountedInFinalTranscriptResolver,
+        retake_of_block: RetakeOfBlockLoader,
+        retake_block: RetakeBlockLoader,
+        is_overturned_by_retake: (blockResult) => Boolean(blockResult.is_overturned_by_retake),
+        is_result_hidden: (blockResult) => Boolean(blockResult.is_result_hidden),
     },
 
     SubjectResult: {
         subject: SubjectLoader,
+        transversal_block: TransversalBlockLoader,
+        is_result_hidden: (subjectResult) => Boolean(subjectResult.is_result_hidden),
     },
 
     TestResult: {
         test: TestLoader,
+        retake_test: RetakeTestLoader,
+        is_retake_applied: (testResult) => Boolean(testResult.is_retake_applied),
+        is_result_hidden: (testResult) => Boolean(testResult.is_result_hidden),
+    },
+
+    CriteriaConditionTrace: {
+        subject: ConditionSubjectLoader,
+        test: ConditionTestLoader,
+    },
+
+    CriteriaSourceTrace: {
+        subject: ConditionSubjectLoader,
+        test: ConditionTestLoader,
     }
-}
+}
\ No newline at end of file
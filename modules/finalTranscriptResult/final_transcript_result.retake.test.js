@@ -0,0 +1,175 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult, FindSubjectResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Builds a curriculum of one block whose subject has an exam and its retake.
+ * @param {string} [retakeMarkPolicy] - Optional. The retake mark policy of the retake test.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildRetakeTestCurriculum(retakeMarkPolicy) {
+    return [BuildBlock({
+        _id: 'block-1',
+        subjects: [BuildSubject({
+            _id: 'subject-1',
+            tests: [
+                BuildTest({ _id: 'exam' }),
+                BuildTest({ _id: 'exam-retake', is_retake: true, connected_test: 'exam', retake_mark_policy: retakeMarkPolicy })
+            ]
+        })]
+    })];
+}
+
+/**
+ * Builds a curriculum of a block and the RETAKE block retaking it, each with one subject and one test.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildRetakeBlockCurriculum() {
+    return [
+        BuildBlock({ _id: 'block-1', subjects: [BuildSubject({ _id: 'subject-1', tests: [BuildTest({ _id: 'exam' })] })] }),
+        BuildBlock({
+            _id: 'block-1-retake',
+            block_type: 'RETAKE',
+            connected_block: 'block-1',
+            subjects: [BuildSubject({ _id: 'subject-1-retake', tests: [BuildTest({ _id: 'exam-retake' })] })]
+        })
+    ];
+}
+
+const tests = {
+    'A retake test is reported with the test it retakes': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildRetakeTestCurriculum('SUBSTITUTE'),
+            studentTestResults: [BuildTestResult('exam', 6), BuildTestResult('exam-retake', 11)]
+        });
+
+        const subjectResult = FindSubjectResult(transcript, 'block-1', 'subject-1');
+        assert.deepStrictEqual(subjectResult.test_results.map(testResult => testResult.test), ['exam']);
+        assert.strictEqual(subjectResult.test_results[0].retake_test, 'exam-retake');
+    },
+
+    'SUBSTITUTE retains the retake mark even when it is lower': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildRetakeTestCurriculum('SUBSTITUTE'),
+            studentTestResults: [BuildTestResult('exam', 12), BuildTestResult('exam-retake', 8)]
+        });
+
+        const testResult = FindTestResult(transcript, 'block-1', 'subject-1', 'exam');
+        assert.strictEqual(testResult.is_retake_applied, true);
+        assert.strictEqual(testResult.test_total_mark, 8);
+        assert.strictEqual(testResult.test_result, 'FAIL');
+        assert.strictEqual(testResult.original_test_total_mark, 12);
+        assert.strictEqual(testResult.original_test_result, 'PASS');
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_total_mark, 8);
+    },
+
+    'BEST_OF retains the higher of both marks': () => {
+        const improvedTranscript = CalculateTranscript({
+            blocks: buildRetakeTestCurriculum('BEST_OF'),
+            studentTestResults: [BuildTestResult('exam', 6), BuildTestResult('exam-retake', 11)]
+        });
+        const lowerTranscript = CalculateTranscript({
+            blocks: buildRetakeTestCurriculum('BEST_OF'),
+            studentTestResults: [BuildTestResult('exam', 12), BuildTestResult('exam-retake', 8)]
+        });
+
+        const improvedTestResult = FindTestResult(improvedTranscript, 'block-1', 'subject-1', 'exam');
+        assert.strictEqual(improvedTestResult.is_retake_applied, true);
+        assert.strictEqual(improvedTestResult.test_total_mark, 11);
+        assert.strictEqual(improvedTestResult.test_result, 'PASS');
+
+        const lowerTestResult = FindTestResult(lowerTranscript, 'block-1', 'subject-1', 'exam');
+        assert.strictEqual(lowerTestResult.is_retake_applied, false);
+        assert.strictEqual(lowerTestResult.test_total_mark, 12);
+        assert.strictEqual(lowerTestResult.retake_test_total_mark, 8);
+    },
+
+    'A retake without a policy follows the configured default, SUBSTITUTE when none is configured': () => {
+        const configuredPolicy = config.RETAKE_MARK_POLICY;
+        const studentTestResults = [BuildTestResult('exam', 12), BuildTestResult('exam-retake', 8)];
+
+        try {
+            config.RETAKE_MARK_POLICY = undefined;
+            const defaultTestResult = FindTestResult(CalculateTranscript({ blocks: buildRetakeTestCurriculum(undefined), studentTestResults }), 'block-1', 'subject-1', 'exam');
+            assert.strictEqual(defaultTestResult.retake_mark_policy, 'SUBSTITUTE');
+            assert.strictEqual(defaultTestResult.test_total_mark, 8);
+
+            config.RETAKE_MARK_POLICY = 'best_of';
+            const configuredTestResult = FindTestResult(CalculateTranscript({ blocks: buildRetakeTestCurriculum(undefined), studentTestResults }), 'block-1', 'subject-1', 'exam');
+            assert.strictEqual(configuredTestResult.retake_mark_policy, 'BEST_OF');
+            assert.strictEqual(configuredTestResult.test_total_mark, 12);
+        } finally {
+            config.RETAKE_MARK_POLICY = configuredPolicy;
+        }
+    },
+
+    'A retake replaces a missing original mark whatever the policy': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildRetakeTestCurriculum('BEST_OF'),
+            studentTestResults: [BuildTestResult('exam-retake', 11)]
+        });
+
+        const testResult = FindTestResult(transcript, 'block-1', 'subject-1', 'exam');
+        assert.strictEqual(testResult.is_retake_applied, true);
+        assert.strictEqual(testResult.test_total_mark, 11);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-1', 'subject-1').subject_result, 'PASS');
+    },
+
+    'Criteria reading the retaken test see the retained mark': () => {
+        const blocks = buildRetakeTestCurriculum('SUBSTITUTE');
+        blocks[0].subjects[0].subject_passing_criteria = {
+            pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'TEST', test: 'exam' }] } }
+        };
+
+        const transcript = CalculateTranscript({ blocks, studentTestResults: [BuildTestResult('exam', 6), BuildTestResult('exam-retake', 14)] });
+
+        const subjectResult = FindSubjectResult(transcript, 'block-1', 'subject-1');
+        assert.strictEqual(subjectResult.subject_result, 'PASS');
+        assert.strictEqual(subjectResult.criteria_trace.pass_criteria.expression.sources[0].source_mark, 14);
+    },
+
+    'A RETAKE block is only reported once the student has taken one of its tests': () => {
+        const transcript = CalculateTranscript({ blocks: buildRetakeBlockCurriculum(), studentTestResults: [BuildTestResult('exam', 6)] });
+
+        assert.strictEqual(FindBlockResult(transcript, 'block-1-retake'), undefined);
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_result, 'FAIL');
+        assert.strictEqual(transcript.overall_result, 'FAIL');
+    },
+
+    'A passed RETAKE block overturns the failed block it retakes': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildRetakeBlockCurriculum(),
+            studentTestResults: [BuildTestResult('exam', 6), BuildTestResult('exam-retake', 12)]
+        });
+
+        const blockResult = FindBlockResult(transcript, 'block-1');
+        const retakeBlockResult = FindBlockResult(transcript, 'block-1-retake');
+        assert.strictEqual(blockResult.block_result, 'PASS');
+        assert.strictEqual(blockResult.original_block_result, 'FAIL');
+        assert.strictEqual(blockResult.is_overturned_by_retake, true);
+        assert.strictEqual(blockResult.retake_block, 'block-1-retake');
+        assert.strictEqual(retakeBlockResult.retake_of_block, 'block-1');
+        assert.strictEqual(retakeBlockResult.is_counted_in_final_transcript, false);
+        assert.strictEqual(transcript.overall_result, 'PASS');
+    },
+
+    'A failed RETAKE block keeps the block failed': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildRetakeBlockCurriculum(),
+            studentTestResults: [BuildTestResult('exam', 6), BuildTestResult('exam-retake', 7)]
+        });
+
+        const blockResult = FindBlockResult(transcript, 'block-1');
+        assert.strictEqual(blockResult.block_result, 'FAIL');
+        assert.strictEqual(blockResult.is_overturned_by_retake, undefined);
+        assert.strictEqual(transcript.overall_result, 'FAIL');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
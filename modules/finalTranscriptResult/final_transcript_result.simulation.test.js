@@ -0,0 +1,126 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { GetSimulatedFinalTranscriptPayload, GetMinimumMarkToPassPayload } = require('./final_transcript_result.helper');
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, FindBlockResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+const BLOCK_ID = '5f00000000000000000000b1';
+const SUBJECT_ID = '5f00000000000000000000c1';
+const MIDTERM_ID = '5f00000000000000000000d1';
+const FINAL_ID = '5f00000000000000000000d2';
+
+/**
+ * Builds a curriculum of one block with one subject whose midterm and final exam weigh half each, the final exam being
+ * marked on two notations out of 10.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildCurriculum() {
+    return [BuildBlock({
+        _id: BLOCK_ID,
+        subjects: [BuildSubject({
+            _id: SUBJECT_ID,
+            tests: [
+                BuildTest({ _id: MIDTERM_ID, weight: 0.5 }),
+                BuildTest({
+                    _id: FINAL_ID,
+                    weight: 0.5,
+                    notations: [{ notation_text: 'Written', max_points: 10 }, { notation_text: 'Oral', max_points: 10 }]
+                })
+            ]
+        })]
+    })];
+}
+
+/**
+ * Simulates the transcript of a student who got 6 at the midterm, with the given hypothetical results.
+ * @param {Array<object>} hypotheticalResults - The hypothetical marks, by test.
+ * @param {Array<object>} [studentTestResults] - Optional. The student's actual test results, the midterm at 6 by default.
+ * @returns {object} The hypothetical transcript.
+ */
+function simulate(hypotheticalResults, studentTestResults = [BuildTestResult(MIDTERM_ID, 6)]) {
+    return GetSimulatedFinalTranscriptPayload({ student: {}, blocks: buildCurriculum(), studentTestResults, hypotheticalResults });
+}
+
+const tests = {
+    'A hypothetical result for a test not taken yet completes the transcript': () => {
+        const transcript = simulate([{ test: FINAL_ID, marks: [{ notation_text: 'Written', mark: 8 }, { notation_text: 'Oral', mark: 6 }] }]);
+
+        const finalTestResult = FindTestResult(transcript, BLOCK_ID, SUBJECT_ID, FINAL_ID);
+        assert.strictEqual(finalTestResult.test_total_mark, 7);
+        assert.strictEqual(FindBlockResult(transcript, BLOCK_ID).block_total_mark, 6.5);
+        assert.strictEqual(transcript.overall_result, 'FAIL');
+    },
+
+    'A hypothetical result replaces the actual result of the test': () => {
+        const transcript = simulate(
+            [{ test: MIDTERM_ID, marks: [{ notation_text: 'Exam', mark: 16 }] }],
+            [BuildTestResult(MIDTERM_ID, 6), BuildTestResult(FINAL_ID, 7)]
+        );
+
+        assert.strictEqual(FindTestResult(transcript, BLOCK_ID, SUBJECT_ID, MIDTERM_ID).test_total_mark, 16);
+        assert.strictEqual(FindBlockResult(transcript, BLOCK_ID).block_total_mark, 11.5);
+        assert.strictEqual(transcript.overall_result, 'PASS');
+    },
+
+    'A hypothetical result is counted even while the actual one awaits validation': () => {
+        const transcript = simulate(
+            [{ test: FINAL_ID, marks: [{ notation_text: 'Written', mark: 10 }, { notation_text: 'Oral', mark: 10 }] }],
+            [BuildTestResult(MIDTERM_ID, 6), BuildTestResult(FINAL_ID, 2, { student_test_result_status: 'PENDING' })]
+        );
+
+        assert.strictEqual(FindTestResult(transcript, BLOCK_ID, SUBJECT_ID, FINAL_ID).missing_mark_reason, undefined);
+        assert.strictEqual(FindBlockResult(transcript, BLOCK_ID).block_total_mark, 8);
+    },
+
+    'Hypothetical marks outside the curriculum or the notation bounds are refused': () => {
+        const isBadUserInput = (error) => error.extensions.code === 'BAD_USER_INPUT';
+
+        assert.throws(() => simulate([{ test: '5f00000000000000000000d9', marks: [{ notation_text: 'Exam', mark: 10 }] }]), isBadUserInput);
+        assert.throws(() => simulate([{ test: FINAL_ID, marks: [{ notation_text: 'Written', mark: 11 }] }]), isBadUserInput);
+        assert.throws(() => simulate([{ test: FINAL_ID, marks: [{ notation_text: 'Exam', mark: 5 }] }]), isBadUserInput);
+        assert.throws(() => simulate([
+            { test: MIDTERM_ID, marks: [{ notation_text: 'Exam', mark: 10 }] },
+            { test: MIDTERM_ID, marks: [{ notation_text: 'Exam', mark: 12 }] }
+        ]), isBadUserInput);
+    },
+
+    'The minimum mark to pass is the lowest share of the notations that passes the block': () => {
+        const minimumMarkToPass = GetMinimumMarkToPassPayload({
+            student: {},
+            blocks: buildCurriculum(),
+            studentTestResults: [BuildTestResult(MIDTERM_ID, 12)],
+            testId: FINAL_ID
+        });
+
+        assert.strictEqual(minimumMarkToPass.current_block_result, 'INCOMPLETE');
+        assert.strictEqual(minimumMarkToPass.is_reachable, true);
+        assert.strictEqual(minimumMarkToPass.minimum_average_mark, 8);
+        assert.deepStrictEqual(minimumMarkToPass.minimum_marks, [{ notation_text: 'Written', mark: 8 }, { notation_text: 'Oral', mark: 8 }]);
+    },
+
+    'The minimum mark to pass is not reachable when even full marks fail the block': () => {
+        const minimumMarkToPass = GetMinimumMarkToPassPayload({
+            student: {},
+            blocks: buildCurriculum(),
+            studentTestResults: [BuildTestResult(MIDTERM_ID, 6), BuildTestResult(FINAL_ID, 4)],
+            testId: FINAL_ID
+        });
+
+        assert.strictEqual(minimumMarkToPass.current_block_result, 'FAIL');
+        assert.strictEqual(minimumMarkToPass.is_reachable, false);
+        assert.strictEqual(minimumMarkToPass.minimum_average_mark, null);
+    },
+
+    'The minimum mark to pass is only searched for tests of the curriculum': () => {
+        assert.throws(
+            () => GetMinimumMarkToPassPayload({ student: {}, blocks: buildCurriculum(), studentTestResults: [], testId: '5f00000000000000000000d9' }),
+            (error) => error.extensions.code === 'NOT_FOUND'
+        );
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -0,0 +1,115 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult, FindSubjectResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Builds a curriculum of two blocks, each with a subject of coefficient 1, and a TRANSVERSAL block whose subject of
+ * coefficient 2 is connected to both of them.
+ * @param {object} [transversalSubject] - Optional. Fields replacing the defaults of the transversal subject.
+ * @returns {Array<object>} The blocks of the curriculum.
+ */
+function buildTransversalCurriculum(transversalSubject) {
+    return [
+        BuildBlock({ _id: 'block-1', subjects: [BuildSubject({ _id: 'subject-1', tests: [BuildTest({ _id: 'test-1' })] })] }),
+        BuildBlock({ _id: 'block-2', subjects: [BuildSubject({ _id: 'subject-2', tests: [BuildTest({ _id: 'test-2' })] })] }),
+        BuildBlock({
+            _id: 'block-transversal',
+            block_type: 'TRANSVERSAL',
+            subjects: [BuildSubject({
+                _id: 'subject-transversal',
+                coefficient: 2,
+                is_transversal: true,
+                connected_blocks: ['block-1', 'block-2'],
+                tests: [BuildTest({ _id: 'test-transversal' })],
+                ...transversalSubject
+            })]
+        })
+    ];
+}
+
+const tests = {
+    'A transversal subject counts in each connected block with its coefficient': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildTransversalCurriculum(),
+            studentTestResults: [BuildTestResult('test-1', 8), BuildTestResult('test-2', 14), BuildTestResult('test-transversal', 14)]
+        });
+
+        // *************** (8 * 1 + 14 * 2) / 3 and (14 * 1 + 14 * 2) / 3
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_total_mark, 12);
+        assert.strictEqual(FindBlockResult(transcript, 'block-1').block_result, 'PASS');
+        assert.strictEqual(FindBlockResult(transcript, 'block-2').block_total_mark, 14);
+    },
+
+    'A transversal subject is reported with the TRANSVERSAL block it comes from': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildTransversalCurriculum(),
+            studentTestResults: [BuildTestResult('test-1', 12), BuildTestResult('test-2', 12), BuildTestResult('test-transversal', 11)]
+        });
+
+        const connectedSubjectResult = FindSubjectResult(transcript, 'block-1', 'subject-transversal');
+        assert.strictEqual(connectedSubjectResult.transversal_block, 'block-transversal');
+        assert.strictEqual(connectedSubjectResult.subject_total_mark, 22);
+        assert.strictEqual(FindSubjectResult(transcript, 'block-transversal', 'subject-transversal').transversal_block, undefined);
+        assert.deepStrictEqual(
+            FindBlockResult(transcript, 'block-1').subject_results.map(subjectResult => subjectResult.subject),
+            ['subject-1', 'subject-transversal']
+        );
+    },
+
+    'A failed transversal subject can fail its connected blocks through their criteria': () => {
+        const blocks = buildTransversalCurriculum();
+        blocks[0].block_passing_criteria = {
+            pass_criteria: { expression: { operator: 'ALL', comparison_operator: 'GTE', mark: 10 } }
+        };
+
+        const transcript = CalculateTranscript({
+            blocks,
+            studentTestResults: [BuildTestResult('test-1', 16), BuildTestResult('test-2', 16), BuildTestResult('test-transversal', 8)]
+        });
+
+        const blockResult = FindBlockResult(transcript, 'block-1');
+        assert.strictEqual(blockResult.block_result, 'FAIL');
+        assert.deepStrictEqual(blockResult.criteria_trace.pass_criteria.expression.sources.map(source => source.subject), ['subject-1', 'subject-transversal']);
+        assert.strictEqual(FindBlockResult(transcript, 'block-2').block_result, 'PASS');
+    },
+
+    'A transversal subject connected to its own block is counted there once': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildTransversalCurriculum({ connected_blocks: ['block-transversal', 'block-1'] }),
+            studentTestResults: [BuildTestResult('test-1', 12), BuildTestResult('test-2', 12), BuildTestResult('test-transversal', 12)]
+        });
+
+        assert.strictEqual(FindBlockResult(transcript, 'block-transversal').subject_results.length, 1);
+        assert.strictEqual(FindBlockResult(transcript, 'block-2').subject_results.length, 1);
+    },
+
+    'A transversal subject is calculated once, so its retakes are not applied twice': () => {
+        const transcript = CalculateTranscript({
+            blocks: buildTransversalCurriculum({
+                tests: [
+                    BuildTest({ _id: 'test-transversal' }),
+                    BuildTest({ _id: 'test-transversal-retake', is_retake: true, connected_test: 'test-transversal', retake_mark_policy: 'SUBSTITUTE' })
+                ]
+            }),
+            studentTestResults: [
+                BuildTestResult('test-1', 12),
+                BuildTestResult('test-2', 12),
+                BuildTestResult('test-transversal', 6),
+                BuildTestResult('test-transversal-retake', 13)
+            ]
+        });
+
+        for (const blockId of ['block-transversal', 'block-1', 'block-2']) {
+            const testResult = FindTestResult(transcript, blockId, 'subject-transversal', 'test-transversal');
+            assert.strictEqual(testResult.test_total_mark, 13);
+            assert.strictEqual(testResult.original_test_total_mark, 6);
+        }
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
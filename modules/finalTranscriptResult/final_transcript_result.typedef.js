@@ -6,12 +6,36 @@ module.exports = gql`
     enum ResultStatus {
         PASS
         FAIL
+        INCOMPLETE
+    }
+
+    enum MissingMarkReason {
+        NOT_TAKEN
+        NOT_VALIDATED
+        ABSENT
+        EXCUSED
+    }
+
+    enum TranscriptStatus {
+        DRAFT
+        FINALIZED
     }
 
     type FinalTranscriptResult {
         _id: ID!
         student: Student!
-        overall_result: ResultStatus!
+        academic_year: AcademicYear
+        version: Int
+        transcript_status: TranscriptStatus!
+        overall_result: ResultStatus
+        is_overall_result_hidden: Boolean!
+        jury_decision: JuryDecision
+        finalized_at: String
+        finalized_by: User
+        signatories: [User!]!
+        reopened_at: String
+        reopened_by: User
+        reopen_justification: String
         block_results: [BlockResult!]!
         created_by: User!
         updated_by: User!
@@ -19,28 +43,226 @@ module.exports = gql`
         updated_at: String!
     }
 
-    type BlockResult {
+    type JuryDecision {
+        jury_session: JurySession
+        block_overrides: [JuryBlockOverride!]!
+        overall_result: ResultStatus
+        overall_result_justification: String
+        overall_result_decided_by: User
+        overall_result_decided_at: String
+        computed_overall_result: ResultStatus
+    }
+
+    type JuryBlockOverride {
         block: Block!
         block_result: ResultStatus!
-        block_total_mark: Float!
+        justification: String!
+        decided_by: User!
+        decided_at: String!
+    }
+
+    type BlockResult {
+        block: Block!
+        is_result_hidden: Boolean!
+        evaluation_type: EvaluationType
+        block_result: ResultStatus
+        is_counted_in_final_transcript: Boolean!
+        retake_of_block: Block
+        retake_block: Block
+        original_block_result: ResultStatus
+        is_overturned_by_retake: Boolean!
+        computed_block_result: ResultStatus
+        jury_justification: String
+        block_total_mark: Float
+        competency_level: CompetencyLevel
+        criteria_trace: CriteriaTrace
         subject_results: [SubjectResult!]!
     }
 
     type SubjectResult {
         subject: Subject!
-        subject_result: ResultStatus!
-        subject_total_mark: Float!
+        transversal_block: Block
+        is_result_hidden: Boolean!
+        subject_result: ResultStatus
+        subject_total_mark: Float
+        competency_level: CompetencyLevel
+        criteria_trace: CriteriaTrace
         test_results: [TestResult!]!
     }
 
     type TestResult {
         test: Test!
-        test_result: ResultStatus!
-        test_total_mark: Float!
-        test_weighted_mark: Float!
+        is_result_hidden: Boolean!
+        test_result: ResultStatus
+        test_total_mark: Float
+        test_weighted_mark: Float
+        missing_mark_reason: MissingMarkReason
+        missing_mark_policy: MissingMarkPolicy
+        competency_level: CompetencyLevel
+        criteria_trace: CriteriaTrace
+        original_test_total_mark: Float
+        original_test_result: ResultStatus
+        retake_test: Test
+        retake_test_total_mark: Float
+        retake_test_result: ResultStatus
+        retake_mark_policy: RetakeMarkPolicy
+        is_retake_applied: Boolean!
+    }
+
+    type CriteriaTrace {
+        self_score: Float
+        pass_criteria: CriteriaSetTrace
+        fail_criteria: CriteriaSetTrace
+        is_passed: Boolean!
+        result: ResultStatus
+    }
+
+    type CriteriaSetTrace {
+        groups: [CriteriaGroupTrace!]!
+        expression: CriteriaExpressionTrace
+        is_met: Boolean!
+        is_unknown: Boolean
+        has_missing_marks: Boolean
+    }
+
+    type CriteriaGroupTrace {
+        conditions: [CriteriaConditionTrace!]!
+        is_met: Boolean!
+        is_unknown: Boolean
+    }
+
+    type CriteriaConditionTrace {
+        criteria_type: CriteriaType
+        subject: Subject
+        test: Test
+        notation_text: String
+        comparison_operator: ComparisonOperator
+        threshold: Float
+        threshold_max: Float
+        source_mark: Float
+        is_met: Boolean!
+        is_unknown: Boolean
+    }
+
+    type CriteriaExpressionTrace {
+        operator: CriteriaExpressionOperator!
+        comparison_operator: ComparisonOperator
+        threshold: Float
+        threshold_max: Float
+        min_count: Int
+        met_count: Int
+        sources: [CriteriaSourceTrace!]!
+        operands: [CriteriaExpressionTrace!]!
+        is_met: Boolean!
+        is_unknown: Boolean
+    }
+
+    type CriteriaSourceTrace {
+        source_type: CriteriaSourceType!
+        subject: Subject
+        test: Test
+        notation_text: String
+        source_mark: Float
+        is_met: Boolean!
+        is_unknown: Boolean
+    }
+
+    input HypotheticalTestResultInput {
+        test: ID!
+        marks: [MarkInput!]!
+    }
+
+    type SimulatedFinalTranscriptResult {
+        student: Student!
+        academic_year: AcademicYear
+        overall_result: ResultStatus!
+        block_results: [BlockResult!]!
+    }
+
+    type MinimumMarkToPass {
+        test: Test!
+        block: Block!
+        current_block_result: ResultStatus
+        is_reachable: Boolean!
+        minimum_average_mark: Float
+        minimum_marks: [Mark!]!
+    }
+
+    enum TranscriptTriggerEvent {
+        MARKS_VALIDATED
+        JURY_DECISION
+        RECALCULATION
+    }
+
+    type FinalTranscriptVersion {
+        _id: ID!
+        student: Student!
+        version: Int!
+        trigger_event: TranscriptTriggerEvent!
+        trigger_student_test_result: StudentTestResult
+        academic_year: AcademicYear
+        overall_result: ResultStatus
+        is_overall_result_hidden: Boolean!
+        jury_decision: JuryDecision
+        block_results: [BlockResult!]!
+        input_marks: [TranscriptInputMark!]!
+        created_by: User!
+        created_at: String!
+    }
+
+    type TranscriptInputMark {
+        test: Test!
+        marks: [Mark!]!
+        average_mark: Float
+        student_test_result_status: StudentTestResultStatus
+    }
+
+    enum TranscriptDiffLevel {
+        BLOCK
+        SUBJECT
+        TEST
+    }
+
+    enum TranscriptChangeType {
+        ADDED
+        REMOVED
+        CHANGED
+    }
+
+    type FinalTranscriptDiff {
+        student: Student!
+        from_version: Int!
+        to_version: Int!
+        from_overall_result: ResultStatus
+        to_overall_result: ResultStatus
+        changes: [TranscriptChange!]!
+    }
+
+    type TranscriptChange {
+        level: TranscriptDiffLevel!
+        change_type: TranscriptChangeType!
+        block: Block!
+        subject: Subject
+        test: Test
+        from_result: ResultStatus
+        to_result: ResultStatus
+        from_mark: Float
+        to_mark: Float
+        from_competency_level: CompetencyLevel
+        to_competency_level: CompetencyLevel
+    }
+
+    type SignedDownloadLink {
+        url: String!
+        expires_at: String!
     }
 
     type Query {
-        GetFinalTranscriptResult(studentId: ID!): FinalTranscriptResult
+        GetFinalTranscriptResult(studentId: ID!): FinalTranscriptResult @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, STUDENT], ownership: "studentId")
+        GetFinalTranscriptPdfLink(studentId: ID!, include_criteria_trace: Boolean): SignedDownloadLink! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, STUDENT], ownership: "studentId")
+        GetFinalTranscriptHistory(studentId: ID!): [FinalTranscriptVersion!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, STUDENT], ownership: "studentId")
+        GetFinalTranscriptVersionDiff(studentId: ID!, from_version: Int!, to_version: Int!): FinalTranscriptDiff! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, STUDENT], ownership: "studentId")
+        SimulateFinalTranscript(studentId: ID!, hypothetical_results: [HypotheticalTestResultInput!]!): SimulatedFinalTranscriptResult! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        MinimumMarkToPass(studentId: ID!, testId: ID!): MinimumMarkToPass! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 `
\ No newline at end of file
@@ -4,6 +4,70 @@ const mongoose = require('mongoose');
 // *************** IMPORT LIBRARY ***************
 const { ApolloError } = require('apollo-server');
 
+/**
+ * Validates the version numbers of a transcript comparison.
+ * @param {object} args - The arguments for the validation.
+ * @param {number} args.fromVersion - The number of the older version.
+ * @param {number} args.toVersion - The number of the newer version.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateVersionDiffInput({ fromVersion, toVersion }) {
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+        throw new ApolloError('from_version must be a positive integer.', 'BAD_USER_INPUT', { field: 'from_version' });
+    }
+    if (!Number.isInteger(toVersion) || toVersion < 1) {
+        throw new ApolloError('to_version must be a positive integer.', 'BAD_USER_INPUT', { field: 'to_version' });
+    }
+    if (fromVersion === toVersion) {
+        throw new ApolloError('from_version and to_version must be different.', 'BAD_USER_INPUT', { field: 'to_version' });
+    }
+}
+
+/**
+ * Validates the hypothetical marks of a transcript simulation against the tests of the student's curriculum.
+ * @param {object} args - The arguments for the validation.
+ * @param {Array<object>} args.hypotheticalResults - The hypothetical results, each with a 'test' ID and its 'marks'.
+ * @param {Map<string, object>} args.testsById - The tests of the student's curriculum, by ID, with their notations.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateHypotheticalResultsInput({ hypotheticalResults, testsById }) {
+    if (!Array.isArray(hypotheticalResults) || !hypotheticalResults.length) {
+        throw new ApolloError('Hypothetical results must be a non-empty array.', 'BAD_USER_INPUT', { field: 'hypothetical_results' });
+    }
+
+    const seenTestIds = new Set();
+
+    for (const { test, marks } of hypotheticalResults) {
+        if (!mongoose.Types.ObjectId.isValid(test)) {
+            throw new ApolloError(`Invalid test ID: ${test}`, 'BAD_USER_INPUT', { field: 'hypothetical_results.test' });
+        }
+        if (seenTestIds.has(String(test))) {
+            throw new ApolloError(`Test ${test} appears more than once in the hypothetical results.`, 'BAD_USER_INPUT', { field: 'hypothetical_results.test' });
+        }
+        seenTestIds.add(String(test));
+
+        const curriculumTest = testsById.get(String(test));
+        if (!curriculumTest) {
+            throw new ApolloError(`Test ${test} is not part of the curriculum of the student.`, 'BAD_USER_INPUT', { field: 'hypothetical_results.test' });
+        }
+
+        if (!Array.isArray(marks) || !marks.length) {
+            throw new ApolloError(`Marks for test ${test} must be a non-empty array.`, 'BAD_USER_INPUT', { field: 'hypothetical_results.marks' });
+        }
+
+        const maxPointsByNotation = new Map((curriculumTest.notations || []).map(notation => [notation.notation_text, notation.max_points]));
+
+        for (const { notation_text, mark } of marks) {
+            if (!maxPointsByNotation.has(notation_text)) {
+                throw new ApolloError(`Invalid notation_text: '${notation_text}' does not exist on test ${test}.`, 'BAD_USER_INPUT', { field: 'hypothetical_results.marks' });
+            }
+            if (typeof mark !== 'number' || isNaN(mark) || mark < 0 || mark > maxPointsByNotation.get(notation_text)) {
+                throw new ApolloError(`Mark for '${notation_text}' must be between 0 and ${maxPointsByNotation.get(notation_text)}.`, 'BAD_USER_INPUT', { field: 'hypothetical_results.marks' });
+            }
+        }
+    }
+}
+
 /**
  * Validates the inputs for the StudentLoader resolver on the FinalTranscriptResult type.
  * @param {object} finalTranscriptResult - The parent final transcript result object, which must contain a 'student' property with a valid ObjectID.
@@ -37,7 +101,7 @@ function ValidateStudentLoaderInput(finalTranscriptResult, context) {
  * Validates the inputs for resolvers that use the UserLoader.
  * @param {object} parent - The parent object.
  * @param {object} context - The GraphQL context, which must contain a configured UserLoader.
- * @param {string} fieldName - The name of the property on the block object that holds the user ID (e.g., 'created_by').
+ * @param {string} fieldName - The name of the property on the parent object that holds the user ID or IDs (e.g., 'created_by', 'signatories').
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
 function ValidateUserLoaderInput(parent, context, fieldName) {
@@ -54,10 +118,58 @@ function ValidateUserLoaderInput(parent, context, fieldName) {
         throw new ApolloError('Server configuration error: UserLoader not found on context.', 'INTERNAL_SERVER_ERROR');
     }
 
-    const userId = parent[fieldName];
+    const userIds = [].concat(parent[fieldName] || []);
+
+    if (userIds.some(userId => !mongoose.Types.ObjectId.isValid(userId))) {
+        throw new ApolloError(`Input error: If provided, parent.${fieldName} must hold valid IDs.`, 'BAD_USER_INPUT');
+    }
+}
+
+/**
+ * Validates the inputs for the JurySessionLoader resolver.
+ * @param {object} parent - The parent jury decision object, which may contain a 'jury_session' property with a valid ObjectID.
+ * @param {object} context - The GraphQL context, which must contain a configured JurySessionLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateJurySessionLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT');
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.JurySessionLoader ||
+        typeof context.dataLoaders.JurySessionLoader.load !== 'function'
+    ) {
+        throw new ApolloError('Server configuration error: JurySessionLoader not found on context.', 'INTERNAL_SERVER_ERROR');
+    }
+
+    if (parent.jury_session && !mongoose.Types.ObjectId.isValid(parent.jury_session)) {
+        throw new ApolloError('Input error: If provided, parent.jury_session must be a valid ID.', 'BAD_USER_INPUT');
+    }
+}
 
-    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
-        throw new ApolloError(`Input error: If provided, parent.${fieldName} must be a valid ID.`, 'BAD_USER_INPUT');
+/**
+ * Validates the inputs for the AcademicYearLoader resolver.
+ * @param {object} parent - The parent object, which may contain an 'academic_year' property with a valid ObjectID.
+ * @param {object} context - The GraphQL context, which must contain a configured AcademicYearLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateAcademicYearLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT');
+    }
+
+    if (parent.academic_year && !mongoose.Types.ObjectId.isValid(parent.academic_year)) {
+        throw new ApolloError('Input error: If provided, parent.academic_year must be a valid ID.', 'BAD_USER_INPUT');
+    }
+
+    if (!context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.AcademicYearLoader ||
+        typeof context.dataLoaders.AcademicYearLoader.load !== 'function') {
+        throw new ApolloError('Server configuration error: AcademicYearLoader with load function not found on context.', 'INTERNAL_SERVER_ERROR');
     }
 }
 
@@ -65,15 +177,16 @@ function ValidateUserLoaderInput(parent, context, fieldName) {
  * Validates the inputs for the BlockLoader resolver.
  * @param {object} subject - The parent object, which must contain a 'block' property with a valid ObjectID.
  * @param {object} context - The GraphQL context, which must contain a configured BlockLoader.
+ * @param {string} [fieldName='block'] - Optional. The name of the property on the parent object that holds the block ID (e.g., 'retake_block').
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
-function ValidateBlockLoaderInput(parent, context) {
+function ValidateBlockLoaderInput(parent, context, fieldName = 'block') {
     if (!parent || typeof parent !== 'object' || parent === null) {
         throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT');
     }
 
-    if (!mongoose.Types.ObjectId.isValid(parent.block)) {
-        throw new ApolloError('Input error: parent.block must be a valid ID.', 'BAD_USER_INPUT');
+    if (!mongoose.Types.ObjectId.isValid(parent[fieldName])) {
+        throw new ApolloError(`Input error: parent.${fieldName} must be a valid ID.`, 'BAD_USER_INPUT');
     }
 
     if (!context ||
@@ -117,18 +230,19 @@ function ValidateSubjectLoaderInput(parent, context) {
  * Validates the inputs for the TestLoader resolver .
  * @param {object} parent - The parent object, which must contain a 'test' property with a valid ObjectID.
  * @param {object} context - The GraphQL context, which must contain a configured TestLoader.
+ * @param {string} [fieldName='test'] - Optional. The name of the property on the parent object that holds the test ID (e.g., 'retake_test').
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
-function ValidateTestLoaderInput(parent, context) {
+function ValidateTestLoaderInput(parent, context, fieldName = 'test') {
     if (!parent || typeof parent !== 'object' || parent === null) {
         throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT', {
             field: 'parent'
         });
     }
 
-    if (!mongoose.Types.ObjectId.isValid(parent.test)) {
-        throw new ApolloError('Input error: parent.test must be a valid ID.', 'BAD_USER_INPUT', {
-            field: 'parent.test'
+    if (!mongoose.Types.ObjectId.isValid(parent[fieldName])) {
+        throw new ApolloError(`Input error: parent.${fieldName} must be a valid ID.`, 'BAD_USER_INPUT', {
+            field: `parent.${fieldName}`
         });
     }
 
@@ -142,11 +256,41 @@ function ValidateTestLoaderInput(parent, context) {
     }
 }
 
+/**
+ * Validates the inputs for the loader of the student test result that triggered a transcript version.
+ * @param {object} parent - The parent object, which must contain a 'trigger_student_test_result' property with a valid ObjectID.
+ * @param {object} context - The GraphQL context, which must contain a configured StudentTestResultLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateStudentTestResultLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object') {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(parent.trigger_student_test_result)) {
+        throw new ApolloError('Input error: parent.trigger_student_test_result must be a valid ID.', 'BAD_USER_INPUT');
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.StudentTestResultLoader ||
+        typeof context.dataLoaders.StudentTestResultLoader.load !== 'function'
+    ) {
+        throw new ApolloError('Server configuration error: StudentTestResultLoader with load function not found on context.', 'INTERNAL_SERVER_ERROR');
+    }
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
+    ValidateVersionDiffInput,
+    ValidateHypotheticalResultsInput,
     ValidateStudentLoaderInput,
     ValidateUserLoaderInput,
+    ValidateAcademicYearLoaderInput,
+    ValidateJurySessionLoaderInput,
     ValidateBlockLoaderInput,
     ValidateSubjectLoaderInput,
-    ValidateTestLoaderInput
+    ValidateTestLoaderInput,
+    ValidateStudentTestResultLoaderInput
 }
\ No newline at end of file
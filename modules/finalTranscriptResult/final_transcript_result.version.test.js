@@ -0,0 +1,127 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { GetFinalTranscriptVersionDiffPayload } = require('./final_transcript_result.helper');
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Builds a version of a student's transcript, calculated on a curriculum of one block with one subject.
+ * @param {object} args - The arguments for the version.
+ * @param {number} args.version - The number of the version.
+ * @param {Array<string>} args.testIds - The IDs of the tests of the subject.
+ * @param {Array<object>} args.studentTestResults - The student's test results.
+ * @returns {object} The transcript version.
+ */
+function buildVersion({ version, testIds, studentTestResults }) {
+    const blocks = [BuildBlock({
+        _id: 'block-1',
+        subjects: [BuildSubject({ _id: 'subject-1', tests: testIds.map(testId => BuildTest({ _id: testId, weight: 1 / testIds.length })) })]
+    })];
+
+    return { student: 'student-1', version, ...CalculateTranscript({ blocks, studentTestResults }) };
+}
+
+/**
+ * Finds the change of an item of the transcript.
+ * @param {object} versionDiff - The comparison of two versions.
+ * @param {string} level - The level of the item: 'BLOCK', 'SUBJECT' or 'TEST'.
+ * @param {string} [testId] - Optional. The ID of the test, for a test change.
+ * @returns {object|undefined} The change, or undefined if the item did not change.
+ */
+function findChange(versionDiff, level, testId) {
+    return versionDiff.changes.find(change => change.level === level && (!testId || change.test === testId));
+}
+
+const tests = {
+    'Identical versions have no changes': () => {
+        const fromVersion = buildVersion({ version: 1, testIds: ['test-a'], studentTestResults: [BuildTestResult('test-a', 12)] });
+        const toVersion = buildVersion({ version: 2, testIds: ['test-a'], studentTestResults: [BuildTestResult('test-a', 12)] });
+
+        const versionDiff = GetFinalTranscriptVersionDiffPayload({ fromVersion, toVersion });
+
+        assert.deepStrictEqual(versionDiff.changes, []);
+        assert.strictEqual(versionDiff.from_version, 1);
+        assert.strictEqual(versionDiff.to_version, 2);
+        assert.strictEqual(versionDiff.student, 'student-1');
+    },
+
+    'A changed mark is reported at every level it changes, with both results': () => {
+        const fromVersion = buildVersion({ version: 1, testIds: ['test-a'], studentTestResults: [BuildTestResult('test-a', 8)] });
+        const toVersion = buildVersion({ version: 2, testIds: ['test-a'], studentTestResults: [BuildTestResult('test-a', 12)] });
+
+        const versionDiff = GetFinalTranscriptVersionDiffPayload({ fromVersion, toVersion });
+        const testChange = findChange(versionDiff, 'TEST', 'test-a');
+
+        assert.deepStrictEqual(versionDiff.changes.map(change => change.level), ['BLOCK', 'SUBJECT', 'TEST']);
+        assert.strictEqual(testChange.change_type, 'CHANGED');
+        assert.deepStrictEqual([testChange.from_mark, testChange.to_mark], [8, 12]);
+        assert.deepStrictEqual([testChange.from_result, testChange.to_result], ['FAIL', 'PASS']);
+        assert.strictEqual(testChange.block, 'block-1');
+        assert.strictEqual(testChange.subject, 'subject-1');
+        assert.deepStrictEqual([versionDiff.from_overall_result, versionDiff.to_overall_result], ['FAIL', 'PASS']);
+    },
+
+    'Tests added to or removed from the curriculum are reported as such': () => {
+        const fromVersion = buildVersion({
+            version: 1,
+            testIds: ['test-a', 'test-b'],
+            studentTestResults: [BuildTestResult('test-a', 12), BuildTestResult('test-b', 12)]
+        });
+        const toVersion = buildVersion({
+            version: 2,
+            testIds: ['test-a', 'test-c'],
+            studentTestResults: [BuildTestResult('test-a', 12), BuildTestResult('test-c', 12)]
+        });
+
+        const versionDiff = GetFinalTranscriptVersionDiffPayload({ fromVersion, toVersion });
+        const addedChange = findChange(versionDiff, 'TEST', 'test-c');
+        const removedChange = findChange(versionDiff, 'TEST', 'test-b');
+
+        assert.strictEqual(addedChange.change_type, 'ADDED');
+        assert.deepStrictEqual([addedChange.from_mark, addedChange.to_mark, addedChange.to_result], [undefined, 12, 'PASS']);
+        assert.strictEqual(removedChange.change_type, 'REMOVED');
+        assert.deepStrictEqual([removedChange.from_mark, removedChange.to_mark, removedChange.from_result], [12, undefined, 'PASS']);
+        assert.strictEqual(findChange(versionDiff, 'TEST', 'test-a'), undefined);
+        assert.strictEqual(findChange(versionDiff, 'SUBJECT'), undefined);
+    },
+
+    'A result becoming incomplete is a change even when the mark is the same': () => {
+        const fromVersion = buildVersion({ version: 1, testIds: ['test-a'], studentTestResults: [BuildTestResult('test-a', 0)] });
+        const toVersion = buildVersion({ version: 2, testIds: ['test-a'], studentTestResults: [] });
+
+        const testChange = findChange(GetFinalTranscriptVersionDiffPayload({ fromVersion, toVersion }), 'TEST', 'test-a');
+
+        assert.deepStrictEqual([testChange.from_mark, testChange.to_mark], [0, 0]);
+        assert.deepStrictEqual([testChange.from_result, testChange.to_result], ['FAIL', 'INCOMPLETE']);
+    },
+
+    'A subject reported in several blocks is compared block by block': () => {
+        const subjectResult = (mark) => ({ subject: 'subject-transversal', subject_result: 'PASS', subject_total_mark: mark, test_results: [] });
+        const fromVersion = {
+            version: 1,
+            block_results: [
+                { block: 'block-1', block_result: 'PASS', block_total_mark: 12, subject_results: [subjectResult(12)] },
+                { block: 'block-2', block_result: 'PASS', block_total_mark: 12, subject_results: [subjectResult(12)] }
+            ]
+        };
+        const toVersion = {
+            version: 2,
+            block_results: [
+                { block: 'block-1', block_result: 'PASS', block_total_mark: 12, subject_results: [subjectResult(12)] },
+                { block: 'block-2', block_result: 'PASS', block_total_mark: 12, subject_results: [subjectResult(14)] }
+            ]
+        };
+
+        const versionDiff = GetFinalTranscriptVersionDiffPayload({ fromVersion, toVersion });
+
+        assert.strictEqual(versionDiff.changes.length, 1);
+        assert.strictEqual(versionDiff.changes[0].block, 'block-2');
+        assert.deepStrictEqual([versionDiff.changes[0].from_mark, versionDiff.changes[0].to_mark], [12, 14]);
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
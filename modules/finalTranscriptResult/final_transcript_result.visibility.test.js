@@ -0,0 +1,98 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { HideUnreleasedResults } = require('./final_transcript_result.helper');
+const { BuildTest, BuildSubject, BuildBlock, BuildTestResult, CalculateTranscript, FindBlockResult, FindSubjectResult, FindTestResult } = require('./final_transcript_result.fixture');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+// *************** Passes subject-2 when test-a, in another block, is passed
+const READS_TEST_A = {
+    pass_criteria: { expression: { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'TEST', test: 'test-a' }] } }
+};
+
+/**
+ * Calculates the transcript of a curriculum of two blocks, 'block-1' with 'test-a' and 'block-2' with 'test-b',
+ * whose subject criteria read 'test-a'.
+ * @returns {object} The calculated transcript, as a plain object.
+ */
+function calculateTwoBlockTranscript() {
+    return CalculateTranscript({
+        blocks: [
+            BuildBlock({ _id: 'block-1', subjects: [BuildSubject({ _id: 'subject-1', tests: [BuildTest({ _id: 'test-a' })] })] }),
+            BuildBlock({
+                _id: 'block-2',
+                subjects: [BuildSubject({ _id: 'subject-2', subject_passing_criteria: READS_TEST_A, tests: [BuildTest({ _id: 'test-b' })] })]
+            })
+        ],
+        studentTestResults: [BuildTestResult('test-a', 14), BuildTestResult('test-b', 12)]
+    });
+}
+
+const tests = {
+    'A transcript without unreleased tests is returned as it is': () => {
+        const transcript = calculateTwoBlockTranscript();
+
+        assert.strictEqual(HideUnreleasedResults({ transcript, unreleasedTestIds: new Set() }), transcript);
+    },
+
+    'An unreleased test hides its mark, its subject, its block and the overall result': () => {
+        const visibleTranscript = HideUnreleasedResults({ transcript: calculateTwoBlockTranscript(), unreleasedTestIds: new Set(['test-b']) });
+
+        assert.deepStrictEqual(FindTestResult(visibleTranscript, 'block-2', 'subject-2', 'test-b'), { test: 'test-b', is_result_hidden: true });
+        assert.strictEqual(FindSubjectResult(visibleTranscript, 'block-2', 'subject-2').subject_total_mark, undefined);
+        assert.strictEqual(FindSubjectResult(visibleTranscript, 'block-2', 'subject-2').is_result_hidden, true);
+        assert.strictEqual(FindBlockResult(visibleTranscript, 'block-2').block_result, undefined);
+        assert.strictEqual(FindBlockResult(visibleTranscript, 'block-2').is_result_hidden, true);
+        assert.strictEqual(visibleTranscript.overall_result, null);
+        assert.strictEqual(visibleTranscript.is_overall_result_hidden, true);
+    },
+
+    'The blocks not computed from an unreleased test stay visible': () => {
+        const visibleTranscript = HideUnreleasedResults({ transcript: calculateTwoBlockTranscript(), unreleasedTestIds: new Set(['test-b']) });
+
+        assert.strictEqual(FindBlockResult(visibleTranscript, 'block-1').block_result, 'PASS');
+        assert.strictEqual(FindTestResult(visibleTranscript, 'block-1', 'subject-1', 'test-a').test_total_mark, 14);
+    },
+
+    'Criteria traces reading an unreleased test are removed from the results left visible': () => {
+        const transcript = calculateTwoBlockTranscript();
+        assert.ok(FindSubjectResult(transcript, 'block-2', 'subject-2').criteria_trace);
+
+        const visibleTranscript = HideUnreleasedResults({ transcript, unreleasedTestIds: new Set(['test-a']) });
+
+        assert.strictEqual(FindSubjectResult(visibleTranscript, 'block-1', 'subject-1').is_result_hidden, true);
+        assert.strictEqual(FindBlockResult(visibleTranscript, 'block-2').is_result_hidden, undefined);
+        assert.strictEqual(FindSubjectResult(visibleTranscript, 'block-2', 'subject-2').criteria_trace, undefined);
+        assert.strictEqual(FindSubjectResult(visibleTranscript, 'block-2', 'subject-2').subject_result, 'PASS');
+    },
+
+    'The jury decisions on hidden blocks are removed, and the computed overall result with them': () => {
+        const transcript = {
+            ...calculateTwoBlockTranscript(),
+            jury_decision: {
+                block_overrides: [{ block: 'block-1', block_result: 'PASS' }, { block: 'block-2', block_result: 'PASS' }],
+                computed_overall_result: 'PASS'
+            }
+        };
+
+        const visibleTranscript = HideUnreleasedResults({ transcript, unreleasedTestIds: new Set(['test-b']) });
+
+        assert.deepStrictEqual(visibleTranscript.jury_decision.block_overrides, [{ block: 'block-1', block_result: 'PASS' }]);
+        assert.strictEqual(visibleTranscript.jury_decision.computed_overall_result, null);
+    },
+
+    'An overall result decided by the jury stays visible': () => {
+        const transcript = calculateTwoBlockTranscript();
+
+        const visibleTranscript = HideUnreleasedResults({ transcript, unreleasedTestIds: new Set(['test-b']), isOverallResultDecided: true });
+
+        assert.strictEqual(visibleTranscript.overall_result, transcript.overall_result);
+        assert.strictEqual(visibleTranscript.is_overall_result_hidden, undefined);
+        assert.strictEqual(FindBlockResult(visibleTranscript, 'block-2').is_result_hidden, true);
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
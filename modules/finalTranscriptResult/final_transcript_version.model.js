@@ -0,0 +1,136 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+// *************** IMPORT MODULE ***************
+const FinalTranscriptResultModel = require('./final_transcript_result.model');
+
+const finalTranscriptVersionSchema = mongoose.Schema({
+    // Reference to the student the transcript was calculated for
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "student",
+        required: true
+    },
+
+    // Number of the version among the student's transcripts, starting at 1
+    version: {
+        type: Number,
+        required: true
+    },
+
+    // Event that triggered the calculation: a validated mark, a jury decision, or a recalculation requested by a user
+    trigger_event: {
+        type: String,
+        enum: ['MARKS_VALIDATED', 'JURY_DECISION', 'RECALCULATION'],
+        required: true
+    },
+
+    // Reference to the student test result whose validation triggered the calculation, if any
+    trigger_student_test_result: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "student_test_result"
+    },
+
+    // Reference to the academic year whose curriculum the transcript was calculated with, if the student is enrolled in one
+    academic_year: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "academic_year"
+    },
+
+    // 'PASS', 'FAIL' or 'INCOMPLETE' for the student in this version
+    overall_result: {
+        type: String,
+        enum: ['PASS', 'FAIL', 'INCOMPLETE'],
+        required: true
+    },
+
+    // Decisions of the jury applied to this version, if any
+    jury_decision: {
+        type: FinalTranscriptResultModel.schema.path('jury_decision').schema
+    },
+
+    // Results of the blocks in this version, in the same shape as the current final transcript result
+    block_results: [FinalTranscriptResultModel.schema.path('block_results').schema],
+
+    // The curriculum as it was when the transcript was calculated: its blocks, with their subjects and tests
+    curriculum_snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    // The student's test results the transcript was calculated from
+    input_marks: [{
+        _id: false,
+
+        // Reference to the test of the result
+        test: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "test",
+            required: true
+        },
+
+        // Reference to the student test result
+        student_test_result: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "student_test_result"
+        },
+
+        // The marks of the result, by notation
+        marks: [{
+            _id: false,
+            notation_text: {
+                type: String
+            },
+            mark: {
+                type: Number
+            }
+        }],
+
+        // The average of the marks
+        average_mark: {
+            type: Number
+        },
+
+        // 'ABSENT' or 'EXCUSED' if the student did not sit the test
+        absence_status: {
+            type: String
+        },
+
+        // Status of the result when the transcript was calculated
+        student_test_result_status: {
+            type: String
+        }
+    }],
+
+    // Reference to user that triggered the calculation
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    }
+}, {
+    // Versions are never updated, so only their creation is timestamped
+    timestamps: {
+        // Timestamp when the version was calculated
+        createdAt: 'created_at',
+        updatedAt: false
+    }
+});
+
+finalTranscriptVersionSchema.index({ student: 1, version: 1 }, { unique: true });
+
+// *************** A version is a snapshot of a past calculation and must never change once saved
+finalTranscriptVersionSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error('Final transcript versions are immutable');
+    }
+});
+
+finalTranscriptVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function () {
+    throw new Error('Final transcript versions are immutable');
+});
+
+const FinalTranscriptVersionModel = mongoose.model('final_transcript_version', finalTranscriptVersionSchema);
+
+// *************** EXPORT MODULE ***************
+module.exports = FinalTranscriptVersionModel;
\ No newline at end of file
@@ -0,0 +1,319 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const JurySessionModel = require('./jury_session.model');
+const StudentModel = require('../student/student.model');
+const UserModel = require('../user/user.model');
+const FinalTranscriptResultModel = require('../finalTranscriptResult/final_transcript_result.model');
+
+// *************** IMPORT UTILITES ***************
+const CommonHelper = require('../../shared/helper/index');
+
+// *************** IMPORT VALIDATOR ***************
+const JurySessionValidator = require('./jury_session.validator');
+const CommonValidator = require('../../shared/validator/index');
+
+/**
+ * Processes and transforms raw jury session input into a structured data payload for a create operation.
+ * A new jury session is open unless another status is given.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.createJurySessionInput - The raw input object containing the new jury session's properties.
+ * @param {string} args.userId - The ID of the user creating the jury session.
+ * @returns {object} A processed data payload suitable for a database create operation.
+ */
+function GetCreateJurySessionPayload({ createJurySessionInput, userId }) {
+    CommonValidator.ValidateInputTypeObject(createJurySessionInput);
+    CommonValidator.ValidateObjectId(userId);
+    JurySessionValidator.ValidateJurySessionInput({ jurySessionInput: createJurySessionInput });
+
+    const {
+        name,
+        school,
+        academic_year,
+        session_date,
+        members,
+        jury_session_status
+    } = createJurySessionInput;
+
+    return {
+        name,
+        school,
+        academic_year: academic_year || undefined,
+        session_date: new Date(session_date),
+        members: [...new Set(members.map(String))],
+        jury_session_status: jury_session_status ? jury_session_status.toUpperCase() : 'OPEN',
+        created_by: userId,
+        updated_by: userId
+    };
+}
+
+/**
+ * Processes and transforms raw jury session input into a structured data payload for a partial update operation.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.updateJurySessionInput - The raw input object containing the jury session's properties to update.
+ * @param {string} args.userId - The ID of the user updating the jury session.
+ * @returns {object} A processed data payload suitable for a partial database update operation.
+ */
+function GetUpdateJurySessionPayload({ updateJurySessionInput, userId }) {
+    CommonValidator.ValidateInputTypeObject(updateJurySessionInput);
+    CommonValidator.ValidateObjectId(userId);
+    JurySessionValidator.ValidateJurySessionInput({ jurySessionInput: updateJurySessionInput, isUpdate: true });
+
+    const {
+        name,
+        session_date,
+        members,
+        jury_session_status
+    } = updateJurySessionInput;
+
+    const payload = {};
+
+    if (name !== undefined && name !== null) payload.name = name;
+    if (session_date !== undefined && session_date !== null) payload.session_date = new Date(session_date);
+    if (members !== undefined && members !== null) payload.members = [...new Set(members.map(String))];
+    if (jury_session_status !== undefined && jury_session_status !== null) payload.jury_session_status = jury_session_status.toUpperCase();
+
+    payload.updated_by = userId;
+
+    return payload;
+}
+
+/**
+ * Generates a payload for soft-deleting a jury session.
+ * @param {object} args - The arguments for getting the delete payload.
+ * @param {string} args.jurySessionId - The unique identifier of the jury session to be deleted.
+ * @param {string} args.userId - The ID of the user performing the deletion.
+ * @returns {object} An object containing the 'filter' and 'update' payload for the jury session.
+ */
+function GetDeleteJurySessionPayload({ jurySessionId, userId }) {
+    CommonValidator.ValidateObjectId(jurySessionId);
+    CommonValidator.ValidateObjectId(userId);
+
+    return CommonHelper.BuildDeletePayload({
+        ids: [jurySessionId],
+        statusKey: 'jury_session_status',
+        timestamp: Date.now(),
+        userId
+    });
+}
+
+/**
+ * Checks that every member of a jury is an active admin, or an active academic director of the jury's school.
+ * @param {object} args - The arguments for the check.
+ * @param {Array<string>} args.members - The IDs of the users sitting on the jury.
+ * @param {string} args.schoolId - The ID of the school whose students the jury reviews.
+ * @returns {Promise<void>} - This function does not return a value but throws an error if a member cannot sit on the jury.
+ */
+async function ValidateJuryMembers({ members, schoolId }) {
+    const memberIds = [...new Set(members.map(String))];
+
+    const eligibleMembers = await UserModel.countDocuments({
+        _id: { $in: memberIds },
+        user_status: 'ACTIVE',
+        $or: [
+            { role: 'ADMIN' },
+            { role: 'ACADEMIC_DIRECTOR', schools: schoolId }
+        ]
+    });
+
+    if (eligibleMembers !== memberIds.length) {
+        throw new ApolloError('Jury members must be active admins or academic directors of the school', 'INVALID_JURY_MEMBERS');
+    }
+}
+
+/**
+ * Finds an open jury session of the caller's schools along with the transcript of a student it reviews.
+ * The student must belong to the jury's school and, if the jury is restricted to one, to its academic year.
+ * @param {object} args - The arguments for the lookup.
+ * @param {string} args.jurySessionId - The ID of the jury session.
+ * @param {string} args.studentId - The ID of the student whose transcript is reviewed.
+ * @param {object} args.user - The authenticated account from the GraphQL context.
+ * @returns {Promise<{jurySession: object, finalTranscriptResult: object}>} A promise that resolves to the jury session and the student's transcript.
+ */
+async function FindJuryReviewTarget({ jurySessionId, studentId, user }) {
+    CommonValidator.ValidateObjectId(jurySessionId);
+    CommonValidator.ValidateObjectId(studentId);
+
+    const jurySession = await JurySessionModel.findOne({
+        _id: jurySessionId,
+        jury_session_status: { $ne: 'DELETED' },
+        ...CommonHelper.BuildSchoolScopeFilter({ user, field: 'school' })
+    }).lean();
+    if (!jurySession) {
+        throw new ApolloError('Jury session not found', 'JURY_SESSION_NOT_FOUND');
+    }
+
+    if (jurySession.jury_session_status !== 'OPEN') {
+        throw new ApolloError('The jury session is closed', 'JURY_SESSION_CLOSED');
+    }
+
+    const studentFilter = { _id: studentId, school: jurySession.school, student_status: { $ne: 'DELETED' } };
+    if (jurySession.academic_year) {
+        studentFilter.academic_year = jurySession.academic_year;
+    }
+
+    const studentExists = await StudentModel.exists(studentFilter);
+    if (!studentExists) {
+        throw new ApolloError('The student is not reviewed by this jury session', 'STUDENT_NOT_FOUND');
+    }
+
+    const finalTranscriptResult = await FinalTranscriptResultModel.findOne({ student: studentId }).lean();
+    if (!finalTranscriptResult) {
+        throw new ApolloError('Final transcript result not found', 'NOT_FOUND');
+    }
+
+    return { jurySession, finalTranscriptResult };
+}
+
+/**
+ * Builds the jury decision of a transcript with a block result decided by a jury. A block decided again keeps only its latest decision.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.finalTranscriptResult - The student's transcript, containing its current jury decision.
+ * @param {string} args.jurySessionId - The ID of the jury session deciding.
+ * @param {string} args.blockId - The ID of the block whose result is decided.
+ * @param {string} args.blockResult - The decided result: 'PASS' or 'FAIL'.
+ * @param {string} args.justification - The reason given by the jury.
+ * @param {string} args.userId - The ID of the user recording the decision.
+ * @returns {object} The jury decision to store on the transcript.
+ */
+function GetBlockOverridePayload({ finalTranscriptResult, jurySessionId, blockId, blockResult, justification, userId }) {
+    JurySessionValidator.ValidateJuryResultInput(blockResult, 'block_result');
+    JurySessionValidator.ValidateJustificationInput(justification);
+    CommonValidator.ValidateObjectId(userId);
+
+    const currentJuryDecision = finalTranscriptResult.jury_decision || {};
+    const blockOverrides = (currentJuryDecision.block_overrides || [])
+        .filter(blockOverride => String(blockOverride.block) !== String(blockId));
+
+    blockOverrides.push({
+        block: blockId,
+        block_result: blockResult,
+        justification: justification.trim(),
+        decided_by: userId,
+        decided_at: Date.now()
+    });
+
+    return {
+        ...currentJuryDecision,
+        jury_session: jurySessionId,
+        block_overrides: blockOverrides
+    };
+}
+
+/**
+ * Builds the jury decision of a transcript with an overall result decided by a jury.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.finalTranscriptResult - The student's transcript, containing its current jury decision.
+ * @param {string} args.jurySessionId - The ID of the jury session deciding.
+ * @param {string} args.overallResult - The decided result: 'PASS' or 'FAIL'.
+ * @param {string} args.justification - The reason given by the jury.
+ * @param {string} args.userId - The ID of the user recording the decision.
+ * @returns {object} The jury decision to store on the transcript.
+ */
+function GetOverallOverridePayload({ finalTranscriptResult, jurySessionId, overallResult, justification, userId }) {
+    JurySessionValidator.ValidateJuryResultInput(overallResult, 'overall_result');
+    JurySessionValidator.ValidateJustificationInput(justification);
+    CommonValidator.ValidateObjectId(userId);
+
+    return {
+        ...(finalTranscriptResult.jury_decision || {}),
+        jury_session: jurySessionId,
+        overall_result: overallResult,
+        overall_result_justification: justification.trim(),
+        overall_result_decided_by: userId,
+        overall_result_decided_at: Date.now()
+    };
+}
+
+/**
+ * Builds the update locking a transcript once a jury has reviewed it. The members of the jury sign the transcript.
+ * A transcript whose overall result is still incomplete cannot be locked until the jury decides it.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.finalTranscriptResult - The student's transcript, containing its overall result and current jury decision.
+ * @param {object} args.jurySession - The jury session finalizing the transcript.
+ * @param {string} args.userId - The ID of the user finalizing the transcript.
+ * @returns {object} The update to apply to the transcript.
+ */
+function GetFinalizeTranscriptPayload({ finalTranscriptResult, jurySession, userId }) {
+    CommonValidator.ValidateObjectId(userId);
+
+    if (finalTranscriptResult.overall_result === 'INCOMPLETE') {
+        throw new ApolloError('The transcript is incomplete, the jury must decide its overall result before finalizing it', 'TRANSCRIPT_INCOMPLETE');
+    }
+
+    return {
+        $set: {
+            transcript_status: 'FINALIZED',
+            jury_decision: {
+                ...(finalTranscriptResult.jury_decision || {}),
+                jury_session: jurySession._id
+            },
+            finalized_at: Date.now(),
+            finalized_by: userId,
+            signatories: jurySession.members,
+            updated_by: userId
+        }
+    };
+}
+
+/**
+ * Builds the update unlocking a finalized transcript so that it can be recalculated and decided again.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.justification - The reason given by the jury for reopening the transcript.
+ * @param {string} args.userId - The ID of the user reopening the transcript.
+ * @returns {object} The update to apply to the transcript.
+ */
+function GetReopenTranscriptPayload({ justification, userId }) {
+    JurySessionValidator.ValidateJustificationInput(justification);
+    CommonValidator.ValidateObjectId(userId);
+
+    return {
+        $set: {
+            transcript_status: 'DRAFT',
+            reopened_at: Date.now(),
+            reopened_by: userId,
+            reopen_justification: justification.trim(),
+            signatories: [],
+            updated_by: userId
+        },
+        $unset: {
+            finalized_at: '',
+            finalized_by: ''
+        }
+    };
+}
+
+/**
+ * Builds the update putting a reopened transcript back as it was before being reopened, for when its recalculation fails.
+ * @param {object} finalizedTranscriptResult - The transcript as it was before being reopened.
+ * @returns {object} The update restoring the fields changed by the reopening.
+ */
+function GetRestoreFinalizedTranscriptPayload(finalizedTranscriptResult) {
+    const restoredFields = ['transcript_status', 'reopened_at', 'reopened_by', 'reopen_justification', 'signatories', 'updated_by', 'finalized_at', 'finalized_by'];
+    const payload = { $set: {}, $unset: {} };
+
+    for (const field of restoredFields) {
+        if (finalizedTranscriptResult[field] === undefined) {
+            payload.$unset[field] = '';
+        } else {
+            payload.$set[field] = finalizedTranscriptResult[field];
+        }
+    }
+
+    return payload;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    GetCreateJurySessionPayload,
+    GetUpdateJurySessionPayload,
+    GetDeleteJurySessionPayload,
+    ValidateJuryMembers,
+    FindJuryReviewTarget,
+    GetBlockOverridePayload,
+    GetOverallOverridePayload,
+    GetFinalizeTranscriptPayload,
+    GetReopenTranscriptPayload,
+    GetRestoreFinalizedTranscriptPayload
+}
\ No newline at end of file
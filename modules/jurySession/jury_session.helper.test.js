@@ -0,0 +1,118 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const {
+    GetBlockOverridePayload,
+    GetOverallOverridePayload,
+    GetFinalizeTranscriptPayload,
+    GetReopenTranscriptPayload,
+    GetRestoreFinalizedTranscriptPayload
+} = require('./jury_session.helper');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+const USER_ID = '5f00000000000000000000f1';
+const JURY_SESSION_ID = '5f00000000000000000000a1';
+const BLOCK_1_ID = '5f00000000000000000000b1';
+const BLOCK_2_ID = '5f00000000000000000000b2';
+
+const isBadUserInput = (error) => error.extensions.code === 'BAD_USER_INPUT';
+
+const tests = {
+    'A block decided again keeps only its latest decision, next to the decisions on other blocks': () => {
+        const finalTranscriptResult = {
+            jury_decision: {
+                jury_session: JURY_SESSION_ID,
+                block_overrides: [
+                    { block: BLOCK_1_ID, block_result: 'FAIL', justification: 'First review' },
+                    { block: BLOCK_2_ID, block_result: 'PASS', justification: 'Internship validated' }
+                ]
+            }
+        };
+
+        const juryDecision = GetBlockOverridePayload({
+            finalTranscriptResult,
+            jurySessionId: JURY_SESSION_ID,
+            blockId: BLOCK_1_ID,
+            blockResult: 'PASS',
+            justification: '  Medical certificate  ',
+            userId: USER_ID
+        });
+
+        assert.deepStrictEqual(juryDecision.block_overrides.map(blockOverride => [blockOverride.block, blockOverride.block_result]), [[BLOCK_2_ID, 'PASS'], [BLOCK_1_ID, 'PASS']]);
+        assert.strictEqual(juryDecision.block_overrides[1].justification, 'Medical certificate');
+        assert.strictEqual(juryDecision.block_overrides[1].decided_by, USER_ID);
+    },
+
+    'A jury decision needs a PASS or FAIL result and a justification': () => {
+        const finalTranscriptResult = {};
+        const override = { finalTranscriptResult, jurySessionId: JURY_SESSION_ID, blockId: BLOCK_1_ID, userId: USER_ID };
+
+        assert.throws(() => GetBlockOverridePayload({ ...override, blockResult: 'INCOMPLETE', justification: 'Reason' }), isBadUserInput);
+        assert.throws(() => GetBlockOverridePayload({ ...override, blockResult: 'PASS', justification: ' ' }), isBadUserInput);
+        assert.throws(() => GetOverallOverridePayload({ finalTranscriptResult, jurySessionId: JURY_SESSION_ID, overallResult: 'pass', justification: 'Reason', userId: USER_ID }), isBadUserInput);
+    },
+
+    'An overall decision keeps the decisions on blocks': () => {
+        const juryDecision = GetOverallOverridePayload({
+            finalTranscriptResult: { jury_decision: { block_overrides: [{ block: BLOCK_1_ID, block_result: 'PASS' }] } },
+            jurySessionId: JURY_SESSION_ID,
+            overallResult: 'FAIL',
+            justification: 'Attendance',
+            userId: USER_ID
+        });
+
+        assert.strictEqual(juryDecision.overall_result, 'FAIL');
+        assert.strictEqual(juryDecision.overall_result_justification, 'Attendance');
+        assert.strictEqual(juryDecision.block_overrides.length, 1);
+    },
+
+    'A transcript is finalized with the signatures of the jury members, unless it is still incomplete': () => {
+        const jurySession = { _id: JURY_SESSION_ID, members: [USER_ID] };
+
+        const { $set } = GetFinalizeTranscriptPayload({ finalTranscriptResult: { overall_result: 'PASS' }, jurySession, userId: USER_ID });
+
+        assert.strictEqual($set.transcript_status, 'FINALIZED');
+        assert.deepStrictEqual($set.signatories, [USER_ID]);
+        assert.strictEqual($set.jury_decision.jury_session, JURY_SESSION_ID);
+        assert.strictEqual($set.finalized_by, USER_ID);
+        assert.throws(
+            () => GetFinalizeTranscriptPayload({ finalTranscriptResult: { overall_result: 'INCOMPLETE' }, jurySession, userId: USER_ID }),
+            (error) => error.extensions.code === 'TRANSCRIPT_INCOMPLETE'
+        );
+    },
+
+    'Reopening a transcript removes its signatures and requires a justification': () => {
+        const { $set, $unset } = GetReopenTranscriptPayload({ justification: ' New marks ', userId: USER_ID });
+
+        assert.strictEqual($set.transcript_status, 'DRAFT');
+        assert.strictEqual($set.reopen_justification, 'New marks');
+        assert.deepStrictEqual($set.signatories, []);
+        assert.deepStrictEqual(Object.keys($unset), ['finalized_at', 'finalized_by']);
+        assert.throws(() => GetReopenTranscriptPayload({ justification: '', userId: USER_ID }), isBadUserInput);
+    },
+
+    'Restoring a finalized transcript puts back every field changed by reopening it': () => {
+        const finalizedAt = new Date('2026-06-30T10:00:00Z');
+        const finalizedTranscriptResult = {
+            transcript_status: 'FINALIZED',
+            signatories: [USER_ID],
+            updated_by: USER_ID,
+            finalized_at: finalizedAt,
+            finalized_by: USER_ID
+        };
+
+        const { $set, $unset } = GetRestoreFinalizedTranscriptPayload(finalizedTranscriptResult);
+        const reopenPayload = GetReopenTranscriptPayload({ justification: 'New marks', userId: USER_ID });
+
+        assert.deepStrictEqual($set, finalizedTranscriptResult);
+        assert.deepStrictEqual(Object.keys($unset).sort(), ['reopen_justification', 'reopened_at', 'reopened_by']);
+        for (const field of [...Object.keys(reopenPayload.$set), ...Object.keys(reopenPayload.$unset)]) {
+            assert.ok(field in $set || field in $unset, `${field} is not restored`);
+        }
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
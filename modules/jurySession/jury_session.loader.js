@@ -0,0 +1,32 @@
+// *************** IMPORT LIBRARY ***************
+const DataLoader = require('dataloader');
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const JurySessionModel = require('./jury_session.model');
+
+/**
+ * Creates a new DataLoader for batch-loading jury session data.
+ * This function is used to solve the N+1 problem by collecting individual jury session ID requests
+ * and fetching them in a single database query.
+ * @returns {DataLoader} - An instance of DataLoader for fetching jury sessions by ID.
+ */
+function JurySessionLoader() {
+    return new DataLoader(async (jurySessionIds) => {
+        try {
+            const jurySessions = await JurySessionModel.find({
+                _id: { $in: jurySessionIds },
+            });
+
+            const jurySessionsById = new Map(jurySessions.map(jurySession => [String(jurySession._id), jurySession]));
+
+            return jurySessionIds.map(jurySessionId => jurySessionsById.get(String(jurySessionId)));
+        } catch (error) {
+            console.error('Error batch fetching jury sessions:', error);
+            throw new ApolloError(`Failed to batch fetch jury sessions: ${error.message}`, 'JURY_SESSION_BATCH_FETCH_FAILED');
+        }
+    });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = JurySessionLoader;
\ No newline at end of file
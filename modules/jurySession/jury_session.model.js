@@ -0,0 +1,80 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+const jurySessionSchema = mongoose.Schema({
+    // Jury session's name (e.g., 'June 2026 final jury')
+    name: {
+        type: String,
+        required: true
+    },
+
+    // ID of the school whose students the jury reviews
+    school: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "school",
+        required: true
+    },
+
+    // ID of the academic year whose students the jury reviews, if the jury is restricted to one
+    academic_year: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "academic_year"
+    },
+
+    // Date when the jury meets
+    session_date: {
+        type: Date,
+        required: true
+    },
+
+    // IDs of the users sitting on the jury, who sign the transcripts it finalizes
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user'
+    }],
+
+    // Current status of the jury session: OPEN while decisions can be recorded, CLOSED, or DELETED
+    jury_session_status: {
+        type: String,
+        enum: ['OPEN', 'CLOSED', 'DELETED'],
+        required: true
+    },
+
+    // ID of the user who created this jury session record
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+
+    // ID of the user who last updated this jury session record
+    updated_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user',
+        required: true
+    },
+
+    // ID of the user who deleted this jury session (if applicable)
+    deleted_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'user'
+    },
+
+    // Timestamp when the jury session was marked as deleted
+    deleted_at: {
+        type: Date
+    }
+}, {
+    // Automatically include created_at and updated_at fields
+    timestamps: {
+        // Timestamp when the jury session record was created
+        createdAt: 'created_at',
+        // Timestamp when the jury session record was last updated
+        updatedAt: 'updated_at'
+    }
+});
+
+const JurySessionModel = mongoose.model('jury_session', jurySessionSchema);
+
+// *************** EXPORT MODULE ***************
+module.exports = JurySessionModel;
\ No newline at end of file
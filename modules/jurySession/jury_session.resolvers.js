@@ -0,0 +1,639 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE *************** 
+const JurySessionModel = require('./jury_session.model');
+const SchoolModel = require('../school/school.model');
+const AcademicYearModel = require('../academicYear/academic_year.model');
+const FinalTranscriptResultModel = require('../finalTranscriptResult/final_transcript_result.model');
+
+// *************** IMPORT HELPER FUNCTION *************** 
+const JurySessionHelper = require('./jury_session.helper');
+const FinalTranscriptResultHelper = require('../finalTranscriptResult/final_transcript_result.helper');
+const CommonHelper = require('../../shared/helper/index');
+
+// *************** IMPORT VALIDATOR ***************
+const JurySessionValidator = require('./jury_session.validator');
+const CommonValidator = require('../../shared/validator/index');
+
+// *************** QUERY ***************
+/**
+ * GraphQL resolver to fetch the jury sessions of the caller's schools, with optional filters for status and school.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} [args.jury_session_status] - Optional. The status to filter jury sessions by (e.g., 'OPEN').
+ * @param {string} [args.school_id] - Optional. The ID of the school to filter jury sessions by.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of jury session objects, the most recent first.
+ */
+async function GetAllJurySessions(_, { jury_session_status, school_id }, context) {
+    try {
+        JurySessionValidator.ValidateJurySessionStatusFilter(jury_session_status);
+
+        const jurySessionFilter = {
+            jury_session_status: jury_session_status || { $ne: 'DELETED' },
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        };
+
+        if (school_id) {
+            CommonValidator.ValidateObjectId(school_id);
+            CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [school_id] });
+
+            jurySessionFilter.school = school_id;
+        }
+
+        const jurySessions = await JurySessionModel.find(jurySessionFilter).sort({ session_date: -1 }).lean();
+
+        return jurySessions;
+    } catch (error) {
+        console.error('Unexpected error in GetAllJurySessions:', error);
+
+        throw new ApolloError('Failed to retrieve jury sessions', 'GET_JURY_SESSIONS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to fetch a single jury session of the caller's schools by its unique ID.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {string} args.id - The unique identifier of the jury session to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the found jury session object.
+ */
+async function GetOneJurySession(_, { id }, context) {
+    try {
+        CommonValidator.ValidateObjectId(id);
+
+        const jurySession = await JurySessionModel.findOne({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        }).lean();
+        if (!jurySession) {
+            throw new ApolloError('Jury session not found', 'JURY_SESSION_NOT_FOUND');
+        }
+
+        return jurySession;
+    } catch (error) {
+        console.error('Unexpected error in GetOneJurySession:', error);
+
+        throw new ApolloError('Failed to retrieve jury session', 'GET_JURY_SESSION_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** MUTATION ***************
+/**
+ * GraphQL resolver to create a new jury session for a school, optionally restricted to one of its academic years.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {object} args.createJurySessionInput - An object containing the details for the new jury session.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<object>} - A promise that resolves to the newly created jury session object.
+ */
+async function CreateJurySession(_, { createJurySessionInput }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateInputTypeObject(createJurySessionInput);
+        JurySessionValidator.ValidateJurySessionInput({ jurySessionInput: createJurySessionInput });
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [createJurySessionInput.school] });
+
+        const schoolExists = await SchoolModel.exists({ _id: createJurySessionInput.school, school_status: { $ne: 'DELETED' } });
+        if (!schoolExists) {
+            throw new ApolloError('School not found', 'SCHOOL_NOT_FOUND');
+        }
+
+        if (createJurySessionInput.academic_year) {
+            const academicYearExists = await AcademicYearModel.exists({
+                _id: createJurySessionInput.academic_year,
+                school: createJurySessionInput.school,
+                academic_year_status: { $ne: 'DELETED' }
+            });
+            if (!academicYearExists) {
+                throw new ApolloError('Academic year not found in this school', 'ACADEMIC_YEAR_NOT_FOUND');
+            }
+        }
+
+        await JurySessionHelper.ValidateJuryMembers({ members: createJurySessionInput.members, schoolId: createJurySessionInput.school });
+
+        const createJurySessionPayload = JurySessionHelper.GetCreateJurySessionPayload({ createJurySessionInput, userId });
+
+        const newJurySession = await JurySessionModel.create(createJurySessionPayload);
+        if (!newJurySession) {
+            throw new ApolloError('Failed to create jury session', 'CREATE_JURY_SESSION_FAILED');
+        }
+
+        return newJurySession;
+    } catch (error) {
+        console.error('Unexpected error in CreateJurySession:', error);
+
+        throw new ApolloError('Failed to create jury session', 'CREATE_JURY_SESSION_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to update an existing jury session with partial data. The school and academic year of a jury session cannot be changed.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.id - The unique identifier of the jury session to update.
+ * @param {object} args.updateJurySessionInput - An object containing the fields to be updated.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<object>} - A promise that resolves to the updated jury session object.
+ */
+async function UpdateJurySession(_, { id, updateJurySessionInput }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateObjectId(id);
+        CommonValidator.ValidateInputTypeObject(updateJurySessionInput);
+
+        const currentJurySession = await JurySessionModel.findOne({ _id: id, jury_session_status: { $ne: 'DELETED' } }).lean();
+        if (!currentJurySession) {
+            throw new ApolloError('Jury session not found', 'JURY_SESSION_NOT_FOUND');
+        }
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [currentJurySession.school] });
+
+        const updateJurySessionPayload = JurySessionHelper.GetUpdateJurySessionPayload({ updateJurySessionInput, userId });
+
+        if (updateJurySessionPayload.members) {
+            await JurySessionHelper.ValidateJuryMembers({ members: updateJurySessionPayload.members, schoolId: currentJurySession.school });
+        }
+
+        const updatedJurySession = await JurySessionModel.findOneAndUpdate(
+            { _id: id },
+            { $set: updateJurySessionPayload },
+            { new: true }
+        ).lean();
+
+        if (!updatedJurySession) {
+            throw new ApolloError('Jury session update failed', 'JURY_SESSION_UPDATE_FAILED');
+        }
+
+        return updatedJurySession;
+    } catch (error) {
+        console.error('Unexpected error in UpdateJurySession:', error);
+
+        throw new ApolloError('Failed to update jury session', 'UPDATE_JURY_SESSION_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to soft delete a jury session. A jury session that signed finalized transcripts cannot be deleted.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.id - The unique identifier of the jury session to delete.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<object>} - A promise that resolves to the jury session object as it was before being soft-deleted.
+ */
+async function DeleteJurySession(_, { id }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateObjectId(id);
+
+        const jurySession = await JurySessionModel.findOne({ _id: id, jury_session_status: { $ne: 'DELETED' } }).lean();
+        if (!jurySession) {
+            throw new ApolloError('Jury session not found', 'JURY_SESSION_NOT_FOUND');
+        }
+
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [jurySession.school] });
+
+        const finalizedTranscripts = await FinalTranscriptResultModel.countDocuments({ 'jury_decision.jury_session': id, transcript_status: 'FINALIZED' });
+        if (finalizedTranscripts) {
+            throw new ApolloError('Cannot delete a jury session that finalized transcripts', 'JURY_SESSION_IN_USE');
+        }
+
+        const { filter, update } = JurySessionHelper.GetDeleteJurySessionPayload({ jurySessionId: id, userId });
+
+        const deletedJurySession = await JurySessionModel.findOneAndUpdate(filter, update).lean();
+        if (!deletedJurySession) {
+            throw new ApolloError('Jury session deletion failed', 'JURY_SESSION_DELETION_FAILED');
+        }
+
+        return deletedJurySession;
+    } catch (error) {
+        console.error('Unexpected error in DeleteJurySession:', error);
+
+        throw new ApolloError('Failed to delete jury session', 'DELETE_JURY_SESSION_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver for a jury to decide the result of a block of a student's transcript, replacing the calculated one.
+ * The transcript is recalculated right away, so the overall result reflects the decision.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.jury_session_id - The ID of the open jury session deciding.
+ * @param {string} args.student_id - The ID of the student whose transcript is reviewed.
+ * @param {string} args.block_id - The ID of the block whose result is decided.
+ * @param {string} args.block_result - The decided result: 'PASS' or 'FAIL'.
+ * @param {string} args.justification - The mandatory reason for the decision.
+ * @param {object} context - The GraphQL context, used here to get the user ID and the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the recalculated transcript.
+ */
+async function OverrideTranscriptBlockResult(_, { jury_session_id, student_id, block_id, block_result, justification }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateObjectId(block_id);
+
+        const { finalTranscriptResult } = await JurySessionHelper.FindJuryReviewTarget({
+            jurySessionId: jury_session_id,
+            studentId: student_id,
+            user: context.user
+        });
+
+        if (finalTranscriptResult.transcript_status === 'FINALIZED') {
+            throw new ApolloError('The transcript is finalized and must be reopened before deciding', 'TRANSCRIPT_FINALIZED');
+        }
+
+        const blockInTranscript = finalTranscriptResult.block_results.some(blockResult => String(blockResult.block) === String(block_id));
+        if (!blockInTranscript) {
+            throw new ApolloError('The block is not part of the transcript', 'BLOCK_NOT_FOUND');
+        }
+
+        const juryDecision = JurySessionHelper.GetBlockOverridePayload({
+            finalTranscriptResult,
+            jurySessionId: jury_session_id,
+            blockId: block_id,
+            blockResult: block_result,
+            justification,
+            userId
+        });
+
+        await FinalTranscriptResultModel.updateOne(
+            { _id: finalTranscriptResult._id, transcript_status: { $ne: 'FINALIZED' } },
+            { $set: { jury_decision: juryDecision, updated_by: userId } }
+        );
+
+        await FinalTranscriptResultHelper.CalculateFinalTranscript({ studentId: student_id, userId, triggerEvent: 'JURY_DECISION' });
+
+        const updatedFinalTranscriptResult = await FinalTranscriptResultModel.findOne({ student: student_id }).lean();
+
+        return updatedFinalTranscriptResult;
+    } catch (error) {
+        console.error('Unexpected error in OverrideTranscriptBlockResult:', error);
+
+        throw new ApolloError('Failed to override block result', 'OVERRIDE_BLOCK_RESULT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver for a jury to decide the overall result of a student's transcript, replacing the calculated one.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.jury_session_id - The ID of the open jury session deciding.
+ * @param {string} args.student_id - The ID of the student whose transcript is reviewed.
+ * @param {string} args.overall_result - The decided result: 'PASS' or 'FAIL'.
+ * @param {string} args.justification - The mandatory reason for the decision.
+ * @param {object} context - The GraphQL context, used here to get the user ID and the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the recalculated transcript.
+ */
+async function OverrideTranscriptOverallResult(_, { jury_session_id, student_id, overall_result, justification }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const { finalTranscriptResult } = await JurySessionHelper.FindJuryReviewTarget({
+            jurySessionId: jury_session_id,
+            studentId: student_id,
+            user: context.user
+        });
+
+        if (finalTranscriptResult.transcript_status === 'FINALIZED') {
+            throw new ApolloError('The transcript is finalized and must be reopened before deciding', 'TRANSCRIPT_FINALIZED');
+        }
+
+        const juryDecision = JurySessionHelper.GetOverallOverridePayload({
+            finalTranscriptResult,
+            jurySessionId: jury_session_id,
+            overallResult: overall_result,
+            justification,
+            userId
+        });
+
+        await FinalTranscriptResultModel.updateOne(
+            { _id: finalTranscriptResult._id, transcript_status: { $ne: 'FINALIZED' } },
+            { $set: { jury_decision: juryDecision, updated_by: userId } }
+        );
+
+        await FinalTranscriptResultHelper.CalculateFinalTranscript({ studentId: student_id, userId, triggerEvent: 'JURY_DECISION' });
+
+        const updatedFinalTranscriptResult = await FinalTranscriptResultModel.findOne({ student: student_id }).lean();
+
+        return updatedFinalTranscriptResult;
+    } catch (error) {
+        console.error('Unexpected error in OverrideTranscriptOverallResult:', error);
+
+        throw new ApolloError('Failed to override overall result', 'OVERRIDE_OVERALL_RESULT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver for a jury to lock a student's transcript. A finalized transcript is signed by the members of
+ * the jury and is no longer recalculated, whatever marks are validated, until a jury reopens it.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.jury_session_id - The ID of the open jury session finalizing the transcript.
+ * @param {string} args.student_id - The ID of the student whose transcript is finalized.
+ * @param {object} context - The GraphQL context, used here to get the user ID and the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the finalized transcript.
+ */
+async function FinalizeTranscript(_, { jury_session_id, student_id }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const { jurySession, finalTranscriptResult } = await JurySessionHelper.FindJuryReviewTarget({
+            jurySessionId: jury_session_id,
+            studentId: student_id,
+            user: context.user
+        });
+
+        const finalizeTranscriptPayload = JurySessionHelper.GetFinalizeTranscriptPayload({ finalTranscriptResult, jurySession, userId });
+
+        const finalizedTranscriptResult = await FinalTranscriptResultModel.findOneAndUpdate(
+            { _id: finalTranscriptResult._id, transcript_status: { $ne: 'FINALIZED' } },
+            finalizeTranscriptPayload,
+            { new: true }
+        ).lean();
+
+        if (!finalizedTranscriptResult) {
+            throw new ApolloError('The transcript is already finalized', 'TRANSCRIPT_FINALIZED');
+        }
+
+        return finalizedTranscriptResult;
+    } catch (error) {
+        console.error('Unexpected error in FinalizeTranscript:', error);
+
+        throw new ApolloError('Failed to finalize transcript', 'FINALIZE_TRANSCRIPT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver for a jury to unlock a finalized transcript, so that it can be decided again. The decisions already recorded
+ * are kept, and the transcript is recalculated at once, as the marks validated while it was finalized could not update it; if the
+ * recalculation fails, the transcript is finalized again as it was.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.jury_session_id - The ID of the open jury session reopening the transcript.
+ * @param {string} args.student_id - The ID of the student whose transcript is reopened.
+ * @param {string} args.justification - The mandatory reason for reopening the transcript.
+ * @param {object} context - The GraphQL context, used here to get the user ID and the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the reopened transcript.
+ */
+async function ReopenTranscript(_, { jury_session_id, student_id, justification }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const { finalTranscriptResult } = await JurySessionHelper.FindJuryReviewTarget({
+            jurySessionId: jury_session_id,
+            studentId: student_id,
+            user: context.user
+        });
+
+        const reopenTranscriptPayload = JurySessionHelper.GetReopenTranscriptPayload({ justification, userId });
+
+        const reopenedTranscriptResult = await FinalTranscriptResultModel.findOneAndUpdate(
+            { _id: finalTranscriptResult._id, transcript_status: 'FINALIZED' },
+            reopenTranscriptPayload,
+            { new: true }
+        ).lean();
+
+        if (!reopenedTranscriptResult) {
+            throw new ApolloError('Only a finalized transcript can be reopened', 'TRANSCRIPT_NOT_FINALIZED');
+        }
+
+        // *************** A transcript that cannot be recalculated stays finalized, rather than reopened with its previous results
+        try {
+            await FinalTranscriptResultHelper.CalculateFinalTranscript({ studentId: student_id, userId, triggerEvent: 'RECALCULATION' });
+        } catch (error) {
+            try {
+                await FinalTranscriptResultModel.updateOne(
+                    { _id: finalTranscriptResult._id, transcript_status: 'DRAFT' },
+                    JurySessionHelper.GetRestoreFinalizedTranscriptPayload(finalTranscriptResult)
+                );
+            } catch (restoreError) {
+                console.error('Failed to restore the finalized transcript:', restoreError);
+            }
+
+            throw error;
+        }
+
+        const recalculatedTranscriptResult = await FinalTranscriptResultModel.findOne({ student: student_id }).lean();
+
+        return recalculatedTranscriptResult;
+    } catch (error) {
+        console.error('Unexpected error in ReopenTranscript:', error);
+
+        throw new ApolloError('Failed to reopen transcript', 'REOPEN_TRANSCRIPT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** LOADER ***************
+/**
+ * Loads the school of a jury session using a DataLoader.
+ * @param {object} jurySession - The parent jury session object.
+ * @param {string} jurySession.school - The ID of the school to load.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the school object.
+ */
+async function SchoolLoader(jurySession, _, context) {
+    try {
+        JurySessionValidator.ValidateSchoolLoaderInput(jurySession, context);
+
+        const school = await context.dataLoaders.SchoolLoader.load(jurySession.school);
+
+        return school;
+    } catch (error) {
+        console.error("Error fetching school:", error);
+
+        throw new ApolloError(`Failed to fetch school for ${jurySession.name}`, 'SCHOOL_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the academic year a jury session is restricted to, if any, using a DataLoader.
+ * @param {object} jurySession - The parent jury session object.
+ * @param {string} [jurySession.academic_year] - The ID of the academic year to load.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the academic year object, or null if the jury is not restricted to one.
+ */
+async function AcademicYearLoader(jurySession, _, context) {
+    try {
+        JurySessionValidator.ValidateAcademicYearLoaderInput(jurySession, context);
+
+        if (!jurySession.academic_year) {
+            return null;
+        }
+
+        const academicYear = await context.dataLoaders.AcademicYearLoader.load(jurySession.academic_year);
+
+        return academicYear;
+    } catch (error) {
+        throw new ApolloError('Failed to fetch academic year', 'ACADEMIC_YEAR_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the members of a jury session using a DataLoader.
+ * @param {object} jurySession - The parent jury session object.
+ * @param {Array<string>} jurySession.members - The IDs of the users sitting on the jury.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the user objects.
+ */
+async function MembersLoader(jurySession, _, context) {
+    try {
+        JurySessionValidator.ValidateUserLoaderInput(jurySession, context, 'members');
+
+        const members = await context.dataLoaders.UserLoader.loadMany(jurySession.members || []);
+
+        return members.filter(Boolean);
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch users: ${error.message}`, 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who created the jury session using a DataLoader.
+ * @param {object} jurySession - The parent jury session object.
+ * @param {string} jurySession.created_by - The ID of the user who created the jury session.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the user object.
+ */
+async function CreatedByLoader(jurySession, _, context) {
+    try {
+        JurySessionValidator.ValidateUserLoaderInput(jurySession, context, 'created_by');
+
+        const createdBy = await context.dataLoaders.UserLoader.load(jurySession.created_by);
+
+        return createdBy;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch user: ${error.message}`, 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who last updated the jury session using a DataLoader.
+ * @param {object} jurySession - The parent jury session object.
+ * @param {string} jurySession.updated_by - The ID of the user who last updated the jury session.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the user object.
+ */
+async function UpdatedByLoader(jurySession, _, context) {
+    try {
+        JurySessionValidator.ValidateUserLoaderInput(jurySession, context, 'updated_by');
+
+        const updatedBy = await context.dataLoaders.UserLoader.load(jurySession.updated_by);
+
+        return updatedBy;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch user: ${error.message}`, 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * Loads the user who deleted the jury session using a DataLoader.
+ * @param {object} jurySession - The parent jury session object.
+ * @param {string} jurySession.deleted_by - The ID of the user who performed the deletion.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object>} - A promise that resolves to the user object.
+ */
+async function DeletedByLoader(jurySession, _, context) {
+    try {
+        JurySessionValidator.ValidateUserLoaderInput(jurySession, context, 'deleted_by');
+
+        if (!jurySession.deleted_by) {
+            return null;
+        }
+
+        const deletedBy = await context.dataLoaders.UserLoader.load(jurySession.deleted_by);
+
+        return deletedBy;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch user: ${error.message}`, 'USER_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    Query: {
+        GetAllJurySessions,
+        GetOneJurySession
+    },
+
+    Mutation: {
+        CreateJurySession,
+        UpdateJurySession,
+        DeleteJurySession,
+        OverrideTranscriptBlockResult,
+        OverrideTranscriptOverallResult,
+        FinalizeTranscript,
+        ReopenTranscript
+    },
+
+    JurySession: {
+        school: SchoolLoader,
+        academic_year: AcademicYearLoader,
+        members: MembersLoader,
+        created_by: CreatedByLoader,
+        updated_by: UpdatedByLoader,
+        deleted_by: DeletedByLoader
+    }
+}
\ No newline at end of file
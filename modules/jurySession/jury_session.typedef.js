@@ -0,0 +1,58 @@
+// *************** IMPORT LIBRARY ***************
+const { gql } = require('apollo-server-express');
+
+// *************** EXPORT MODULE ***************
+module.exports = gql`
+    enum JurySessionStatus {
+        OPEN
+        CLOSED
+        DELETED
+    }
+
+    input CreateJurySessionInput {
+        name: String!
+        school: ID!
+        academic_year: ID
+        session_date: String!
+        members: [ID!]!
+        jury_session_status: JurySessionStatus
+    }
+
+    input UpdateJurySessionInput {
+        name: String
+        session_date: String
+        members: [ID!]
+        jury_session_status: JurySessionStatus
+    }
+
+    type JurySession {
+        _id: ID!
+        name: String!
+        school: School!
+        academic_year: AcademicYear
+        session_date: String!
+        members: [User!]!
+        jury_session_status: JurySessionStatus!
+        created_by: User!
+        created_at: String!
+        updated_by: User!
+        updated_at: String!
+        deleted_by: User
+        deleted_at: String
+    }
+
+    type Query {
+        GetAllJurySessions(jury_session_status: JurySessionStatus, school_id: ID): [JurySession!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        GetOneJurySession(id: ID!): JurySession @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+    }
+
+    type Mutation {
+        CreateJurySession(createJurySessionInput: CreateJurySessionInput!): JurySession! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        UpdateJurySession(id: ID!, updateJurySessionInput: UpdateJurySessionInput!): JurySession! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        DeleteJurySession(id: ID!): JurySession! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        OverrideTranscriptBlockResult(jury_session_id: ID!, student_id: ID!, block_id: ID!, block_result: ResultStatus!, justification: String!): FinalTranscriptResult! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        OverrideTranscriptOverallResult(jury_session_id: ID!, student_id: ID!, overall_result: ResultStatus!, justification: String!): FinalTranscriptResult! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        FinalizeTranscript(jury_session_id: ID!, student_id: ID!): FinalTranscriptResult! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        ReopenTranscript(jury_session_id: ID!, student_id: ID!, justification: String!): FinalTranscriptResult! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+    }
+`
\ No newline at end of file
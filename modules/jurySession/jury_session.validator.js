@@ -0,0 +1,217 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+/**
+ * Validates the input for fetching all jury sessions.
+ * @param {string} jury_session_status - The status of the jury sessions to filter by (optional).
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateJurySessionStatusFilter(jury_session_status) {
+    const validStatus = ['OPEN', 'CLOSED'];
+
+    if (!jury_session_status) {
+        return;
+    }
+
+    if (typeof jury_session_status !== 'string' || !validStatus.includes(jury_session_status.toUpperCase())) {
+        throw new ApolloError(`Jury session status must be one of: ${validStatus.join(', ')}.`, 'BAD_USER_INPUT', {
+            field: 'jury_session_status'
+        });
+    }
+}
+
+/**
+ * Validates the input object for creating or updating a jury session using a rule-based approach.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.jurySessionInput - An object containing the jury session's properties to be validated.
+ * @param {string} [args.jurySessionInput.name] - The name of the jury session.
+ * @param {string} [args.jurySessionInput.school] - The ID of the school whose students the jury reviews.
+ * @param {string} [args.jurySessionInput.academic_year] - The ID of the academic year whose students the jury reviews.
+ * @param {string} [args.jurySessionInput.session_date] - The date when the jury meets.
+ * @param {Array<string>} [args.jurySessionInput.members] - The IDs of the users sitting on the jury.
+ * @param {string} [args.jurySessionInput.jury_session_status] - The status of the jury session.
+ * @param {boolean} [args.isUpdate=false] - Optional flag to indicate if this is an update operation, which allows for partial data.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateJurySessionInput({ jurySessionInput, isUpdate = false }) {
+    const validStatus = ['OPEN', 'CLOSED'];
+
+    const validationRules = [
+        {
+            field: 'name',
+            required: true,
+            validate: (val) => typeof val === 'string' && val.trim() !== '',
+            message: 'Name is required.',
+        },
+        {
+            field: 'school',
+            required: !isUpdate,
+            validate: (val) => mongoose.Types.ObjectId.isValid(val),
+            message: 'A valid school ID is required.',
+        },
+        {
+            field: 'academic_year',
+            required: false,
+            validate: (val) => val === null || mongoose.Types.ObjectId.isValid(val),
+            message: 'Academic year must be a valid ID.',
+        },
+        {
+            field: 'session_date',
+            required: true,
+            validate: (val) => !isNaN(new Date(val).getTime()),
+            message: 'A valid session date is required.',
+        },
+        {
+            field: 'members',
+            required: true,
+            validate: (val) => Array.isArray(val) && val.length > 0 && val.every(memberId => mongoose.Types.ObjectId.isValid(memberId)),
+            message: 'At least one member is required, and every member must be a valid user ID.',
+        },
+        {
+            field: 'jury_session_status',
+            required: false,
+            validate: (val) => typeof val === 'string' && validStatus.includes(val.toUpperCase()),
+            message: `Jury session status must be one of: ${validStatus.join(', ')}.`,
+        },
+    ];
+
+    for (const rule of validationRules) {
+        const value = jurySessionInput[rule.field];
+        if ((!isUpdate && rule.required) || value !== undefined) {
+            if (!rule.validate(value)) {
+                const message = typeof rule.message === 'function' ? rule.message(value) : rule.message;
+                throw new ApolloError(message, 'BAD_USER_INPUT', { field: rule.field });
+            }
+        }
+    }
+}
+
+/**
+ * Validates the justification a jury gives for a decision, which is mandatory.
+ * @param {string} justification - The reason given by the jury.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateJustificationInput(justification) {
+    if (typeof justification !== 'string' || justification.trim() === '') {
+        throw new ApolloError('A justification is required for a jury decision.', 'BAD_USER_INPUT', { field: 'justification' });
+    }
+}
+
+/**
+ * Validates a result decided by a jury for a block or for the student.
+ * @param {string} result - The decided result.
+ * @param {string} field - The name of the argument holding the result, reported in the error.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateJuryResultInput(result, field) {
+    const validResults = ['PASS', 'FAIL'];
+
+    if (typeof result !== 'string' || !validResults.includes(result)) {
+        throw new ApolloError(`The decided result must be one of: ${validResults.join(', ')}.`, 'BAD_USER_INPUT', { field });
+    }
+}
+
+/**
+ * Validates the inputs for the SchoolLoader resolver on the JurySession type.
+ * @param {object} parent - The parent jury session object, which must contain a valid 'school' ID.
+ * @param {object} context - The GraphQL context, which must contain a configured SchoolLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateSchoolLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT', {
+            field: 'parent'
+        });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(parent.school)) {
+        throw new ApolloError('Input error: parent.school must be a valid ID.', 'BAD_USER_INPUT', {
+            field: 'parent.school'
+        });
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.SchoolLoader ||
+        typeof context.dataLoaders.SchoolLoader.load !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: SchoolLoader not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+}
+
+/**
+ * Validates the inputs for the AcademicYearLoader resolver on the JurySession type.
+ * @param {object} parent - The parent jury session object.
+ * @param {object} context - The GraphQL context, which must contain a configured AcademicYearLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateAcademicYearLoaderInput(parent, context) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT');
+    }
+
+    if (parent.academic_year && !mongoose.Types.ObjectId.isValid(parent.academic_year)) {
+        throw new ApolloError('Input error: If provided, parent.academic_year must be a valid ID.', 'BAD_USER_INPUT');
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.AcademicYearLoader ||
+        typeof context.dataLoaders.AcademicYearLoader.load !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: AcademicYearLoader not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+}
+
+/**
+ * Validates the inputs for resolvers that use the UserLoader.
+ * @param {object} parent - The parent object.
+ * @param {object} context - The GraphQL context, which must contain a configured UserLoader.
+ * @param {string} fieldName - The name of the property on the jury session object that holds the user ID (e.g., 'created_by').
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateUserLoaderInput(parent, context, fieldName) {
+    if (!parent || typeof parent !== 'object' || parent === null) {
+        throw new ApolloError('Input error: parent must be a valid object.', 'BAD_USER_INPUT');
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.UserLoader ||
+        typeof context.dataLoaders.UserLoader.load !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: UserLoader not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+
+    const userIds = [].concat(parent[fieldName] || []);
+
+    if (userIds.some(userId => !mongoose.Types.ObjectId.isValid(userId))) {
+        throw new ApolloError(`Input error: If provided, parent.${fieldName} must hold valid IDs.`, 'BAD_USER_INPUT');
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    ValidateJurySessionStatusFilter,
+    ValidateJurySessionInput,
+    ValidateJustificationInput,
+    ValidateJuryResultInput,
+    ValidateSchoolLoaderInput,
+    ValidateAcademicYearLoaderInput,
+    ValidateUserLoaderInput
+}
\ No newline at end of file
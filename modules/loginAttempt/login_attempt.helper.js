@@ -0,0 +1,197 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+const LoginAttemptModel = require('./login_attempt.model');
+const LoginAttemptCounterModel = require('./login_attempt_counter.model');
+
+let dummyPasswordHash;
+
+/**
+ * Reads the throttling settings from the configuration, falling back to defaults.
+ * @returns {object} The throttling settings.
+ */
+function GetLoginThrottleSettings() {
+    return {
+        maxAccountAttempts: parseInt(config.LOGIN_MAX_FAILED_ATTEMPTS) || 10,
+        maxIpAttempts: parseInt(config.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 50,
+        freeAttempts: parseInt(config.LOGIN_FREE_ATTEMPTS) || 3,
+        maxDelaySeconds: parseInt(config.LOGIN_MAX_DELAY_SECONDS) || 60,
+        lockoutMinutes: parseInt(config.LOGIN_LOCKOUT_MINUTES) || 15
+    };
+}
+
+/**
+ * Compares a password with a throwaway hash, so that a login on an unknown email takes as long as one on an existing account.
+ * @param {string} password - The submitted password.
+ * @returns {Promise<boolean>} A promise that always resolves to false.
+ */
+async function CompareWithDummyPassword(password) {
+    if (!dummyPasswordHash) {
+        dummyPasswordHash = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), parseInt(config.BCRYPT_ROUNDS));
+    }
+
+    await bcrypt.compare(password, dummyPasswordHash);
+
+    return false;
+}
+
+/**
+ * Rejects a login attempt when the email or the IP address is locked out or still within its progressive delay.
+ * Unknown emails are tracked like existing ones, so the response never reveals whether an account exists.
+ * @param {object} args - The arguments for the check.
+ * @param {string} args.email - The lowercased email address submitted.
+ * @param {string} [args.ipAddress] - Optional. The IP address of the request.
+ * @returns {Promise<void>} - This function does not return a value but throws an error if the attempt must be rejected.
+ */
+async function CheckLoginThrottle({ email, ipAddress }) {
+    const keys = [{ counter_type: 'ACCOUNT', key: email }];
+    if (ipAddress) {
+        keys.push({ counter_type: 'IP', key: ipAddress });
+    }
+
+    const counters = await LoginAttemptCounterModel.find({ $or: keys }).lean();
+    const now = Date.now();
+
+    for (const counter of counters) {
+        const blockedUntil = Math.max(
+            counter.locked_until ? new Date(counter.locked_until).getTime() : 0,
+            counter.next_attempt_at ? new Date(counter.next_attempt_at).getTime() : 0
+        );
+
+        if (blockedUntil > now) {
+            const retryAfterSeconds = Math.ceil((blockedUntil - now) / 1000);
+
+            throw new ApolloError(`Too many login attempts, please try again in ${retryAfterSeconds} seconds`, 'TOO_MANY_ATTEMPTS', {
+                retry_after_seconds: retryAfterSeconds
+            });
+        }
+    }
+}
+
+/**
+ * Computes how long a key is blocked after a failure, from its number of failures in the current window.
+ * Past the free attempts, each failure doubles the delay before the next attempt, up to the maximum delay;
+ * reaching the maximum of failures locks the key out.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {number} args.failedAttemptCount - The number of failures in the current window, this one included.
+ * @param {number} args.maxAttempts - The number of failures triggering the lockout.
+ * @returns {object} The dates the counter must be blocked until, to apply with $max so a concurrent failure never shortens them.
+ */
+function GetFailedAttemptBlockPayload({ failedAttemptCount, maxAttempts }) {
+    const { freeAttempts, maxDelaySeconds, lockoutMinutes } = GetLoginThrottleSettings();
+    const now = Date.now();
+    const payload = {};
+
+    if (failedAttemptCount >= maxAttempts) {
+        payload.locked_until = new Date(now + lockoutMinutes * 60 * 1000);
+    } else if (failedAttemptCount > freeAttempts) {
+        const delaySeconds = Math.min(Math.pow(2, failedAttemptCount - freeAttempts), maxDelaySeconds);
+        payload.next_attempt_at = new Date(now + delaySeconds * 1000);
+    }
+
+    return payload;
+}
+
+/**
+ * Counts one more failure on a key. The counter is incremented atomically, so concurrent failures are all counted;
+ * a failure long after the previous one starts a new window.
+ * @param {object} args - The arguments for the update.
+ * @param {string} args.counter_type - The kind of key: 'ACCOUNT' or 'IP'.
+ * @param {string} args.key - The lowercased email address or the IP address.
+ * @returns {Promise<object>} A promise that resolves to the counter after the increment.
+ */
+async function incrementFailedAttemptCounter({ counter_type, key }) {
+    const { lockoutMinutes } = GetLoginThrottleSettings();
+    const now = Date.now();
+
+    // *************** Only a counter whose last failure is older than the window is reset, so a concurrent increment is never lost
+    await LoginAttemptCounterModel.updateOne(
+        { counter_type, key, last_failed_at: { $lte: new Date(now - lockoutMinutes * 60 * 1000) } },
+        { $set: { failed_attempt_count: 0, next_attempt_at: null, locked_until: null } }
+    );
+
+    const maxCreateAttempts = 2;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await LoginAttemptCounterModel.findOneAndUpdate(
+                { counter_type, key },
+                { $inc: { failed_attempt_count: 1 }, $set: { last_failed_at: now } },
+                { upsert: true, new: true }
+            ).lean();
+        } catch (error) {
+            // *************** Two first failures on a key may both try to create its counter; the second one then increments it
+            if (error.code !== 11000 || attempt >= maxCreateAttempts) throw error;
+        }
+    }
+}
+
+/**
+ * Increments the per-account and per-IP failed-attempt counters after a failed login.
+ * @param {object} args - The arguments for the update.
+ * @param {string} args.email - The lowercased email address submitted.
+ * @param {string} [args.ipAddress] - Optional. The IP address of the request.
+ * @returns {Promise<void>} - A promise that resolves once both counters are updated.
+ */
+async function IncrementFailedAttemptCounters({ email, ipAddress }) {
+    const { maxAccountAttempts, maxIpAttempts } = GetLoginThrottleSettings();
+
+    const keys = [{ counter_type: 'ACCOUNT', key: email, maxAttempts: maxAccountAttempts }];
+    if (ipAddress) {
+        keys.push({ counter_type: 'IP', key: ipAddress, maxAttempts: maxIpAttempts });
+    }
+
+    for (const { counter_type, key, maxAttempts } of keys) {
+        const counter = await incrementFailedAttemptCounter({ counter_type, key });
+        const blockPayload = GetFailedAttemptBlockPayload({ failedAttemptCount: counter.failed_attempt_count, maxAttempts });
+
+        if (Object.keys(blockPayload).length) {
+            await LoginAttemptCounterModel.updateOne({ counter_type, key }, { $max: blockPayload });
+        }
+    }
+}
+
+/**
+ * Records a login attempt in the history and updates the failed-attempt counters accordingly.
+ * Only wrong credentials and wrong second-factor codes count as failures; a successful login clears the counter of its email.
+ * @param {object} args - The arguments for recording the attempt.
+ * @param {string} args.email - The lowercased email address submitted.
+ * @param {object} [args.requestInfo] - Optional. The device and network information of the request.
+ * @param {object} [args.account] - Optional. The account matching the email, if any.
+ * @param {string} [args.accountModel] - Optional. The collection of the account: 'user' or 'student'.
+ * @param {boolean} args.isSuccessful - Whether the attempt succeeded.
+ * @param {string} [args.failureReason] - Optional. Why the attempt failed.
+ * @returns {Promise<void>} - A promise that resolves once the attempt is recorded.
+ */
+async function RecordLoginAttempt({ email, requestInfo, account, accountModel, isSuccessful, failureReason }) {
+    const { ip_address, user_agent } = requestInfo || {};
+
+    await LoginAttemptModel.create({
+        email,
+        account: account ? account._id : undefined,
+        account_model: account ? accountModel : undefined,
+        ip_address,
+        user_agent,
+        is_successful: isSuccessful,
+        failure_reason: failureReason
+    });
+
+    if (isSuccessful) {
+        await LoginAttemptCounterModel.deleteOne({ counter_type: 'ACCOUNT', key: email });
+        return;
+    }
+
+    if (failureReason === 'INVALID_CREDENTIALS' || failureReason === 'INVALID_TWO_FACTOR_CODE') {
+        await IncrementFailedAttemptCounters({ email, ipAddress: ip_address });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    CompareWithDummyPassword,
+    CheckLoginThrottle,
+    RecordLoginAttempt
+}
\ No newline at end of file
@@ -0,0 +1,59 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = mongoose.Schema({
+    // Email address submitted with the attempt, lowercased
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        index: true
+    },
+
+    // The ID of the account (user or student) matching the email, if any
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'account_model'
+    },
+
+    // Collection of the account matching the email: user or student
+    account_model: {
+        type: String,
+        enum: ['user', 'student']
+    },
+
+    // IP address the attempt came from
+    ip_address: {
+        type: String
+    },
+
+    // User agent of the device the attempt came from
+    user_agent: {
+        type: String
+    },
+
+    // Whether the attempt opened a session
+    is_successful: {
+        type: Boolean,
+        required: true
+    },
+
+    // Why the attempt failed: wrong email or password, wrong second-factor code, unverified email, or rejected by the throttling
+    failure_reason: {
+        type: String,
+        enum: ['INVALID_CREDENTIALS', 'INVALID_TWO_FACTOR_CODE', 'EMAIL_NOT_VERIFIED', 'TOO_MANY_ATTEMPTS']
+    }
+}, {
+    // Automatically include created_at and updated_at fields
+    timestamps: {
+        // Timestamp of the attempt
+        createdAt: 'created_at',
+        // Timestamp when the attempt record was last updated
+        updatedAt: 'updated_at'
+    }
+});
+
+const LoginAttemptModel = mongoose.model('login_attempt', loginAttemptSchema);
+
+// *************** EXPORT MODULE ***************
+module.exports = LoginAttemptModel;
\ No newline at end of file
@@ -0,0 +1,106 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const LoginAttemptModel = require('./login_attempt.model');
+const LoginAttemptCounterModel = require('./login_attempt_counter.model');
+
+// *************** IMPORT VALIDATOR ***************
+const LoginAttemptValidator = require('./login_attempt.validator');
+
+// *************** QUERY ***************
+/**
+ * GraphQL resolver to fetch a paginated history of login attempts, most recent first.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query.
+ * @param {object} [args.filter] - Optional. An object containing the email, IP address, outcome, and date range to filter by.
+ * @param {number} [args.page=1] - Optional. The page number for pagination.
+ * @param {number} [args.limit=10] - Optional. The number of attempts per page.
+ * @returns {Promise<object>} - A promise that resolves to an object containing the paginated 'data' and the total 'countDocuments'.
+ */
+async function GetLoginAttempts(_, { filter, page = 1, limit = 10 }) {
+    try {
+        LoginAttemptValidator.ValidateGetLoginAttemptsInput({ filter, page, limit });
+
+        const matchStage = {};
+
+        if (filter) {
+            if (filter.email) matchStage.email = filter.email.trim().toLowerCase();
+            if (filter.ip_address) matchStage.ip_address = filter.ip_address.trim();
+            if (filter.is_successful !== undefined && filter.is_successful !== null) matchStage.is_successful = filter.is_successful;
+            if (filter.from || filter.to) {
+                matchStage.created_at = {};
+                if (filter.from) matchStage.created_at.$gte = new Date(filter.from);
+                if (filter.to) matchStage.created_at.$lte = new Date(filter.to);
+            }
+        }
+
+        const results = await LoginAttemptModel.aggregate([
+            { $match: matchStage },
+            { $sort: { created_at: -1 } },
+            {
+                $facet: {
+                    data: [
+                        { $skip: (page - 1) * limit },
+                        { $limit: limit }
+                    ],
+                    countDocuments: [
+                        { $count: 'count' }
+                    ]
+                }
+            }
+        ]);
+
+        return {
+            data: results[0].data,
+            countDocuments: results[0].countDocuments.length > 0 ? results[0].countDocuments[0].count : 0,
+        };
+    } catch (error) {
+        console.error('Unexpected error in GetLoginAttempts:', error);
+
+        throw new ApolloError('Failed to retrieve login attempts', 'GET_LOGIN_ATTEMPTS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** MUTATION ***************
+/**
+ * GraphQL resolver to lift the lockout and progressive delay of an email address, and optionally of an IP address.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.email - The email address of the locked account.
+ * @param {string} [args.ip_address] - Optional. An IP address to unlock as well.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the counters are cleared.
+ */
+async function UnlockAccount(_, { email, ip_address }) {
+    try {
+        LoginAttemptValidator.ValidateUnlockAccountInput({ email, ipAddress: ip_address });
+
+        const keys = [{ counter_type: 'ACCOUNT', key: email.trim().toLowerCase() }];
+        if (ip_address) {
+            keys.push({ counter_type: 'IP', key: ip_address.trim() });
+        }
+
+        await LoginAttemptCounterModel.deleteMany({ $or: keys });
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in UnlockAccount:', error);
+
+        throw new ApolloError('Failed to unlock account', 'UNLOCK_ACCOUNT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    Query: {
+        GetLoginAttempts
+    },
+
+    Mutation: {
+        UnlockAccount
+    }
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+// *************** IMPORT LIBRARY ***************
+const { gql } = require('apollo-server-express');
+
+// *************** EXPORT MODULE ***************
+module.exports = gql`
+    enum LoginFailureReason {
+        INVALID_CREDENTIALS
+        INVALID_TWO_FACTOR_CODE
+        EMAIL_NOT_VERIFIED
+        TOO_MANY_ATTEMPTS
+    }
+
+    input LoginAttemptFilterInput {
+        email: String
+        ip_address: String
+        is_successful: Boolean
+        from: String
+        to: String
+    }
+
+    type PaginatedLoginAttempts {
+        data: [LoginAttempt!]!
+        countDocuments: Int!
+    }
+
+    type LoginAttempt {
+        _id: ID!
+        email: String!
+        account_model: String
+        ip_address: String
+        user_agent: String
+        is_successful: Boolean!
+        failure_reason: LoginFailureReason
+        created_at: String!
+    }
+
+    type Query {
+        GetLoginAttempts(
+            filter: LoginAttemptFilterInput,
+            page: Int,
+            limit: Int
+        ): PaginatedLoginAttempts! @auth(roles: [ADMIN])
+    }
+
+    type Mutation {
+        UnlockAccount(email: String!, ip_address: String): Boolean! @auth(roles: [ADMIN])
+    }
+`
\ No newline at end of file
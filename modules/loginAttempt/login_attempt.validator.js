@@ -0,0 +1,60 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates the optional filter and pagination for fetching the login attempt history.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} [args.filter] - Optional. The filter on email, IP address, and outcome.
+ * @param {number} [args.page] - Optional. The page number for pagination.
+ * @param {number} [args.limit] - Optional. The number of attempts per page.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateGetLoginAttemptsInput({ filter, page, limit }) {
+    if (filter) {
+        if (filter.email !== undefined && (typeof filter.email !== 'string' || filter.email.trim() === '')) {
+            throw new ApolloError('Email filter must be a non-empty string.', 'BAD_USER_INPUT');
+        }
+        if (filter.ip_address !== undefined && (typeof filter.ip_address !== 'string' || filter.ip_address.trim() === '')) {
+            throw new ApolloError('IP address filter must be a non-empty string.', 'BAD_USER_INPUT');
+        }
+        if (filter.from !== undefined && isNaN(new Date(filter.from).getTime())) {
+            throw new ApolloError('A valid date format is required for the from filter.', 'BAD_USER_INPUT');
+        }
+        if (filter.to !== undefined && isNaN(new Date(filter.to).getTime())) {
+            throw new ApolloError('A valid date format is required for the to filter.', 'BAD_USER_INPUT');
+        }
+    }
+
+    if (page !== undefined && (!Number.isInteger(page) || page < 1)) {
+        throw new ApolloError('Page must be a positive integer.', 'BAD_USER_INPUT');
+    }
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        throw new ApolloError('Limit must be a positive integer.', 'BAD_USER_INPUT');
+    }
+}
+
+/**
+ * Validates the inputs for unlocking an account.
+ * @param {object} args - The arguments for the validation.
+ * @param {string} args.email - The email address of the locked account.
+ * @param {string} [args.ipAddress] - Optional. An IP address to unlock as well.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateUnlockAccountInput({ email, ipAddress }) {
+    if (!email || typeof email !== 'string' || !emailRegex.test(email.trim())) {
+        throw new ApolloError('A valid email address is required.', 'BAD_USER_INPUT', { field: 'email' });
+    }
+
+    if (ipAddress !== undefined && ipAddress !== null && (typeof ipAddress !== 'string' || ipAddress.trim() === '')) {
+        throw new ApolloError('IP address must be a non-empty string.', 'BAD_USER_INPUT', { field: 'ip_address' });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    ValidateGetLoginAttemptsInput,
+    ValidateUnlockAccountInput
+}
\ No newline at end of file
@@ -0,0 +1,53 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+const loginAttemptCounterSchema = mongoose.Schema({
+    // What the counter tracks: failed attempts on an email address or from an IP address
+    counter_type: {
+        type: String,
+        enum: ['ACCOUNT', 'IP'],
+        required: true
+    },
+
+    // The lowercased email address or the IP address being tracked
+    key: {
+        type: String,
+        required: true
+    },
+
+    // Number of consecutive failed attempts within the current window
+    failed_attempt_count: {
+        type: Number,
+        default: 0
+    },
+
+    // Timestamp of the last failed attempt, used to start a new window once it is old enough
+    last_failed_at: {
+        type: Date
+    },
+
+    // Timestamp before which a new attempt is rejected, growing with each failure
+    next_attempt_at: {
+        type: Date
+    },
+
+    // Timestamp until which every attempt is rejected once the maximum of failures is reached
+    locked_until: {
+        type: Date
+    }
+}, {
+    // Automatically include created_at and updated_at fields
+    timestamps: {
+        // Timestamp when the counter was created
+        createdAt: 'created_at',
+        // Timestamp when the counter was last updated
+        updatedAt: 'updated_at'
+    }
+});
+
+loginAttemptCounterSchema.index({ counter_type: 1, key: 1 }, { unique: true });
+
+const LoginAttemptCounterModel = mongoose.model('login_attempt_counter', loginAttemptCounterSchema);
+
+// *************** EXPORT MODULE ***************
+module.exports = LoginAttemptCounterModel;
\ No newline at end of file
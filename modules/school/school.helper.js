@@ -31,6 +31,8 @@ function GetCreateSchoolPayload({ createSchoolInput, userId }) {
         country,
         zipcode,
         logo,
+        grading_scale,
+        mark_rounding,
         school_status
     } = createSchoolInput;
 
@@ -42,6 +44,8 @@ function GetCreateSchoolPayload({ createSchoolInput, userId }) {
         country,
         zipcode,
         logo,
+        grading_scale: grading_scale || undefined,
+        mark_rounding: mark_rounding ? { increment: mark_rounding.increment, method: mark_rounding.method.toUpperCase() } : undefined,
         school_status: school_status.toUpperCase(),
         created_by: userId,
         updated_by: userId
@@ -68,6 +72,8 @@ function GetUpdateSchoolPayload({ updateSchoolInput, userId }) {
         country,
         zipcode,
         logo,
+        grading_scale,
+        mark_rounding,
         school_status
     } = updateSchoolInput;
 
@@ -80,6 +86,8 @@ function GetUpdateSchoolPayload({ updateSchoolInput, userId }) {
     if (country !== undefined && country !== null) payload.country = country;
     if (zipcode !== undefined && zipcode !== null) payload.zipcode = zipcode;
     if (logo !== undefined && logo !== null) payload.logo = logo;
+    if (grading_scale !== undefined && grading_scale !== null) payload.grading_scale = grading_scale;
+    if (mark_rounding !== undefined && mark_rounding !== null) payload.mark_rounding = { increment: mark_rounding.increment, method: mark_rounding.method.toUpperCase() };
     if (school_status !== undefined && school_status !== null) payload.school_status = school_status.toUpperCase();
 
     payload.updated_by = userId;
@@ -43,6 +43,27 @@ const schoolSchema = mongoose.Schema({
         type: String
     },
 
+    // The maximum mark of the scale the subject and block marks of the school's transcripts are expressed on (e.g., 20 or 100); the configured default when not set
+    grading_scale: {
+        type: Number,
+        min: 0
+    },
+
+    // How the marks of the school's students are rounded; to the nearest hundredth when not set
+    mark_rounding: {
+        // Marks are rounded to a multiple of this increment (e.g., 0.01, or 0.5 for half points)
+        increment: {
+            type: Number,
+            min: 0
+        },
+
+        // Whether marks are rounded to the NEAREST multiple, or always UP or DOWN
+        method: {
+            type: String,
+            enum: ['NEAREST', 'UP', 'DOWN']
+        }
+    },
+
     // Current status of the school: ACTIVE, INACTIVE, or DELETED
     school_status: {
         type: String,
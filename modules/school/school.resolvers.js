@@ -7,6 +7,7 @@ const StudentModel = require('../student/student.model');
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const SchoolHelper = require('./school.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const SchoolValidator = require('./school.validator');
@@ -14,21 +15,22 @@ const CommonValidator = require('../../shared/validator/index');
 
 // *************** QUERY ***************
 /**
- * GraphQL resolver to fetch a paginated, sorted, and filtered list of schools using an aggregation pipeline.
+ * GraphQL resolver to fetch a paginated, sorted, and filtered list of the caller's schools using an aggregation pipeline.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {object} [args.filter] - Optional. An object containing fields to filter the school list, including nested filters for related documents.
  * @param {object} [args.sort] - Optional. An object specifying the sorting field and order ('ASC' or 'DESC').
  * @param {number} [args.page=1] - Optional. The page number for pagination.
  * @param {number} [args.limit=10] - Optional. The number of schools per page.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to an object containing the paginated 'data' and the total 'countDocuments'.
  */
-async function GetAllSchools(_, { filter, sort, page = 1, limit = 10 }) {
+async function GetAllSchools(_, { filter, sort, page = 1, limit = 10 }, context) {
     try {
         SchoolValidator.ValidateGetAllSchoolsInput({ filter, sort, page, limit });
 
         const pipeline = [];
-        const matchStage = {};
+        const matchStage = CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: '_id' });
 
         if ((filter && filter.created_by) || (sort && sort.field.startsWith('created_by.'))) {
             pipeline.push({
@@ -147,16 +149,19 @@ async function GetAllSchools(_, { filter, sort, page = 1, limit = 10 }) {
 }
 
 /**
- * GraphQL resolver to fetch a single school by its unique ID.
+ * GraphQL resolver to fetch a single school of the caller by its unique ID.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the school to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found school object.
  */
-async function GetOneSchool(_, { id }) {
+async function GetOneSchool(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id);
 
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [id] });
+
         const school = await SchoolModel.findById(id).lean();
         if (!school) {
             throw new ApolloError("School not found", "NOT_FOUND");
@@ -379,6 +384,11 @@ module.exports = {
     School: {
         students: StudentLoader,
         created_by: CreatedByLoader,
-        updated_by: UpdatedByLoader
+        updated_by: UpdatedByLoader,
+        grading_scale: (school) => CommonHelper.GetGradingScale(school),
+        mark_rounding: (school) => ({
+            increment: (school.mark_rounding && school.mark_rounding.increment) || 0.01,
+            method: (school.mark_rounding && school.mark_rounding.method) || 'NEAREST'
+        })
     }
 }
\ No newline at end of file
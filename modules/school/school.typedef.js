@@ -9,6 +9,17 @@ module.exports = gql`
         DELETED
     }
 
+    enum MarkRoundingMethod {
+        NEAREST
+        UP
+        DOWN
+    }
+
+    input MarkRoundingInput {
+        increment: Float!
+        method: MarkRoundingMethod!
+    }
+
     input CreateSchoolInput {
         commercial_name: String!
         legal_name: String!
@@ -17,6 +28,8 @@ module.exports = gql`
         country: String!
         zipcode: String!
         logo: String
+        grading_scale: Float
+        mark_rounding: MarkRoundingInput
         school_status: Status!
     }
 
@@ -28,6 +41,8 @@ module.exports = gql`
         country: String
         zipcode: String
         logo: String
+        grading_scale: Float
+        mark_rounding: MarkRoundingInput
         school_status: Status
     }
 
@@ -55,6 +70,11 @@ module.exports = gql`
         countDocuments: Int!
     }
 
+    type MarkRounding {
+        increment: Float!
+        method: MarkRoundingMethod!
+    }
+
     type School {
         _id: ID!
         commercial_name: String!
@@ -64,8 +84,10 @@ module.exports = gql`
         country: String!
         zipcode: String!
         logo: String
+        grading_scale: Float!
+        mark_rounding: MarkRounding!
         school_status: Status!
-        students: [Student!]!
+        students: [Student!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
         created_by: User!
         created_at: String!
         updated_by: User!
@@ -78,13 +100,13 @@ module.exports = gql`
             sort: SortInput,
             page: Int,
             limit: Int
-        ): PaginatedSchools!
-        GetOneSchool(id: ID!): School
+        ): PaginatedSchools! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        GetOneSchool(id: ID!): School @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
     }
 
     type Mutation {
-        CreateSchool(createSchoolInput: CreateSchoolInput!): School!
-        UpdateSchool(id: ID!, updateSchoolInput: UpdateSchoolInput!): School!
-        DeleteSchool(id: ID!): School!
+        CreateSchool(createSchoolInput: CreateSchoolInput!): School! @auth(roles: [ADMIN])
+        UpdateSchool(id: ID!, updateSchoolInput: UpdateSchoolInput!): School! @auth(roles: [ADMIN])
+        DeleteSchool(id: ID!): School! @auth(roles: [ADMIN])
     }
 `
\ No newline at end of file
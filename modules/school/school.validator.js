@@ -84,12 +84,15 @@ function ValidateGetAllSchoolsInput({ filter, sort, page, limit }) {
  * @param {string} [args.schoolInput.country] - The country where the school is located.
  * @param {string} [args.schoolInput.zipcode] - The zipcode of the school's location.
  * @param {string} [args.schoolInput.logo] - Optional. A URL to the school's logo.
+ * @param {number} [args.schoolInput.grading_scale] - Optional. The maximum mark of the scale of the school's transcripts.
+ * @param {object} [args.schoolInput.mark_rounding] - Optional. How the marks of the school's students are rounded, with 'increment' and 'method'.
  * @param {string} [args.schoolInput.school_status] - The school's status (e.g., 'ACTIVE').
  * @param {boolean} [args.isUpdate=false] - Optional flag to indicate if this is an update operation, which allows for partial data.
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
 function ValidateSchoolInput({ schoolInput, isUpdate = false }) {
     const validStatus = ['ACTIVE', 'INACTIVE'];
+    const validRoundingMethod = ['NEAREST', 'UP', 'DOWN'];
 
     const validationRules = [
         {
@@ -134,6 +137,20 @@ function ValidateSchoolInput({ schoolInput, isUpdate = false }) {
             validate: (val) => typeof val === 'string' && val.startsWith('http'),
             message: 'Logo must be a valid URL.',
         },
+        {
+            field: 'grading_scale',
+            required: false,
+            validate: (val) => typeof val === 'number' && !isNaN(val) && val > 0,
+            message: 'Grading scale must be a number greater than 0.',
+        },
+        {
+            field: 'mark_rounding',
+            required: false,
+            validate: (val) => val !== null && typeof val === 'object' &&
+                typeof val.increment === 'number' && !isNaN(val.increment) && val.increment > 0 &&
+                typeof val.method === 'string' && validRoundingMethod.includes(val.method.toUpperCase()),
+            message: `Mark rounding must have an increment greater than 0 and a method among: ${validRoundingMethod.join(', ')}.`,
+        },
         {
             field: 'school_status',
             required: true,
@@ -0,0 +1,40 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT VALIDATOR ***************
+const { ValidateSchoolInput } = require('./school.validator');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+/**
+ * Asserts that an update of a school is refused on the given field.
+ * @param {object} schoolInput - The fields of the update.
+ * @param {string} field - The field the error must point to.
+ * @returns {void}
+ */
+function assertUpdateRejected(schoolInput, field) {
+    assert.throws(
+        () => ValidateSchoolInput({ schoolInput, isUpdate: true }),
+        (error) => error.extensions.code === 'BAD_USER_INPUT' && error.extensions.field === field
+    );
+}
+
+const tests = {
+    'A grading scale and rounding rules within their bounds are accepted': () => {
+        ValidateSchoolInput({ schoolInput: { grading_scale: 100, mark_rounding: { increment: 0.5, method: 'nearest' } }, isUpdate: true });
+    },
+
+    'The grading scale must be greater than 0': () => {
+        assertUpdateRejected({ grading_scale: 0 }, 'grading_scale');
+        assertUpdateRejected({ grading_scale: '20' }, 'grading_scale');
+    },
+
+    'Rounding rules need an increment greater than 0 and a known method': () => {
+        assertUpdateRejected({ mark_rounding: { increment: 0, method: 'UP' } }, 'mark_rounding');
+        assertUpdateRejected({ mark_rounding: { increment: 0.5, method: 'HALF_EVEN' } }, 'mark_rounding');
+        assertUpdateRejected({ mark_rounding: null }, 'mark_rounding');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
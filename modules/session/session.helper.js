@@ -0,0 +1,185 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+const SessionModel = require('./session.model');
+
+// *************** IMPORT UTILITIES ***************
+const { GenerateToken } = require('../../middleware/auth');
+
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+const SessionValidator = require('./session.validator');
+
+/**
+ * Hashes a refresh token so that only its digest is ever persisted.
+ * @param {string} refreshToken - The raw refresh token.
+ * @returns {string} The hexadecimal SHA-256 digest of the token.
+ */
+function HashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Generates a new opaque refresh token for a session. The session ID is used as a prefix so the session can be found without a hash lookup.
+ * @param {string} sessionId - The ID of the session the token belongs to.
+ * @returns {string} The raw refresh token to hand to the client.
+ */
+function GenerateRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+}
+
+/**
+ * Splits a refresh token into the ID of its session and the digest to compare with the stored one.
+ * @param {string} refreshToken - The raw refresh token sent by the client.
+ * @returns {{sessionId: string, refreshTokenHash: string}} The session ID and the hash of the token.
+ */
+function ParseRefreshToken(refreshToken) {
+    SessionValidator.ValidateRefreshTokenInput(refreshToken);
+
+    const [sessionId] = refreshToken.split('.');
+
+    return { sessionId, refreshTokenHash: HashRefreshToken(refreshToken) };
+}
+
+/**
+ * Computes the expiration date of a refresh token issued now.
+ * @returns {Date} The date after which the refresh token is rejected.
+ */
+function GetRefreshTokenExpirationDate() {
+    const expirationDays = parseInt(config.REFRESH_TOKEN_EXPIRATION_DAYS) || 30;
+
+    return new Date(Date.now() + expirationDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Builds the payload of a new session opened at login, along with its first refresh token.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.accountId - The ID of the user or student logging in.
+ * @param {string} args.accountModel - The collection of the account: 'user' or 'student'.
+ * @param {string} args.role - The role carried by the tokens of the session.
+ * @param {object} [args.requestInfo] - Optional. The device and network information of the request.
+ * @returns {{refreshToken: string, sessionPayload: object}} The raw refresh token and the session document to create.
+ */
+function GetCreateSessionPayload({ accountId, accountModel, role, requestInfo }) {
+    CommonValidator.ValidateObjectId(accountId);
+
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = GenerateRefreshToken(sessionId);
+    const { ip_address, user_agent } = requestInfo || {};
+
+    return {
+        refreshToken,
+        sessionPayload: {
+            _id: sessionId,
+            user: accountId,
+            account_model: accountModel,
+            role,
+            refresh_token_hash: HashRefreshToken(refreshToken),
+            user_agent,
+            ip_address,
+            last_ip_address: ip_address,
+            last_used_at: Date.now(),
+            expires_at: GetRefreshTokenExpirationDate(),
+            session_status: 'ACTIVE'
+        }
+    };
+}
+
+/**
+ * Builds the update rotating the refresh token of a session. The presented token is kept as a
+ * previous hash so that presenting it again is detected as a reuse.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.refreshTokenHash - The hash of the refresh token being rotated.
+ * @param {string} args.sessionId - The ID of the session.
+ * @param {string} args.role - The current role of the account owning the session.
+ * @param {object} [args.requestInfo] - Optional. The device and network information of the request.
+ * @returns {{refreshToken: string, session: {filter: object, update: object}}} The new raw refresh token and the session update.
+ */
+function GetRotateSessionPayload({ refreshTokenHash, sessionId, role, requestInfo }) {
+    const refreshToken = GenerateRefreshToken(sessionId);
+    const { ip_address } = requestInfo || {};
+
+    return {
+        refreshToken,
+        session: {
+            filter: { _id: sessionId, refresh_token_hash: refreshTokenHash, session_status: 'ACTIVE' },
+            update: {
+                $set: {
+                    refresh_token_hash: HashRefreshToken(refreshToken),
+                    role,
+                    last_ip_address: ip_address,
+                    last_used_at: Date.now()
+                },
+                $push: { previous_refresh_token_hashes: refreshTokenHash }
+            }
+        }
+    };
+}
+
+/**
+ * Builds the update revoking one or more sessions.
+ * @param {string} reason - The reason of the revocation: 'LOGOUT', 'LOGOUT_ALL', 'TOKEN_REUSE', 'PASSWORD_RESET', or 'PASSWORD_CHANGE'.
+ * @returns {object} The update to apply to the revoked sessions.
+ */
+function GetRevokeSessionPayload(reason) {
+    return {
+        $set: {
+            session_status: 'REVOKED',
+            revoked_reason: reason,
+            revoked_at: Date.now()
+        }
+    };
+}
+
+/**
+ * Opens a session for an account whose credentials have been fully checked, and builds the login response.
+ * @param {object} args - The arguments for opening the session.
+ * @param {object} args.account - The user or student logging in.
+ * @param {string} args.accountModel - The collection of the account: 'user' or 'student'.
+ * @param {object} [args.requestInfo] - Optional. The device and network information of the request.
+ * @returns {Promise<object>} A promise that resolves to the access token, the refresh token and the account.
+ */
+async function OpenLoginSession({ account, accountModel, requestInfo }) {
+    const role = accountModel === 'student' ? 'STUDENT' : account.role;
+
+    const { refreshToken, sessionPayload } = GetCreateSessionPayload({
+        accountId: account._id,
+        accountModel,
+        role,
+        requestInfo
+    });
+
+    const session = await SessionModel.create(sessionPayload);
+    if (!session) {
+        throw new ApolloError('Failed to create session', 'CREATE_SESSION_FAILED');
+    }
+
+    const token = GenerateToken({ _id: account._id, role, session_id: session._id });
+
+    const { password, ...accountWithoutPassword } = account;
+
+    return {
+        token,
+        refresh_token: refreshToken,
+        two_factor_required: false,
+        two_factor_setup_required: false,
+        user: {
+            ...accountWithoutPassword,
+            role
+        }
+    };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    HashRefreshToken,
+    ParseRefreshToken,
+    GetCreateSessionPayload,
+    GetRotateSessionPayload,
+    GetRevokeSessionPayload,
+    OpenLoginSession
+}
\ No newline at end of file
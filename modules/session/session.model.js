@@ -0,0 +1,93 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+const sessionSchema = mongoose.Schema({
+    // The ID of the account (user or student) owning the session
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'account_model',
+        required: true
+    },
+
+    // Collection of the account owning the session: user or student
+    account_model: {
+        type: String,
+        enum: ['user', 'student'],
+        required: true
+    },
+
+    // Role the session was opened with, carried by the issued access tokens
+    role: {
+        type: String,
+        enum: ['ADMIN', 'USER', 'CORRECTOR', 'ACADEMIC_DIRECTOR', 'STUDENT'],
+        required: true
+    },
+
+    // SHA-256 hash of the refresh token currently valid for the session
+    refresh_token_hash: {
+        type: String,
+        required: true
+    },
+
+    // Hashes of the refresh tokens already rotated, used to detect a reused token
+    previous_refresh_token_hashes: [{
+        type: String
+    }],
+
+    // User agent of the device the session was opened from
+    user_agent: {
+        type: String
+    },
+
+    // IP address the session was opened from
+    ip_address: {
+        type: String
+    },
+
+    // IP address the session was last refreshed from
+    last_ip_address: {
+        type: String
+    },
+
+    // Timestamp of the last refresh of the session
+    last_used_at: {
+        type: Date
+    },
+
+    // Timestamp after which the refresh token can no longer be used
+    expires_at: {
+        type: Date,
+        required: true
+    },
+
+    // Current status of the session: active or revoked
+    session_status: {
+        type: String,
+        enum: ['ACTIVE', 'REVOKED'],
+        default: 'ACTIVE'
+    },
+
+    // Reason the session was revoked: logout, logout of all sessions, reuse of a rotated refresh token, password reset, or password change
+    revoked_reason: {
+        type: String,
+        enum: ['LOGOUT', 'LOGOUT_ALL', 'TOKEN_REUSE', 'PASSWORD_RESET', 'PASSWORD_CHANGE']
+    },
+
+    // Timestamp when the session was revoked
+    revoked_at: {
+        type: Date
+    }
+}, {
+    // Automatically include created_at and updated_at fields
+    timestamps: {
+        // Timestamp when the session was opened
+        createdAt: 'created_at',
+        // Timestamp when the session was last updated
+        updatedAt: 'updated_at'
+    }
+});
+
+const SessionModel = mongoose.model('session', sessionSchema);
+
+// *************** EXPORT MODULE ***************
+module.exports = SessionModel;
\ No newline at end of file
@@ -0,0 +1,261 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const SessionModel = require('./session.model');
+const UserModel = require('../user/user.model');
+const StudentModel = require('../student/student.model');
+
+// *************** IMPORT UTILITIES ***************
+const { GenerateToken } = require('../../middleware/auth');
+
+// *************** IMPORT HELPER FUNCTION ***************
+const SessionHelper = require('./session.helper');
+
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+
+// *************** QUERY ***************
+/**
+ * GraphQL resolver to fetch the active sessions of the authenticated account.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} __ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of session objects, most recently used first.
+ */
+async function GetMySessions(_, __, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const sessions = await SessionModel.find({
+            user: userId,
+            session_status: 'ACTIVE',
+            expires_at: { $gt: new Date() }
+        })
+            .select({ refresh_token_hash: 0, previous_refresh_token_hashes: 0 })
+            .sort({ last_used_at: -1 })
+            .lean();
+
+        return sessions;
+    } catch (error) {
+        console.error('Unexpected error in GetMySessions:', error);
+
+        throw new ApolloError('Failed to retrieve sessions', 'GET_SESSIONS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** MUTATION ***************
+/**
+ * GraphQL resolver to exchange a refresh token for a new access token and a rotated refresh token.
+ * Presenting a refresh token that was already rotated revokes the whole session, as it means the token leaked.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.refresh_token - The refresh token issued at login or by the previous refresh.
+ * @param {object} context - The GraphQL context, used here to get the request information.
+ * @returns {Promise<object>} - A promise that resolves to an object containing the new tokens and the account.
+ */
+async function RefreshToken(_, { refresh_token }, context) {
+    try {
+        const { sessionId, refreshTokenHash } = SessionHelper.ParseRefreshToken(refresh_token);
+
+        const session = await SessionModel.findById(sessionId).lean();
+        if (!session) {
+            throw new ApolloError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+
+        // *************** A rotated token presented again means it was stolen, revoke the session
+        if (session.previous_refresh_token_hashes.includes(refreshTokenHash)) {
+            await SessionModel.updateOne({ _id: sessionId }, SessionHelper.GetRevokeSessionPayload('TOKEN_REUSE'));
+
+            throw new ApolloError('Refresh token reuse detected, the session has been revoked', 'REFRESH_TOKEN_REUSED');
+        }
+
+        if (
+            session.session_status !== 'ACTIVE' ||
+            session.refresh_token_hash !== refreshTokenHash ||
+            new Date(session.expires_at) <= new Date()
+        ) {
+            throw new ApolloError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+
+        // *************** Check the account owning the session is still active
+        const account = session.account_model === 'student'
+            ? await StudentModel.findOne({ _id: session.user, student_status: 'ACTIVE' }).lean()
+            : await UserModel.findOne({ _id: session.user, user_status: 'ACTIVE' }).lean();
+        if (!account) {
+            throw new ApolloError('Account not found or inactive', 'ACCOUNT_NOT_FOUND');
+        }
+
+        const role = session.account_model === 'student' ? 'STUDENT' : account.role;
+
+        // *************** Rotate the refresh token, the filter on the current hash guards against concurrent refreshes
+        const { refreshToken, session: sessionUpdate } = SessionHelper.GetRotateSessionPayload({
+            refreshTokenHash,
+            sessionId,
+            role,
+            requestInfo: context && context.requestInfo
+        });
+
+        const rotatedSession = await SessionModel.findOneAndUpdate(sessionUpdate.filter, sessionUpdate.update).lean();
+        if (!rotatedSession) {
+            throw new ApolloError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+
+        const token = GenerateToken({ _id: account._id, role, session_id: sessionId });
+
+        const { password, ...accountWithoutPassword } = account;
+
+        return {
+            token,
+            refresh_token: refreshToken,
+            two_factor_required: false,
+            two_factor_setup_required: false,
+            user: {
+                ...accountWithoutPassword,
+                role
+            }
+        };
+    } catch (error) {
+        console.error('Unexpected error in RefreshToken:', error);
+
+        throw new ApolloError('Failed to refresh token', 'REFRESH_TOKEN_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to revoke the session the current access token belongs to.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} __ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the user and session IDs.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the session is revoked.
+ */
+async function Logout(_, __, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const revokedSession = await SessionModel.findOneAndUpdate(
+            { _id: context.user.session_id, user: userId, session_status: 'ACTIVE' },
+            SessionHelper.GetRevokeSessionPayload('LOGOUT')
+        ).lean();
+        if (!revokedSession) {
+            throw new ApolloError('Session not found', 'SESSION_NOT_FOUND');
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in Logout:', error);
+
+        throw new ApolloError('Failed to logout', 'LOGOUT_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to revoke every active session of the authenticated account, including the current one.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} __ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<number>} - A promise that resolves to the number of revoked sessions.
+ */
+async function LogoutAllSessions(_, __, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const revokedSessions = await SessionModel.updateMany(
+            { user: userId, session_status: 'ACTIVE' },
+            SessionHelper.GetRevokeSessionPayload('LOGOUT_ALL')
+        );
+
+        return revokedSessions.nModified;
+    } catch (error) {
+        console.error('Unexpected error in LogoutAllSessions:', error);
+
+        throw new ApolloError('Failed to logout from all sessions', 'LOGOUT_ALL_SESSIONS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to revoke one of the sessions of the authenticated account.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.id - The unique identifier of the session to revoke.
+ * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @returns {Promise<object>} - A promise that resolves to the revoked session object.
+ */
+async function RevokeMySession(_, { id }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateObjectId(id);
+
+        const revokedSession = await SessionModel.findOneAndUpdate(
+            { _id: id, user: userId, session_status: 'ACTIVE' },
+            SessionHelper.GetRevokeSessionPayload('LOGOUT'),
+            { new: true }
+        )
+            .select({ refresh_token_hash: 0, previous_refresh_token_hashes: 0 })
+            .lean();
+        if (!revokedSession) {
+            throw new ApolloError('Session not found', 'SESSION_NOT_FOUND');
+        }
+
+        return revokedSession;
+    } catch (error) {
+        console.error('Unexpected error in RevokeMySession:', error);
+
+        throw new ApolloError('Failed to revoke session', 'REVOKE_SESSION_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** LOADER ***************
+/**
+ * Resolves whether a session is the one the current access token belongs to.
+ * @param {object} session - The parent session object.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the current session ID.
+ * @returns {boolean} - True if the session is the current one.
+ */
+function IsCurrentSession(session, _, context) {
+    const currentSessionId = context && context.user && context.user.session_id;
+
+    return Boolean(currentSessionId) && String(session._id) === String(currentSessionId);
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    Query: {
+        GetMySessions
+    },
+
+    Mutation: {
+        RefreshToken,
+        Logout,
+        LogoutAllSessions,
+        RevokeMySession
+    },
+
+    Session: {
+        is_current: IsCurrentSession
+    }
+}
\ No newline at end of file
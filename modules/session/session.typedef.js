@@ -0,0 +1,33 @@
+// *************** IMPORT LIBRARY ***************
+const { gql } = require('apollo-server-express');
+
+// *************** EXPORT MODULE ***************
+module.exports = gql`
+    enum SessionStatus {
+        ACTIVE
+        REVOKED
+    }
+
+    type Session {
+        _id: ID!
+        user_agent: String
+        ip_address: String
+        last_ip_address: String
+        last_used_at: String
+        expires_at: String!
+        session_status: SessionStatus!
+        is_current: Boolean!
+        created_at: String!
+    }
+
+    type Query {
+        GetMySessions: [Session!]! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR, STUDENT])
+    }
+
+    type Mutation {
+        RefreshToken(refresh_token: String!): LoginResponse! @public
+        Logout: Boolean! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR, STUDENT])
+        LogoutAllSessions: Int! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR, STUDENT])
+        RevokeMySession(id: ID!): Session! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR, STUDENT])
+    }
+`
\ No newline at end of file
@@ -0,0 +1,27 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+/**
+ * Validates the format of a refresh token, which is made of a session ID and a random hexadecimal secret.
+ * @param {string} refreshToken - The raw refresh token sent by the client.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateRefreshTokenInput(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw new ApolloError('A refresh token is required.', 'BAD_USER_INPUT', { field: 'refresh_token' });
+    }
+
+    const [sessionId, secret] = refreshToken.split('.');
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId) || !secret || !/^[0-9a-f]+$/.test(secret)) {
+        throw new ApolloError('Invalid refresh token format.', 'BAD_USER_INPUT', { field: 'refresh_token' });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    ValidateRefreshTokenInput
+}
\ No newline at end of file
@@ -5,6 +5,7 @@ const bcrypt = require('bcrypt');
 // *************** IMPORT MODULE ***************
 const config = require('../../core/config');
 const StudentModel = require('./student.model');
+const AcademicYearModel = require('../academicYear/academic_year.model');
 
 // *************** IMPORT UTILITES ***************
 const CommonHelper = require('../../shared/helper/index')
@@ -34,7 +35,8 @@ async function GetCreateStudentPayload({ createStudentInput, userId, isEmailUniq
         date_of_birth,
         profile_picture,
         student_status,
-        school
+        school,
+        academic_year
     } = createStudentInput;
 
     CommonValidator.ValidateObjectId(school);
@@ -50,6 +52,7 @@ async function GetCreateStudentPayload({ createStudentInput, userId, isEmailUniq
         profile_picture,
         student_status: student_status.toUpperCase(),
         school,
+        academic_year,
         created_by: userId,
         updated_by: userId
     };
@@ -62,12 +65,13 @@ async function GetCreateStudentPayload({ createStudentInput, userId, isEmailUniq
  * @param {object} args.updateStudentInput - The raw input object containing the student's properties to update.
  * @param {string} args.userId - The ID of the user performing the update.
  * @param {boolean} args.isEmailUnique - A flag indicating if the provided email is unique.
+ * @param {object} args.currentStudent - The student as currently stored, containing its email, password, and password history.
  * @returns {Promise<object>} A promise that resolves to a processed data payload suitable for a partial database update.
  */
-async function GetUpdateStudentPayload({ updateStudentInput, userId, isEmailUnique }) {
+async function GetUpdateStudentPayload({ updateStudentInput, userId, isEmailUnique, currentStudent }) {
     CommonValidator.ValidateInputTypeObject(updateStudentInput);
     CommonValidator.ValidateObjectId(userId);
-    StudentValidator.ValidateStudentInput({ studentInput: updateStudentInput, isEmailUnique, isUpdate: true });
+    StudentValidator.ValidateStudentInput({ studentInput: updateStudentInput, isEmailUnique, currentEmail: currentStudent.email, isUpdate: true });
 
     const {
         first_name,
@@ -77,7 +81,8 @@ async function GetUpdateStudentPayload({ updateStudentInput, userId, isEmailUniq
         date_of_birth,
         profile_picture,
         student_status,
-        school
+        school,
+        academic_year
     } = updateStudentInput;
 
     const payload = {};
@@ -85,17 +90,48 @@ async function GetUpdateStudentPayload({ updateStudentInput, userId, isEmailUniq
     if (first_name !== undefined && first_name !== null) payload.first_name = first_name;
     if (last_name !== undefined && last_name !== null) payload.last_name = last_name;
     if (email !== undefined && email !== null) payload.email = email;
-    if (password !== undefined && password !== null) payload.password = await bcrypt.hash(password, parseInt(config.BCRYPT_ROUNDS));
+    if (password !== undefined && password !== null) {
+        payload.password = await bcrypt.hash(password, parseInt(config.BCRYPT_ROUNDS));
+        payload.password_history = CommonHelper.BuildPasswordHistory({
+            previousPasswordHash: currentStudent.password,
+            passwordHistory: currentStudent.password_history
+        });
+    }
     if (date_of_birth !== undefined && date_of_birth !== null) payload.date_of_birth = date_of_birth;
     if (profile_picture !== undefined && profile_picture !== null) payload.profile_picture = profile_picture;
     if (student_status !== undefined && student_status !== null) payload.student_status = student_status.toUpperCase();
     if (school !== undefined && school !== null) { payload.school = school; }
+    if (academic_year !== undefined && academic_year !== null) payload.academic_year = academic_year;
 
     payload.updated_by = userId;
 
     return payload;
 }
 
+/**
+ * Checks that a student can be enrolled in an academic year: the year must exist and belong to the student's school.
+ * @param {object} args - The arguments for the check.
+ * @param {string} [args.academicYearId] - Optional. The ID of the academic year; nothing is checked when omitted.
+ * @param {string} args.schoolId - The ID of the school the student belongs to.
+ * @returns {Promise<void>} - This function does not return a value but throws an error if the enrollment is invalid.
+ */
+async function CheckAcademicYearEnrollment({ academicYearId, schoolId }) {
+    if (!academicYearId) {
+        return;
+    }
+
+    const academicYear = await AcademicYearModel.findOne({ _id: academicYearId, academic_year_status: { $ne: 'DELETED' } })
+        .select({ school: 1 })
+        .lean();
+    if (!academicYear) {
+        throw new ApolloError('Academic year not found', 'ACADEMIC_YEAR_NOT_FOUND');
+    }
+
+    if (String(academicYear.school) !== String(schoolId)) {
+        throw new ApolloError("The academic year does not belong to the student's school", 'BAD_USER_INPUT', { field: 'academic_year' });
+    }
+}
+
 /**
  * Generates a payload for soft-deleting a student and removing their reference from the parent school.
  * @param {object} args - The arguments for getting the delete payload.
@@ -154,5 +190,6 @@ function BuildPullStudentFromSchoolPayload({ schoolId, studentId }) {
 module.exports = {
     GetCreateStudentPayload,
     GetUpdateStudentPayload,
+    CheckAcademicYearEnrollment,
     GetDeleteStudentPayload
 }
\ No newline at end of file
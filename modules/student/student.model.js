@@ -27,6 +27,11 @@ const studentSchema = mongoose.Schema({
         required: true
     },
 
+    // Hashes of the previous passwords, oldest first, used to prevent reusing a recent password
+    password_history: [{
+        type: String
+    }],
+
     // Student's birth date
     date_of_birth: {
         type: Date,
@@ -38,6 +43,17 @@ const studentSchema = mongoose.Schema({
         type: String
     },
 
+    // Whether the student confirmed their email address through the verification link
+    is_email_verified: {
+        type: Boolean,
+        default: false
+    },
+
+    // Timestamp when the email address was verified
+    email_verified_at: {
+        type: Date
+    },
+
     // Current status of the student: ACTIVE, INACTIVE, or DELETED
     student_status: {
         type: String,
@@ -52,6 +68,12 @@ const studentSchema = mongoose.Schema({
         required: true
     },
 
+    // ID of the academic year the student is enrolled in; their final transcript uses the curriculum of that year
+    academic_year: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'academic_year'
+    },
+
     // ID of the user who created this student record
     created_by: {
         type: mongoose.Schema.Types.ObjectId,
@@ -7,6 +7,8 @@ const SchoolModel = require('../school/school.model');
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const StudentHelper = require('./student.helper');
+const AccountTokenHelper = require('../accountToken/account_token.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const StudentValidator = require('./student.validator');
@@ -14,21 +16,22 @@ const CommonValidator = require('../../shared/validator/index');
 
 // *************** QUERY ***************
 /**
- * GraphQL resolver to fetch a paginated, sorted, and filtered list of students using an aggregation pipeline.
+ * GraphQL resolver to fetch a paginated, sorted, and filtered list of the students of the caller's schools using an aggregation pipeline.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {object} [args.filter] - Optional. An object containing fields to filter the student list, including nested filters for related documents.
  * @param {object} [args.sort] - Optional. An object specifying the sorting field and order ('ASC' or 'DESC').
  * @param {number} [args.page=1] - Optional. The page number for pagination.
  * @param {number} [args.limit=10] - Optional. The number of students per page.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to an object containing the paginated 'data' and the total 'countDocuments'.
  */
-async function GetAllStudents(_, { filter, sort, page = 1, limit = 10 }) {
+async function GetAllStudents(_, { filter, sort, page = 1, limit = 10 }, context) {
     try {
         StudentValidator.ValidateGetAllStudentsInput({ filter, sort, page, limit });
 
         const pipeline = [];
-        const matchStage = {};
+        const matchStage = CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' });
 
         if ((filter && filter.school) || (sort && sort.field.startsWith('school.'))) {
             pipeline.push({
@@ -133,17 +136,21 @@ async function GetAllStudents(_, { filter, sort, page = 1, limit = 10 }) {
 }
 
 /**
- * GraphQL resolver to fetch a single student by their unique ID.
+ * GraphQL resolver to fetch a single student of the caller's schools by their unique ID.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the student to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found student object.
  */
-async function GetOneStudent(_, { id }) {
+async function GetOneStudent(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id);
 
-        const student = await StudentModel.findById(id).lean();
+        const student = await StudentModel.findOne({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        }).lean();
         if (!student) {
             throw new ApolloError('Student not found', 'NOT_FOUND');
         }
@@ -173,11 +180,14 @@ async function CreateStudent(_, { createStudentInput }, context) {
         }
 
         CommonValidator.ValidateInputTypeObject(createStudentInput);
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [createStudentInput.school], requireAll: true });
 
         const emailExist = await StudentModel.exists({ email: createStudentInput.email });
 
         StudentValidator.ValidateStudentInput({ studentInput: createStudentInput, isEmailUnique: !emailExist });
 
+        await StudentHelper.CheckAcademicYearEnrollment({ academicYearId: createStudentInput.academic_year, schoolId: createStudentInput.school });
+
         const createStudentPayload = await StudentHelper.GetCreateStudentPayload({ createStudentInput, userId, isEmailUnique: !emailExist });
 
         const newStudent = await StudentModel.create(createStudentPayload);
@@ -193,6 +203,9 @@ async function CreateStudent(_, { createStudentInput }, context) {
             throw new ApolloError('Failed to update school with new student', 'SCHOOL_UPDATE_FAILED');
         }
 
+        // *************** Send the email verification link to the new student
+        await AccountTokenHelper.IssueAccountToken({ account: newStudent, accountModel: 'student', tokenType: 'EMAIL_VERIFICATION' });
+
         return newStudent;
     } catch (error) {
         console.error('Unexpected error in CreateStudent:', error);
@@ -228,14 +241,38 @@ async function UpdateStudent(_, { id, updateStudentInput }, context) {
             isEmailUnique = !emailExists;
         }
 
-        StudentValidator.ValidateStudentInput({ studentInput: updateStudentInput, isEmailUnique, isUpdate: true });
-
-        const student = await StudentModel.findOne({ _id: id, student_status: { $ne: 'DELETED' } }).select({ school: 1 }).lean();
-        if (!student) {
+        const existingStudent = await StudentModel.findOne({ _id: id, student_status: { $ne: 'DELETED' } })
+            .select({ school: 1, academic_year: 1, email: 1, password: 1, password_history: 1 })
+            .lean();
+        if (!existingStudent) {
             throw new ApolloError('Student not found', "NOT_FOUND");
         }
 
-        const updateStudentPayload = await StudentHelper.GetUpdateStudentPayload({ updateStudentInput, userId, isEmailUnique });
+        // *************** The student must stay within the user's schools
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [existingStudent.school] });
+        if (updateStudentInput.school !== undefined) {
+            CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: [updateStudentInput.school], requireAll: true });
+        }
+
+        StudentValidator.ValidateStudentInput({ studentInput: updateStudentInput, isEmailUnique, currentEmail: existingStudent.email, isUpdate: true });
+
+        // *************** Re-check the enrollment when either the school or the academic year changes
+        if (updateStudentInput.school || updateStudentInput.academic_year) {
+            await StudentHelper.CheckAcademicYearEnrollment({
+                academicYearId: updateStudentInput.academic_year || existingStudent.academic_year,
+                schoolId: updateStudentInput.school || existingStudent.school
+            });
+        }
+
+        // *************** Reject a password among the current and recent ones
+        if (updateStudentInput.password !== undefined) {
+            await CommonValidator.ValidatePasswordNotReused({
+                password: updateStudentInput.password,
+                passwordHashes: [existingStudent.password, ...(existingStudent.password_history || [])]
+            });
+        }
+
+        const updateStudentPayload = await StudentHelper.GetUpdateStudentPayload({ updateStudentInput, userId, isEmailUnique, currentStudent: existingStudent });
 
         const updatedStudent = await StudentModel.findOneAndUpdate(
             { _id: id },
@@ -247,7 +284,7 @@ async function UpdateStudent(_, { id, updateStudentInput }, context) {
             throw new ApolloError('Student not found or update failed', 'STUDENT_UPDATE_FAILED');
         }
 
-        const hasSchoolChanged = String(existingStudent.school) !== updateStudentInput.school;
+        const hasSchoolChanged = updateStudentInput.school !== undefined && String(existingStudent.school) !== updateStudentInput.school;
         if (hasSchoolChanged) {
             const oldSchoolUpdate = await SchoolModel.updateOne(
                 { _id: existingStudent.school },
@@ -293,6 +330,14 @@ async function DeleteStudent(_, { id }, context) {
 
         CommonValidator.ValidateObjectId(id);
 
+        const studentExists = await StudentModel.exists({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'school' })
+        });
+        if (!studentExists) {
+            throw new ApolloError('Student not found', 'NOT_FOUND');
+        }
+
         const { student, school } = await StudentHelper.GetDeleteStudentPayload({ studentId: id, userId });
 
         const deletedStudent = await StudentModel.findOneAndUpdate(
@@ -342,6 +387,32 @@ async function SchoolLoader(student, _, context) {
     }
 }
 
+/**
+ * Loads the academic year the student is enrolled in using a DataLoader.
+ * @param {object} student - The parent student object.
+ * @param {string} [student.academic_year] - The ID of the academic year to load, if any.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<object|null>} - A promise that resolves to the academic year object, or null if the student is not enrolled in one.
+ */
+async function AcademicYearLoader(student, _, context) {
+    try {
+        StudentValidator.ValidateAcademicYearLoaderInput(student, context);
+
+        if (!student.academic_year) {
+            return null;
+        }
+
+        const academicYear = await context.dataLoaders.AcademicYearLoader.load(student.academic_year);
+
+        return academicYear;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch academic year: ${error.message}`, 'ACADEMIC_YEAR_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 /**
  * Loads the user who created the student using a DataLoader.
  * @param {object} student - The parent student object.
@@ -401,6 +472,7 @@ module.exports = {
 
     Student: {
         school: SchoolLoader,
+        academic_year: AcademicYearLoader,
         created_by: CreatedByLoader,
         updated_by: UpdatedByLoader
     }
@@ -16,8 +16,10 @@ module.exports = gql`
         password: String!
         date_of_birth: String!
         profile_picture: String
+        is_email_verified: Boolean
         student_status: Status!
         school: ID!
+        academic_year: ID
     }
 
     input UpdateStudentInput {
@@ -29,6 +31,7 @@ module.exports = gql`
         profile_picture: String
         student_status: Status
         school: ID
+        academic_year: ID
     }
 
     input StudentFilterInput {
@@ -61,8 +64,10 @@ module.exports = gql`
         email: String!
         date_of_birth: String!
         profile_picture: String
+        is_email_verified: Boolean
         student_status: Status!
         school: School!
+        academic_year: AcademicYear
         created_by: User!
         created_at: String!
         updated_by: User!
@@ -75,13 +80,13 @@ module.exports = gql`
             sort: SortInput, 
             page: Int, 
             limit: Int
-        ): PaginatedStudents!
-        GetOneStudent(id: ID!): Student
+        ): PaginatedStudents! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        GetOneStudent(id: ID!): Student @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, STUDENT], ownership: "id")
     }
 
     type Mutation {
-        CreateStudent(createStudentInput: CreateStudentInput!): Student!
-        UpdateStudent(id: ID!, updateStudentInput: UpdateStudentInput!): Student!
-        DeleteStudent(id: ID!): Student!
+        CreateStudent(createStudentInput: CreateStudentInput!): Student! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        UpdateStudent(id: ID!, updateStudentInput: UpdateStudentInput!): Student! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        DeleteStudent(id: ID!): Student! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 `
\ No newline at end of file
@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 // *************** IMPORT LIBRARY ***************
 const { ApolloError } = require('apollo-server');
 
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+
 /**
  * Validates the filter, sort, and pagination inputs for fetching all students.
  * @param {object} args - The arguments for the validation.
@@ -83,11 +86,13 @@ function ValidateGetAllStudentsInput({ filter, sort, page, limit }) {
  * @param {string} [args.studentInput.profile_picture] - Optional. A URL to the student's profile picture.
  * @param {string} [args.studentInput.student_status] - The student's status (e.g., 'ACTIVE').
  * @param {string} [args.studentInput.school] - The ID of the school the student belongs to.
+ * @param {string} [args.studentInput.academic_year] - Optional. The ID of the academic year the student is enrolled in.
  * @param {boolean} args.isEmailUnique - A flag indicating if the provided email is unique in the database.
+ * @param {string} [args.currentEmail] - Optional. The email address already stored, checked against a new password when the update does not change the email.
  * @param {boolean} [args.isUpdate=false] - Optional flag to indicate if this is an update operation.
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
-function ValidateStudentInput({ studentInput, isEmailUnique, isUpdate = false }) {
+function ValidateStudentInput({ studentInput, isEmailUnique, currentEmail, isUpdate = false }) {
     const validStatus = ['ACTIVE', 'INACTIVE'];
 
     const validationRules = [
@@ -139,6 +144,12 @@ function ValidateStudentInput({ studentInput, isEmailUnique, isUpdate = false })
             validate: (val) => mongoose.Types.ObjectId.isValid(val),
             message: 'A valid school ID is required.',
         },
+        {
+            field: 'academic_year',
+            required: false,
+            validate: (val) => mongoose.Types.ObjectId.isValid(val),
+            message: 'Academic year must be a valid ID.',
+        },
     ];
 
     for (const rule of validationRules) {
@@ -152,6 +163,10 @@ function ValidateStudentInput({ studentInput, isEmailUnique, isUpdate = false })
         }
     }
 
+    if (studentInput.password !== undefined) {
+        CommonValidator.ValidatePasswordPolicy({ password: studentInput.password, email: studentInput.email || currentEmail });
+    }
+
     if (!isEmailUnique) {
         throw new ApolloError('The email address is already in use.', 'BAD_USER_INPUT', { field: 'email' });
     }
@@ -175,6 +190,24 @@ function ValidateSchoolLoaderInput(student, context) {
     }
 }
 
+/**
+ * Validates the inputs for the AcademicYearLoader resolver on the Student type.
+ * @param {object} student - The parent student object, which may contain an 'academic_year' property with a valid ObjectID.
+ * @param {object} context - The GraphQL context, which must contain a configured AcademicYearLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateAcademicYearLoaderInput(student, context) {
+    if (!student || typeof student !== 'object' || student === null) {
+        throw new ApolloError('Input error: student must be a valid object.', 'BAD_USER_INPUT', { field: 'student' });
+    }
+    if (student.academic_year && !mongoose.Types.ObjectId.isValid(student.academic_year)) {
+        throw new ApolloError('Input error: If provided, student.academic_year must be a valid ID.', 'BAD_USER_INPUT', { field: 'student.academic_year' });
+    }
+    if (!context || !context.dataLoaders || !context.dataLoaders.AcademicYearLoader || typeof context.dataLoaders.AcademicYearLoader.load !== 'function') {
+        throw new ApolloError('Server configuration error: AcademicYearLoader with load function not found on context.', 'INTERNAL_SERVER_ERROR');
+    }
+}
+
 /**
  * Validates the inputs for resolvers that use the UserLoader.
  * @param {object} parent - The parent object.
@@ -211,5 +244,6 @@ module.exports = {
     ValidateGetAllStudentsInput,
     ValidateStudentInput,
     ValidateSchoolLoaderInput,
+    ValidateAcademicYearLoaderInput,
     ValidateUserLoaderInput
 }
\ No newline at end of file
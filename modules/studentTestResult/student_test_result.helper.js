@@ -3,6 +3,7 @@ const { ApolloError } = require('apollo-server');
 
 // *************** IMPORT MODULE *************** 
 const StudentTestResultModel = require('./student_test_result.model');
+const StudentModel = require('../student/student.model');
 
 // *************** IMPORT UTILITES ***************
 const CommonHelper = require('../../shared/helper/index')
@@ -11,28 +12,39 @@ const CommonHelper = require('../../shared/helper/index')
 const CommonValidator = require('../../shared/validator/index');
 const StudentTestResultValidator = require('./student_test_result.validator');
 
+/**
+ * Builds the query condition restricting student test results to the students of the caller's schools.
+ * @param {object} user - The authenticated account from the GraphQL context.
+ * @returns {Promise<object>} A promise that resolves to the condition to merge into the query filter, empty if the account is not restricted.
+ */
+async function GetStudentTestResultScopeFilter(user) {
+    const studentScopeFilter = CommonHelper.BuildSchoolScopeFilter({ user, field: 'school' });
+    if (!Object.keys(studentScopeFilter).length) {
+        return {};
+    }
+
+    const studentIds = await StudentModel.distinct('_id', studentScopeFilter);
+
+    return { student: { $in: studentIds } };
+}
+
 /**
  * Creates a clean data payload for updating a student's test result.
  * @param {object} args - The arguments for creating the payload.
  * @param {Array<object>} args.marks - An array of mark objects, each containing a 'mark' property.
  * @param {string} args.userId - The ID of the user updating the result.
- * @param {object} args.test - The parent test document, used for validation.
+ * @param {object} args.test - The parent test document, with its notations and grading scale, used for validation and for the average mark.
+ * @param {object} [args.markRounding] - Optional. The rounding rules of the student's school.
  * @returns {object} A processed data payload including the calculated average mark.
  */
-function GetUpdateStudentTestResultPayload({ marks, userId, notations }) {
+function GetUpdateStudentTestResultPayload({ marks, userId, test, markRounding }) {
     CommonValidator.ValidateInputTypeObject(marks);
     CommonValidator.ValidateObjectId(userId);
-    StudentTestResultValidator.ValidateUpdateStudentTestResultInput({ marks, notations });
-
-    let totalMarks = 0;
-    for (const item of marks) {
-        totalMarks += item.mark;
-    }
-    const averageMark = totalMarks / marks.length;
+    StudentTestResultValidator.ValidateUpdateStudentTestResultInput({ marks, notations: test.notations });
 
     return {
         marks: marks,
-        average_mark: Number(averageMark.toFixed(2)),
+        average_mark: CommonHelper.CalculateAverageMark({ marks, test, markRounding }),
         updated_by: userId
     };
 }
@@ -76,6 +88,32 @@ async function GetDeleteStudentTestResultPayload({ studentTestResultId, userId }
     }
 }
 
+/**
+ * Hides the marks of the results a student may not see yet, following the result visibility of each test.
+ * A hidden result keeps its test and dates, so the student knows it has been recorded, but loses its marks and absence.
+ * @param {object} args - The arguments for the check.
+ * @param {Array<object>} args.studentTestResults - The student's validated test results.
+ * @param {Array<object>} args.tests - The tests of the results, containing their 'result_visibility'.
+ * @param {boolean} args.isJuryDecided - Whether a jury has finalized the student's final transcript.
+ * @returns {Array<object>} The test results, as the student may see them.
+ */
+function HideUnreleasedMarks({ studentTestResults, tests, isJuryDecided }) {
+    const testsById = new Map(tests.map(test => [String(test._id), test]));
+
+    return studentTestResults.map(studentTestResult => {
+        const isVisible = CommonHelper.IsResultVisibleToStudent({
+            test: testsById.get(String(studentTestResult.test)),
+            isCorrected: studentTestResult.student_test_result_status === 'VALIDATED',
+            isJuryDecided
+        });
+        if (isVisible) {
+            return studentTestResult;
+        }
+
+        return { ...studentTestResult, marks: null, average_mark: null, absence_status: null, is_result_hidden: true };
+    });
+}
+
 /**
  * Builds a payload for removing a student test result ID from a test's 'student_test_results' array.
  * @param {object} args - The arguments for building the payload.
@@ -92,6 +130,8 @@ function BuildPullResultFromTestPayload({ testId, studentTestResultId }) {
 
 // *************** EXPORT MODULE ***************
 module.exports = {
+    GetStudentTestResultScopeFilter,
     GetUpdateStudentTestResultPayload,
-    GetDeleteStudentTestResultPayload
+    GetDeleteStudentTestResultPayload,
+    HideUnreleasedMarks
 }
\ No newline at end of file
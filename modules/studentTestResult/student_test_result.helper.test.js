@@ -0,0 +1,72 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { HideUnreleasedMarks } = require('./student_test_result.helper');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+const TESTS = [
+    { _id: 'test-released', result_visibility: 'AFTER_CORRECTION' },
+    { _id: 'test-after-jury', result_visibility: 'AFTER_JURY_DECISION_FOR_FINAL_TRANSCRIPT' },
+    { _id: 'test-never', result_visibility: 'NEVER' }
+];
+
+/**
+ * Builds a validated result of a test, with a mark and an absence to hide.
+ * @param {string} testId - The ID of the test.
+ * @returns {object} The student test result.
+ */
+function buildStudentTestResult(testId) {
+    return {
+        test: testId,
+        marks: [{ notation_text: 'Exam', mark: 14 }],
+        average_mark: 14,
+        absence_status: null,
+        student_test_result_status: 'VALIDATED',
+        created_at: '2026-01-15'
+    };
+}
+
+const tests = {
+    'Released results are returned as they are': () => {
+        const studentTestResult = buildStudentTestResult('test-released');
+
+        const [visibleResult] = HideUnreleasedMarks({ studentTestResults: [studentTestResult], tests: TESTS, isJuryDecided: false });
+
+        assert.strictEqual(visibleResult, studentTestResult);
+    },
+
+    'Unreleased results keep their test and dates but lose their marks': () => {
+        const [hiddenResult] = HideUnreleasedMarks({ studentTestResults: [buildStudentTestResult('test-never')], tests: TESTS, isJuryDecided: true });
+
+        assert.deepStrictEqual(hiddenResult, {
+            test: 'test-never',
+            marks: null,
+            average_mark: null,
+            absence_status: null,
+            student_test_result_status: 'VALIDATED',
+            created_at: '2026-01-15',
+            is_result_hidden: true
+        });
+    },
+
+    'Results released after the jury decision are shown once the transcript is finalized': () => {
+        const studentTestResults = [buildStudentTestResult('test-after-jury')];
+
+        assert.strictEqual(HideUnreleasedMarks({ studentTestResults, tests: TESTS, isJuryDecided: false })[0].is_result_hidden, true);
+        assert.strictEqual(HideUnreleasedMarks({ studentTestResults, tests: TESTS, isJuryDecided: true })[0].average_mark, 14);
+    },
+
+    'Results awaiting validation are hidden whatever the visibility of their test': () => {
+        const studentTestResult = { ...buildStudentTestResult('test-released'), student_test_result_status: 'PENDING' };
+
+        const [hiddenResult] = HideUnreleasedMarks({ studentTestResults: [studentTestResult], tests: TESTS, isJuryDecided: true });
+
+        assert.strictEqual(hiddenResult.is_result_hidden, true);
+        assert.strictEqual(hiddenResult.marks, null);
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
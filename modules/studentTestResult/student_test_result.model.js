@@ -31,10 +31,18 @@ const studentTestResultSchema = mongoose.Schema({
         }
     }],
 
-    // The average of the total of marks
+    // The average of the total of marks, not set when the student was absent
     average_mark: {
         type: Number,
-        required: true
+        required: function () {
+            return !this.absence_status;
+        }
+    },
+
+    // Set when the student did not sit the test instead of being marked: ABSENT, or EXCUSED for a justified absence
+    absence_status: {
+        type: String,
+        enum: ['ABSENT', 'EXCUSED']
     },
 
     // Timestamp for when the mark is entered
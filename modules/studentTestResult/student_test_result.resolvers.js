@@ -4,9 +4,11 @@ const { ApolloError } = require('apollo-server');
 // *************** IMPORT MODULE *************** 
 const TestModel = require('../test/test.model');
 const StudentTestResultModel = require('./student_test_result.model');
+const FinalTranscriptResultModel = require('../finalTranscriptResult/final_transcript_result.model');
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const StudentTestResultHelper = require('./student_test_result.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const StudentTestResultValidator = require('./student_test_result.validator');
@@ -20,16 +22,17 @@ const CommonValidator = require('../../shared/validator/index');
  * @param {string} [args.student_test_result_status] - Optional. The status to filter results by.
  * @param {string} [args.test_id] - Optional. The ID of the test to filter results by.
  * @param {string} [args.student_id] - Optional. The ID of the student to filter results by.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<Array<object>>} - A promise that resolves to an array of student test result objects.
  */
-async function GetAllStudentTestResults(_, { student_test_result_status, test_id, student_id }) {
+async function GetAllStudentTestResults(_, { student_test_result_status, test_id, student_id }, context) {
     try {
         StudentTestResultValidator.ValidateStudentTestResultFilter({ studentTestResult: student_test_result_status, testId: test_id, studentId: student_id });
 
-        const filter = {};
+        const filter = await StudentTestResultHelper.GetStudentTestResultScopeFilter(context.user);
         filter.student_test_result_status = student_test_result_status || { $ne: 'DELETED' };
         if (test_id) { filter.test = test_id; }
-        if (student_id) { filter.student = student_id; }
+        if (student_id) { filter.student = filter.student ? { ...filter.student, $eq: student_id } : student_id; }
 
         const studentTestResults = await StudentTestResultModel.find(filter).lean();
 
@@ -48,13 +51,16 @@ async function GetAllStudentTestResults(_, { student_test_result_status, test_id
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the student test result to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found student test result object.
  */
-async function GetOneStudentTestResult(_, { id }) {
+async function GetOneStudentTestResult(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id);
 
-        const studentTestResult = await StudentTestResultModel.findOne({ _id: id }).lean();
+        const scopeFilter = await StudentTestResultHelper.GetStudentTestResultScopeFilter(context.user);
+
+        const studentTestResult = await StudentTestResultModel.findOne({ _id: id, ...scopeFilter }).lean();
         if (!studentTestResult) {
             throw new ApolloError('Student test result not found', 'STUDENT_TEST_RESULT_NOT_FOUND');
         }
@@ -69,6 +75,40 @@ async function GetOneStudentTestResult(_, { id }) {
     }
 }
 
+/**
+ * GraphQL resolver for a student to fetch their own validated test results. The marks of a result stay hidden until the
+ * result visibility of its test releases them: after its correction, after the jury decision, or never.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query, which are not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the student.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the student's test results, with unreleased marks hidden.
+ */
+async function GetMyTestResults(_, args, context) {
+    try {
+        const studentId = (context && context.user && context.user._id);
+        if (!studentId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const studentTestResults = await StudentTestResultModel.find({ student: studentId, student_test_result_status: 'VALIDATED' })
+            .sort({ mark_entry_date: -1 })
+            .lean();
+
+        const tests = await TestModel.find({ _id: { $in: studentTestResults.map(studentTestResult => studentTestResult.test) } })
+            .select({ result_visibility: 1 })
+            .lean();
+        const isJuryDecided = Boolean(await FinalTranscriptResultModel.exists({ student: studentId, transcript_status: 'FINALIZED' }));
+
+        return StudentTestResultHelper.HideUnreleasedMarks({ studentTestResults, tests, isJuryDecided });
+    } catch (error) {
+        console.error('Unexpected error in GetMyTestResults:', error);
+
+        throw new ApolloError('Failed to retrieve your test results', 'GET_MY_TEST_RESULTS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** MUTATION ***************
 /**
  * GraphQL resolver to update an existing student's test result.
@@ -92,14 +132,16 @@ async function UpdateStudentTestResult(_, { id, updateStudentTestResultInput },
 
         const marks = updateStudentTestResultInput.marks;
 
+        const scopeFilter = await StudentTestResultHelper.GetStudentTestResultScopeFilter(context.user);
+
         // *************** Check the to be updated student test result
-        const studentTestResult = await StudentTestResultModel.findOne({ _id: id, student_test_result_status: { $ne: 'DELETED' } }).select({ test: 1 }).lean();
+        const studentTestResult = await StudentTestResultModel.findOne({ _id: id, student_test_result_status: { $ne: 'DELETED' }, ...scopeFilter }).select({ test: 1, student: 1 }).lean();
         if (!studentTestResult) {
             throw new ApolloError('Student test result not found', 'STUDENT_TEST_RESULT_NOT_FOUND');
         }
 
         // *************** Check the parent test of the student test result
-        const parentTest = await TestModel.findById(studentTestResult.test).select({ notations: 1 }).lean();
+        const parentTest = await TestModel.findById(studentTestResult.test).select({ notations: 1, grading_scale: 1 }).lean();
         if (!parentTest) {
             throw new ApolloError('Related test for this result could not be found.', 'NOT_FOUND');
         }
@@ -107,12 +149,13 @@ async function UpdateStudentTestResult(_, { id, updateStudentTestResultInput },
         StudentTestResultValidator.ValidateUpdateStudentTestResultInput({ marks, notations: parentTest.notations });
 
         // *************** Prepare the payload for updating the student test result
-        const updateStudentTestResultPayload = StudentTestResultHelper.GetUpdateStudentTestResultPayload({ marks, userId, notations: parentTest.notations });
+        const markRounding = await CommonHelper.GetStudentMarkRounding(studentTestResult.student);
+        const updateStudentTestResultPayload = StudentTestResultHelper.GetUpdateStudentTestResultPayload({ marks, userId, test: parentTest, markRounding });
 
-        // *************** Update the student test result
+        // *************** Update the student test result, marks replacing any absence recorded for the student
         const updatedStudentTestResult = await StudentTestResultModel.findOneAndUpdate(
             { _id: id, student_test_result_status: { $ne: 'DELETED' } },
-            { $set: updateStudentTestResultInput },
+            { $set: updateStudentTestResultPayload, $unset: { absence_status: '' } },
             { new: true }
         ).lean();
         if (!updatedStudentTestResult) {
@@ -146,6 +189,13 @@ async function DeleteStudentTestResult(_, { id }, context) {
 
         CommonValidator.ValidateObjectId(id);
 
+        const scopeFilter = await StudentTestResultHelper.GetStudentTestResultScopeFilter(context.user);
+
+        const studentTestResultExists = await StudentTestResultModel.exists({ _id: id, ...scopeFilter });
+        if (!studentTestResultExists) {
+            throw new ApolloError('Student test result not found', 'STUDENT_TEST_RESULT_NOT_FOUND');
+        }
+
         // *************** Prepare the payload for deleting the student test result
         const {
             studentTestResult,
@@ -292,7 +342,8 @@ async function DeletedByLoader(studentTestResult, _, context) {
 module.exports = {
     Query: {
         GetAllStudentTestResults,
-        GetOneStudentTestResult
+        GetOneStudentTestResult,
+        GetMyTestResults
     },
 
     Mutation: {
@@ -303,6 +354,7 @@ module.exports = {
     StudentTestResult: {
         student: StudentLoader,
         test: TestLoader,
+        is_result_hidden: (studentTestResult) => Boolean(studentTestResult.is_result_hidden),
         created_by: CreatedByLoader,
         updated_by: UpdatedByLoader,
         deleted_by: DeletedByLoader
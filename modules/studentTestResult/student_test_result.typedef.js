@@ -8,6 +8,11 @@ module.exports = gql`
         VALIDATED
     }
 
+    enum AbsenceStatus {
+        ABSENT
+        EXCUSED
+    }
+
     input MarkInput {
         notation_text: String!
         mark: Float!
@@ -27,7 +32,9 @@ module.exports = gql`
         student: Student!
         test: Test!
         marks: [Mark!]
-        average_mark: Float!
+        average_mark: Float
+        absence_status: AbsenceStatus
+        is_result_hidden: Boolean!
         mark_entry_date: String!
         mark_validated_date: String
         student_test_result_status: StudentTestResultStatus!
@@ -40,12 +47,13 @@ module.exports = gql`
     }
 
     type Query {
-        GetAllStudentTestResults(student_test_result_status: StudentTestResultStatus, test_id: ID, student_id: ID): [StudentTestResult!]!
-        GetOneStudentTestResult(id: ID!): StudentTestResult
+        GetAllStudentTestResults(student_test_result_status: StudentTestResultStatus, test_id: ID, student_id: ID): [StudentTestResult!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
+        GetOneStudentTestResult(id: ID!): StudentTestResult @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
+        GetMyTestResults: [StudentTestResult!]! @auth(roles: [STUDENT])
     }
 
     type Mutation {
-        UpdateStudentTestResult(id: ID!, updateStudentTestResultInput: UpdateStudentTestResultInput!): StudentTestResult!
-        DeleteStudentTestResult(id: ID!): StudentTestResult!
+        UpdateStudentTestResult(id: ID!, updateStudentTestResultInput: UpdateStudentTestResultInput!): StudentTestResult! @auth(roles: [ADMIN, CORRECTOR, ACADEMIC_DIRECTOR])
+        DeleteStudentTestResult(id: ID!): StudentTestResult! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 `
\ No newline at end of file
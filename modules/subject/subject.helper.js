@@ -69,7 +69,8 @@ function GetUpdateSubjectPayload({ subjectInput, userId, isTransversal, tests })
         coefficient,
         connected_blocks,
         subject_status,
-        subject_passing_criteria
+        subject_passing_criteria,
+        unmatched_criteria_result
     } = subjectInput;
 
     const payload = {};
@@ -82,6 +83,9 @@ function GetUpdateSubjectPayload({ subjectInput, userId, isTransversal, tests })
     if (subject_passing_criteria !== undefined && subject_passing_criteria !== null) {
         payload.subject_passing_criteria = subject_passing_criteria;
     }
+    if (unmatched_criteria_result !== undefined && unmatched_criteria_result !== null) {
+        payload.unmatched_criteria_result = unmatched_criteria_result.toUpperCase();
+    }
 
     payload.updated_by = userId;
 
@@ -1,6 +1,9 @@
 // *************** IMPORT CORE ***************
 const mongoose = require('mongoose');
 
+// *************** IMPORT MODULE ***************
+const CriteriaExpressionSchema = require('../../shared/schema/criteria_expression.schema');
+
 const subjectCriteriaGroupListSchema = mongoose.Schema({
     // An array of criteria groups, each group will be checked by OR logical operator
     subject_criteria_groups: [{
@@ -18,18 +21,28 @@ const subjectCriteriaGroupListSchema = mongoose.Schema({
                 ref: "test"
             },
 
-            // The comparison operator used in the criteria: 'GTE' (>=), 'LTE' (<=), 'GT' (>), 'LT' (<), 'E' (==)
+            // The comparison operator used in the criteria: 'GTE' (>=), 'LTE' (<=), 'GT' (>), 'LT' (<), 'E' (==), 'BETWEEN' (mark <= value <= mark_max)
             comparison_operator: {
                 type: String,
-                enum: ['GTE', 'LTE', 'GT', 'LT', 'E']
+                enum: ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN']
             },
 
             // The average of total test marks, or the mark of one test (depends on criteria_type)
             mark: {
                 type: Number
+            },
+
+            // The upper bound of the range, for the 'BETWEEN' operator
+            mark_max: {
+                type: Number
             }
         }]
-    }]
+    }],
+
+    // A nested boolean expression, used instead of the criteria groups when it is set
+    expression: {
+        type: CriteriaExpressionSchema
+    }
 }, { _id: false });
 
 const subjectPassingCriteriaSchema = mongoose.Schema({
@@ -101,6 +114,14 @@ const subjectSchema = mongoose.Schema({
         type: subjectPassingCriteriaSchema
     },
 
+    // Result of the subject when the student has every mark its criteria read but neither its pass nor its fail criteria are met,
+    // or when it has no pass criteria: PASS, FAIL, or INCOMPLETE to leave the decision open
+    unmatched_criteria_result: {
+        type: String,
+        enum: ['PASS', 'FAIL', 'INCOMPLETE'],
+        default: 'FAIL'
+    },
+
     // ID of the user who created this subject record
     created_by: {
         type: mongoose.Schema.Types.ObjectId,
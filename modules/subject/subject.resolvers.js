@@ -10,6 +10,8 @@ const TaskModel = require('../task/task.model');
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const SubjectHelper = require('./subject.helper');
+const TestHelper = require('../test/test.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const SubjectValidator = require('./subject.validator');
@@ -17,18 +19,25 @@ const CommonValidator = require('../../shared/validator/index');
 
 // *************** QUERY ***************
 /**
- * GraphQL resolver to fetch all subjects, with an optional filter for subject status.
+ * GraphQL resolver to fetch all subjects of the caller's schools, with an optional filter for subject status.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} [args.subject_status] - Optional. The status to filter subjects by (e.g., 'ACTIVE').
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<Array<object>>} - A promise that resolves to an array of subject objects.
  */
-async function GetAllSubjects(_, { subject_status }) {
+async function GetAllSubjects(_, { subject_status }, context) {
     try {
         SubjectValidator.ValidateSubjectStatusFilter(subject_status);
 
         const subjectFilter = subject_status ? { subject_status: subject_status } : { subject_status: { $ne: 'DELETED' } };
 
+        // *************** Subjects belong to the schools of their block
+        const scopedBlockIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'block' });
+        if (scopedBlockIds) {
+            subjectFilter.block = { $in: scopedBlockIds };
+        }
+
         const subjects = await SubjectModel.find(subjectFilter).lean();
 
         return subjects;
@@ -42,17 +51,25 @@ async function GetAllSubjects(_, { subject_status }) {
 }
 
 /**
- * GraphQL resolver to fetch a single subject by its unique ID.
+ * GraphQL resolver to fetch a single subject of the caller's schools by its unique ID.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the subject to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found subject object.
  */
-async function GetOneSubject(_, { id }) {
+async function GetOneSubject(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id);
 
-        const subject = await SubjectModel.findById(id).lean();
+        const subjectFilter = { _id: id };
+
+        const scopedBlockIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'block' });
+        if (scopedBlockIds) {
+            subjectFilter.block = { $in: scopedBlockIds };
+        }
+
+        const subject = await SubjectModel.findOne(subjectFilter).lean();
         if (!subject) {
             throw new ApolloError('Subject not found', 'NOT_FOUND');
         }
@@ -86,8 +103,12 @@ async function CreateSubject(_, { createSubjectInput }, context) {
         CommonValidator.ValidateInputTypeObject(createSubjectInput);
         CommonValidator.ValidateObjectId(createSubjectInput.block);
 
-        // *************** Ensure parent block exists and is active
-        const parentBlock = await BlockModel.findOne({ _id: createSubjectInput.block, block_status: { $ne: 'DELETED' } }).select({ block_type: 1 }).lean();
+        // *************** Ensure parent block exists, is active and belongs to the user's schools
+        const parentBlock = await BlockModel.findOne({
+            _id: createSubjectInput.block,
+            block_status: { $ne: 'DELETED' },
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).select({ block_type: 1 }).lean();
         if (!parentBlock) {
             throw new ApolloError('Parent block not found.', 'NOT_FOUND');
         }
@@ -143,8 +164,15 @@ async function UpdateSubject(_, { id, updateSubjectInput }, context) {
         CommonValidator.ValidateObjectId(id);
         CommonValidator.ValidateInputTypeObject(updateSubjectInput);
 
+        const subjectFilter = { _id: id };
+
+        const scopedBlockIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'block' });
+        if (scopedBlockIds) {
+            subjectFilter.block = { $in: scopedBlockIds };
+        }
+
         // *************** Find the subject to ensure it exists and get its is_transversal property
-        const subject = await SubjectModel.findById(id).select({ is_transversal: 1, tests: 1 }).lean();
+        const subject = await SubjectModel.findOne(subjectFilter).select({ is_transversal: 1, tests: 1 }).lean();
         if (!subject) {
             throw new ApolloError('Subject not found', 'NOT_FOUND');
         }
@@ -190,6 +218,18 @@ async function DeleteSubject(_, { id }, context) {
 
         CommonValidator.ValidateObjectId(id);
 
+        const subjectFilter = { _id: id };
+
+        const scopedBlockIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'block' });
+        if (scopedBlockIds) {
+            subjectFilter.block = { $in: scopedBlockIds };
+        }
+
+        const subjectExists = await SubjectModel.exists(subjectFilter);
+        if (!subjectExists) {
+            throw new ApolloError('Subject not found', 'NOT_FOUND');
+        }
+
         // *************** Prepare payloads for cascading soft delete
         const {
             subject,
@@ -262,6 +302,50 @@ async function DeleteSubject(_, { id }, context) {
     }
 }
 
+/**
+ * GraphQL resolver to scale the test weights of a subject so that they sum to 1, keeping their proportions.
+ * Retakes whose mark is used for the test they retake keep their weight, as they do not count on their own.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.id - The unique identifier of the subject.
+ * @param {object} context - The GraphQL context, used here to get the user ID and the caller's schools.
+ * @returns {Promise<object>} - A promise that resolves to the subject, whose tests now have their new weights.
+ */
+async function NormalizeSubjectWeights(_, { id }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        CommonValidator.ValidateObjectId(id);
+
+        const subjectFilter = { _id: id, subject_status: { $ne: 'DELETED' } };
+
+        const scopedBlockIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'block' });
+        if (scopedBlockIds) {
+            subjectFilter.block = { $in: scopedBlockIds };
+        }
+
+        const subject = await SubjectModel.findOne(subjectFilter).lean();
+        if (!subject) {
+            throw new ApolloError('Subject not found', 'NOT_FOUND');
+        }
+
+        const normalizeSubjectWeightsPayload = await TestHelper.GetNormalizeSubjectWeightsPayload({ subjectId: id, userId });
+
+        await TestModel.bulkWrite(TestHelper.GetTestWeightsBulkOperations(normalizeSubjectWeightsPayload));
+
+        return subject;
+    } catch (error) {
+        console.error('Unexpected error in NormalizeSubjectWeights:', error);
+
+        throw new ApolloError('Failed to normalize subject weights', 'NORMALIZE_SUBJECT_WEIGHTS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** LOADER ***************
 /**
  * Loads the block associated with a subject using a DataLoader.
@@ -409,7 +493,8 @@ module.exports = {
     Mutation: {
         CreateSubject,
         UpdateSubject,
-        DeleteSubject
+        DeleteSubject,
+        NormalizeSubjectWeights
     },
 
     Subject: {
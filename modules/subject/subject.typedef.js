@@ -24,6 +24,7 @@ module.exports = gql`
         connected_blocks: [ID!]
         subject_status: SubjectStatus
         subject_passing_criteria: SubjectPassingCriteriaInput
+        unmatched_criteria_result: UnmatchedCriteriaResult
     }
 
     input SubjectPassingCriteriaInput {
@@ -33,6 +34,7 @@ module.exports = gql`
 
     input SubjectCriteriaGroupListInput {
         subject_criteria_groups: [SubjectCriteriaGroupInput!]
+        expression: CriteriaExpressionInput
     }
 
     input SubjectCriteriaGroupInput {
@@ -44,6 +46,7 @@ module.exports = gql`
         test: ID
         comparison_operator: ComparisonOperator
         mark: Float
+        mark_max: Float
     }
 
     type Subject {
@@ -57,6 +60,7 @@ module.exports = gql`
         tests: [Test!]!
         subject_status: SubjectStatus!
         subject_passing_criteria: SubjectPassingCriteria
+        unmatched_criteria_result: UnmatchedCriteriaResult
         created_by: User!
         created_at: String!
         updated_by: User!
@@ -72,6 +76,7 @@ module.exports = gql`
 
     type SubjectCriteriaGroupList {
         subject_criteria_groups: [SubjectCriteriaGroup!]
+        expression: CriteriaExpression
     }
 
     type SubjectCriteriaGroup {
@@ -83,16 +88,18 @@ module.exports = gql`
         test: ID
         comparison_operator: ComparisonOperator
         mark: Float
+        mark_max: Float
     }
 
     type Query {
-        GetAllSubjects(subject_status: SubjectStatus): [Subject!]!
-        GetOneSubject(id: ID!): Subject
+        GetAllSubjects(subject_status: SubjectStatus): [Subject!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
+        GetOneSubject(id: ID!): Subject @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
     }
 
     type Mutation {
-        CreateSubject(createSubjectInput: CreateSubjectInput!): Subject!
-        UpdateSubject(id: ID!, updateSubjectInput: UpdateSubjectInput!): Subject!
-        DeleteSubject(id: ID!): Subject!
+        CreateSubject(createSubjectInput: CreateSubjectInput!): Subject! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        UpdateSubject(id: ID!, updateSubjectInput: UpdateSubjectInput!): Subject! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        DeleteSubject(id: ID!): Subject! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        NormalizeSubjectWeights(id: ID!): Subject! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 `
\ No newline at end of file
@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 // *************** IMPORT LIBRARY ***************
 const { ApolloError } = require('apollo-server');
 
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+
 /**
  * Validates the input for fetching all subjects.
  * @param {string} subject_status - The status of the subjects to filter by (optional).
@@ -40,6 +43,7 @@ function ValidateSubjectStatusFilter(subject_status) {
  */
 function ValidateSubjectInput({ subjectInput, isTransversal, tests, isUpdate = false }) {
     const validStatus = ['ACTIVE', 'INACTIVE'];
+    const validUnmatchedCriteriaResult = ['PASS', 'FAIL', 'INCOMPLETE'];
 
     const validationRules = [
         {
@@ -66,6 +70,12 @@ function ValidateSubjectInput({ subjectInput, isTransversal, tests, isUpdate = f
             validate: (val) => typeof val === 'string' && validStatus.includes(val.toUpperCase()),
             message: `Subject status must be one of: ${validStatus.join(', ')}`,
         },
+        {
+            field: 'unmatched_criteria_result',
+            required: false,
+            validate: (val) => typeof val === 'string' && validUnmatchedCriteriaResult.includes(val.toUpperCase()),
+            message: `Unmatched criteria result must be one of: ${validUnmatchedCriteriaResult.join(', ')}.`,
+        },
     ];
 
     for (const rule of validationRules) {
@@ -131,22 +141,76 @@ function validateSubjectPassingCriteriaInput({ subjectPassingCriteria, tests })
     const availableTestIds = new Set(tests.map(String));
 
     if (pass_criteria) {
-        validateSubjectCriteriaGroups({
-            criteriaGroups: pass_criteria.subject_criteria_groups,
+        validateSubjectCriteriaSet({
+            criteriaSet: pass_criteria,
             availableTestIds: availableTestIds,
-            path: 'subject_passing_criteria.pass_criteria.subject_criteria_groups'
+            path: 'subject_passing_criteria.pass_criteria'
         });
     }
 
     if (fail_criteria) {
-        validateSubjectCriteriaGroups({
-            criteriaGroups: fail_criteria.subject_criteria_groups,
+        validateSubjectCriteriaSet({
+            criteriaSet: fail_criteria,
             availableTestIds: availableTestIds,
-            path: 'subject_passing_criteria.fail_criteria.subject_criteria_groups'
+            path: 'subject_passing_criteria.fail_criteria'
         });
     }
 }
 
+/**
+ * Validates a pass or fail criteria set of a subject, which is defined either by criteria groups or by a criteria expression.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.criteriaSet - The pass_criteria or fail_criteria object to validate.
+ * @param {Set<string>} args.availableTestIds - A Set of test ID strings that are valid for this subject.
+ * @param {string} args.path - The dot-notation path to the criteria set, used for error messages.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function validateSubjectCriteriaSet({ criteriaSet, availableTestIds, path }) {
+    if (!criteriaSet.expression) {
+        validateSubjectCriteriaGroups({
+            criteriaGroups: criteriaSet.subject_criteria_groups,
+            availableTestIds,
+            path: `${path}.subject_criteria_groups`
+        });
+        return;
+    }
+
+    if (Array.isArray(criteriaSet.subject_criteria_groups) && criteriaSet.subject_criteria_groups.length) {
+        throw new ApolloError(
+            `Field '${path}' must define either 'subject_criteria_groups' or 'expression', not both.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
+    // *************** A subject expression can read the subject's own score, and the averages and notations of its tests
+    CommonValidator.ValidateCriteriaExpression({
+        expression: criteriaSet.expression,
+        path: `${path}.expression`,
+        validateSource: (source, sourcePath) => {
+            if (source.source_type === 'SELF') return;
+
+            if (!['TEST', 'NOTATION'].includes(source.source_type) || source.subject) {
+                throw new ApolloError(
+                    `Field '${sourcePath}' can only reference the subject itself, one of its tests, or a notation of one of its tests.`,
+                    'BAD_USER_INPUT'
+                );
+            }
+            if (!availableTestIds.has(String(source.test))) {
+                throw new ApolloError(
+                    `Test with ID "${source.test}" in '${sourcePath}.test' is not associated with this subject.`,
+                    'BAD_USER_INPUT'
+                );
+            }
+            if (source.source_type === 'NOTATION' && (typeof source.notation_text !== 'string' || source.notation_text.trim() === '')) {
+                throw new ApolloError(
+                    `Field '${sourcePath}.notation_text' is required and must be a non-empty string when 'source_type' is 'NOTATION'.`,
+                    'BAD_USER_INPUT'
+                );
+            }
+        }
+    });
+}
+
 /**
  * Validates an array of criteria groups for a subject's passing criteria.
  * @param {object} args - The arguments for the validation.
@@ -193,7 +257,7 @@ function validateSubjectCriteriaGroups({ criteriaGroups, availableTestIds, path
  */
 function validateSingleTestCondition({ condition, availableTestIds, path }) {
     const validCriteriaType = ['MARK', 'AVERAGE'];
-    const validComparisonOperator = ['GTE', 'LTE', 'GT', 'LT', 'E'];
+    const validComparisonOperator = ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN'];
 
     if (
         typeof condition.criteria_type !== 'string' ||
@@ -222,6 +286,13 @@ function validateSingleTestCondition({ condition, availableTestIds, path }) {
         );
     }
 
+    if (condition.comparison_operator.toUpperCase() === 'BETWEEN' && (typeof condition.mark_max !== 'number' || condition.mark_max < condition.mark)) {
+        throw new ApolloError(
+            `Field '${path}.mark_max' is required and must be a number ≥ 'mark' when 'comparison_operator' is 'BETWEEN'.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
     if (condition.criteria_type.toUpperCase() === 'MARK') {
         if (
             typeof condition.test !== 'string' ||
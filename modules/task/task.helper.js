@@ -18,9 +18,10 @@ const TaskValidator = require('./task.validator');
  * @param {object} args - The arguments for creating the payload.
  * @param {object} args.taskInput - The raw input object containing the task's properties.
  * @param {string} args.userId - The ID of the user creating the task.
+ * @param {Array<string>} args.schools - The IDs of the schools the task belongs to.
  * @returns {object} A processed data payload suitable for a database create operation.
  */
-function GetCreateTaskPayload({ taskInput, userId }) {
+function GetCreateTaskPayload({ taskInput, userId, schools }) {
     CommonValidator.ValidateInputTypeObject(taskInput);
     CommonValidator.ValidateObjectId(userId);
     TaskValidator.ValidateTaskInput({ taskInput });
@@ -37,6 +38,7 @@ function GetCreateTaskPayload({ taskInput, userId }) {
     return {
         test: test,
         user: user,
+        schools: schools,
         title: title,
         description: description,
         task_type: task_type.toUpperCase(),
@@ -150,32 +152,39 @@ function GetTaskCompletionPayload(userId) {
 
 /**
  * Creates the full payload for a new student test result document.
+ * A student recorded as absent gets no marks and no average mark, so the absence is never mistaken for a zero.
  * @param {object} args - The arguments for creating the payload.
- * @param {object} args.enterMarksInput - The input object containing test, student, and marks data.
+ * @param {object} args.enterMarksInput - The input object containing test, student, and marks data, or the absence of the student.
  * @param {string} args.userId - The ID of the user creating the result.
- * @param {object} args.parentTest - The parent test document, used for validation.
+ * @param {object} args.parentTest - The parent test document, with its notations and grading scale, used for validation and for the average mark.
+ * @param {object} [args.markRounding] - Optional. The rounding rules of the student's school.
  * @returns {object} A data payload for creating the new student test result.
  */
-function GetStudentTestResultPayload({ enterMarksInput, userId, notations }) {
+function GetStudentTestResultPayload({ enterMarksInput, userId, parentTest, markRounding }) {
     CommonValidator.ValidateInputTypeObject(enterMarksInput);
     CommonValidator.ValidateObjectId(userId);
-    TaskValidator.ValidateEnterMarksInput({ enterMarksInput, notations });
+    TaskValidator.ValidateEnterMarksInput({ enterMarksInput, notations: parentTest.notations });
 
-    const { test, student, marks } = enterMarksInput;
+    const { test, student, marks, absence_status } = enterMarksInput;
 
-    let totalMarks = 0;
-
-    for (const item of marks) {
-        totalMarks += item.mark
+    if (absence_status) {
+        return {
+            student: student,
+            test: test,
+            marks: [],
+            absence_status: absence_status.toUpperCase(),
+            mark_entry_date: Date.now(),
+            student_test_result_status: 'PENDING',
+            created_by: userId,
+            updated_by: userId
+        };
     }
 
-    const averageMark = marks.length ? (totalMarks / marks.length) : 0;
-
     return {
         student: student,
         test: test,
         marks: marks,
-        average_mark: Number(averageMark.toFixed(2)),
+        average_mark: CommonHelper.CalculateAverageMark({ marks, test: parentTest, markRounding }),
         mark_entry_date: Date.now(),
         student_test_result_status: 'PENDING',
         created_by: userId,
@@ -16,6 +16,12 @@ const taskSchema = mongoose.Schema({
         required: true
     },
 
+    // List of school IDs the task belongs to, taken from the schools of the test
+    schools: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'school'
+    }],
+
     // Title of the task
     title: {
         type: String,
@@ -13,6 +13,8 @@ const StudentTestResultModel = require('../studentTestResult/student_test_result
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const TaskHelper = require('./task.helper');
+const CommonHelper = require('../../shared/helper/index');
+const StudentTestResultHelper = require('../studentTestResult/student_test_result.helper');
 
 // *************** IMPORT VALIDATOR ***************
 const TaskValidator = require('./task.validator');
@@ -20,19 +22,20 @@ const CommonValidator = require('../../shared/validator/index');
 
 // *************** QUERY ***************
 /**
- * GraphQL resolver to fetch all tasks, with optional filters.
+ * GraphQL resolver to fetch all tasks of the caller's schools, with optional filters.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} [args.task_status] - Optional. The status to filter tasks by.
  * @param {string} [args.test_id] - Optional. The ID of the test to filter tasks by.
  * @param {string} [args.user_id] - Optional. The ID of the user to filter tasks by.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<Array<object>>} - A promise that resolves to an array of task objects.
  */
-async function GetAllTasks(_, { task_status, test_id, user_id }) {
+async function GetAllTasks(_, { task_status, test_id, user_id }, context) {
     try {
         TaskValidator.ValidateTaskFilter({ taskStatus: task_status, testId: test_id, userId: user_id });
 
-        const filter = {};
+        const filter = CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' });
 
         filter.task_status = task_status ? task_status : { $ne: 'DELETED' };
         if (test_id) { filter.test = test_id; }
@@ -51,17 +54,21 @@ async function GetAllTasks(_, { task_status, test_id, user_id }) {
 }
 
 /**
- * GraphQL resolver to fetch a single task by its unique ID.
+ * GraphQL resolver to fetch a single task of the caller's schools by its unique ID.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the task to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found task object.
  */
-async function GetOneTask(_, { id }) {
+async function GetOneTask(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id);
 
-        const task = await TaskModel.findOne({ _id: id }).lean();
+        const task = await TaskModel.findOne({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).lean();
         if (!task) {
             throw new ApolloError('Task not found', 'NOT_FOUND');
         }
@@ -101,14 +108,18 @@ async function CreateTask(_, { createTaskInput }, context) {
             throw new ApolloError('Test not found or is not active.', 'NOT_FOUND');
         }
 
-        // *************** Check if user exists and is not deleted
-        const userCheck = await UserModel.findOne({ _id: createTaskInput.user, user_status: { $ne: 'DELETED' } }).lean();
+        // *************** The task belongs to the schools of its test
+        const schools = await CommonHelper.GetTestSchools(createTaskInput.test);
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: schools });
+
+        // *************** Check if user exists, is not deleted and belongs to one of the test's schools
+        const userCheck = await UserModel.findOne({ _id: createTaskInput.user, user_status: { $ne: 'DELETED' }, schools: { $in: schools } }).lean();
         if (!userCheck) {
-            throw new ApolloError('User not found or is not active.', 'NOT_FOUND');
+            throw new ApolloError('User not found, not active, or not a member of the schools of the test.', 'NOT_FOUND');
         }
 
         // *************** Prepare payload and create new task
-        const createTaskPayload = TaskHelper.GetCreateTaskPayload({ taskInput: createTaskInput, userId });
+        const createTaskPayload = TaskHelper.GetCreateTaskPayload({ taskInput: createTaskInput, userId, schools });
 
         const newTask = await TaskModel.create(createTaskPayload);
 
@@ -148,6 +159,20 @@ async function UpdateTask(_, { id, updateTaskInput }, context) {
         CommonValidator.ValidateInputTypeObject(updateTaskInput);
         TaskValidator.ValidateTaskInput({ taskId: id, taskInput: updateTaskInput });
 
+        const task = await TaskModel.findOne({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).select({ schools: 1 }).lean();
+        if (!task) {
+            throw new ApolloError('Task not found', 'NOT_FOUND');
+        }
+
+        // *************** The task can only be reassigned to a user of its schools
+        const userCheck = await UserModel.exists({ _id: updateTaskInput.user, user_status: { $ne: 'DELETED' }, schools: { $in: task.schools || [] } });
+        if (!userCheck) {
+            throw new ApolloError('User not found, not active, or not a member of the schools of the task.', 'NOT_FOUND');
+        }
+
         // *************** Prepare update payload and update task
         const updateTaskPayload = TaskHelper.GetUpdateTaskPayload({ taskInput: updateTaskInput, userId });
 
@@ -184,6 +209,14 @@ async function DeleteTask(_, { id }, context) {
 
         CommonValidator.ValidateObjectId(id);
 
+        const taskExists = await TaskModel.exists({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        });
+        if (!taskExists) {
+            throw new ApolloError('Task not found', 'NOT_FOUND');
+        }
+
         // *************** Prepare delete payloads for task and test
         const {
             task,
@@ -237,17 +270,31 @@ async function AssignCorrector(_, { task_id, corrector_id, enter_marks_due_date
         TaskValidator.ValidateAssignCorrectorInput({ taskId: task_id, correctorId: corrector_id, enterMarksDueDate: enter_marks_due_date });
 
         // *************** Find the assign corrector task and ensure it is pending
-        const assignCorrectorTask = await TaskModel.findOne({ _id: task_id, task_type: 'ASSIGN_CORRECTOR', task_status: 'PENDING' }).select({ test: 1 }).lean();
+        const assignCorrectorTask = await TaskModel.findOne({
+            _id: task_id,
+            task_type: 'ASSIGN_CORRECTOR',
+            task_status: 'PENDING',
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).select({ test: 1, schools: 1 }).lean();
         if (!assignCorrectorTask) {
             throw new ApolloError('Assign corrector task not found.', 'BAD_REQUEST');
         }
 
-        // *************** Ensure the corrector exists and is active
-        const corrector = await UserModel.findOne({ _id: corrector_id, role: 'CORRECTOR', user_status: 'ACTIVE' }).select({ _id: 1, email: 1 }).lean();
+        // *************** Ensure the corrector exists, is active and belongs to one of the task's schools
+        const corrector = await UserModel.findOne({
+            _id: corrector_id,
+            role: 'CORRECTOR',
+            user_status: 'ACTIVE',
+            schools: { $in: assignCorrectorTask.schools || [] }
+        }).select({ _id: 1, email: 1, schools: 1 }).lean();
         if (!corrector) {
-            throw new ApolloError('The specified user is not a valid, active corrector.', 'BAD_REQUEST');
+            throw new ApolloError('The specified user is not a valid, active corrector of the schools of the test.', 'BAD_REQUEST');
         }
 
+        // *************** The corrector only handles the students of the schools shared with the test
+        const correctorSchoolIds = corrector.schools.map(String);
+        const schools = assignCorrectorTask.schools.filter(schoolId => correctorSchoolIds.includes(String(schoolId)));
+
         // *************** Fetch the related test
         const test = await TestModel.findById(assignCorrectorTask.test).select({ subject: 1, name: 1, description: 1 }).lean();
         if (!test) {
@@ -259,8 +306,8 @@ async function AssignCorrector(_, { task_id, corrector_id, enter_marks_due_date
             throw new ApolloError('Related subject not found.', 'NOT_FOUND');
         }
 
-        // *************** Get all active students
-        const students = await StudentModel.find({ student_status: 'ACTIVE' }).select({ first_name: 1, last_name: 1 }).lean();
+        // *************** Get the active students the corrector will enter marks for
+        const students = await StudentModel.find({ student_status: 'ACTIVE', school: { $in: schools } }).select({ first_name: 1, last_name: 1 }).lean();
         if (!students) {
             throw new ApolloError('Students not found', 'NOT_FOUND');
         }
@@ -283,7 +330,7 @@ async function AssignCorrector(_, { task_id, corrector_id, enter_marks_due_date
             due_date: enter_marks_due_date
         };
 
-        const newTaskPayload = TaskHelper.GetCreateTaskPayload({ taskInput: enterMarksTaskData, userId });
+        const newTaskPayload = TaskHelper.GetCreateTaskPayload({ taskInput: enterMarksTaskData, userId, schools });
 
         const enterMarksTask = await TaskModel.create(newTaskPayload);
         if (!enterMarksTask) {
@@ -307,7 +354,7 @@ async function AssignCorrector(_, { task_id, corrector_id, enter_marks_due_date
             html: emailContent.html
         });
         if (!sendEmail.success) {
-            console.error("CRITICAL: Corrector was assigned but notification email failed to send.", emailResult.error);
+            console.error("CRITICAL: Corrector was assigned but notification email failed to send.", sendEmail.error);
         }
 
         return enterMarksTask;
@@ -326,7 +373,7 @@ async function AssignCorrector(_, { task_id, corrector_id, enter_marks_due_date
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the mutation.
  * @param {string} args.task_id - The ID of the 'ENTER_MARKS' task to be completed.
- * @param {object} args.enterMarksInput - An input object containing the test, student, and marks data.
+ * @param {object} args.enterMarksInput - An input object containing the test, student, and marks data, or the absence of the student.
  * @param {Date|string} args.validate_marks_due_date - The due date for the subsequent 'VALIDATE_MARKS' task.
  * @param {object} context - The GraphQL context, used here to get the user ID.
  * @returns {Promise<object>} - A promise that resolves to an object containing the new student test result and the new validation task.
@@ -342,20 +389,32 @@ async function EnterMarks(_, { task_id, enterMarksInput, validate_marks_due_date
         CommonValidator.ValidateObjectId(task_id);
 
         // *************** Find the enter marks task and ensure it is pending
-        const enterMarksTask = await TaskModel.findOne({ _id: task_id, task_type: 'ENTER_MARKS', task_status: 'PENDING' }).select({ _id: 1 }).lean();
+        const enterMarksTask = await TaskModel.findOne({
+            _id: task_id,
+            task_type: 'ENTER_MARKS',
+            task_status: 'PENDING',
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).select({ _id: 1, schools: 1 }).lean();
         if (!enterMarksTask) {
             throw new ApolloError('Enter Marks task not found or is not pending.', 'BAD_REQUEST');
         }
 
+        // *************** Ensure the student belongs to one of the task's schools
+        const studentExists = await StudentModel.exists({ _id: enterMarksInput.student, school: { $in: enterMarksTask.schools || [] } });
+        if (!studentExists) {
+            throw new ApolloError('Student not found in the schools of the task.', 'NOT_FOUND');
+        }
+
         // *************** Fetch the related test
-        const parentTest = await TestModel.findById(enterMarksInput.test).select({ notations: 1, name: 1 }).lean();
+        const parentTest = await TestModel.findById(enterMarksInput.test).select({ notations: 1, grading_scale: 1, name: 1 }).lean();
         if (!parentTest) {
             throw new ApolloError('Related test not found.', 'NOT_FOUND');
         }
 
         TaskValidator.ValidateEnterMarksInput({ enterMarksInput, notations: parentTest.notations });
 
-        const studentTestResultPayload = TaskHelper.GetStudentTestResultPayload({ enterMarksInput, userId, notations: parentTest.notations });
+        const markRounding = await CommonHelper.GetStudentMarkRounding(enterMarksInput.student);
+        const studentTestResultPayload = TaskHelper.GetStudentTestResultPayload({ enterMarksInput, userId, parentTest, markRounding });
 
         // *************** Create student test result
         const studentTestResult = await StudentTestResultModel.create(studentTestResultPayload);
@@ -370,8 +429,8 @@ async function EnterMarks(_, { task_id, enterMarksInput, validate_marks_due_date
             throw new ApolloError('Failed to complete enter marks task', 'TASK_COMPLETION_FAILED');
         }
 
-        // *************** Get the academic director ID
-        const academicDirector = await UserModel.findOne({ role: 'ACADEMIC_DIRECTOR', user_status: 'ACTIVE' }).select({ _id: 1 }).lean();
+        // *************** Get the academic director of one of the task's schools
+        const academicDirector = await UserModel.findOne({ role: 'ACADEMIC_DIRECTOR', user_status: 'ACTIVE', schools: { $in: enterMarksTask.schools } }).select({ _id: 1 }).lean();
         if (!academicDirector) {
             throw new ApolloError('Academic director not found', 'NOT_FOUND')
         }
@@ -384,7 +443,7 @@ async function EnterMarks(_, { task_id, enterMarksInput, validate_marks_due_date
             task_type: 'VALIDATE_MARKS',
             due_date: validate_marks_due_date
         };
-        const validateMarksTaskPayload = TaskHelper.GetCreateTaskPayload({ taskInput: validateMarksTaskData, userId });
+        const validateMarksTaskPayload = TaskHelper.GetCreateTaskPayload({ taskInput: validateMarksTaskData, userId, schools: enterMarksTask.schools });
 
         const validateMarksTask = await TaskModel.create(validateMarksTaskPayload);
         if (!validateMarksTask) {
@@ -423,7 +482,7 @@ async function EnterMarks(_, { task_id, enterMarksInput, validate_marks_due_date
  * @param {object} args - The arguments for the mutation.
  * @param {string} args.task_id - The ID of the 'VALIDATE_MARKS' task.
  * @param {string} args.student_test_result_id - The ID of the student test result to validate.
- * @param {object} context - The GraphQL context, used here to get the user ID.
+ * @param {object} context - The GraphQL context, used here to get the user ID and the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to an object containing the validated student test result and the completed task.
  */
 async function ValidateMarks(_, { task_id, student_test_result_id }, context) {
@@ -436,15 +495,26 @@ async function ValidateMarks(_, { task_id, student_test_result_id }, context) {
         TaskValidator.ValidateValidateMarksInput({ taskId: task_id, studentTestResultId: student_test_result_id });
 
         // *************** Find the validate marks task and ensure it is pending
-        const validateMarksTask = await TaskModel.findOne({ _id: task_id, task_type: 'VALIDATE_MARKS', task_status: 'PENDING' }).select({ _id: 1 }).lean();
+        const validateMarksTask = await TaskModel.findOne({
+            _id: task_id,
+            task_type: 'VALIDATE_MARKS',
+            task_status: 'PENDING',
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).select({ _id: 1, test: 1 }).lean();
         if (!validateMarksTask) {
             throw new ApolloError('Validate Marks task not found or is not pending.', 'BAD_REQUEST');
         }
 
-        // *************** Find the student test result to validate
-        const studentTestResultToValidate = await StudentTestResultModel.findOne({ _id: student_test_result_id, student_test_result_status: 'PENDING' }).lean();
+        // *************** Find the student test result to validate, among the results of the task's test for the caller's students
+        const studentTestResultFilter = {
+            _id: student_test_result_id,
+            test: validateMarksTask.test,
+            student_test_result_status: 'PENDING',
+            ...await StudentTestResultHelper.GetStudentTestResultScopeFilter(context.user)
+        };
+        const studentTestResultToValidate = await StudentTestResultModel.findOne(studentTestResultFilter).select({ _id: 1 }).lean();
         if (!studentTestResultToValidate) {
-            throw new ApolloError('Student test result not found or is not pending validation.', 'NOT_FOUND');
+            throw new ApolloError('Student test result not found, not pending validation, or not part of this task.', 'NOT_FOUND');
         }
 
         const taskCompletionPayload = TaskHelper.GetTaskCompletionPayload(userId);
@@ -461,7 +531,7 @@ async function ValidateMarks(_, { task_id, student_test_result_id }, context) {
         }
 
         // *************** Mark the student test result as validated
-        const validatedStudentTestResult = await StudentTestResultModel.findOneAndUpdate({ _id: student_test_result_id }, validationPayload, { new: true }).lean();
+        const validatedStudentTestResult = await StudentTestResultModel.findOneAndUpdate(studentTestResultFilter, validationPayload, { new: true }).lean();
         if (!validatedStudentTestResult) {
             throw new ApolloError('Failed to validate student test result', 'VALIDATE_STUDENT_TEST_RESULT_FAILED');
         }
@@ -469,7 +539,12 @@ async function ValidateMarks(_, { task_id, student_test_result_id }, context) {
 
         // *************** Start transcript generation in background worker
         const worker = new Worker(path.resolve(__dirname, '../../jobs/worker/run_transcript_calculation.worker.js'), {
-            workerData: { studentId: String(validatedStudentTestResult.student), userId }
+            workerData: {
+                studentId: String(validatedStudentTestResult.student),
+                userId,
+                triggerEvent: 'MARKS_VALIDATED',
+                studentTestResultId: String(validatedStudentTestResult._id)
+            }
         });
 
         worker.on('message', function (msg) { console.log('Worker message:', msg); });
@@ -534,6 +609,28 @@ async function UserLoader(task, _, context) {
     }
 }
 
+/**
+ * Loads the schools the task belongs to using a DataLoader.
+ * @param {object} task - The parent task object.
+ * @param {Array<string>} task.schools - An array of school IDs to load.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of school objects.
+ */
+async function SchoolLoader(task, _, context) {
+    try {
+        TaskValidator.ValidateSchoolLoaderInput(task, context);
+
+        const schools = await context.dataLoaders.SchoolLoader.loadMany(task.schools || []);
+
+        return schools;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch schools`, 'SCHOOL_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 /**
  * Loads the user who created the task using a DataLoader.
  * @param {object} task - The parent task object.
@@ -619,6 +716,7 @@ module.exports = {
     Task: {
         test: TestLoader,
         user: UserLoader,
+        schools: SchoolLoader,
         created_by: CreatedByLoader,
         updated_by: UpdatedByLoader,
         deleted_by: DeletedByLoader
@@ -24,7 +24,8 @@ module.exports = gql`
     input EnterMarksInput {
         test: ID!
         student: ID!
-        marks: [MarkInput!]!
+        marks: [MarkInput!]
+        absence_status: AbsenceStatus
     }
 
     input CreateTaskInput {
@@ -49,6 +50,7 @@ module.exports = gql`
         _id: ID!
         test: Test!
         user: User!
+        schools: [School!]!
         title: String!
         description: String!
         task_type: TaskType!
@@ -75,18 +77,18 @@ module.exports = gql`
     }
 
     type Query {
-        GetAllTasks(task_status: TaskStatus, test_id: ID, user_id: ID): [Task]!
-        GetOneTask(id: ID!): Task
-        GetTasksForUser(user_id: ID!, task_status: TaskStatus): [Task]
-        GetTasksForTest(test_id: ID!, task_status: TaskStatus): [Task]
+        GetAllTasks(task_status: TaskStatus, test_id: ID, user_id: ID): [Task]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
+        GetOneTask(id: ID!): Task @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
+        GetTasksForUser(user_id: ID!, task_status: TaskStatus): [Task] @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
+        GetTasksForTest(test_id: ID!, task_status: TaskStatus): [Task] @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR])
     }
 
     type Mutation {
-        CreateTask(createTaskInput: CreateTaskInput!): Task!
-        UpdateTask(id: ID!, updateTaskInput: UpdateTaskInput!): Task!
-        DeleteTask(id: ID!): Task!
-        AssignCorrector(task_id: ID!, corrector_id: ID!, enter_marks_due_date: String): Task!
-        EnterMarks(task_id: ID!, enterMarksInput: EnterMarksInput!, validate_marks_due_date: String): EnterMarksPayload!
-        ValidateMarks(task_id: ID!, student_test_result_id: ID!): ValidateMarksPayload!
+        CreateTask(createTaskInput: CreateTaskInput!): Task! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        UpdateTask(id: ID!, updateTaskInput: UpdateTaskInput!): Task! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        DeleteTask(id: ID!): Task! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        AssignCorrector(task_id: ID!, corrector_id: ID!, enter_marks_due_date: String): Task! @auth(roles: [ACADEMIC_DIRECTOR])
+        EnterMarks(task_id: ID!, enterMarksInput: EnterMarksInput!, validate_marks_due_date: String): EnterMarksPayload! @auth(roles: [ADMIN, CORRECTOR])
+        ValidateMarks(task_id: ID!, student_test_result_id: ID!): ValidateMarksPayload! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 `
\ No newline at end of file
@@ -142,12 +142,15 @@ function ValidateAssignCorrectorInput({ taskId, correctorId, enterMarksDueDate }
  * @param {object} args.enterMarksInput - The object containing the test, student, and marks data.
  * @param {string} args.enterMarksInput.test - The ID of the test.
  * @param {string} args.enterMarksInput.student - The ID of the student.
- * @param {Array<object>} args.enterMarksInput.marks - The array of marks to be validated.
+ * @param {Array<object>} [args.enterMarksInput.marks] - The array of marks to be validated, required unless the student was absent.
+ * @param {string} [args.enterMarksInput.absence_status] - Optional. 'ABSENT' or 'EXCUSED' to record that the student did not sit the test.
  * @param {Array<object>} args.notations - An array of notation objects from the parent test, used to validate the marks.
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
 function ValidateEnterMarksInput({ enterMarksInput, notations }) {
-    const { test, student, marks } = enterMarksInput;
+    const validAbsenceStatus = ['ABSENT', 'EXCUSED'];
+
+    const { test, student, marks, absence_status } = enterMarksInput;
     if (!test || test.trim() === '' || !mongoose.Types.ObjectId.isValid(test)) {
         throw new ApolloError('Invalid test ID.', "BAD_USER_INPUT");
     }
@@ -155,6 +158,16 @@ function ValidateEnterMarksInput({ enterMarksInput, notations }) {
         throw new ApolloError('Invalid student ID.', "BAD_USER_INPUT");
     }
 
+    if (absence_status !== undefined && absence_status !== null) {
+        if (typeof absence_status !== 'string' || !validAbsenceStatus.includes(absence_status.toUpperCase())) {
+            throw new ApolloError(`Absence status must be one of: ${validAbsenceStatus.join(', ')}.`, 'BAD_USER_INPUT', { field: 'absence_status' });
+        }
+        if (Array.isArray(marks) && marks.length) {
+            throw new ApolloError('Marks cannot be entered for an absent student.', 'BAD_USER_INPUT', { field: 'marks' });
+        }
+        return;
+    }
+
     if (!Array.isArray(marks) || !marks.length) {
         throw new ApolloError('Marks must be a non-empty array.', 'BAD_USER_INPUT', { field: 'marks' });
     }
@@ -226,6 +239,37 @@ function ValidateTestLoaderInput(task, context) {
     }
 }
 
+/**
+ * Validates the inputs for the SchoolLoader resolver on the Task type.
+ * @param {object} task - The parent task object, which may contain a 'schools' array of valid ObjectIDs.
+ * @param {object} context - The GraphQL context, which must contain a configured SchoolLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateSchoolLoaderInput(task, context) {
+    if (!task || typeof task !== 'object' || task === null) {
+        throw new ApolloError('Input error: task must be a valid object.', 'BAD_USER_INPUT', {
+            field: 'task'
+        });
+    }
+
+    for (const schoolId of task.schools || []) {
+        if (!mongoose.Types.ObjectId.isValid(schoolId)) {
+            throw new ApolloError(`Invalid school ID found in schools array: ${schoolId}`, 'BAD_USER_INPUT', {
+                field: 'task.schools'
+            });
+        }
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.SchoolLoader ||
+        typeof context.dataLoaders.SchoolLoader.loadMany !== 'function'
+    ) {
+        throw new ApolloError('Server configuration error: SchoolLoader with loadMany function not found on context.', 'INTERNAL_SERVER_ERROR');
+    }
+}
+
 /**
  * Validates the inputs for resolvers that use the UserLoader.
  * @param {object} parent - The parent object.
@@ -262,5 +306,6 @@ module.exports = {
     ValidateEnterMarksInput,
     ValidateValidateMarksInput,
     ValidateTestLoaderInput,
+    ValidateSchoolLoaderInput,
     ValidateUserLoaderInput
 }
\ No newline at end of file
@@ -2,6 +2,8 @@
 const { ApolloError } = require('apollo-server');
 
 // *************** IMPORT MODULE *************** 
+const BlockModel = require('../block/block.model');
+const SubjectModel = require('../subject/subject.model');
 const TestModel = require('./test.model');
 
 // *************** IMPORT UTILITES ***************
@@ -11,6 +13,9 @@ const CommonHelper = require('../../shared/helper/index')
 const CommonValidator = require('../../shared/validator/index');
 const TestValidator = require('./test.validator');
 
+// *************** The test weights of a subject may differ from 1 by this much, to absorb rounding
+const TEST_WEIGHT_SUM_TOLERANCE = 0.01;
+
 /**
  * Processes and transforms a raw test input object into a structured data payload for a create operation.
  * @param {object} args - The arguments for creating the payload.
@@ -33,8 +38,12 @@ function GetCreateTestPayload({ testInput, userId, evaluationType }) {
         weight,
         correction_type,
         notations,
+        grading_scale,
         is_retake,
         connected_test,
+        retake_mark_policy,
+        absence_mark_policy,
+        excused_absence_mark_policy,
         test_status
     } = testInput;
 
@@ -47,8 +56,12 @@ function GetCreateTestPayload({ testInput, userId, evaluationType }) {
         weight: weight,
         correction_type: correction_type.toUpperCase(),
         notations: notations,
+        grading_scale: grading_scale || undefined,
         is_retake: is_retake,
         connected_test: connected_test,
+        retake_mark_policy: is_retake && retake_mark_policy ? retake_mark_policy.toUpperCase() : undefined,
+        absence_mark_policy: absence_mark_policy ? absence_mark_policy.toUpperCase() : undefined,
+        excused_absence_mark_policy: excused_absence_mark_policy ? excused_absence_mark_policy.toUpperCase() : undefined,
         test_status: test_status.toUpperCase(),
         created_by: userId,
         updated_by: userId
@@ -76,10 +89,15 @@ function GetUpdateTestPayload({ testInput, userId, evaluationType, existingNotat
         weight,
         correction_type,
         notations,
+        grading_scale,
         is_retake,
         connected_test,
+        retake_mark_policy,
+        absence_mark_policy,
+        excused_absence_mark_policy,
         test_status,
         test_passing_criteria,
+        unmatched_criteria_result,
     } = testInput;
 
     let payload = {};
@@ -91,10 +109,15 @@ function GetUpdateTestPayload({ testInput, userId, evaluationType, existingNotat
     if (weight !== undefined && weight !== null) payload.weight = weight;
     if (correction_type !== undefined && correction_type !== null) payload.correction_type = correction_type.toUpperCase();
     if (notations !== undefined && notations !== null) payload.notations = notations;
+    if (grading_scale !== undefined && grading_scale !== null) payload.grading_scale = grading_scale;
     if (is_retake !== undefined && is_retake !== null) payload.is_retake = is_retake;
     if (connected_test !== undefined && connected_test !== null) payload.connected_test = connected_test;
+    if (retake_mark_policy !== undefined && retake_mark_policy !== null) payload.retake_mark_policy = retake_mark_policy.toUpperCase();
+    if (absence_mark_policy !== undefined && absence_mark_policy !== null) payload.absence_mark_policy = absence_mark_policy.toUpperCase();
+    if (excused_absence_mark_policy !== undefined && excused_absence_mark_policy !== null) payload.excused_absence_mark_policy = excused_absence_mark_policy.toUpperCase();
     if (test_status !== undefined && test_status !== null) payload.test_status = test_status.toUpperCase();
     if (test_passing_criteria !== undefined && test_passing_criteria !== null) payload.test_passing_criteria = test_passing_criteria;
+    if (unmatched_criteria_result !== undefined && unmatched_criteria_result !== null) payload.unmatched_criteria_result = unmatched_criteria_result.toUpperCase();
 
     payload.updated_by = userId;
 
@@ -125,9 +148,11 @@ function GetPublishTestPayload({ userId, testDueDate }) {
  * @param {object} args.testId - The ID of the just published test.
  * @param {Date|string} args.assignCorrectorDueDate - The due date for the new task.
  * @param {string} args.userId - The ID of the user who initiated the publish action.
+ * @param {string} args.academicDirectorId - The ID of the academic director the task is assigned to.
+ * @param {Array<string>} args.schools - The IDs of the schools of the test, which the task belongs to.
  * @returns {object} A data payload for creating the new task.
  */
-function GetAssignCorrectorTaskPayload({ testId, assignCorrectorDueDate, userId, academicDirectorId }) {
+function GetAssignCorrectorTaskPayload({ testId, assignCorrectorDueDate, userId, academicDirectorId, schools }) {
     CommonValidator.ValidateObjectId(testId)
     CommonValidator.ValidateObjectId(userId);
     CommonValidator.ValidateObjectId(academicDirectorId);
@@ -135,6 +160,7 @@ function GetAssignCorrectorTaskPayload({ testId, assignCorrectorDueDate, userId,
     return {
         test: testId,
         user: academicDirectorId,
+        schools,
         title: 'Assign Corrector',
         description: 'Academic Director should assign corrector for student test',
         task_type: 'ASSIGN_CORRECTOR',
@@ -220,11 +246,258 @@ function BuildPullTestFromSubjectPayload({ subjectId, testId }) {
     };
 }
 
+/**
+ * Tells whether the test weights of a subject sum to 1, within the tolerance absorbing rounding.
+ * @param {number} weightSum - The sum of the weights of the subject's weighted tests.
+ * @returns {boolean} True if the weights are complete.
+ */
+function IsTestWeightSumComplete(weightSum) {
+    return Math.abs(weightSum - 1) <= TEST_WEIGHT_SUM_TOLERANCE;
+}
+
+/**
+ * Keeps the tests whose weights make up the mark of their subject: active tests, except the retakes whose connected
+ * test is active, as their mark is used for the test they retake.
+ * @param {Array<object>} tests - The tests of a subject, with their 'weight', 'test_status', 'is_retake' and 'connected_test'.
+ * @returns {Promise<Array<object>>} A promise that resolves to the weighted tests.
+ */
+async function getWeightedTests(tests) {
+    const activeTests = tests.filter(test => test.test_status === 'ACTIVE');
+
+    const connectedTestIds = activeTests.filter(test => test.is_retake && test.connected_test).map(test => test.connected_test);
+    const activeConnectedTestIds = connectedTestIds.length
+        ? await TestModel.distinct('_id', { _id: { $in: connectedTestIds }, test_status: 'ACTIVE' })
+        : [];
+    const foldedConnectedTestIds = new Set(activeConnectedTestIds.map(String));
+
+    return activeTests.filter(test => !(test.is_retake && test.connected_test && foldedConnectedTestIds.has(String(test.connected_test))));
+}
+
+/**
+ * Scales the weights of some tests so that they sum to a target, keeping their proportions. Tests that all weigh 0
+ * share the target equally, and the rounding remainder goes to the last test so the sum is exact.
+ * @param {object} args - The arguments for the scaling.
+ * @param {Array<object>} args.tests - The tests to scale, with their '_id' and 'weight'.
+ * @param {number} args.targetWeightSum - The sum the weights must reach.
+ * @returns {Array<{_id: string, weight: number, previous_weight: number}>} The new and the previous weight of each test.
+ */
+function scaleTestWeights({ tests, targetWeightSum }) {
+    const weightSum = tests.reduce((sum, test) => sum + test.weight, 0);
+
+    const scaledTests = tests.map(test => ({
+        _id: test._id,
+        weight: Number((weightSum ? test.weight * targetWeightSum / weightSum : targetWeightSum / tests.length).toFixed(4)),
+        previous_weight: test.weight
+    }));
+
+    const lastTest = scaledTests[scaledTests.length - 1];
+    const remainder = targetWeightSum - scaledTests.reduce((sum, test) => sum + test.weight, 0);
+    lastTest.weight = Number((lastTest.weight + remainder).toFixed(4));
+
+    return scaledTests;
+}
+
+/**
+ * Builds the updates setting new weights on tests, along with the updates restoring their previous weights.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {Array<{_id: string, weight: number, previous_weight: number}>} args.testWeights - The new and the previous weight of each test.
+ * @param {string} args.userId - The ID of the user changing the weights.
+ * @returns {Array<{filter: object, update: object, rollback: object}>} One update per test, to run with bulkWrite.
+ */
+function buildTestWeightsPayload({ testWeights, userId }) {
+    return testWeights.map(testWeight => ({
+        filter: { _id: testWeight._id },
+        update: { $set: { weight: testWeight.weight, updated_by: userId } },
+        rollback: { $set: { weight: testWeight.previous_weight } }
+    }));
+}
+
+/**
+ * Turns test weight updates into bulkWrite operations, applying either the new weights or, to roll them back, the previous ones.
+ * @param {Array<{filter: object, update: object, rollback: object}>} testWeightsPayload - The weight updates, as built by buildTestWeightsPayload.
+ * @param {boolean} [isRollback] - Optional. Whether to restore the previous weights.
+ * @returns {Array<object>} The bulkWrite operations.
+ */
+function GetTestWeightsBulkOperations(testWeightsPayload, isRollback = false) {
+    return testWeightsPayload.map(({ filter, update, rollback }) => ({
+        updateOne: { filter, update: isRollback ? rollback : update }
+    }));
+}
+
+/**
+ * Writes a test along with the weights the other tests of its subject were normalized to. The weights are written
+ * first, in one ordered bulk write, and restored if they or the test fail to be written, so that a subject is never
+ * left with normalized weights around a test that was not saved, nor with a saved test and weights summing above 1.
+ * @param {object} args - The arguments for the write.
+ * @param {Array<{filter: object, update: object, rollback: object}>|null} args.subjectTestWeightsPayload - The weight updates
+ * returned by GetSubjectTestWeightsPayload, or null if the weights stay as they are.
+ * @param {Function} args.writeTest - Writes the test, returning a promise that resolves to the written test.
+ * @returns {Promise<object>} A promise that resolves to the written test.
+ */
+async function WriteTestWithSubjectWeights({ subjectTestWeightsPayload, writeTest }) {
+    if (!subjectTestWeightsPayload) {
+        return writeTest();
+    }
+
+    try {
+        await TestModel.bulkWrite(GetTestWeightsBulkOperations(subjectTestWeightsPayload), { ordered: true });
+
+        return await writeTest();
+    } catch (error) {
+        // *************** Setting the previous weights again is harmless for the updates that were not applied
+        try {
+            await TestModel.bulkWrite(GetTestWeightsBulkOperations(subjectTestWeightsPayload, true), { ordered: false });
+        } catch (rollbackError) {
+            console.error('Failed to restore the test weights of the subject:', rollbackError);
+        }
+
+        throw error;
+    }
+}
+
+/**
+ * Checks the test weights of a subject once one of its tests is changed, and builds the updates repairing them when asked to.
+ * The weights may never sum above 1, and must sum to 1 once one of the tests is published. When the weights are inconsistent
+ * and normalization is requested, the other tests are scaled around the weight of the changed test.
+ * @param {object} args - The arguments for the check.
+ * @param {string} args.subjectId - The ID of the subject, for the error messages.
+ * @param {Array<object>} args.weightedTests - The weighted tests of the subject once the test is changed, including the changed test
+ * itself unless it stops being weighted, as returned by getWeightedTests.
+ * @param {object} args.changedTest - The test as it will be saved, with its 'weight'.
+ * @param {string} args.userId - The ID of the user changing the test.
+ * @param {boolean} [args.normalizeSubjectWeights] - Optional. Whether to scale the other tests of the subject instead of failing.
+ * @returns {Array<{filter: object, update: object, rollback: object}>|null} The updates of the other tests, or null if the weights are consistent.
+ */
+function BuildSubjectTestWeightsPayload({ subjectId, weightedTests, changedTest, userId, normalizeSubjectWeights }) {
+    const isChangedTestWeighted = weightedTests.includes(changedTest);
+    const weightedOtherTests = weightedTests.filter(test => test !== changedTest);
+
+    const weightSum = weightedTests.reduce((sum, test) => sum + test.weight, 0);
+    const isPublished = weightedTests.some(test => test.is_published);
+
+    const exceedsOne = weightSum > 1 + TEST_WEIGHT_SUM_TOLERANCE;
+    const isIncomplete = isPublished && !IsTestWeightSumComplete(weightSum);
+    if (!exceedsOne && !isIncomplete) {
+        return null;
+    }
+
+    if (!normalizeSubjectWeights) {
+        const reason = exceedsOne ? 'may not sum above 1' : 'must sum to 1 once one of its tests is published';
+        throw new ApolloError(
+            `Test weights of subject ${subjectId} ${reason}, but would sum to ${Number(weightSum.toFixed(4))}. Adjust the weights or normalize them.`,
+            'INVALID_TEST_WEIGHTS',
+            { field: 'weight', subject: subjectId, weight_sum: weightSum }
+        );
+    }
+
+    if (!weightedOtherTests.length) {
+        throw new ApolloError(`Test weights of subject ${subjectId} cannot be normalized, as it has no other weighted test.`, 'INVALID_TEST_WEIGHTS', {
+            field: 'weight',
+            subject: subjectId
+        });
+    }
+
+    return buildTestWeightsPayload({
+        testWeights: scaleTestWeights({
+            tests: weightedOtherTests,
+            targetWeightSum: 1 - (isChangedTestWeighted ? changedTest.weight : 0)
+        }),
+        userId
+    });
+}
+
+/**
+ * Checks that the test weights of a subject stay consistent once a test is created, updated, published or deleted, and
+ * builds the updates repairing them when asked to, as BuildSubjectTestWeightsPayload does. Only subjects of blocks evaluated
+ * by SCORE are checked, as competency levels do not use weights.
+ * @param {object} args - The arguments for the check.
+ * @param {string} args.subjectId - The ID of the subject of the test.
+ * @param {object} args.changedTest - The test as it will be saved: its '_id' (unless it is created), 'weight', 'test_status',
+ * 'is_retake', 'connected_test' and 'is_published'. A deleted test has the 'DELETED' status.
+ * @param {string} args.userId - The ID of the user changing the test.
+ * @param {boolean} [args.normalizeSubjectWeights] - Optional. Whether to scale the other tests of the subject instead of failing.
+ * @returns {Promise<Array<{filter: object, update: object, rollback: object}>|null>} A promise that resolves to the updates of the other tests,
+ * or null if the weights are consistent.
+ */
+async function GetSubjectTestWeightsPayload({ subjectId, changedTest, userId, normalizeSubjectWeights }) {
+    CommonValidator.ValidateObjectId(subjectId);
+
+    const subject = await SubjectModel.findById(subjectId).select({ block: 1 }).lean();
+    const block = subject && await BlockModel.findById(subject.block).select({ evaluation_type: 1 }).lean();
+    if (!block || block.evaluation_type !== 'SCORE') {
+        return null;
+    }
+
+    const otherTestsFilter = { subject: subjectId, test_status: 'ACTIVE' };
+    if (changedTest._id) {
+        otherTestsFilter._id = { $ne: changedTest._id };
+    }
+
+    const otherTests = await TestModel.find(otherTestsFilter)
+        .select({ weight: 1, test_status: 1, is_retake: 1, connected_test: 1, is_published: 1 })
+        .lean();
+
+    const weightedTests = await getWeightedTests([...otherTests, changedTest]);
+
+    return BuildSubjectTestWeightsPayload({ subjectId, weightedTests, changedTest, userId, normalizeSubjectWeights });
+}
+
+/**
+ * Builds the updates scaling the test weights of a subject so that they sum to 1, keeping their proportions.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.subjectId - The ID of the subject.
+ * @param {string} args.userId - The ID of the user normalizing the weights.
+ * @returns {Promise<Array<{filter: object, update: object, rollback: object}>>} A promise that resolves to one update per weighted test of the subject.
+ */
+async function GetNormalizeSubjectWeightsPayload({ subjectId, userId }) {
+    CommonValidator.ValidateObjectId(subjectId);
+    CommonValidator.ValidateObjectId(userId);
+
+    const tests = await TestModel.find({ subject: subjectId, test_status: 'ACTIVE' })
+        .select({ weight: 1, test_status: 1, is_retake: 1, connected_test: 1 })
+        .lean();
+
+    const weightedTests = await getWeightedTests(tests);
+    if (!weightedTests.length) {
+        throw new ApolloError(`Subject ${subjectId} has no weighted test to normalize.`, 'NOT_FOUND');
+    }
+
+    return buildTestWeightsPayload({
+        testWeights: scaleTestWeights({ tests: weightedTests, targetWeightSum: 1 }),
+        userId
+    });
+}
+
+/**
+ * Builds the filter of the tests a student sits: the published, active tests of the active subjects
+ * of the active blocks of the student's school and academic year.
+ * @param {object} student - The authenticated student, containing their school and academic year.
+ * @returns {Promise<object>} A promise that resolves to the filter to apply to the tests.
+ */
+async function GetStudentTestFilter(student) {
+    const blockIds = await BlockModel.distinct('_id', {
+        block_status: 'ACTIVE',
+        schools: student.school,
+        academic_year: student.academic_year || null
+    });
+
+    const subjectIds = await SubjectModel.distinct('_id', { block: { $in: blockIds }, subject_status: 'ACTIVE' });
+
+    return { subject: { $in: subjectIds }, test_status: 'ACTIVE', is_published: true };
+}
+
 // *************** EXPORT MODULE ***************
 module.exports = {
     GetCreateTestPayload,
     GetUpdateTestPayload,
     GetPublishTestPayload,
     GetAssignCorrectorTaskPayload,
-    GetDeleteTestPayload
+    GetDeleteTestPayload,
+    IsTestWeightSumComplete,
+    BuildSubjectTestWeightsPayload,
+    GetSubjectTestWeightsPayload,
+    GetNormalizeSubjectWeightsPayload,
+    GetTestWeightsBulkOperations,
+    WriteTestWithSubjectWeights,
+    GetStudentTestFilter
 }
\ No newline at end of file
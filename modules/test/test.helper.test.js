@@ -0,0 +1,94 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const { IsTestWeightSumComplete, BuildSubjectTestWeightsPayload, GetTestWeightsBulkOperations, WriteTestWithSubjectWeights } = require('./test.helper');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../../shared/test/run_test_cases');
+
+const SUBJECT_ID = '5f00000000000000000000c1';
+const USER_ID = '5f00000000000000000000f1';
+
+/**
+ * Checks the weights of a subject whose other tests weigh 0.3 and 0.2 once a test weighing the given weight is changed.
+ * @param {object} args - The arguments for the check.
+ * @param {number} args.weight - The weight of the changed test.
+ * @param {boolean} [args.isPublished] - Optional. Whether a test of the subject is published.
+ * @param {boolean} [args.normalizeSubjectWeights] - Optional. Whether to scale the other tests instead of failing.
+ * @returns {Array<object>|null} The updates of the other tests, or null if the weights are consistent.
+ */
+function checkWeights({ weight, isPublished = false, normalizeSubjectWeights }) {
+    const changedTest = { weight, is_published: isPublished };
+    const weightedTests = [{ _id: 'test-a', weight: 0.3 }, { _id: 'test-b', weight: 0.2 }, changedTest];
+
+    return BuildSubjectTestWeightsPayload({ subjectId: SUBJECT_ID, weightedTests, changedTest, userId: USER_ID, normalizeSubjectWeights });
+}
+
+const isInvalidTestWeights = (error) => error.extensions.code === 'INVALID_TEST_WEIGHTS';
+
+const tests = {
+    'A weight sum within the rounding tolerance of 1 is complete': () => {
+        assert.strictEqual(IsTestWeightSumComplete(1), true);
+        assert.strictEqual(IsTestWeightSumComplete(0.3333 * 3), true);
+        assert.strictEqual(IsTestWeightSumComplete(0.9), false);
+        assert.strictEqual(IsTestWeightSumComplete(1.1), false);
+    },
+
+    'Weights summing to 1 or less before publication are consistent': () => {
+        assert.strictEqual(checkWeights({ weight: 0.5, isPublished: true }), null);
+        assert.strictEqual(checkWeights({ weight: 0.2 }), null);
+    },
+
+    'Weights summing above 1, or below 1 once published, are refused unless normalized': () => {
+        assert.throws(() => checkWeights({ weight: 0.6 }), isInvalidTestWeights);
+        assert.throws(() => checkWeights({ weight: 0.2, isPublished: true }), isInvalidTestWeights);
+    },
+
+    'Normalizing scales the other tests around the changed test, keeping their proportions': () => {
+        const testWeightsPayload = checkWeights({ weight: 0.6, normalizeSubjectWeights: true });
+
+        assert.deepStrictEqual(testWeightsPayload.map(({ filter, update }) => [filter._id, update.$set.weight]), [['test-a', 0.24], ['test-b', 0.16]]);
+        assert.deepStrictEqual(testWeightsPayload.map(({ rollback }) => rollback.$set.weight), [0.3, 0.2]);
+        assert.strictEqual(testWeightsPayload[0].update.$set.updated_by, USER_ID);
+    },
+
+    'Normalized weights sum to exactly 1, the rounding remainder going to the last test': () => {
+        const changedTest = { weight: 0, is_published: true };
+        const weightedTests = [{ _id: 'test-a', weight: 1 }, { _id: 'test-b', weight: 1 }, { _id: 'test-c', weight: 1 }, changedTest];
+
+        const testWeightsPayload = BuildSubjectTestWeightsPayload({ subjectId: SUBJECT_ID, weightedTests, changedTest, userId: USER_ID, normalizeSubjectWeights: true });
+        const weights = testWeightsPayload.map(({ update }) => update.$set.weight);
+
+        assert.deepStrictEqual(weights, [0.3333, 0.3333, 0.3334]);
+        assert.strictEqual(Number((weights.reduce((sum, weight) => sum + weight, 0) + changedTest.weight).toFixed(4)), 1);
+    },
+
+    'A subject without other weighted tests cannot be normalized': () => {
+        const changedTest = { weight: 0.5, is_published: true };
+
+        assert.throws(
+            () => BuildSubjectTestWeightsPayload({ subjectId: SUBJECT_ID, weightedTests: [changedTest], changedTest, userId: USER_ID, normalizeSubjectWeights: true }),
+            isInvalidTestWeights
+        );
+    },
+
+    'Weight updates turn into bulk operations applying or restoring the weights': () => {
+        const testWeightsPayload = checkWeights({ weight: 0.6, normalizeSubjectWeights: true });
+
+        const [applyOperation] = GetTestWeightsBulkOperations(testWeightsPayload);
+        const [rollbackOperation] = GetTestWeightsBulkOperations(testWeightsPayload, true);
+
+        assert.deepStrictEqual(applyOperation.updateOne.filter, { _id: 'test-a' });
+        assert.strictEqual(applyOperation.updateOne.update.$set.weight, 0.24);
+        assert.deepStrictEqual(rollbackOperation.updateOne.update, { $set: { weight: 0.3 } });
+    },
+
+    'A test whose subject weights stay as they are is written alone': async () => {
+        const writtenTest = await WriteTestWithSubjectWeights({ subjectTestWeightsPayload: null, writeTest: async () => ({ _id: 'test-a' }) });
+
+        assert.deepStrictEqual(writtenTest, { _id: 'test-a' });
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
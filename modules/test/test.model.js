@@ -1,6 +1,9 @@
 // *************** IMPORT CORE ***************
 const mongoose = require('mongoose');
 
+// *************** IMPORT MODULE ***************
+const CriteriaExpressionSchema = require('../../shared/schema/criteria_expression.schema');
+
 const testCriteriaGroupListSchema = mongoose.Schema({
     // An array of criteria groups, each group will be checked by OR logical operator
     test_criteria_groups: [{
@@ -17,18 +20,28 @@ const testCriteriaGroupListSchema = mongoose.Schema({
                 type: String,
             },
 
-            // The comparison operator used in the criteria: 'GTE' (>=), 'LTE' (<=), 'GT' (>), 'LT' (<), 'E' (==)
+            // The comparison operator used in the criteria: 'GTE' (>=), 'LTE' (<=), 'GT' (>), 'LT' (<), 'E' (==), 'BETWEEN' (mark <= value <= mark_max)
             comparison_operator: {
                 type: String,
-                enum: ['GTE', 'LTE', 'GT', 'LT', 'E']
+                enum: ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN']
             },
 
             // The average of total test marks, or the mark of one test (depends on criteria_type)
             mark: {
                 type: Number
+            },
+
+            // The upper bound of the range, for the 'BETWEEN' operator
+            mark_max: {
+                type: Number
             }
         }]
-    }]
+    }],
+
+    // A nested boolean expression, used instead of the criteria groups when it is set
+    expression: {
+        type: CriteriaExpressionSchema
+    }
 }, { _id: false });
 
 const testPassingCriteriaSchema = mongoose.Schema({
@@ -103,9 +116,20 @@ const testSchema = mongoose.Schema({
             type: Number,
             required: true,
             min: 0
+        },
+        // The weight of this criterion in the average mark, relative to the other criteria (1 when not set)
+        weight: {
+            type: Number,
+            min: 0
         }
     }],
 
+    // The maximum mark of the scale the average mark of the test is expressed on (e.g., 20 or 100); when not set, the average mark is the raw mean of the marks
+    grading_scale: {
+        type: Number,
+        min: 0
+    },
+
     // Check if this test is retake or not
     is_retake: {
         type: Boolean,
@@ -118,6 +142,27 @@ const testSchema = mongoose.Schema({
         ref: "test"
     },
 
+    // How the mark of this retake test is used for its connected test: SUBSTITUTE replaces it, BEST_OF keeps the higher one (only for retake tests)
+    retake_mark_policy: {
+        type: String,
+        enum: ['SUBSTITUTE', 'BEST_OF']
+    },
+
+    // How the transcript handles a student recorded as absent from this test: EXCLUDE_FROM_AVERAGE leaves the test out of the
+    // subject average, COUNT_AS_ZERO counts it as a zero, and BLOCK_SUBJECT_RESULT leaves the subject result incomplete
+    absence_mark_policy: {
+        type: String,
+        enum: ['EXCLUDE_FROM_AVERAGE', 'COUNT_AS_ZERO', 'BLOCK_SUBJECT_RESULT'],
+        default: 'COUNT_AS_ZERO'
+    },
+
+    // How the transcript handles a student whose absence from this test is excused, with the same options as absence_mark_policy
+    excused_absence_mark_policy: {
+        type: String,
+        enum: ['EXCLUDE_FROM_AVERAGE', 'COUNT_AS_ZERO', 'BLOCK_SUBJECT_RESULT'],
+        default: 'EXCLUDE_FROM_AVERAGE'
+    },
+
     // Current status of the test: ACTIVE, INACTIVE, or DELETED
     test_status: {
         type: String,
@@ -130,6 +175,14 @@ const testSchema = mongoose.Schema({
         type: testPassingCriteriaSchema
     },
 
+    // Result of the test when the student has every mark its criteria read but neither its pass nor its fail criteria are met,
+    // or when it has no pass criteria: PASS, FAIL, or INCOMPLETE to leave the decision open
+    unmatched_criteria_result: {
+        type: String,
+        enum: ['PASS', 'FAIL', 'INCOMPLETE'],
+        default: 'FAIL'
+    },
+
     // Published status of the test
     is_published: {
         type: Boolean,
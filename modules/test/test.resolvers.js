@@ -6,11 +6,14 @@ const BlockModel = require('../block/block.model');
 const SubjectModel = require('../subject/subject.model');
 const TestModel = require('./test.model');
 const StudentTestResultModel = require('../studentTestResult/student_test_result.model');
+const FinalTranscriptResultModel = require('../finalTranscriptResult/final_transcript_result.model');
 const TaskModel = require('../task/task.model');
 const UserModel = require('../user/user.model');
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const TestHelper = require('./test.helper');
+const StudentTestResultHelper = require('../studentTestResult/student_test_result.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const TestValidator = require('./test.validator');
@@ -18,18 +21,25 @@ const CommonValidator = require('../../shared/validator/index');
 
 // *************** QUERY ***************
 /**
- * GraphQL resolver to fetch all tests, with an optional filter for test status.
+ * GraphQL resolver to fetch all tests of the caller's schools, with an optional filter for test status.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} [args.test_status] - Optional. The status to filter tests by (e.g., 'ACTIVE').
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<Array<object>>} - A promise that resolves to an array of test objects.
  */
-async function GetAllTests(_, { test_status }) {
+async function GetAllTests(_, { test_status }, context) {
     try {
         TestValidator.ValidateTestStatusFilter(test_status);
 
         const testFilter = test_status ? { test_status: test_status } : { test_status: { $ne: 'DELETED' } };
 
+        // *************** Tests belong to the schools of the block of their subject
+        const scopedSubjectIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'subject' });
+        if (scopedSubjectIds) {
+            testFilter.subject = { $in: scopedSubjectIds };
+        }
+
         const tests = await TestModel.find(testFilter).lean();
 
         return tests;
@@ -43,17 +53,25 @@ async function GetAllTests(_, { test_status }) {
 }
 
 /**
- * GraphQL resolver to fetch a single test by its unique ID.
+ * GraphQL resolver to fetch a single test of the caller's schools by its unique ID.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the test to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found test object.
  */
-async function GetOneTest(_, { id }) {
+async function GetOneTest(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id);
 
-        const test = await TestModel.findOne({ _id: id }).lean();
+        const testFilter = { _id: id };
+
+        const scopedSubjectIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'subject' });
+        if (scopedSubjectIds) {
+            testFilter.subject = { $in: scopedSubjectIds };
+        }
+
+        const test = await TestModel.findOne(testFilter).lean();
         if (!test) {
             throw new ApolloError('Test not found', 'NOT_FOUND');
         }
@@ -68,16 +86,73 @@ async function GetOneTest(_, { id }) {
     }
 }
 
+/**
+ * GraphQL resolver to fetch the tests the caller sits as a student, in the order of their due dates.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query, not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the authenticated student.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of test objects.
+ */
+async function GetMyTests(_, args, context) {
+    try {
+        const testFilter = await TestHelper.GetStudentTestFilter(context.user);
+
+        const tests = await TestModel.find(testFilter).sort({ test_due_date: 1 }).lean();
+
+        return tests;
+    } catch (error) {
+        console.error('Unexpected error in GetMyTests:', error);
+
+        throw new ApolloError('Failed to retrieve tests', 'GET_TESTS_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to fetch the tests the caller still has to sit as a student before their due date, the closest first.
+ * Tests the student already has a result for are left out.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query, not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the authenticated student.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of test objects.
+ */
+async function GetMyUpcomingDeadlines(_, args, context) {
+    try {
+        const testFilter = await TestHelper.GetStudentTestFilter(context.user);
+
+        const takenTestIds = await StudentTestResultModel.distinct('test', {
+            student: context.user._id,
+            student_test_result_status: { $ne: 'DELETED' }
+        });
+
+        const tests = await TestModel.find({
+            ...testFilter,
+            _id: { $nin: takenTestIds },
+            test_due_date: { $gte: new Date() }
+        }).sort({ test_due_date: 1 }).lean();
+
+        return tests;
+    } catch (error) {
+        console.error('Unexpected error in GetMyUpcomingDeadlines:', error);
+
+        throw new ApolloError('Failed to retrieve upcoming deadlines', 'GET_UPCOMING_DEADLINES_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** MUTATION ***************
 /**
  * GraphQL resolver to create a new test and associate it with a parent subject.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the mutation.
  * @param {object} args.createTestInput - An object containing the details for the new test.
+ * @param {boolean} [args.normalize_subject_weights] - Optional. Whether to scale the other tests of the subject when the weights become inconsistent.
  * @param {object} context - The GraphQL context, used here to get the user ID.
  * @returns {Promise<object>} - A promise that resolves to the newly created test object.
  */
-async function CreateTest(_, { createTestInput }, context) {
+async function CreateTest(_, { createTestInput, normalize_subject_weights }, context) {
     try {
         const userId = (context && context.user && context.user._id);
         if (!userId) {
@@ -93,8 +168,12 @@ async function CreateTest(_, { createTestInput }, context) {
             throw new ApolloError('Parent subject not found.', 'NOT_FOUND');
         }
 
-        // *************** Ensure parent block to the subject exists and is active
-        const parentBlock = await BlockModel.findOne({ _id: parentSubject.block, block_status: { $ne: 'DELETED' } }).select({ evaluation_type: 1 }).lean();
+        // *************** Ensure parent block to the subject exists, is active and belongs to the user's schools
+        const parentBlock = await BlockModel.findOne({
+            _id: parentSubject.block,
+            block_status: { $ne: 'DELETED' },
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).select({ evaluation_type: 1 }).lean();
         if (!parentBlock) {
             throw new ApolloError('Parent block not found.', 'NOT_FOUND');
         }
@@ -104,19 +183,35 @@ async function CreateTest(_, { createTestInput }, context) {
         // *************** Prepare payload and create test
         const createTestPayload = TestHelper.GetCreateTestPayload({ testInput: createTestInput, userId, evaluationType: parentBlock.evaluation_type });
 
-        const newTest = await TestModel.create(createTestPayload);
-        if (!newTest) {
-            throw new ApolloError('Failed to create test', 'CREATE_TEST_FAILED');
-        }
+        // *************** Ensure the test weights of the subject stay consistent
+        const subjectTestWeightsPayload = await TestHelper.GetSubjectTestWeightsPayload({
+            subjectId: createTestInput.subject,
+            changedTest: { ...createTestPayload, is_published: false },
+            userId,
+            normalizeSubjectWeights: normalize_subject_weights
+        });
 
-        // *************** Add new test to parent subject's tests array
-        const updatedSubject = await SubjectModel.updateOne(
-            { _id: createTestInput.subject },
-            { $addToSet: { tests: newTest._id } }
-        )
-        if (!updatedSubject.nModified) {
-            throw new ApolloError('Failed to add test to subject', 'SUBJECT_UPDATE_FAILED');
-        }
+        // *************** Scale the other tests of the subject, if requested, before creating the test
+        const newTest = await TestHelper.WriteTestWithSubjectWeights({
+            subjectTestWeightsPayload,
+            writeTest: async () => {
+                const createdTest = await TestModel.create(createTestPayload);
+                if (!createdTest) {
+                    throw new ApolloError('Failed to create test', 'CREATE_TEST_FAILED');
+                }
+
+                // *************** Add new test to parent subject's tests array
+                const updatedSubject = await SubjectModel.updateOne(
+                    { _id: createTestInput.subject },
+                    { $addToSet: { tests: createdTest._id } }
+                )
+                if (!updatedSubject.nModified) {
+                    throw new ApolloError('Failed to add test to subject', 'SUBJECT_UPDATE_FAILED');
+                }
+
+                return createdTest;
+            }
+        });
 
         return newTest;
     } catch (error) {
@@ -151,9 +246,24 @@ async function PublishTest(_, { id, assign_corrector_due_date, test_due_date },
         // *************** Prepare payload for publishing the test
         const publishTestPayload = TestHelper.GetPublishTestPayload({ userId, testDueDate: test_due_date });
 
+        const testFilter = { _id: id, test_status: { $ne: 'DELETED' } };
+
+        const scopedSubjectIds = await CommonHelper.GetScopedCurriculumIds({ user: context.user, level: 'subject' });
+        if (scopedSubjectIds) {
+            testFilter.subject = { $in: scopedSubjectIds };
+        }
+
+        const test = await TestModel.findOne(testFilter).select({ subject: 1, weight: 1, test_status: 1, is_retake: 1, connected_test: 1 }).lean();
+        if (!test) {
+            throw new ApolloError('Test not found', 'NOT_FOUND');
+        }
+
+        // *************** A published test receives marks, so the test weights of its subject must be complete
+        await TestHelper.GetSubjectTestWeightsPayload({ subjectId: test.subject, changedTest: { ...test, is_published: true }, userId });
+
         // *************** Update test status and due date
         const publishedTest = await TestModel.findOneAndUpdate(
-            { _id: id, test_status: { $ne: 'DELETED' } },
+            testFilter,
             { $set: publishTestPayload },
             { new: true }
         ).lean();
@@ -161,14 +271,16 @@ async function PublishTest(_, { id, assign_corrector_due_date, test_due_date },
             throw new ApolloError('Test not found', 'NOT_FOUND');
         }
 
-        // *************** Get the academic director ID
-        const academicDirector = await UserModel.findOne({ role: 'ACADEMIC_DIRECTOR', user_status: 'ACTIVE' }).select({ _id: 1 }).lean();
+        // *************** Get the academic director of one of the test's schools
+        const schools = await CommonHelper.GetTestSchools(publishedTest._id);
+
+        const academicDirector = await UserModel.findOne({ role: 'ACADEMIC_DIRECTOR', user_status: 'ACTIVE', schools: { $in: schools } }).select({ _id: 1 }).lean();
         if (!academicDirector) {
             throw new ApolloError('Academic director not found', 'NOT_FOUND')
         }
 
         // *************** Prepare payload for assign corrector task
-        const assignCorrectorTaskPayload = TestHelper.GetAssignCorrectorTaskPayload({ testId: publishedTest._id, assignCorrectorDueDate: assign_corrector_due_date, userId, academicDirectorId: academicDirector._id });
+        const assignCorrectorTaskPayload = TestHelper.GetAssignCorrectorTaskPayload({ testId: publishedTest._id, assignCorrectorDueDate: assign_corrector_due_date, userId, academicDirectorId: academicDirector._id, schools });
 
         // *************** Create assign corrector task
         const assignCorrectorTask = await TaskModel.create(assignCorrectorTaskPayload);
@@ -204,10 +316,11 @@ async function PublishTest(_, { id, assign_corrector_due_date, test_due_date },
  * @param {object} args - The arguments for the mutation.
  * @param {string} args.id - The unique identifier of the test to update.
  * @param {object} args.updateTestInput - An object containing the fields to be updated.
+ * @param {boolean} [args.normalize_subject_weights] - Optional. Whether to scale the other tests of the subject when the weights become inconsistent.
  * @param {object} context - The GraphQL context, used here to get the user ID.
  * @returns {Promise<object>} - A promise that resolves to the updated test object.
  */
-async function UpdateTest(_, { id, updateTestInput }, context) {
+async function UpdateTest(_, { id, updateTestInput, normalize_subject_weights }, context) {
     try {
         const userId = (context && context.user && context.user._id);
         if (!userId) {
@@ -217,7 +330,7 @@ async function UpdateTest(_, { id, updateTestInput }, context) {
         CommonValidator.ValidateObjectId(id);
 
         // *************** Fetch the test to be updated
-        const test = await TestModel.findById(id).select({ subject: 1, notations: 1 }).lean();
+        const test = await TestModel.findById(id).select({ subject: 1, notations: 1, weight: 1, test_status: 1, is_retake: 1, connected_test: 1, is_published: 1 }).lean();
         if (!test) {
             throw new ApolloError('Test not found', 'NOT_FOUND');
         }
@@ -229,21 +342,37 @@ async function UpdateTest(_, { id, updateTestInput }, context) {
         }
 
         // *************** Ensure parent block to the subject exists and is active
-        const parentBlock = await BlockModel.findById({ _id: parentSubject.block, block_status: { $ne: 'DELETED' } }).select({ evaluation_type: 1, block_status: 1 }).lean();
+        const parentBlock = await BlockModel.findById({ _id: parentSubject.block, block_status: { $ne: 'DELETED' } }).select({ evaluation_type: 1, block_status: 1, schools: 1 }).lean();
         if (!parentBlock || parentBlock.block_status !== 'ACTIVE') {
             throw new ApolloError('Parent block not found.', 'NOT_FOUND');
         }
 
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: parentBlock.schools });
+
         TestValidator.ValidateTestInput({ testInput: updateTestInput, evaluationType: parentBlock.evaluation_type, existingNotations: test.notations, isUpdate: true });
 
         // *************** Prepare payload and update test
         const updateTestPayload = TestHelper.GetUpdateTestPayload({ testInput: updateTestInput, userId, evaluationType: parentBlock.evaluation_type, existingNotations: test.notations });
 
-        // *************** Update the test in the database
-        const updatedTest = await TestModel.findOneAndUpdate({ _id: id }, { $set: updateTestPayload }, { new: true }).lean();
-        if (!updatedTest) {
-            throw new ApolloError('Failed to update test', 'UPDATE_TEST_FAILED');
-        }
+        // *************** Ensure the test weights of the subject stay consistent
+        const subjectTestWeightsPayload = await TestHelper.GetSubjectTestWeightsPayload({
+            subjectId: test.subject,
+            changedTest: { ...test, ...updateTestPayload },
+            userId,
+            normalizeSubjectWeights: normalize_subject_weights
+        });
+
+        // *************** Scale the other tests of the subject, if requested, before updating the test
+        const updatedTest = await TestHelper.WriteTestWithSubjectWeights({
+            subjectTestWeightsPayload,
+            writeTest: async () => {
+                const savedTest = await TestModel.findOneAndUpdate({ _id: id }, { $set: updateTestPayload }, { new: true }).lean();
+                if (!savedTest) {
+                    throw new ApolloError('Failed to update test', 'UPDATE_TEST_FAILED');
+                }
+                return savedTest;
+            }
+        });
 
         return updatedTest;
     } catch (error) {
@@ -260,10 +389,11 @@ async function UpdateTest(_, { id, updateTestInput }, context) {
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the mutation.
  * @param {string} args.id - The unique identifier of the test to delete.
+ * @param {boolean} [args.normalize_subject_weights] - Optional. Whether to scale the remaining tests of the subject when the weights become inconsistent.
  * @param {object} context - The GraphQL context, used here to get the user ID.
  * @returns {Promise<object>} - A promise that resolves to the test object as it was before being soft-deleted.
  */
-async function DeleteTest(_, { id }, context) {
+async function DeleteTest(_, { id, normalize_subject_weights }, context) {
     try {
         const userId = (context && context.user && context.user._id);
         if (!userId) {
@@ -272,6 +402,21 @@ async function DeleteTest(_, { id }, context) {
 
         CommonValidator.ValidateObjectId(id);
 
+        CommonValidator.ValidateSchoolScope({ user: context.user, schoolIds: await CommonHelper.GetTestSchools(id) });
+
+        const testToDelete = await TestModel.findOne({ _id: id, test_status: { $ne: 'DELETED' } }).select({ subject: 1, weight: 1, is_retake: 1, connected_test: 1, is_published: 1 }).lean();
+        if (!testToDelete) {
+            throw new ApolloError('Test not found', 'NOT_FOUND');
+        }
+
+        // *************** Ensure the test weights of the subject stay consistent without the deleted test
+        const subjectTestWeightsPayload = await TestHelper.GetSubjectTestWeightsPayload({
+            subjectId: testToDelete.subject,
+            changedTest: { ...testToDelete, test_status: 'DELETED' },
+            userId,
+            normalizeSubjectWeights: normalize_subject_weights
+        });
+
         // *************** Prepare payloads for cascading soft delete
         const {
             test,
@@ -280,42 +425,50 @@ async function DeleteTest(_, { id }, context) {
             studentTestResults
         } = await TestHelper.GetDeleteTestPayload({ testId: id, userId });
 
-        // *************** Soft delete all related student test results
-        if (studentTestResults) {
-            const deletedStudentTestResults = await StudentTestResultModel.updateMany(
-                studentTestResults.filter,
-                studentTestResults.update
-            );
-            if (!deletedStudentTestResults.nModified) {
-                throw new ApolloError('No student test results matched for deletion', 'STUDENT_RESULTS_NOT_FOUND');
-            }
-        }
-
-        // *************** Soft delete all related tasks
-        if (tasks) {
-            const deletedTasks = await TaskModel.updateMany(
-                tasks.filter,
-                tasks.update
-            );
-            if (!deletedTasks.nModified) {
-                throw new ApolloError('No tasks matched for deletion', 'TASKS_NOT_FOUND');
+        // *************** Scale the remaining tests of the subject, if requested, before deleting the test
+        const deletedTest = await TestHelper.WriteTestWithSubjectWeights({
+            subjectTestWeightsPayload,
+            writeTest: async () => {
+                // *************** Soft delete all related student test results
+                if (studentTestResults) {
+                    const deletedStudentTestResults = await StudentTestResultModel.updateMany(
+                        studentTestResults.filter,
+                        studentTestResults.update
+                    );
+                    if (!deletedStudentTestResults.nModified) {
+                        throw new ApolloError('No student test results matched for deletion', 'STUDENT_RESULTS_NOT_FOUND');
+                    }
+                }
+
+                // *************** Soft delete all related tasks
+                if (tasks) {
+                    const deletedTasks = await TaskModel.updateMany(
+                        tasks.filter,
+                        tasks.update
+                    );
+                    if (!deletedTasks.nModified) {
+                        throw new ApolloError('No tasks matched for deletion', 'TASKS_NOT_FOUND');
+                    }
+                }
+
+                // *************** Soft delete the test itself
+                const softDeletedTest = await TestModel.findOneAndUpdate(
+                    test.filter,
+                    test.update
+                ).lean();
+                if (!softDeletedTest) {
+                    throw new ApolloError('Test deletion failed', 'TEST_DELETION_FAILED');
+                }
+
+                // *************** Remove test reference from parent subject
+                const updatedSubject = await SubjectModel.updateOne(subject.filter, subject.update);
+                if (!updatedSubject.nModified) {
+                    throw new ApolloError('Failed to update subject (remove test)', 'SUBJECT_UPDATE_FAILED');
+                }
+
+                return softDeletedTest;
             }
-        }
-
-        // *************** Soft delete the test itself
-        const deletedTest = await TestModel.findOneAndUpdate(
-            test.filter,
-            test.update
-        ).lean();
-        if (!deletedTest) {
-            throw new ApolloError('Test deletion failed', 'TEST_DELETION_FAILED');
-        }
-
-        // *************** Remove test reference from parent subject
-        const updatedSubject = await SubjectModel.updateOne(subject.filter, subject.update);
-        if (!updatedSubject.nModified) {
-            throw new ApolloError('Failed to update subject (remove test)', 'SUBJECT_UPDATE_FAILED');
-        }
+        });
 
         return deletedTest;
     } catch (error) {
@@ -352,10 +505,11 @@ async function SubjectLoader(test, _, context) {
 
 /**
  * Loads the student test results associated with a test using a DataLoader.
+ * A student only gets their own validated result, with the marks hidden until the test's result visibility allows them.
  * @param {object} test - The parent test object.
  * @param {Array<string>} test.student_test_results - An array of student test result IDs to load.
  * @param {object} _ - The arguments object, not used in this resolver.
- * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @param {object} context - The GraphQL context containing the dataLoaders and the authenticated account.
  * @returns {Promise<Array<object>>} - A promise that resolves to an array of student test result objects.
  */
 async function StudentTestResultLoader(test, _, context) {
@@ -364,6 +518,21 @@ async function StudentTestResultLoader(test, _, context) {
 
         const studentTestResults = await context.dataLoaders.StudentTestResultLoader.loadMany(test.student_test_results);
 
+        if (context.user && context.user.role === 'STUDENT') {
+            const ownStudentTestResults = studentTestResults.filter(studentTestResult =>
+                studentTestResult &&
+                String(studentTestResult.student) === String(context.user._id) &&
+                studentTestResult.student_test_result_status === 'VALIDATED'
+            );
+            if (!ownStudentTestResults.length) {
+                return [];
+            }
+
+            const isJuryDecided = await FinalTranscriptResultModel.exists({ student: context.user._id, transcript_status: 'FINALIZED' });
+
+            return StudentTestResultHelper.HideUnreleasedMarks({ studentTestResults: ownStudentTestResults, tests: [test], isJuryDecided });
+        }
+
         return studentTestResults;
     } catch (error) {
         throw new ApolloError(`Failed to fetch student test results`, 'STUDENT_TEST_RESULTS_FETCH_FAILED', {
@@ -486,7 +655,9 @@ async function DeletedByLoader(test, _, context) {
 module.exports = {
     Query: {
         GetAllTests,
-        GetOneTest
+        GetOneTest,
+        GetMyTests,
+        GetMyUpcomingDeadlines
     },
 
     Mutation: {
@@ -504,5 +675,9 @@ module.exports = {
         updated_by: UpdatedByLoader,
         published_by: PublishedByLoader,
         deleted_by: DeletedByLoader
+    },
+
+    Notation: {
+        weight: (notation) => (notation.weight !== undefined && notation.weight !== null ? notation.weight : 1)
     }
 }
\ No newline at end of file
@@ -26,6 +26,17 @@ module.exports = gql`
         PREPARATION_CENTER
     }
 
+    enum RetakeMarkPolicy {
+        SUBSTITUTE
+        BEST_OF
+    }
+
+    enum MissingMarkPolicy {
+        EXCLUDE_FROM_AVERAGE
+        COUNT_AS_ZERO
+        BLOCK_SUBJECT_RESULT
+    }
+
     enum TestStatus {
         ACTIVE
         INACTIVE
@@ -35,6 +46,7 @@ module.exports = gql`
     input NotationInput {
         notation_text: String!
         max_points: Float!
+        weight: Float
     }
 
     input CreateTestInput {
@@ -46,8 +58,12 @@ module.exports = gql`
         weight: Float!
         correction_type: CorrectionType!
         notations: [NotationInput!]!
+        grading_scale: Float
         is_retake: Boolean!
         connected_test: ID
+        retake_mark_policy: RetakeMarkPolicy
+        absence_mark_policy: MissingMarkPolicy
+        excused_absence_mark_policy: MissingMarkPolicy
         test_status: TestStatus!
     }
 
@@ -59,10 +75,15 @@ module.exports = gql`
         weight: Float
         correction_type: CorrectionType
         notations: [NotationInput!]
+        grading_scale: Float
         is_retake: Boolean
         connected_test: ID
+        retake_mark_policy: RetakeMarkPolicy
+        absence_mark_policy: MissingMarkPolicy
+        excused_absence_mark_policy: MissingMarkPolicy
         test_status: TestStatus
         test_passing_criteria: TestPassingCriteriaInput
+        unmatched_criteria_result: UnmatchedCriteriaResult
     }
 
     input TestPassingCriteriaInput {
@@ -72,6 +93,7 @@ module.exports = gql`
 
     input TestCriteriaGroupListInput {
         test_criteria_groups: [TestCriteriaGroupInput!]
+        expression: CriteriaExpressionInput
     }
 
     input TestCriteriaGroupInput {
@@ -83,11 +105,13 @@ module.exports = gql`
         notation_text: String
         comparison_operator: ComparisonOperator
         mark: Float
+        mark_max: Float
     }
 
     type Notation {
         notation_text: String!
         max_points: Float!
+        weight: Float!
     }
 
     type Test {
@@ -100,8 +124,14 @@ module.exports = gql`
         weight: Float!
         correction_type: CorrectionType!
         notations: [Notation!]!
+        grading_scale: Float
+        is_retake: Boolean!
+        retake_mark_policy: RetakeMarkPolicy
+        absence_mark_policy: MissingMarkPolicy!
+        excused_absence_mark_policy: MissingMarkPolicy!
         test_status: TestStatus!
         test_passing_criteria: TestPassingCriteria
+        unmatched_criteria_result: UnmatchedCriteriaResult
         is_published: Boolean!
         published_date: String
         published_by: User
@@ -123,6 +153,7 @@ module.exports = gql`
 
     type TestCriteriaGroupList {
         test_criteria_groups: [TestCriteriaGroup!]
+        expression: CriteriaExpression
     }
 
     type TestCriteriaGroup {
@@ -134,6 +165,7 @@ module.exports = gql`
         notation_text: String
         comparison_operator: ComparisonOperator
         mark: Float
+        mark_max: Float
     }
 
     type PublishTestPayload {
@@ -142,14 +174,16 @@ module.exports = gql`
     }
 
     type Query {
-        GetAllTests(test_status: TestStatus): [Test!]!
-        GetOneTest(id: ID!): Test
+        GetAllTests(test_status: TestStatus): [Test!]! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
+        GetOneTest(id: ID!): Test @auth(roles: [ADMIN, ACADEMIC_DIRECTOR, CORRECTOR, STUDENT])
+        GetMyTests: [Test!]! @auth(roles: [STUDENT])
+        GetMyUpcomingDeadlines: [Test!]! @auth(roles: [STUDENT])
     }
 
     type Mutation {
-        CreateTest(createTestInput: CreateTestInput!): Test!
-        PublishTest(id: ID!, assign_corrector_due_date: String, test_due_date: String): PublishTestPayload!
-        UpdateTest(id: ID!, updateTestInput: UpdateTestInput!): Test!
-        DeleteTest(id: ID!): Test!
+        CreateTest(createTestInput: CreateTestInput!, normalize_subject_weights: Boolean): Test! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        PublishTest(id: ID!, assign_corrector_due_date: String, test_due_date: String): PublishTestPayload! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        UpdateTest(id: ID!, updateTestInput: UpdateTestInput!, normalize_subject_weights: Boolean): Test! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        DeleteTest(id: ID!, normalize_subject_weights: Boolean): Test! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 `
\ No newline at end of file
@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 // *************** IMPORT LIBRARY ***************
 const { ApolloError } = require('apollo-server');
 
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+
 /**
  * Validates the optional test_status input for fetching tests.
  * @param {string} [test_status] - Optional. The status of the tests to filter by (e.g., 'ACTIVE').
@@ -34,8 +37,12 @@ function ValidateTestStatusFilter(test_status) {
  * @param {number} [args.testInput.weight] - The weight of the test, must be between 0 and 1.
  * @param {string} [args.testInput.correction_type] - The correction method for the test.
  * @param {Array<object>} [args.testInput.notations] - The notation system used for the test.
+ * @param {number} [args.testInput.grading_scale] - Optional. The maximum mark of the scale the test's average mark is expressed on.
  * @param {boolean} [args.testInput.is_retake] - Flag indicating if this is a retake test.
  * @param {string} [args.testInput.connected_test] - Optional. The ID of the original test, required if is_retake is true.
+ * @param {string} [args.testInput.retake_mark_policy] - Optional. How the retake mark is used for the original test, only for retake tests.
+ * @param {string} [args.testInput.absence_mark_policy] - Optional. How the transcript handles a student absent from the test.
+ * @param {string} [args.testInput.excused_absence_mark_policy] - Optional. How the transcript handles a student whose absence is excused.
  * @param {string} [args.testInput.test_status] - Optional. The status of the test.
  * @param {object} [args.testInput.test_passing_criteria] - Optional. The criteria for passing the test.
  * @param {string} args.evaluationType - The evaluation type of the parent block.
@@ -48,6 +55,9 @@ function ValidateTestInput({ testInput, evaluationType, existingNotations, isUpd
     const validResultVisibility = ['NEVER', 'AFTER_CORRECTION', 'AFTER_JURY_DECISION_FOR_FINAL_TRANSCRIPT'];
     const validCorrectionType = ['ADMTC', 'CERTIFIER', 'CROSS_CORRECTION', 'PREPARATION_CENTER'];
     const validStatus = ['ACTIVE', 'INACTIVE'];
+    const validRetakeMarkPolicy = ['SUBSTITUTE', 'BEST_OF'];
+    const validUnmatchedCriteriaResult = ['PASS', 'FAIL', 'INCOMPLETE'];
+    const validMissingMarkPolicy = ['EXCLUDE_FROM_AVERAGE', 'COUNT_AS_ZERO', 'BLOCK_SUBJECT_RESULT'];
 
     const validationRules = [
         {
@@ -80,6 +90,12 @@ function ValidateTestInput({ testInput, evaluationType, existingNotations, isUpd
             validate: (val) => typeof val === 'number' && !isNaN(val) && val >= 0 && val <= 1,
             message: 'Weight is required and must be a number between 0 and 1.',
         },
+        {
+            field: 'grading_scale',
+            required: false,
+            validate: (val) => typeof val === 'number' && !isNaN(val) && val > 0,
+            message: 'Grading scale must be a number greater than 0.',
+        },
         {
             field: 'correction_type',
             required: true,
@@ -92,12 +108,36 @@ function ValidateTestInput({ testInput, evaluationType, existingNotations, isUpd
             validate: (val) => typeof val === 'boolean',
             message: 'is_retake must be a boolean.',
         },
+        {
+            field: 'retake_mark_policy',
+            required: false,
+            validate: (val) => typeof val === 'string' && validRetakeMarkPolicy.includes(val.toUpperCase()),
+            message: `Retake mark policy must be one of: ${validRetakeMarkPolicy.join(', ')}.`,
+        },
+        {
+            field: 'absence_mark_policy',
+            required: false,
+            validate: (val) => typeof val === 'string' && validMissingMarkPolicy.includes(val.toUpperCase()),
+            message: `Absence mark policy must be one of: ${validMissingMarkPolicy.join(', ')}.`,
+        },
+        {
+            field: 'excused_absence_mark_policy',
+            required: false,
+            validate: (val) => typeof val === 'string' && validMissingMarkPolicy.includes(val.toUpperCase()),
+            message: `Excused absence mark policy must be one of: ${validMissingMarkPolicy.join(', ')}.`,
+        },
         {
             field: 'test_status',
             required: false,
             validate: (val) => typeof val === 'string' && validStatus.includes(val.toUpperCase()),
             message: `Test status must be one of: ${validStatus.join(', ')}.`,
         },
+        {
+            field: 'unmatched_criteria_result',
+            required: false,
+            validate: (val) => typeof val === 'string' && validUnmatchedCriteriaResult.includes(val.toUpperCase()),
+            message: `Unmatched criteria result must be one of: ${validUnmatchedCriteriaResult.join(', ')}.`,
+        },
     ];
 
     for (const rule of validationRules) {
@@ -109,7 +149,7 @@ function ValidateTestInput({ testInput, evaluationType, existingNotations, isUpd
         }
     }
 
-    const { notations, is_retake, connected_test, test_type } = testInput;
+    const { notations, is_retake, connected_test, retake_mark_policy, test_type } = testInput;
 
     if ((!isUpdate) || notations !== undefined) {
         if (!Array.isArray(notations) || !notations.length) {
@@ -117,13 +157,16 @@ function ValidateTestInput({ testInput, evaluationType, existingNotations, isUpd
         }
 
         for (const [index, notation] of notations.entries()) {
-            const { notation_text, max_points } = notation;
+            const { notation_text, max_points, weight } = notation;
             if (!notation_text || typeof notation_text !== 'string' || notation_text.trim() === '') {
                 throw new ApolloError(`Notation at index ${index} must have non-empty text.`, 'BAD_USER_INPUT', { field: `notations[${index}].notation_text` });
             }
             if (typeof max_points !== 'number' || isNaN(max_points) || max_points < 0) {
                 throw new ApolloError(`Notation at index ${index} must have a valid max_points (number ≥ 0).`, 'BAD_USER_INPUT', { field: `notations[${index}].max_points` });
             }
+            if (weight !== undefined && weight !== null && (typeof weight !== 'number' || isNaN(weight) || weight < 0)) {
+                throw new ApolloError(`Notation at index ${index} must have a valid weight (number ≥ 0).`, 'BAD_USER_INPUT', { field: `notations[${index}].weight` });
+            }
         }
     }
 
@@ -136,6 +179,10 @@ function ValidateTestInput({ testInput, evaluationType, existingNotations, isUpd
         }
     }
 
+    if (retake_mark_policy && is_retake === false) {
+        throw new ApolloError('retake_mark_policy can only be set on a retake test.', 'BAD_USER_INPUT', { field: 'retake_mark_policy' });
+    }
+
     if (test_type) {
         const competencyTestTypes = ['ORAL', 'WRITTEN', 'MEMOIRE_WRITTEN', 'FREE_CONTINUOUS_CONTROL', 'MENTOR_EVALUATION'];
         const scoreTestTypes = ['FREE_CONTINUOUS_CONTROL', 'MEMMOIRE_ORAL_NON_JURY', 'MEMOIRE_ORAL', 'MEMOIRE_WRITTEN', 'MENTOR_EVALUATION', 'ORAL', 'WRITTEN'];
@@ -183,22 +230,70 @@ function validateTestPassingCriteriaInput({ testPassingCriteria, notations }) {
     const availableNotationTexts = new Set(notations.map(n => n.notation_text));
 
     if (pass_criteria) {
-        validateTestCriteriaGroups({
-            criteriaGroups: pass_criteria.test_criteria_groups,
+        validateTestCriteriaSet({
+            criteriaSet: pass_criteria,
             availableNotationTexts: availableNotationTexts,
-            path: 'test_passing_criteria.pass_criteria.test_criteria_groups'
+            path: 'test_passing_criteria.pass_criteria'
         });
     }
 
     if (fail_criteria) {
-        validateTestCriteriaGroups({
-            criteriaGroups: fail_criteria.test_criteria_groups,
+        validateTestCriteriaSet({
+            criteriaSet: fail_criteria,
             availableNotationTexts: availableNotationTexts,
-            path: 'test_passing_criteria.fail_criteria.test_criteria_groups'
+            path: 'test_passing_criteria.fail_criteria'
         });
     }
 }
 
+/**
+ * Validates a pass or fail criteria set of a test, which is defined either by criteria groups or by a criteria expression.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.criteriaSet - The pass_criteria or fail_criteria object to validate.
+ * @param {Set<string>} args.availableNotationTexts - A Set of notation text strings that are valid for this test.
+ * @param {string} args.path - The dot-notation path to the criteria set, used for error messages.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function validateTestCriteriaSet({ criteriaSet, availableNotationTexts, path }) {
+    if (!criteriaSet.expression) {
+        validateTestCriteriaGroups({
+            criteriaGroups: criteriaSet.test_criteria_groups,
+            availableNotationTexts,
+            path: `${path}.test_criteria_groups`
+        });
+        return;
+    }
+
+    if (Array.isArray(criteriaSet.test_criteria_groups) && criteriaSet.test_criteria_groups.length) {
+        throw new ApolloError(
+            `Field '${path}' must define either 'test_criteria_groups' or 'expression', not both.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
+    // *************** A test expression can only read the test's own score and notations
+    CommonValidator.ValidateCriteriaExpression({
+        expression: criteriaSet.expression,
+        path: `${path}.expression`,
+        validateSource: (source, sourcePath) => {
+            if (source.source_type === 'SELF') return;
+
+            if (source.source_type !== 'NOTATION' || source.subject || source.test) {
+                throw new ApolloError(
+                    `Field '${sourcePath}' can only reference the test itself or one of its notations.`,
+                    'BAD_USER_INPUT'
+                );
+            }
+            if (!availableNotationTexts.has(source.notation_text)) {
+                throw new ApolloError(
+                    `Value "${source.notation_text}" in '${sourcePath}.notation_text' does not match any notation defined for this test.`,
+                    'BAD_USER_INPUT'
+                );
+            }
+        }
+    });
+}
+
 /**
  * Validates an array of criteria groups for a test's passing criteria.
  * @param {object} args - The arguments for the validation.
@@ -245,7 +340,7 @@ function validateTestCriteriaGroups({ criteriaGroups, availableNotationTexts, pa
  */
 function validateSingleNotationCondition({ condition, availableNotationTexts, path }) {
     const validCriteriaType = ['MARK', 'AVERAGE'];
-    const validComparisonOperator = ['GTE', 'LTE', 'GT', 'LT', 'E'];
+    const validComparisonOperator = ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN'];
 
     if (
         typeof condition.criteria_type !== 'string' ||
@@ -274,6 +369,13 @@ function validateSingleNotationCondition({ condition, availableNotationTexts, pa
         );
     }
 
+    if (condition.comparison_operator.toUpperCase() === 'BETWEEN' && (typeof condition.mark_max !== 'number' || condition.mark_max < condition.mark)) {
+        throw new ApolloError(
+            `Field '${path}.mark_max' is required and must be a number ≥ 'mark' when 'comparison_operator' is 'BETWEEN'.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
     if (condition.criteria_type.toUpperCase() === 'MARK') {
         if (
             typeof condition.notation_text !== 'string' ||
@@ -0,0 +1,310 @@
+// *************** IMPORT LIBRARY ***************
+const crypto = require('crypto');
+
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+const UserModel = require('../user/user.model');
+
+// *************** IMPORT UTILITIES ***************
+const { VerifyTwoFactorChallengeToken } = require('../../middleware/auth');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// *************** Accept the codes of the previous and next steps to absorb clock drift
+const TOTP_ALLOWED_DRIFT_STEPS = 1;
+
+/**
+ * Reads the roles that must enroll in two-factor authentication from the configuration.
+ * @returns {string[]} The roles for which two-factor authentication is mandatory.
+ */
+function GetTwoFactorRequiredRoles() {
+    const requiredRoles = config.TWO_FACTOR_REQUIRED_ROLES !== undefined ? config.TWO_FACTOR_REQUIRED_ROLES : 'ADMIN,ACADEMIC_DIRECTOR';
+
+    return requiredRoles.split(',').map((role) => role.trim()).filter(Boolean);
+}
+
+/**
+ * Tells whether two-factor authentication is mandatory for a role.
+ * @param {string} role - The role of the account.
+ * @returns {boolean} True if accounts with this role must use two-factor authentication.
+ */
+function IsTwoFactorRequiredForRole(role) {
+    return GetTwoFactorRequiredRoles().includes(role);
+}
+
+/**
+ * Encodes a buffer in base32 (RFC 4648, without padding), the format authenticator apps expect for secrets.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} The base32 string.
+ */
+function EncodeBase32(buffer) {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let encoded = '';
+    for (let index = 0; index < bits.length; index += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, '0'), 2)];
+    }
+
+    return encoded;
+}
+
+/**
+ * Decodes a base32 string (RFC 4648, padding and case ignored) into bytes.
+ * @param {string} encoded - The base32 string.
+ * @returns {Buffer} The decoded bytes.
+ */
+function DecodeBase32(encoded) {
+    let bits = '';
+    for (const character of encoded.toUpperCase().replace(/=+$/, '')) {
+        bits += BASE32_ALPHABET.indexOf(character).toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let index = 0; index + 8 <= bits.length; index += 8) {
+        bytes.push(parseInt(bits.slice(index, index + 8), 2));
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Derives the key encrypting the two-factor secrets at rest.
+ * @returns {Buffer} A 256-bit key.
+ */
+function GetTwoFactorEncryptionKey() {
+    return crypto.createHash('sha256').update(config.TWO_FACTOR_ENCRYPTION_KEY || config.JWT_SECRET).digest();
+}
+
+/**
+ * Encrypts a two-factor secret before it is stored, so a database leak does not expose the codes.
+ * @param {string} secret - The base32 secret.
+ * @returns {string} The IV, authentication tag and ciphertext, hex encoded and separated by colons.
+ */
+function EncryptTwoFactorSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', GetTwoFactorEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+/**
+ * Decrypts a stored two-factor secret.
+ * @param {string} encryptedSecret - The value produced by EncryptTwoFactorSecret.
+ * @returns {string} The base32 secret.
+ */
+function DecryptTwoFactorSecret(encryptedSecret) {
+    const [iv, authTag, encrypted] = encryptedSecret.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', GetTwoFactorEncryptionKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Computes the TOTP code of a secret for a given time step (RFC 6238, HMAC-SHA1, 6 digits).
+ * @param {string} secret - The base32 secret.
+ * @param {number} step - The number of 30-second steps since the Unix epoch.
+ * @returns {string} The zero-padded code.
+ */
+function GenerateTotpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', DecodeBase32(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Finds the time step a TOTP code was generated for, within the allowed clock drift.
+ * @param {object} args - The arguments for the check.
+ * @param {string} args.secret - The base32 secret.
+ * @param {string} args.code - The code typed by the user.
+ * @returns {number|null} The matching time step, or null if the code is wrong or expired.
+ */
+function FindTotpStep({ secret, code }) {
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let drift = -TOTP_ALLOWED_DRIFT_STEPS; drift <= TOTP_ALLOWED_DRIFT_STEPS; drift++) {
+        const expectedCode = GenerateTotpCode(secret, currentStep + drift);
+
+        if (crypto.timingSafeEqual(Buffer.from(expectedCode), Buffer.from(code))) {
+            return currentStep + drift;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Hashes a recovery code so that only its digest is ever persisted. Dashes and case are ignored.
+ * @param {string} recoveryCode - The raw recovery code.
+ * @returns {string} The hexadecimal SHA-256 digest of the code.
+ */
+function HashRecoveryCode(recoveryCode) {
+    return crypto.createHash('sha256').update(recoveryCode.replace(/-/g, '').toLowerCase()).digest('hex');
+}
+
+/**
+ * Generates a new set of single-use recovery codes.
+ * @returns {{recoveryCodes: string[], recoveryCodeHashes: string[]}} The raw codes to show once, and their hashes to store.
+ */
+function GenerateRecoveryCodes() {
+    const recoveryCodeCount = parseInt(config.TWO_FACTOR_RECOVERY_CODE_COUNT) || 10;
+    const recoveryCodes = [];
+
+    for (let index = 0; index < recoveryCodeCount; index++) {
+        const recoveryCode = crypto.randomBytes(5).toString('hex');
+        recoveryCodes.push(`${recoveryCode.slice(0, 5)}-${recoveryCode.slice(5)}`);
+    }
+
+    return { recoveryCodes, recoveryCodeHashes: recoveryCodes.map(HashRecoveryCode) };
+}
+
+/**
+ * Builds a new two-factor secret and the otpauth URL to render as a QR code in authenticator apps.
+ * The encrypted secret is stored as pending until a first code confirms the enrollment.
+ * @param {object} account - The user enrolling, containing its email.
+ * @returns {{secret: string, otpauthUrl: string, update: object}} The base32 secret, the otpauth URL, and the update to apply to the user.
+ */
+function GetEnableTwoFactorPayload(account) {
+    const secret = EncodeBase32(crypto.randomBytes(20));
+    const issuer = config.TWO_FACTOR_ISSUER || 'Zettacamp';
+    const label = encodeURIComponent(`${issuer}:${account.email}`);
+
+    return {
+        secret,
+        otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`,
+        update: {
+            $set: { two_factor_pending_secret: EncryptTwoFactorSecret(secret) }
+        }
+    };
+}
+
+/**
+ * Builds the update activating two-factor authentication once the pending secret has been confirmed.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.account - The user enrolling, containing its pending secret.
+ * @param {number} args.step - The time step of the confirmation code, so it cannot be replayed.
+ * @returns {{recoveryCodes: string[], update: object}} The raw recovery codes to show once, and the update to apply to the user.
+ */
+function GetConfirmTwoFactorPayload({ account, step }) {
+    const { recoveryCodes, recoveryCodeHashes } = GenerateRecoveryCodes();
+
+    return {
+        recoveryCodes,
+        update: {
+            $set: {
+                is_two_factor_enabled: true,
+                two_factor_secret: account.two_factor_pending_secret,
+                two_factor_recovery_codes: recoveryCodeHashes,
+                two_factor_last_used_step: step,
+                two_factor_enabled_at: Date.now()
+            },
+            $unset: { two_factor_pending_secret: '' }
+        }
+    };
+}
+
+/**
+ * Builds the update removing two-factor authentication from a user.
+ * @returns {object} The update to apply to the user.
+ */
+function GetDisableTwoFactorPayload() {
+    return {
+        $set: { is_two_factor_enabled: false },
+        $unset: {
+            two_factor_secret: '',
+            two_factor_pending_secret: '',
+            two_factor_recovery_codes: '',
+            two_factor_last_used_step: '',
+            two_factor_enabled_at: ''
+        }
+    };
+}
+
+/**
+ * Checks a second-factor code for a user with two-factor authentication enabled, and consumes it.
+ * A TOTP code is accepted once, as the last used step is moved forward atomically; a recovery code is removed from the user.
+ * @param {object} args - The arguments for the check.
+ * @param {object} args.account - The user, containing its encrypted secret.
+ * @param {string} args.code - A 6-digit TOTP code or a recovery code.
+ * @returns {Promise<boolean>} A promise that resolves to true if the code was valid and is now consumed.
+ */
+async function ConsumeTwoFactorCode({ account, code }) {
+    if (!account.is_two_factor_enabled || !account.two_factor_secret) {
+        return false;
+    }
+
+    if (/^\d{6}$/.test(code)) {
+        const step = FindTotpStep({ secret: DecryptTwoFactorSecret(account.two_factor_secret), code });
+        if (step === null) {
+            return false;
+        }
+
+        const updatedAccount = await UserModel.updateOne(
+            {
+                _id: account._id,
+                $or: [
+                    { two_factor_last_used_step: { $lt: step } },
+                    { two_factor_last_used_step: { $exists: false } }
+                ]
+            },
+            { $set: { two_factor_last_used_step: step } }
+        );
+
+        return updatedAccount.nModified > 0;
+    }
+
+    const recoveryCodeHash = HashRecoveryCode(code);
+    const updatedAccount = await UserModel.updateOne(
+        { _id: account._id, two_factor_recovery_codes: recoveryCodeHash },
+        { $pull: { two_factor_recovery_codes: recoveryCodeHash } }
+    );
+
+    return updatedAccount.nModified > 0;
+}
+
+/**
+ * Finds the user managing its two-factor settings, either through its access token or, while enrolling
+ * during a login that requires it, through the challenge token returned by Login.
+ * @param {object} args - The arguments for the lookup.
+ * @param {object|null} args.user - The authenticated account from the GraphQL context, if any.
+ * @param {string} [args.challengeToken] - Optional. The challenge token returned by Login.
+ * @returns {Promise<object|null>} A promise that resolves to the active user, or null if neither credential identifies one.
+ */
+async function FindTwoFactorAccount({ user, challengeToken }) {
+    let accountId;
+
+    if (challengeToken) {
+        accountId = VerifyTwoFactorChallengeToken(challengeToken)._id;
+    } else if (user && user.role !== 'STUDENT') {
+        accountId = user._id;
+    }
+
+    if (!accountId) {
+        return null;
+    }
+
+    return UserModel.findOne({ _id: accountId, user_status: 'ACTIVE' }).lean();
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    IsTwoFactorRequiredForRole,
+    DecryptTwoFactorSecret,
+    FindTotpStep,
+    GetEnableTwoFactorPayload,
+    GetConfirmTwoFactorPayload,
+    GetDisableTwoFactorPayload,
+    ConsumeTwoFactorCode,
+    FindTwoFactorAccount
+}
\ No newline at end of file
@@ -0,0 +1,205 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const UserModel = require('../user/user.model');
+
+// *************** IMPORT UTILITIES ***************
+const { VerifyTwoFactorChallengeToken } = require('../../middleware/auth');
+
+// *************** IMPORT HELPER FUNCTION ***************
+const TwoFactorHelper = require('./two_factor.helper');
+const SessionHelper = require('../session/session.helper');
+const LoginAttemptHelper = require('../loginAttempt/login_attempt.helper');
+
+// *************** IMPORT VALIDATOR ***************
+const TwoFactorValidator = require('./two_factor.validator');
+
+// *************** MUTATION ***************
+/**
+ * GraphQL resolver to start the two-factor enrollment of a user. A new secret is generated and kept pending until ConfirmTwoFactor.
+ * It is called with the access token, or with the challenge token of a login that requires an enrollment.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} [args.challenge_token] - Optional. The challenge token returned by Login.
+ * @param {object} context - The GraphQL context, used here to get the authenticated user.
+ * @returns {Promise<object>} - A promise that resolves to the secret and the otpauth URL to add to an authenticator app.
+ */
+async function EnableTwoFactor(_, { challenge_token }, context) {
+    try {
+        const account = await TwoFactorHelper.FindTwoFactorAccount({ user: context && context.user, challengeToken: challenge_token });
+        if (!account) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        if (account.is_two_factor_enabled) {
+            throw new ApolloError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+        }
+
+        const { secret, otpauthUrl, update } = TwoFactorHelper.GetEnableTwoFactorPayload(account);
+
+        await UserModel.updateOne({ _id: account._id }, update);
+
+        return {
+            secret,
+            otpauth_url: otpauthUrl
+        };
+    } catch (error) {
+        console.error('Unexpected error in EnableTwoFactor:', error);
+
+        throw new ApolloError('Failed to enable two-factor authentication', 'ENABLE_TWO_FACTOR_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to complete the two-factor enrollment with a first code from the authenticator app.
+ * The recovery codes are returned once and only their hashes are stored.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.code - The 6-digit code shown by the authenticator app.
+ * @param {string} [args.challenge_token] - Optional. The challenge token returned by Login.
+ * @param {object} context - The GraphQL context, used here to get the authenticated user.
+ * @returns {Promise<Array<string>>} - A promise that resolves to the single-use recovery codes.
+ */
+async function ConfirmTwoFactor(_, { code, challenge_token }, context) {
+    try {
+        TwoFactorValidator.ValidateTotpCodeInput(code);
+
+        const account = await TwoFactorHelper.FindTwoFactorAccount({ user: context && context.user, challengeToken: challenge_token });
+        if (!account) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        if (account.is_two_factor_enabled || !account.two_factor_pending_secret) {
+            throw new ApolloError('No two-factor enrollment in progress', 'TWO_FACTOR_NOT_PENDING');
+        }
+
+        const step = TwoFactorHelper.FindTotpStep({
+            secret: TwoFactorHelper.DecryptTwoFactorSecret(account.two_factor_pending_secret),
+            code: code.trim()
+        });
+        if (step === null) {
+            throw new ApolloError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        const { recoveryCodes, update } = TwoFactorHelper.GetConfirmTwoFactorPayload({ account, step });
+
+        // *************** The filter on the pending secret guards against a concurrent enrollment
+        const updatedAccount = await UserModel.updateOne(
+            { _id: account._id, two_factor_pending_secret: account.two_factor_pending_secret },
+            update
+        );
+        if (!updatedAccount.nModified) {
+            throw new ApolloError('No two-factor enrollment in progress', 'TWO_FACTOR_NOT_PENDING');
+        }
+
+        return recoveryCodes;
+    } catch (error) {
+        console.error('Unexpected error in ConfirmTwoFactor:', error);
+
+        throw new ApolloError('Failed to confirm two-factor authentication', 'CONFIRM_TWO_FACTOR_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver to turn off two-factor authentication, with a current code or a recovery code.
+ * It is refused for the roles that require two-factor authentication.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.code - A 6-digit code from the authenticator app, or a recovery code.
+ * @param {object} context - The GraphQL context, used here to get the authenticated user.
+ * @returns {Promise<boolean>} - A promise that resolves to true once two-factor authentication is disabled.
+ */
+async function DisableTwoFactor(_, { code }, context) {
+    try {
+        TwoFactorValidator.ValidateTwoFactorCodeInput(code);
+
+        const account = await TwoFactorHelper.FindTwoFactorAccount({ user: context && context.user });
+        if (!account) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        if (TwoFactorHelper.IsTwoFactorRequiredForRole(account.role)) {
+            throw new ApolloError('Two-factor authentication is mandatory for this role', 'TWO_FACTOR_REQUIRED');
+        }
+
+        const isCodeValid = await TwoFactorHelper.ConsumeTwoFactorCode({ account, code: code.trim() });
+        if (!isCodeValid) {
+            throw new ApolloError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        await UserModel.updateOne({ _id: account._id }, TwoFactorHelper.GetDisableTwoFactorPayload());
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in DisableTwoFactor:', error);
+
+        throw new ApolloError('Failed to disable two-factor authentication', 'DISABLE_TWO_FACTOR_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver completing a login with the second factor. The code is checked for the user named by the
+ * challenge token, and a session is opened. Wrong codes count towards the login throttling like wrong passwords.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.challenge_token - The challenge token returned by Login.
+ * @param {string} args.code - A 6-digit code from the authenticator app, or a recovery code.
+ * @param {object} context - The GraphQL context, used here to get the request information recorded on the session.
+ * @returns {Promise<object>} - A promise that resolves to an object containing the JWT, the refresh token and user data.
+ */
+async function VerifyTwoFactorLogin(_, { challenge_token, code }, context) {
+    try {
+        TwoFactorValidator.ValidateChallengeTokenInput(challenge_token);
+        TwoFactorValidator.ValidateTwoFactorCodeInput(code);
+
+        const { _id: accountId } = VerifyTwoFactorChallengeToken(challenge_token);
+        const requestInfo = context && context.requestInfo;
+
+        const account = await UserModel.findOne({ _id: accountId, user_status: 'ACTIVE' }).lean();
+        if (!account || !account.is_two_factor_enabled) {
+            throw new ApolloError('Invalid challenge token', 'INVALID_CHALLENGE_TOKEN');
+        }
+
+        try {
+            await LoginAttemptHelper.CheckLoginThrottle({ email: account.email, ipAddress: requestInfo && requestInfo.ip_address });
+        } catch (throttleError) {
+            await LoginAttemptHelper.RecordLoginAttempt({ email: account.email, requestInfo, account, accountModel: 'user', isSuccessful: false, failureReason: 'TOO_MANY_ATTEMPTS' });
+            throw throttleError;
+        }
+
+        const isCodeValid = await TwoFactorHelper.ConsumeTwoFactorCode({ account, code: code.trim() });
+        if (!isCodeValid) {
+            await LoginAttemptHelper.RecordLoginAttempt({ email: account.email, requestInfo, account, accountModel: 'user', isSuccessful: false, failureReason: 'INVALID_TWO_FACTOR_CODE' });
+            throw new ApolloError('Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        const loginResponse = await SessionHelper.OpenLoginSession({ account, accountModel: 'user', requestInfo });
+
+        await LoginAttemptHelper.RecordLoginAttempt({ email: account.email, requestInfo, account, accountModel: 'user', isSuccessful: true });
+
+        return loginResponse;
+    } catch (error) {
+        console.error('Unexpected error in VerifyTwoFactorLogin:', error);
+
+        throw new ApolloError('Failed to login:', 'LOGIN_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    Mutation: {
+        EnableTwoFactor,
+        ConfirmTwoFactor,
+        DisableTwoFactor,
+        VerifyTwoFactorLogin
+    }
+}
\ No newline at end of file
@@ -0,0 +1,17 @@
+// *************** IMPORT LIBRARY ***************
+const { gql } = require('apollo-server-express');
+
+// *************** EXPORT MODULE ***************
+module.exports = gql`
+    type TwoFactorSetup {
+        secret: String!
+        otpauth_url: String!
+    }
+
+    type Mutation {
+        EnableTwoFactor(challenge_token: String): TwoFactorSetup! @public
+        ConfirmTwoFactor(code: String!, challenge_token: String): [String!]! @public
+        DisableTwoFactor(code: String!): Boolean! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR])
+        VerifyTwoFactorLogin(challenge_token: String!, code: String!): LoginResponse! @public
+    }
+`
\ No newline at end of file
@@ -0,0 +1,42 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+/**
+ * Validates a second-factor code, which is either a 6-digit TOTP code or a recovery code.
+ * @param {string} code - The code typed by the user.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateTwoFactorCodeInput(code) {
+    if (!code || typeof code !== 'string' || !/^(\d{6}|[0-9a-f]{5}-?[0-9a-f]{5})$/i.test(code.trim())) {
+        throw new ApolloError('A 6-digit code or a recovery code is required.', 'BAD_USER_INPUT', { field: 'code' });
+    }
+}
+
+/**
+ * Validates the code confirming an enrollment, which must come from the authenticator app.
+ * @param {string} code - The code typed by the user.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateTotpCodeInput(code) {
+    if (!code || typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+        throw new ApolloError('A 6-digit code is required.', 'BAD_USER_INPUT', { field: 'code' });
+    }
+}
+
+/**
+ * Validates the challenge token returned by Login when a second factor is expected.
+ * @param {string} challengeToken - The challenge token.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateChallengeTokenInput(challengeToken) {
+    if (!challengeToken || typeof challengeToken !== 'string') {
+        throw new ApolloError('A challenge token is required.', 'BAD_USER_INPUT', { field: 'challenge_token' });
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = {
+    ValidateTwoFactorCodeInput,
+    ValidateTotpCodeInput,
+    ValidateChallengeTokenInput
+}
\ No newline at end of file
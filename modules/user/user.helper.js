@@ -16,7 +16,7 @@ const CommonValidator = require('../../shared/validator/index');
 /**
  * Processes and transforms raw user input into a structured data payload for a create operation, including password hashing.
  * @param {object} args - The arguments for creating the payload.
- * @param {object} args.createUserInput - The raw input object containing the new user's properties.
+ * @param {object} args.createUserInput - The raw input object containing the new user's properties, including the schools they work for.
  * @param {string} args.userId - The ID of the user creating the record.
  * @param {boolean} args.isEmailUnique - A flag indicating if the provided email is unique.
  * @returns {Promise<object>} A promise that resolves to a processed data payload suitable for a database create operation.
@@ -32,6 +32,7 @@ async function GetCreateUserPayload({ createUserInput, userId, isEmailUnique })
         email,
         password,
         role,
+        schools,
         profile_picture,
         user_status
     } = createUserInput;
@@ -44,6 +45,7 @@ async function GetCreateUserPayload({ createUserInput, userId, isEmailUnique })
         email,
         password: hashedPassword,
         role: role.toUpperCase(),
+        schools,
         profile_picture,
         user_status: user_status.toUpperCase(),
         created_by: userId,
@@ -58,12 +60,13 @@ async function GetCreateUserPayload({ createUserInput, userId, isEmailUnique })
  * @param {object} args.updateUserInput - The raw input object containing the user's properties to update.
  * @param {string} args.userId - The ID of the user performing the update.
  * @param {boolean} args.isEmailUnique - A flag indicating if the provided email is unique.
+ * @param {object} args.currentUser - The user as currently stored, containing its email, password, and password history.
  * @returns {Promise<object>} A promise that resolves to a processed data payload suitable for a partial database update.
  */
-async function GetUpdateUserPayload({ updateUserInput, userId, isEmailUnique }) {
+async function GetUpdateUserPayload({ updateUserInput, userId, isEmailUnique, currentUser }) {
     CommonValidator.ValidateInputTypeObject(updateUserInput);
     CommonValidator.ValidateObjectId(userId);
-    UserValidator.ValidateUserInput({ userInput: updateUserInput, isEmailUnique, isUpdate: true });
+    UserValidator.ValidateUserInput({ userInput: updateUserInput, isEmailUnique, currentEmail: currentUser.email, isUpdate: true });
 
     const {
         first_name,
@@ -71,6 +74,7 @@ async function GetUpdateUserPayload({ updateUserInput, userId, isEmailUnique })
         email,
         password,
         role,
+        schools,
         profile_picture,
         user_status
     } = updateUserInput;
@@ -80,8 +84,15 @@ async function GetUpdateUserPayload({ updateUserInput, userId, isEmailUnique })
     if (first_name !== undefined && first_name !== null) payload.first_name = first_name;
     if (last_name !== undefined && last_name !== null) payload.last_name = last_name;
     if (email !== undefined && email !== null) payload.email = email;
-    if (password !== undefined && password !== null) payload.password = await bcrypt.hash(password, parseInt(config.BCRYPT_ROUNDS));
+    if (password !== undefined && password !== null) {
+        payload.password = await bcrypt.hash(password, parseInt(config.BCRYPT_ROUNDS));
+        payload.password_history = CommonHelper.BuildPasswordHistory({
+            previousPasswordHash: currentUser.password,
+            passwordHistory: currentUser.password_history
+        });
+    }
     if (role !== undefined && role !== null) payload.role = role.toUpperCase();
+    if (schools !== undefined && schools !== null) payload.schools = schools;
     if (profile_picture !== undefined && profile_picture !== null) payload.profile_picture = profile_picture;
     if (user_status !== undefined && user_status !== null) payload.user_status = user_status.toUpperCase();
 
@@ -90,6 +101,77 @@ async function GetUpdateUserPayload({ updateUserInput, userId, isEmailUnique })
     return payload;
 }
 
+/**
+ * Builds the update replacing the password of a user or student, keeping the replaced one in the password history.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.newPassword - The new plaintext password.
+ * @param {object} args.account - The user or student as currently stored, containing its password and password history.
+ * @returns {Promise<object>} A promise that resolves to the fields to set on the account.
+ */
+async function GetChangePasswordPayload({ newPassword, account }) {
+    const hashedPassword = await bcrypt.hash(newPassword, parseInt(config.BCRYPT_ROUNDS));
+
+    return {
+        password: hashedPassword,
+        password_history: CommonHelper.BuildPasswordHistory({
+            previousPasswordHash: account.password,
+            passwordHistory: account.password_history
+        })
+    };
+}
+
+/**
+ * Checks the current password of a user or student changing their own password, then builds the update replacing it.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {string} args.currentPassword - The password the caller claims to be using.
+ * @param {string} args.newPassword - The new plaintext password, checked against the password policy and the recent passwords.
+ * @param {object} args.account - The user or student as currently stored, containing its email, password and password history.
+ * @returns {Promise<object>} A promise that resolves to the fields to set on the account.
+ */
+async function GetChangeMyPasswordPayload({ currentPassword, newPassword, account }) {
+    const isMatch = await bcrypt.compare(currentPassword, account.password);
+    if (!isMatch) {
+        throw new ApolloError('Current password is incorrect', 'INVALID_CREDENTIALS');
+    }
+
+    CommonValidator.ValidatePasswordPolicy({ password: newPassword, email: account.email });
+    await CommonValidator.ValidatePasswordNotReused({
+        password: newPassword,
+        passwordHashes: [account.password, ...(account.password_history || [])]
+    });
+
+    return GetChangePasswordPayload({ newPassword, account });
+}
+
+/**
+ * Builds the update of the caller's own profile: the profile picture and, when a new one is given, the password.
+ * @param {object} args - The arguments for creating the payload.
+ * @param {object} args.updateMyProfileInput - The raw input containing the profile picture, the current password and the new password.
+ * @param {object} args.account - The user or student as currently stored, containing its email, password and password history.
+ * @returns {Promise<object>} A promise that resolves to the fields to set on the account.
+ */
+async function GetUpdateMyProfilePayload({ updateMyProfileInput, account }) {
+    CommonValidator.ValidateInputTypeObject(updateMyProfileInput);
+    UserValidator.ValidateUpdateMyProfileInput(updateMyProfileInput);
+
+    const { profile_picture, current_password, new_password } = updateMyProfileInput;
+
+    let payload = {};
+
+    if (profile_picture !== undefined && profile_picture !== null) payload.profile_picture = profile_picture;
+    if (new_password !== undefined && new_password !== null) {
+        const changePasswordPayload = await GetChangeMyPasswordPayload({
+            currentPassword: current_password,
+            newPassword: new_password,
+            account
+        });
+
+        payload = { ...payload, ...changePasswordPayload };
+    }
+
+    return payload;
+}
+
 /**
  * Generates a payload for soft-deleting a user.
  * @param {object} args - The arguments for getting the delete payload.
@@ -130,5 +212,8 @@ async function GetDeleteUserPayload({ userId, deletedBy }) {
 module.exports = {
     GetCreateUserPayload,
     GetUpdateUserPayload,
+    GetChangePasswordPayload,
+    GetChangeMyPasswordPayload,
+    GetUpdateMyProfilePayload,
     GetDeleteUserPayload
 }
\ No newline at end of file
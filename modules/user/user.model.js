@@ -27,6 +27,11 @@ const userSchema = mongoose.Schema({
         required: true
     },
 
+    // Hashes of the previous passwords, oldest first, used to prevent reusing a recent password
+    password_history: [{
+        type: String
+    }],
+
     // User's role in the system, either ADMIN, USER, ACADEMIC_DIRECTOR, or CORRECTOR
     role: {
         type: String,
@@ -34,11 +39,59 @@ const userSchema = mongoose.Schema({
         required: true
     },
 
+    // List of school IDs the user works for; admins are not restricted to their schools
+    schools: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'school'
+    }],
+
     // URL or path to user's profile picture
     profile_picture: {
         type: String
     },
 
+    // Whether the user confirmed their email address through the verification link
+    is_email_verified: {
+        type: Boolean,
+        default: false
+    },
+
+    // Timestamp when the email address was verified
+    email_verified_at: {
+        type: Date
+    },
+
+    // Whether the user must enter a code from an authenticator app after the password
+    is_two_factor_enabled: {
+        type: Boolean,
+        default: false
+    },
+
+    // Encrypted TOTP secret, set once the enrollment is confirmed
+    two_factor_secret: {
+        type: String
+    },
+
+    // Encrypted TOTP secret awaiting a first code to confirm the enrollment
+    two_factor_pending_secret: {
+        type: String
+    },
+
+    // Last accepted TOTP time step, so a code cannot be replayed
+    two_factor_last_used_step: {
+        type: Number
+    },
+
+    // SHA-256 hashes of the unused single-use recovery codes
+    two_factor_recovery_codes: [{
+        type: String
+    }],
+
+    // Timestamp when two-factor authentication was enabled
+    two_factor_enabled_at: {
+        type: Date
+    },
+
     // Current status of the user: ACTIVE, INACTIVE, or DELETED
     user_status: {
         type: String,
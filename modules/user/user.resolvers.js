@@ -5,34 +5,52 @@ const bcrypt = require('bcrypt');
 // *************** IMPORT MODULE *************** 
 const UserModel = require('./user.model');
 const StudentModel = require('../student/student.model');
+const SessionModel = require('../session/session.model');
+const SchoolModel = require('../school/school.model');
 
 // *************** IMPORT UTILITIES ***************
-const { GenerateToken } = require('../../middleware/auth');
+const { GenerateTwoFactorChallengeToken } = require('../../middleware/auth');
 
 // *************** IMPORT HELPER FUNCTION *************** 
 const UserHelper = require('./user.helper');
+const SessionHelper = require('../session/session.helper');
+const AccountTokenHelper = require('../accountToken/account_token.helper');
+const LoginAttemptHelper = require('../loginAttempt/login_attempt.helper');
+const TwoFactorHelper = require('../twoFactor/two_factor.helper');
+const CommonHelper = require('../../shared/helper/index');
 
 // *************** IMPORT VALIDATOR ***************
 const UserValidator = require('./user.validator');
 const CommonValidator = require('../../shared/validator/index');
 
+// *************** Fields never returned with the caller's own account
+const ACCOUNT_SECRET_PROJECTION = {
+    password: 0,
+    password_history: 0,
+    two_factor_secret: 0,
+    two_factor_pending_secret: 0,
+    two_factor_recovery_codes: 0,
+    two_factor_last_used_step: 0
+};
+
 // *************** QUERY ***************
 /**
- * GraphQL resolver to fetch a paginated, sorted, and filtered list of users using an aggregation pipeline.
+ * GraphQL resolver to fetch a paginated, sorted, and filtered list of the users of the caller's schools using an aggregation pipeline.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {object} [args.filter] - Optional. An object containing fields to filter the user list.
  * @param {object} [args.sort] - Optional. An object specifying the sorting field and order ('ASC' or 'DESC').
  * @param {number} [args.page=1] - Optional. The page number for pagination.
  * @param {number} [args.limit=10] - Optional. The number of users per page.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to an object containing the paginated 'data' and the total 'countDocuments'.
  */
-async function GetAllUsers(_, { filter, sort, page = 1, limit = 10 }) {
+async function GetAllUsers(_, { filter, sort, page = 1, limit = 10 }, context) {
     try {
         UserValidator.ValidateGetAllUsersInput({ filter, sort, page, limit });
 
         const pipeline = [];
-        const matchStage = {};
+        const matchStage = CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' });
 
         if ((filter && filter.created_by) || (sort && sort.field.startsWith('created_by.'))) {
             pipeline.push({
@@ -129,17 +147,21 @@ async function GetAllUsers(_, { filter, sort, page = 1, limit = 10 }) {
 }
 
 /**
- * GraphQL resolver to fetch a single user by their unique ID.
+ * GraphQL resolver to fetch a single user of the caller's schools by their unique ID.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the query.
  * @param {string} args.id - The unique identifier of the user to retrieve.
+ * @param {object} context - The GraphQL context, used here to get the caller's schools.
  * @returns {Promise<object>} - A promise that resolves to the found user object.
  */
-async function GetOneUser(_, { id }) {
+async function GetOneUser(_, { id }, context) {
     try {
         CommonValidator.ValidateObjectId(id)
 
-        const user = await UserModel.findById(id).lean();
+        const user = await UserModel.findOne({
+            _id: id,
+            ...CommonHelper.BuildSchoolScopeFilter({ user: context.user, field: 'schools' })
+        }).lean();
         if (!user) {
             throw new ApolloError("User not found", "NOT_FOUND");
         }
@@ -152,6 +174,39 @@ async function GetOneUser(_, { id }) {
     }
 }
 
+/**
+ * GraphQL resolver to fetch the account of the caller, whether a user or a student.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the query, not used in this resolver.
+ * @param {object} context - The GraphQL context, used here to get the authenticated account.
+ * @returns {Promise<object>} - A promise that resolves to the user or student, carrying its role.
+ */
+async function Me(_, args, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const isStudent = context.user.role === 'STUDENT';
+        const AccountModel = isStudent ? StudentModel : UserModel;
+
+        const account = await AccountModel.findOne({ _id: userId }).select(ACCOUNT_SECRET_PROJECTION).lean();
+        if (!account) {
+            throw new ApolloError('Account not found', 'ACCOUNT_NOT_FOUND');
+        }
+
+        // *************** Students carry no role in the database, keep the one of the session
+        return { ...account, role: context.user.role };
+    } catch (error) {
+        console.error('Unexpected error in Me:', error);
+
+        throw new ApolloError('Failed to fetch account', 'ACCOUNT_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** MUTATION ***************
 /**
  * GraphQL resolver to create a new user.
@@ -174,6 +229,13 @@ async function CreateUser(_, { createUserInput }, context) {
 
         UserValidator.ValidateUserInput({ userInput: createUserInput, isEmailUnique: !emailExists });
 
+        if (createUserInput.schools && createUserInput.schools.length) {
+            const schoolCount = await SchoolModel.countDocuments({ _id: { $in: createUserInput.schools }, school_status: { $ne: 'DELETED' } });
+            if (schoolCount !== new Set(createUserInput.schools.map(String)).size) {
+                throw new ApolloError('One or more schools not found', 'SCHOOL_NOT_FOUND');
+            }
+        }
+
         const createUserPayload = await UserHelper.GetCreateUserPayload({ createUserInput, userId, isEmailUnique: !emailExists });
 
         const newUser = await UserModel.create(createUserPayload);
@@ -181,6 +243,9 @@ async function CreateUser(_, { createUserInput }, context) {
             throw new ApolloError('Failed to create user', 'USER_CREATION_FAILED');
         }
 
+        // *************** Send the email verification link to the new user
+        await AccountTokenHelper.IssueAccountToken({ account: newUser, accountModel: 'user', tokenType: 'EMAIL_VERIFICATION' });
+
         return newUser;
     } catch (error) {
         console.error('Unexpected error in CreateUser:', error);
@@ -216,9 +281,29 @@ async function UpdateUser(_, { id, updateUserInput }, context) {
             isEmailUnique = !emailExists;
         }
 
-        UserValidator.ValidateUserInput({ userInput: updateUserInput, isEmailUnique, isUpdate: true });
+        const currentUser = await UserModel.findOne({ _id: id }).select({ email: 1, password: 1, password_history: 1 }).lean();
+        if (!currentUser) {
+            throw new ApolloError('User not found', 'USER_NOT_FOUND');
+        }
 
-        const updateUserPayload = await UserHelper.GetUpdateUserPayload({ updateUserInput, userId, isEmailUnique });
+        UserValidator.ValidateUserInput({ userInput: updateUserInput, isEmailUnique, currentEmail: currentUser.email, isUpdate: true });
+
+        if (updateUserInput.schools && updateUserInput.schools.length) {
+            const schoolCount = await SchoolModel.countDocuments({ _id: { $in: updateUserInput.schools }, school_status: { $ne: 'DELETED' } });
+            if (schoolCount !== new Set(updateUserInput.schools.map(String)).size) {
+                throw new ApolloError('One or more schools not found', 'SCHOOL_NOT_FOUND');
+            }
+        }
+
+        // *************** Reject a password among the current and recent ones
+        if (updateUserInput.password !== undefined) {
+            await CommonValidator.ValidatePasswordNotReused({
+                password: updateUserInput.password,
+                passwordHashes: [currentUser.password, ...(currentUser.password_history || [])]
+            });
+        }
+
+        const updateUserPayload = await UserHelper.GetUpdateUserPayload({ updateUserInput, userId, isEmailUnique, currentUser });
 
         const updatedUser = await UserModel.findOneAndUpdate(
             { _id: id },
@@ -279,50 +364,75 @@ async function DeleteUser(_, { id }, context) {
 }
 
 /**
- * GraphQL resolver to handle user and student login.
+ * GraphQL resolver to handle user and student login. When the user has two-factor authentication enabled, or its role
+ * requires it, no session is opened yet: a challenge token is returned, to be used with VerifyTwoFactorLogin or to enroll first.
  * @param {object} _ - The parent object, which is not used in this resolver.
  * @param {object} args - The arguments for the mutation.
  * @param {object} args.loginInput - An object containing the user's email and password.
- * @returns {Promise<object>} - A promise that resolves to an object containing the JWT and user data.
+ * @param {object} context - The GraphQL context, used here to get the request information recorded on the session.
+ * @returns {Promise<object>} - A promise that resolves to an object containing the JWT, the refresh token and user data, or the challenge token.
  */
-async function Login(_, { loginInput }) {
+async function Login(_, { loginInput }, context) {
     try {
         CommonValidator.ValidateInputTypeObject(loginInput);
         UserValidator.ValidateLoginInput(loginInput);
 
-        let account = await UserModel.findOne({ email: loginInput.email }).lean();
+        const email = loginInput.email.trim().toLowerCase();
+        const requestInfo = context && context.requestInfo;
+
+        // *************** Reject the attempt while the email or the IP address is delayed or locked out
+        try {
+            await LoginAttemptHelper.CheckLoginThrottle({ email, ipAddress: requestInfo && requestInfo.ip_address });
+        } catch (throttleError) {
+            await LoginAttemptHelper.RecordLoginAttempt({ email, requestInfo, isSuccessful: false, failureReason: 'TOO_MANY_ATTEMPTS' });
+            throw throttleError;
+        }
+
+        // *************** Deleted and inactive accounts cannot log in, nor hide an active account with the same email
+        let account = await UserModel.findOne({ email, user_status: 'ACTIVE' }).lean();
         let accountType = 'user';
 
         if (!account) {
-            account = await StudentModel.findOne({ email: loginInput.email }).lean();
+            account = await StudentModel.findOne({ email, student_status: 'ACTIVE' }).lean();
             accountType = 'student';
         }
 
-        if (!account) {
-            throw new ApolloError('User not found', 'ACCOUNT_NOT_FOUND');
+        // *************** Unknown emails, inactive accounts and wrong passwords get the same response and take the same time
+        const isMatch = account
+            ? await bcrypt.compare(loginInput.password, account.password)
+            : await LoginAttemptHelper.CompareWithDummyPassword(loginInput.password);
+        if (!isMatch) {
+            await LoginAttemptHelper.RecordLoginAttempt({ email, requestInfo, account, accountModel: accountType, isSuccessful: false, failureReason: 'INVALID_CREDENTIALS' });
+            throw new ApolloError('Invalid email or password', 'INVALID_CREDENTIALS');
         }
 
-        const isMatch = await bcrypt.compare(loginInput.password, account.password);
-        if (!isMatch) {
-            throw new ApolloError('Invalid credentials', 'INVALID_CREDENTIALS');
+        // *************** Accounts created before email verification existed have no flag and are let through
+        if (account.is_email_verified === false) {
+            await LoginAttemptHelper.RecordLoginAttempt({ email, requestInfo, account, accountModel: accountType, isSuccessful: false, failureReason: 'EMAIL_NOT_VERIFIED' });
+            throw new ApolloError('Email address not verified', 'EMAIL_NOT_VERIFIED');
         }
 
-        const userForToken = {
-            _id: account._id,
-            role: accountType === 'student' ? 'STUDENT' : account.role
-        };
+        // *************** Ask for the second factor, or for an enrollment when the role requires one, before opening a session
+        if (accountType === 'user') {
+            const isTwoFactorSetupRequired = !account.is_two_factor_enabled && TwoFactorHelper.IsTwoFactorRequiredForRole(account.role);
+
+            if (account.is_two_factor_enabled || isTwoFactorSetupRequired) {
+                return {
+                    token: null,
+                    refresh_token: null,
+                    user: null,
+                    two_factor_required: Boolean(account.is_two_factor_enabled),
+                    two_factor_setup_required: isTwoFactorSetupRequired,
+                    challenge_token: GenerateTwoFactorChallengeToken(account._id)
+                };
+            }
+        }
 
-        const token = GenerateToken(userForToken);
+        const loginResponse = await SessionHelper.OpenLoginSession({ account, accountModel: accountType, requestInfo });
 
-        const { password, ...userWithoutPassword } = account;
+        await LoginAttemptHelper.RecordLoginAttempt({ email, requestInfo, account, accountModel: accountType, isSuccessful: true });
 
-        return {
-            token,
-            user: {
-                ...userWithoutPassword,
-                role: userForToken.role
-            }
-        }
+        return loginResponse;
     } catch (error) {
         console.error('Unexpected error in Login:', error);
 
@@ -332,7 +442,130 @@ async function Login(_, { loginInput }) {
     }
 }
 
+/**
+ * GraphQL resolver letting any authenticated user or student change their own password.
+ * The current password is required, the new one must follow the password policy, and every other session is revoked.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {string} args.currentPassword - The password currently in use.
+ * @param {string} args.newPassword - The new password.
+ * @param {object} context - The GraphQL context, used here to get the authenticated account and its session.
+ * @returns {Promise<boolean>} - A promise that resolves to true once the password is changed.
+ */
+async function ChangeMyPassword(_, { currentPassword, newPassword }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        UserValidator.ValidateChangePasswordInput({ currentPassword, newPassword });
+
+        const AccountModel = context.user.role === 'STUDENT' ? StudentModel : UserModel;
+
+        const account = await AccountModel.findOne({ _id: userId }).select({ email: 1, password: 1, password_history: 1 }).lean();
+        if (!account) {
+            throw new ApolloError('Account not found', 'ACCOUNT_NOT_FOUND');
+        }
+
+        const changePasswordPayload = await UserHelper.GetChangeMyPasswordPayload({ currentPassword, newPassword, account });
+
+        const updatedAccount = await AccountModel.updateOne({ _id: userId }, { $set: changePasswordPayload });
+        if (!updatedAccount.nModified) {
+            throw new ApolloError('Failed to change password', 'CHANGE_PASSWORD_FAILED');
+        }
+
+        // *************** Sign out the other devices, the current session stays open
+        await SessionModel.updateMany(
+            { user: userId, session_status: 'ACTIVE', _id: { $ne: context.user.session_id } },
+            SessionHelper.GetRevokeSessionPayload('PASSWORD_CHANGE')
+        );
+
+        return true;
+    } catch (error) {
+        console.error('Unexpected error in ChangeMyPassword:', error);
+
+        throw new ApolloError('Failed to change password', 'CHANGE_PASSWORD_FAILED', {
+            error: error.message
+        });
+    }
+}
+
+/**
+ * GraphQL resolver letting any authenticated user or student update their own profile picture and password.
+ * Changing the password requires the current one and revokes every other session, as ChangeMyPassword does.
+ * @param {object} _ - The parent object, which is not used in this resolver.
+ * @param {object} args - The arguments for the mutation.
+ * @param {object} args.updateMyProfileInput - An object containing the profile picture, the current password and the new password.
+ * @param {object} context - The GraphQL context, used here to get the authenticated account and its session.
+ * @returns {Promise<object>} - A promise that resolves to the updated user or student, carrying its role.
+ */
+async function UpdateMyProfile(_, { updateMyProfileInput }, context) {
+    try {
+        const userId = (context && context.user && context.user._id);
+        if (!userId) {
+            throw new ApolloError('User not authenticated', 'UNAUTHENTICATED');
+        }
+
+        const AccountModel = context.user.role === 'STUDENT' ? StudentModel : UserModel;
+
+        const account = await AccountModel.findOne({ _id: userId }).select({ email: 1, password: 1, password_history: 1 }).lean();
+        if (!account) {
+            throw new ApolloError('Account not found', 'ACCOUNT_NOT_FOUND');
+        }
+
+        const updateMyProfilePayload = await UserHelper.GetUpdateMyProfilePayload({ updateMyProfileInput, account });
+
+        const updatedAccount = await AccountModel.findOneAndUpdate(
+            { _id: userId },
+            { $set: updateMyProfilePayload },
+            { new: true }
+        ).select(ACCOUNT_SECRET_PROJECTION).lean();
+        if (!updatedAccount) {
+            throw new ApolloError('Failed to update profile', 'UPDATE_PROFILE_FAILED');
+        }
+
+        // *************** Sign out the other devices when the password changed, the current session stays open
+        if (updateMyProfilePayload.password) {
+            await SessionModel.updateMany(
+                { user: userId, session_status: 'ACTIVE', _id: { $ne: context.user.session_id } },
+                SessionHelper.GetRevokeSessionPayload('PASSWORD_CHANGE')
+            );
+        }
+
+        return { ...updatedAccount, role: context.user.role };
+    } catch (error) {
+        console.error('Unexpected error in UpdateMyProfile:', error);
+
+        throw new ApolloError('Failed to update profile', 'UPDATE_PROFILE_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 // *************** LOADER *************** 
+/**
+ * Loads the schools the user works for using a DataLoader.
+ * @param {object} user - The parent user object.
+ * @param {Array<string>} user.schools - An array of school IDs to load.
+ * @param {object} _ - The arguments object, not used in this resolver.
+ * @param {object} context - The GraphQL context containing the dataLoaders.
+ * @returns {Promise<Array<object>>} - A promise that resolves to an array of school objects.
+ */
+async function SchoolLoader(user, _, context) {
+    try {
+        UserValidator.ValidateSchoolLoaderInput(user, context);
+
+        const schools = await context.dataLoaders.SchoolLoader.loadMany(user.schools || []);
+
+        return schools;
+    } catch (error) {
+        throw new ApolloError(`Failed to fetch schools: ${error.message}`, 'SCHOOL_FETCH_FAILED', {
+            error: error.message
+        });
+    }
+}
+
 /**
  * Loads the user who created the user using a DataLoader.
  * @param {object} user - The parent user object.
@@ -380,6 +613,7 @@ async function UpdatedByLoader(user, _, context) {
 // *************** EXPORT MODULE ***************
 module.exports = {
     Query: {
+        Me,
         GetAllUsers,
         GetOneUser
     },
@@ -388,10 +622,17 @@ module.exports = {
         CreateUser,
         UpdateUser,
         DeleteUser,
-        Login
+        Login,
+        ChangeMyPassword,
+        UpdateMyProfile
+    },
+
+    Account: {
+        __resolveType: (account) => (account.role === 'STUDENT' ? 'Student' : 'User')
     },
 
     User: {
+        schools: SchoolLoader,
         created_by: CreatedByLoader,
         updated_by: UpdatedByLoader
     }
@@ -22,6 +22,7 @@ module.exports = gql`
         email: String!
         password: String!
         role: Role!
+        schools: [ID!]
         profile_picture: String
         user_status: Status!
     }
@@ -32,10 +33,17 @@ module.exports = gql`
         email: String
         password: String
         role: Role
+        schools: [ID!]
         profile_picture: String
         user_status: Status
     }
 
+    input UpdateMyProfileInput {
+        profile_picture: String
+        current_password: String
+        new_password: String
+    }
+
     input LoginInput {
         email: String!
         password: String!
@@ -57,8 +65,12 @@ module.exports = gql`
     }
 
     type LoginResponse {
-        token: String!
-        user: User!
+        token: String
+        refresh_token: String
+        user: User
+        two_factor_required: Boolean!
+        two_factor_setup_required: Boolean!
+        challenge_token: String
     }
 
     type User {
@@ -67,7 +79,10 @@ module.exports = gql`
         last_name: String!
         email: String!
         role: Role!
+        schools: [School!]!
         profile_picture: String
+        is_email_verified: Boolean
+        is_two_factor_enabled: Boolean
         user_status: Status!
         created_by: User!
         created_at: String!
@@ -75,20 +90,25 @@ module.exports = gql`
         updated_at: String!
     }
 
+    union Account = User | Student
+
     type Query {
+        Me: Account! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR, STUDENT])
         GetAllUsers(
             filter: UserFilterInput, 
             sort: SortInput,
             page: Int, 
             limit: Int
-        ): PaginatedUsers!
-        GetOneUser(id: ID!): User
+        ): PaginatedUsers! @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
+        GetOneUser(id: ID!): User @auth(roles: [ADMIN, ACADEMIC_DIRECTOR])
     }
 
     type Mutation {
-        CreateUser(createUserInput: CreateUserInput!): User!
-        UpdateUser(id: ID!, updateUserInput: UpdateUserInput!): User!
-        DeleteUser(id: ID!): User!
-        Login(loginInput: LoginInput!): LoginResponse!
+        CreateUser(createUserInput: CreateUserInput!): User! @auth(roles: [ADMIN])
+        UpdateUser(id: ID!, updateUserInput: UpdateUserInput!): User! @auth(roles: [ADMIN])
+        DeleteUser(id: ID!): User! @auth(roles: [ADMIN])
+        Login(loginInput: LoginInput!): LoginResponse! @public
+        ChangeMyPassword(currentPassword: String!, newPassword: String!): Boolean! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR, STUDENT])
+        UpdateMyProfile(updateMyProfileInput: UpdateMyProfileInput!): Account! @auth(roles: [ADMIN, USER, CORRECTOR, ACADEMIC_DIRECTOR, STUDENT])
     }
 `
\ No newline at end of file
@@ -4,6 +4,9 @@ const mongoose = require('mongoose');
 // *************** IMPORT LIBRARY ***************
 const { ApolloError } = require('apollo-server');
 
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../../shared/validator/index');
+
 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 /**
@@ -80,13 +83,15 @@ function ValidateGetAllUsersInput({ filter, sort, page, limit }) {
  * @param {string} [args.userInput.email] - The user's email address.
  * @param {string} [args.userInput.password] - The user's password (required on create).
  * @param {string} [args.userInput.role] - The user's role (e.g., 'ADMIN', 'USER').
+ * @param {Array<string>} [args.userInput.schools] - The IDs of the schools the user works for, required on create for roles other than ADMIN.
  * @param {string} [args.userInput.profile_picture] - Optional. A URL to the user's profile picture.
  * @param {string} [args.userInput.user_status] - The user's status (e.g., 'ACTIVE').
  * @param {boolean} args.isEmailUnique - A flag indicating if the provided email is unique in the database.
+ * @param {string} [args.currentEmail] - Optional. The email address already stored, checked against a new password when the update does not change the email.
  * @param {boolean} [args.isUpdate=false] - Optional flag to indicate if this is an update operation, which allows for partial data.
  * @returns {void} - This function does not return a value but throws an error if validation fails.
  */
-function ValidateUserInput({ userInput, isEmailUnique, isUpdate = false }) {
+function ValidateUserInput({ userInput, isEmailUnique, currentEmail, isUpdate = false }) {
     const validRoles = ['ADMIN', 'USER', 'ACADEMIC_DIRECTOR', 'CORRECTOR'];
     const validStatus = ['ACTIVE', 'INACTIVE'];
 
@@ -121,6 +126,12 @@ function ValidateUserInput({ userInput, isEmailUnique, isUpdate = false }) {
             validate: (val) => typeof val === 'string' && validRoles.includes(val.toUpperCase()),
             message: `Role must be one of: ${validRoles.join(', ')}.`,
         },
+        {
+            field: 'schools',
+            required: false,
+            validate: (val) => Array.isArray(val) && val.every(id => mongoose.Types.ObjectId.isValid(id)),
+            message: 'Schools must be an array of valid school IDs.',
+        },
         {
             field: 'profile_picture',
             required: false,
@@ -146,6 +157,15 @@ function ValidateUserInput({ userInput, isEmailUnique, isUpdate = false }) {
         }
     }
 
+    // *************** Staff members other than admins only work within their schools, so they need at least one
+    if (!isUpdate && userInput.role && userInput.role.toUpperCase() !== 'ADMIN' && !(userInput.schools && userInput.schools.length)) {
+        throw new ApolloError('At least one school is required for this role.', 'BAD_USER_INPUT', { field: 'schools' });
+    }
+
+    if (userInput.password !== undefined) {
+        CommonValidator.ValidatePasswordPolicy({ password: userInput.password, email: userInput.email || currentEmail });
+    }
+
     if (!isEmailUnique) {
         throw new ApolloError('The email address is already in use.', 'BAD_USER_INPUT', { field: 'email' });
     }
@@ -170,6 +190,82 @@ function ValidateLoginInput(loginInput) {
     }
 }
 
+/**
+ * Validates the inputs for changing one's own password. The policy itself is checked once the account is loaded.
+ * @param {object} args - The arguments for the validation.
+ * @param {string} args.currentPassword - The password currently in use.
+ * @param {string} args.newPassword - The new password.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateChangePasswordInput({ currentPassword, newPassword }) {
+    if (!currentPassword || typeof currentPassword !== 'string') {
+        throw new ApolloError('Current password is required.', 'BAD_USER_INPUT', { field: 'currentPassword' });
+    }
+
+    if (!newPassword || typeof newPassword !== 'string') {
+        throw new ApolloError('New password is required.', 'BAD_USER_INPUT', { field: 'newPassword' });
+    }
+}
+
+/**
+ * Validates the input for updating one's own profile. A new password must come with the current one, whose check and the policy are done once the account is loaded.
+ * @param {object} updateMyProfileInput - The object containing the profile picture and the passwords to update.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateUpdateMyProfileInput(updateMyProfileInput) {
+    const { profile_picture, current_password, new_password } = updateMyProfileInput;
+
+    if ([profile_picture, new_password].every((value) => value === undefined || value === null)) {
+        throw new ApolloError('At least a profile picture or a new password is required.', 'BAD_USER_INPUT');
+    }
+
+    if (profile_picture !== undefined && profile_picture !== null && !(typeof profile_picture === 'string' && profile_picture.startsWith('http'))) {
+        throw new ApolloError('Profile picture must be a valid URL.', 'BAD_USER_INPUT', { field: 'profile_picture' });
+    }
+
+    if (new_password !== undefined && new_password !== null) {
+        if (!current_password || typeof current_password !== 'string') {
+            throw new ApolloError('Current password is required.', 'BAD_USER_INPUT', { field: 'current_password' });
+        }
+
+        if (typeof new_password !== 'string' || new_password === '') {
+            throw new ApolloError('New password is required.', 'BAD_USER_INPUT', { field: 'new_password' });
+        }
+    } else if (current_password !== undefined && current_password !== null) {
+        throw new ApolloError('Current password is only expected along with a new password.', 'BAD_USER_INPUT', { field: 'current_password' });
+    }
+}
+
+/**
+ * Validates the inputs for the SchoolLoader resolver on the User type.
+ * @param {object} user - The parent user object, which may contain a 'schools' array of valid ObjectIDs.
+ * @param {object} context - The GraphQL context, which must contain a configured SchoolLoader.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateSchoolLoaderInput(user, context) {
+    if (!user || typeof user !== 'object' || user === null) {
+        throw new ApolloError('Input error: user must be a valid object.', 'BAD_USER_INPUT');
+    }
+
+    for (const schoolId of user.schools || []) {
+        if (!mongoose.Types.ObjectId.isValid(schoolId)) {
+            throw new ApolloError(`Invalid school ID found in schools array: ${schoolId}`, 'BAD_USER_INPUT');
+        }
+    }
+
+    if (
+        !context ||
+        !context.dataLoaders ||
+        !context.dataLoaders.SchoolLoader ||
+        typeof context.dataLoaders.SchoolLoader.loadMany !== 'function'
+    ) {
+        throw new ApolloError(
+            'Server configuration error: SchoolLoader with loadMany function not found on context.',
+            'INTERNAL_SERVER_ERROR'
+        );
+    }
+}
+
 /**
  * Validates the inputs for resolvers that use the UserLoader.
  * @param {object} parent - The parent object.
@@ -206,5 +302,8 @@ module.exports = {
     ValidateGetAllUsersInput,
     ValidateUserInput,
     ValidateLoginInput,
+    ValidateChangePasswordInput,
+    ValidateUpdateMyProfileInput,
+    ValidateSchoolLoaderInput,
     ValidateUserLoaderInput
 }
\ No newline at end of file
@@ -0,0 +1,21 @@
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+
+/**
+ * Builds the password history of an account whose password is being replaced. The replaced password is added,
+ * and only as many hashes are kept as needed to reject the last N passwords, the new current one included.
+ * @param {object} args - The arguments for building the history.
+ * @param {string} args.previousPasswordHash - The hash of the password being replaced.
+ * @param {Array<string>} [args.passwordHistory] - Optional. The hashes already kept in the history, oldest first.
+ * @returns {Array<string>} The new password history, oldest first.
+ */
+function BuildPasswordHistory({ previousPasswordHash, passwordHistory }) {
+    const historySize = parseInt(config.PASSWORD_HISTORY_SIZE) || 5;
+
+    const history = [...(passwordHistory || []), previousPasswordHash].filter(Boolean);
+
+    return history.slice(Math.max(history.length - (historySize - 1), 0));
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = BuildPasswordHistory;
\ No newline at end of file
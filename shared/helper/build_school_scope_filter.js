@@ -0,0 +1,21 @@
+// *************** IMPORT UTILITES ***************
+const GetSchoolScope = require('./get_school_scope');
+
+/**
+ * Builds the query condition restricting documents to the schools an account can access.
+ * @param {object} args - The arguments for building the filter.
+ * @param {object} args.user - The authenticated account from the GraphQL context.
+ * @param {string} args.field - The field of the documents holding their school or schools (e.g., 'schools', 'school', '_id').
+ * @returns {object} The condition to merge into the query filter, empty if the account is not restricted.
+ */
+function BuildSchoolScopeFilter({ user, field }) {
+    const schoolScope = GetSchoolScope(user);
+    if (!schoolScope) {
+        return {};
+    }
+
+    return { [field]: { $in: schoolScope } };
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = BuildSchoolScopeFilter;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// *************** IMPORT UTILITES ***************
+const GetGradingScale = require('./get_grading_scale');
+const HasGradingScale = require('./has_grading_scale');
+const RoundMark = require('./round_mark');
+
+/**
+ * Calculates the average mark of a test result. When the test declares a grading scale, each mark is normalized against
+ * the max_points of its notation before being averaged, so that notations out of 5 and out of 20 weigh the same unless
+ * the test gives its notations different weights, and notations without points are left out. Tests without a grading
+ * scale keep averaging the raw marks as entered, so that their existing averages and criteria thresholds stay valid.
+ * @param {object} args - The arguments for the calculation.
+ * @param {Array<object>} args.marks - The marks of the result, each containing 'notation_text' and 'mark'.
+ * @param {object} args.test - The test, containing its 'notations' and 'grading_scale'.
+ * @param {object} [args.markRounding] - Optional. The rounding rules of the student's school.
+ * @returns {number} The rounded average mark, out of the test's grading scale when it has one.
+ */
+function CalculateAverageMark({ marks, test, markRounding }) {
+    const notationsByText = new Map((test.notations || []).map(notation => [notation.notation_text, notation]));
+    const isScaled = HasGradingScale(test);
+
+    let weightedMarkSum = 0;
+    let weightSum = 0;
+
+    for (const { notation_text, mark } of marks || []) {
+        const notation = notationsByText.get(notation_text);
+        const weight = notation && notation.weight !== undefined && notation.weight !== null ? notation.weight : 1;
+
+        if (!isScaled) {
+            weightedMarkSum += mark * weight;
+            weightSum += weight;
+            continue;
+        }
+
+        if (!notation || !notation.max_points) continue;
+
+        weightedMarkSum += (mark / notation.max_points) * weight;
+        weightSum += weight;
+    }
+
+    let averageMark = weightSum ? weightedMarkSum / weightSum : 0;
+    if (isScaled) averageMark *= GetGradingScale(test);
+
+    return RoundMark({ mark: averageMark, markRounding });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = CalculateAverageMark;
\ No newline at end of file
@@ -0,0 +1,60 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const CalculateAverageMark = require('./calculate_average_mark');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../test/run_test_cases');
+
+const notations = [
+    { notation_text: 'Written', max_points: 20 },
+    { notation_text: 'Oral', max_points: 5 }
+];
+
+const tests = {
+    'A test without a grading scale averages the raw marks': () => {
+        const marks = [{ notation_text: 'Written', mark: 14 }, { notation_text: 'Oral', mark: 4 }];
+
+        assert.strictEqual(CalculateAverageMark({ marks, test: { notations } }), 9);
+        assert.strictEqual(CalculateAverageMark({ marks, test: { notations, grading_scale: null } }), 9);
+    },
+
+    'A test with a grading scale normalizes each mark against the points of its notation': () => {
+        const marks = [{ notation_text: 'Written', mark: 14 }, { notation_text: 'Oral', mark: 4 }];
+
+        // *************** (14 / 20 + 4 / 5) / 2 * 20
+        assert.strictEqual(CalculateAverageMark({ marks, test: { notations, grading_scale: 20 } }), 15);
+        assert.strictEqual(CalculateAverageMark({ marks, test: { notations, grading_scale: 100 } }), 75);
+    },
+
+    'Notation weights apply with or without a grading scale': () => {
+        const weightedNotations = [{ ...notations[0], weight: 3 }, { ...notations[1], weight: 1 }];
+        const marks = [{ notation_text: 'Written', mark: 10 }, { notation_text: 'Oral', mark: 5 }];
+
+        assert.strictEqual(CalculateAverageMark({ marks, test: { notations: weightedNotations } }), 8.75);
+        assert.strictEqual(CalculateAverageMark({ marks, test: { notations: weightedNotations, grading_scale: 20 } }), 12.5);
+    },
+
+    'A scaled test leaves out marks of notations without points': () => {
+        const marks = [{ notation_text: 'Written', mark: 10 }, { notation_text: 'Bonus', mark: 3 }, { notation_text: 'Remark', mark: 1 }];
+        const test = { notations: [notations[0], { notation_text: 'Remark', max_points: 0 }], grading_scale: 20 };
+
+        assert.strictEqual(CalculateAverageMark({ marks, test }), 10);
+    },
+
+    'The average follows the rounding rules of the school': () => {
+        const marks = [{ notation_text: 'Written', mark: 13 }, { notation_text: 'Oral', mark: 3 }];
+        const test = { notations, grading_scale: 20 };
+
+        // *************** (13 / 20 + 3 / 5) / 2 * 20 = 12.5
+        assert.strictEqual(CalculateAverageMark({ marks, test, markRounding: { increment: 1, method: 'DOWN' } }), 12);
+        assert.strictEqual(CalculateAverageMark({ marks, test, markRounding: { increment: 1, method: 'UP' } }), 13);
+    },
+
+    'A result without marks averages to 0': () => {
+        assert.strictEqual(CalculateAverageMark({ marks: [], test: { notations, grading_scale: 20 } }), 0);
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -0,0 +1,23 @@
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+
+// *************** IMPORT UTILITES ***************
+const HasGradingScale = require('./has_grading_scale');
+
+/**
+ * Reads the scale marks are expressed on (e.g., 20 for marks out of 20) for a test, or for the subject and block
+ * marks of a school's transcripts. Schools that do not declare one use the configured default scale; so do the tests that
+ * do not declare one, on the transcripts of curricula where other tests do.
+ * @param {object} [gradedEntity] - Optional. The test or school, containing its 'grading_scale'.
+ * @returns {number} The maximum mark of the scale.
+ */
+function GetGradingScale(gradedEntity) {
+    if (HasGradingScale(gradedEntity)) {
+        return gradedEntity.grading_scale;
+    }
+
+    return parseFloat(config.DEFAULT_GRADING_SCALE) || 20;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = GetGradingScale;
\ No newline at end of file
@@ -0,0 +1,40 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+const GetGradingScale = require('./get_grading_scale');
+const HasGradingScale = require('./has_grading_scale');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../test/run_test_cases');
+
+const tests = {
+    'Only a grading scale greater than 0 counts as declared': () => {
+        assert.strictEqual(HasGradingScale({ grading_scale: 100 }), true);
+        assert.strictEqual(HasGradingScale({ grading_scale: 0 }), false);
+        assert.strictEqual(HasGradingScale({ grading_scale: null }), false);
+        assert.strictEqual(HasGradingScale(undefined), false);
+    },
+
+    'A declared grading scale is used as is': () => {
+        assert.strictEqual(GetGradingScale({ grading_scale: 100 }), 100);
+    },
+
+    'Without a declared grading scale the configured default applies, 20 when none is configured': () => {
+        const configuredScale = config.DEFAULT_GRADING_SCALE;
+
+        try {
+            config.DEFAULT_GRADING_SCALE = undefined;
+            assert.strictEqual(GetGradingScale({}), 20);
+
+            config.DEFAULT_GRADING_SCALE = '10';
+            assert.strictEqual(GetGradingScale({ grading_scale: null }), 10);
+            assert.strictEqual(GetGradingScale(), 10);
+        } finally {
+            config.DEFAULT_GRADING_SCALE = configuredScale;
+        }
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -0,0 +1,22 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+/**
+ * Lists the schools whose data an account can access. Admins are not restricted to any school,
+ * students only see their own school, and other staff members see the schools they belong to.
+ * The IDs are returned as ObjectIds so that they can also be used in aggregation pipelines.
+ * @param {object} user - The authenticated account from the GraphQL context.
+ * @returns {Array<mongoose.Types.ObjectId>|null} The IDs of the accessible schools, or null if the account is not restricted.
+ */
+function GetSchoolScope(user) {
+    if (!user || user.role === 'ADMIN') {
+        return null;
+    }
+
+    const schoolIds = user.role === 'STUDENT' ? [user.school].filter(Boolean) : user.schools || [];
+
+    return schoolIds.map(schoolId => mongoose.Types.ObjectId(String(schoolId)));
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = GetSchoolScope;
\ No newline at end of file
@@ -0,0 +1,37 @@
+// *************** IMPORT MODULE *************** 
+const BlockModel = require('../../modules/block/block.model');
+const SubjectModel = require('../../modules/subject/subject.model');
+const TestModel = require('../../modules/test/test.model');
+
+// *************** IMPORT UTILITES ***************
+const BuildSchoolScopeFilter = require('./build_school_scope_filter');
+const GetSchoolScope = require('./get_school_scope');
+
+/**
+ * Lists the IDs of the blocks, subjects or tests an account can access. Subjects and tests belong to
+ * the schools of their block, so the curriculum tree is walked down from the blocks in scope.
+ * @param {object} args - The arguments for the lookup.
+ * @param {object} args.user - The authenticated account from the GraphQL context.
+ * @param {string} args.level - The level of the curriculum to list: 'block', 'subject', or 'test'.
+ * @returns {Promise<Array<string>|null>} A promise that resolves to the accessible IDs, or null if the account is not restricted.
+ */
+async function GetScopedCurriculumIds({ user, level }) {
+    if (!GetSchoolScope(user)) {
+        return null;
+    }
+
+    const blockIds = await BlockModel.distinct('_id', BuildSchoolScopeFilter({ user, field: 'schools' }));
+    if (level === 'block') {
+        return blockIds;
+    }
+
+    const subjectIds = await SubjectModel.distinct('_id', { block: { $in: blockIds } });
+    if (level === 'subject') {
+        return subjectIds;
+    }
+
+    return TestModel.distinct('_id', { subject: { $in: subjectIds } });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = GetScopedCurriculumIds;
\ No newline at end of file
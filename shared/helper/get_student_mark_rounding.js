@@ -0,0 +1,22 @@
+// *************** IMPORT MODULE ***************
+const StudentModel = require('../../modules/student/student.model');
+const SchoolModel = require('../../modules/school/school.model');
+
+/**
+ * Finds the rounding rules of the school a student belongs to, which apply to all of the student's marks.
+ * @param {string} studentId - The ID of the student.
+ * @returns {Promise<object|undefined>} A promise that resolves to the rounding rules, or undefined if the school has none.
+ */
+async function GetStudentMarkRounding(studentId) {
+    const student = await StudentModel.findById(studentId).select({ school: 1 }).lean();
+    if (!student) {
+        return undefined;
+    }
+
+    const school = await SchoolModel.findById(student.school).select({ mark_rounding: 1 }).lean();
+
+    return (school && school.mark_rounding) || undefined;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = GetStudentMarkRounding;
\ No newline at end of file
@@ -0,0 +1,39 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE *************** 
+const BlockModel = require('../../modules/block/block.model');
+const SubjectModel = require('../../modules/subject/subject.model');
+const TestModel = require('../../modules/test/test.model');
+
+// *************** IMPORT VALIDATOR ***************
+const CommonValidator = require('../validator/index');
+
+/**
+ * Finds the schools a test belongs to, which are the schools of the block of its subject.
+ * @param {string} testId - The ID of the test.
+ * @returns {Promise<Array<string>>} A promise that resolves to the IDs of the schools of the test.
+ */
+async function GetTestSchools(testId) {
+    CommonValidator.ValidateObjectId(testId);
+
+    const test = await TestModel.findById(testId).select({ subject: 1 }).lean();
+    if (!test) {
+        throw new ApolloError('Test not found', 'TEST_NOT_FOUND');
+    }
+
+    const subject = await SubjectModel.findById(test.subject).select({ block: 1 }).lean();
+    if (!subject) {
+        throw new ApolloError('Subject not found', 'SUBJECT_NOT_FOUND');
+    }
+
+    const block = await BlockModel.findById(subject.block).select({ schools: 1 }).lean();
+    if (!block) {
+        throw new ApolloError('Block not found', 'BLOCK_NOT_FOUND');
+    }
+
+    return block.schools || [];
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = GetTestSchools;
\ No newline at end of file
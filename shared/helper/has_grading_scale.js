@@ -0,0 +1,12 @@
+/**
+ * Checks whether a test or a school declares the scale its marks are expressed on. Tests created before grading scales
+ * existed have none: their average marks are the raw means of their marks.
+ * @param {object} [gradedEntity] - Optional. The test or school, containing its 'grading_scale'.
+ * @returns {boolean} True if the entity has a grading scale greater than 0.
+ */
+function HasGradingScale(gradedEntity) {
+    return Boolean(gradedEntity && gradedEntity.grading_scale > 0);
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = HasGradingScale;
\ No newline at end of file
@@ -4,6 +4,17 @@ const HandleDeleteSubjects = require('./handle_delete_subjects');
 const HandleDeleteTests = require('./handle_delete_tests');
 const HandleDeleteStudentTestResults = require('./handle_delete_student_test_results');
 const HandleDeleteTasks = require('./handle_delete_tasks');
+const BuildPasswordHistory = require('./build_password_history');
+const GetSchoolScope = require('./get_school_scope');
+const BuildSchoolScopeFilter = require('./build_school_scope_filter');
+const GetScopedCurriculumIds = require('./get_scoped_curriculum_ids');
+const GetTestSchools = require('./get_test_schools');
+const GetGradingScale = require('./get_grading_scale');
+const HasGradingScale = require('./has_grading_scale');
+const RoundMark = require('./round_mark');
+const CalculateAverageMark = require('./calculate_average_mark');
+const GetStudentMarkRounding = require('./get_student_mark_rounding');
+const IsResultVisibleToStudent = require('./is_result_visible_to_student');
 
 // *************** EXPORT MODULE ***************
 module.exports = {
@@ -11,5 +22,16 @@ module.exports = {
     HandleDeleteSubjects,
     HandleDeleteTests,
     HandleDeleteStudentTestResults,
-    HandleDeleteTasks
+    HandleDeleteTasks,
+    BuildPasswordHistory,
+    GetSchoolScope,
+    BuildSchoolScopeFilter,
+    GetScopedCurriculumIds,
+    GetTestSchools,
+    GetGradingScale,
+    HasGradingScale,
+    RoundMark,
+    CalculateAverageMark,
+    GetStudentMarkRounding,
+    IsResultVisibleToStudent
 }
\ No newline at end of file
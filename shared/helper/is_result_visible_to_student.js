@@ -0,0 +1,23 @@
+/**
+ * Tells whether a student may see their result for a test, following the test's result visibility: never, once the
+ * result is corrected and validated, or once a jury has finalized the student's final transcript.
+ * @param {object} args - The arguments for the check.
+ * @param {object} args.test - The test, containing its 'result_visibility'.
+ * @param {boolean} args.isCorrected - Whether the student's result for the test has been validated.
+ * @param {boolean} args.isJuryDecided - Whether a jury has finalized the student's final transcript.
+ * @returns {boolean} True if the result may be shown to the student.
+ */
+function IsResultVisibleToStudent({ test, isCorrected, isJuryDecided }) {
+    if (!test || !isCorrected) {
+        return false;
+    }
+
+    if (test.result_visibility === 'AFTER_CORRECTION') {
+        return true;
+    }
+
+    return test.result_visibility === 'AFTER_JURY_DECISION_FOR_FINAL_TRANSCRIPT' && Boolean(isJuryDecided);
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = IsResultVisibleToStudent;
\ No newline at end of file
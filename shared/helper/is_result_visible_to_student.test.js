@@ -0,0 +1,32 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const IsResultVisibleToStudent = require('./is_result_visible_to_student');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../test/run_test_cases');
+
+const tests = {
+    'A result is visible once corrected when its test releases it after correction': () => {
+        const test = { result_visibility: 'AFTER_CORRECTION' };
+
+        assert.strictEqual(IsResultVisibleToStudent({ test, isCorrected: true, isJuryDecided: false }), true);
+        assert.strictEqual(IsResultVisibleToStudent({ test, isCorrected: false, isJuryDecided: true }), false);
+    },
+
+    'A result released after the jury decision stays hidden until the jury has finalized the transcript': () => {
+        const test = { result_visibility: 'AFTER_JURY_DECISION_FOR_FINAL_TRANSCRIPT' };
+
+        assert.strictEqual(IsResultVisibleToStudent({ test, isCorrected: true, isJuryDecided: false }), false);
+        assert.strictEqual(IsResultVisibleToStudent({ test, isCorrected: true, isJuryDecided: true }), true);
+        assert.strictEqual(IsResultVisibleToStudent({ test, isCorrected: false, isJuryDecided: true }), false);
+    },
+
+    'A result is never visible when its test never releases it or no longer exists': () => {
+        assert.strictEqual(IsResultVisibleToStudent({ test: { result_visibility: 'NEVER' }, isCorrected: true, isJuryDecided: true }), false);
+        assert.strictEqual(IsResultVisibleToStudent({ test: undefined, isCorrected: true, isJuryDecided: true }), false);
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Rounds a mark following the rounding rules of a school: to a multiple of an increment (e.g., 0.01, or 0.5 for half
+ * points), to the nearest multiple, or always up or down. Marks are rounded to the hundredth when no rules are set.
+ * @param {object} args - The arguments for the rounding.
+ * @param {number} args.mark - The unrounded mark.
+ * @param {object} [args.markRounding] - Optional. The rounding rules of the school, with 'increment' and 'method' ('NEAREST', 'UP' or 'DOWN').
+ * @returns {number} The rounded mark.
+ */
+function RoundMark({ mark, markRounding }) {
+    const increment = (markRounding && markRounding.increment > 0) ? markRounding.increment : 0.01;
+    const method = (markRounding && markRounding.method) || 'NEAREST';
+
+    // *************** Trim floating point noise first, so that 12.5 / 0.5 is not rounded up as 25.000000000000004
+    const steps = Number((mark / increment).toFixed(9));
+
+    let roundedSteps;
+    if (method === 'UP') {
+        roundedSteps = Math.ceil(steps);
+    } else if (method === 'DOWN') {
+        roundedSteps = Math.floor(steps);
+    } else {
+        roundedSteps = Math.round(steps);
+    }
+
+    return Number((roundedSteps * increment).toFixed(9));
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = RoundMark;
\ No newline at end of file
@@ -0,0 +1,37 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const RoundMark = require('./round_mark');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../test/run_test_cases');
+
+const tests = {
+    'Marks are rounded to the hundredth without rounding rules': () => {
+        assert.strictEqual(RoundMark({ mark: 12.345678 }), 12.35);
+        assert.strictEqual(RoundMark({ mark: 12.344 }), 12.34);
+    },
+
+    'Marks are rounded to the nearest multiple of the increment': () => {
+        const markRounding = { increment: 0.5, method: 'NEAREST' };
+
+        assert.strictEqual(RoundMark({ mark: 12.24, markRounding }), 12);
+        assert.strictEqual(RoundMark({ mark: 12.25, markRounding }), 12.5);
+        assert.strictEqual(RoundMark({ mark: 12.74, markRounding }), 12.5);
+    },
+
+    'Marks are rounded up or down when the rules say so': () => {
+        assert.strictEqual(RoundMark({ mark: 12.01, markRounding: { increment: 0.5, method: 'UP' } }), 12.5);
+        assert.strictEqual(RoundMark({ mark: 12.99, markRounding: { increment: 0.5, method: 'DOWN' } }), 12.5);
+        assert.strictEqual(RoundMark({ mark: 9.99, markRounding: { increment: 1, method: 'DOWN' } }), 9);
+    },
+
+    'A mark already on the increment is not moved by floating point noise': () => {
+        assert.strictEqual(RoundMark({ mark: 12.5, markRounding: { increment: 0.5, method: 'UP' } }), 12.5);
+        assert.strictEqual(RoundMark({ mark: 0.1 + 0.2, markRounding: { increment: 0.1, method: 'UP' } }), 0.3);
+        assert.strictEqual(RoundMark({ mark: 1.15, markRounding: { increment: 0.05, method: 'DOWN' } }), 1.15);
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
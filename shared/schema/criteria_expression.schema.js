@@ -0,0 +1,71 @@
+// *************** IMPORT CORE ***************
+const mongoose = require('mongoose');
+
+const criteriaSourceSchema = mongoose.Schema({
+    // What the mark is read from: 'SELF' for the score of the evaluated entity, or the score of a 'SUBJECT' or 'TEST', or the mark of a 'NOTATION'
+    source_type: {
+        type: String,
+        enum: ['SELF', 'SUBJECT', 'TEST', 'NOTATION'],
+        required: true
+    },
+
+    // Reference to the subject whose score is read, for 'SUBJECT' sources
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "subject"
+    },
+
+    // Reference to the test whose score or notation mark is read; a 'NOTATION' source without test reads the evaluated test
+    test: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "test"
+    },
+
+    // Notation whose mark is read, for 'NOTATION' sources
+    notation_text: {
+        type: String
+    }
+}, { _id: false });
+
+const criteriaExpressionSchema = mongoose.Schema({
+    // 'AND', 'OR' and 'NOT' combine the operands; 'COMPARE' checks one source, 'AT_LEAST' a minimum number of sources, and 'ALL' every source
+    operator: {
+        type: String,
+        enum: ['AND', 'OR', 'NOT', 'COMPARE', 'AT_LEAST', 'ALL'],
+        required: true
+    },
+
+    // Marks compared by 'COMPARE', 'AT_LEAST' and 'ALL'; when empty, 'COMPARE' reads the evaluated entity's score and the
+    // others read its direct children (the subjects of a block, the tests of a subject, the notations of a test)
+    sources: [criteriaSourceSchema],
+
+    // The comparison operator: 'GTE' (>=), 'LTE' (<=), 'GT' (>), 'LT' (<), 'E' (==), or 'BETWEEN' (mark <= source <= mark_max)
+    comparison_operator: {
+        type: String,
+        enum: ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN']
+    },
+
+    // The mark the sources are compared with, or the lower bound of a 'BETWEEN' range
+    mark: {
+        type: Number
+    },
+
+    // The upper bound of a 'BETWEEN' range
+    mark_max: {
+        type: Number
+    },
+
+    // Number of sources that must meet the comparison, for 'AT_LEAST'
+    min_count: {
+        type: Number,
+        min: 1
+    }
+}, { _id: false });
+
+// *************** Expressions nest: 'AND', 'OR' and 'NOT' hold other expressions as operands
+criteriaExpressionSchema.add({
+    operands: [criteriaExpressionSchema]
+});
+
+// *************** EXPORT MODULE ***************
+module.exports = criteriaExpressionSchema;
\ No newline at end of file
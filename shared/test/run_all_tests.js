@@ -0,0 +1,44 @@
+// *************** IMPORT CORE ***************
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIRECTORY = path.join(__dirname, '..', '..');
+const TEST_DIRECTORIES = ['core', 'middleware', 'modules', 'shared'];
+
+/**
+ * Lists the test files ('*.test.js') under a directory and its subdirectories.
+ * @param {string} directory - The absolute path of the directory.
+ * @returns {Array<string>} The absolute paths of the test files, sorted by name.
+ */
+function findTestFiles(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    return fs
+        .readdirSync(directory, { withFileTypes: true })
+        .sort((firstEntry, secondEntry) => firstEntry.name.localeCompare(secondEntry.name))
+        .reduce((testFiles, entry) => {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                return testFiles.concat(findTestFiles(entryPath));
+            }
+            return entry.name.endsWith('.test.js') ? testFiles.concat(entryPath) : testFiles;
+        }, []);
+}
+
+// *************** Each test file runs in its own process, so that one file cannot leave state behind for the next
+const testFiles = TEST_DIRECTORIES.reduce((files, directory) => files.concat(findTestFiles(path.join(ROOT_DIRECTORY, directory))), []);
+const failedFiles = testFiles.filter((testFile) => {
+    console.log(`# ${path.relative(ROOT_DIRECTORY, testFile)}`);
+    const { status } = childProcess.spawnSync(process.execPath, [testFile], { stdio: 'inherit' });
+    return status !== 0;
+});
+
+if (failedFiles.length) {
+    console.error(`\n${failedFiles.length} of ${testFiles.length} test files failed:\n${failedFiles.map((testFile) => path.relative(ROOT_DIRECTORY, testFile)).join('\n')}`);
+    process.exitCode = 1;
+} else {
+    console.log(`\nAll ${testFiles.length} test files passed.`);
+}
\ No newline at end of file
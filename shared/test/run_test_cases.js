@@ -0,0 +1,27 @@
+/**
+ * Runs the test cases of a test file one after the other and reports each one as 'ok' or 'not ok'.
+ * A failing case does not stop the others; the process exits with code 1 once any case has failed.
+ * @param {object} testCases - The test cases, by name. Each case is a function that throws when it fails and may return a promise.
+ * @returns {Promise<number>} The number of failed cases.
+ */
+async function RunTestCases(testCases) {
+    let failedCount = 0;
+
+    for (const [name, testCase] of Object.entries(testCases)) {
+        try {
+            await testCase();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failedCount++;
+            console.error(`not ok - ${name}\n${error.message}`);
+        }
+    }
+
+    if (failedCount) {
+        process.exitCode = 1;
+    }
+    return failedCount;
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = RunTestCases;
\ No newline at end of file
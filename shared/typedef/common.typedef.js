@@ -3,6 +3,17 @@ const { gql } = require('apollo-server-express');
 
 // *************** EXPORT MODULE ***************
 module.exports = gql`
+    directive @auth(roles: [AuthRole!]!, ownership: String) on FIELD_DEFINITION
+    directive @public on FIELD_DEFINITION
+
+    enum AuthRole {
+        ADMIN
+        USER
+        CORRECTOR
+        ACADEMIC_DIRECTOR
+        STUDENT
+    }
+
     enum CriteriaType {
         MARK
         AVERAGE
@@ -14,6 +25,63 @@ module.exports = gql`
         GT
         LT
         E
+        BETWEEN
+    }
+
+    enum UnmatchedCriteriaResult {
+        PASS
+        FAIL
+        INCOMPLETE
+    }
+
+    enum CriteriaExpressionOperator {
+        AND
+        OR
+        NOT
+        COMPARE
+        AT_LEAST
+        ALL
+    }
+
+    enum CriteriaSourceType {
+        SELF
+        SUBJECT
+        TEST
+        NOTATION
+    }
+
+    input CriteriaSourceInput {
+        source_type: CriteriaSourceType!
+        subject: ID
+        test: ID
+        notation_text: String
+    }
+
+    input CriteriaExpressionInput {
+        operator: CriteriaExpressionOperator!
+        operands: [CriteriaExpressionInput!]
+        sources: [CriteriaSourceInput!]
+        comparison_operator: ComparisonOperator
+        mark: Float
+        mark_max: Float
+        min_count: Int
+    }
+
+    type CriteriaSource {
+        source_type: CriteriaSourceType!
+        subject: ID
+        test: ID
+        notation_text: String
+    }
+
+    type CriteriaExpression {
+        operator: CriteriaExpressionOperator!
+        operands: [CriteriaExpression!]
+        sources: [CriteriaSource!]
+        comparison_operator: ComparisonOperator
+        mark: Float
+        mark_max: Float
+        min_count: Int
     }
 
     enum SortOrder {
@@ -0,0 +1,115 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+const MAX_EXPRESSION_DEPTH = 10;
+
+/**
+ * Validates the structure of a criteria expression tree used in the passing criteria of a test, subject or block.
+ * 'AND', 'OR' and 'NOT' must combine operands; 'COMPARE', 'AT_LEAST' and 'ALL' must compare sources with a threshold.
+ * What a source may reference depends on the entity, so each source is handed to the given callback once its own shape is valid.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.expression - The expression node to validate.
+ * @param {string} args.path - The dot-notation path to the expression, used for error messages.
+ * @param {function(object, string): void} args.validateSource - Validates that a source references an entity the expression can read;
+ * it receives the source and its path and throws if the reference is not allowed.
+ * @param {number} [args.depth=1] - Optional. The depth of the node in the tree, limited to keep expressions readable.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateCriteriaExpression({ expression, path, validateSource, depth = 1 }) {
+    const validOperator = ['AND', 'OR', 'NOT', 'COMPARE', 'AT_LEAST', 'ALL'];
+    const validComparisonOperator = ['GTE', 'LTE', 'GT', 'LT', 'E', 'BETWEEN'];
+    const validSourceType = ['SELF', 'SUBJECT', 'TEST', 'NOTATION'];
+
+    if (!expression || typeof expression !== 'object') {
+        throw new ApolloError(`Field '${path}' must be a criteria expression object.`, 'BAD_USER_INPUT');
+    }
+
+    if (depth > MAX_EXPRESSION_DEPTH) {
+        throw new ApolloError(
+            `Field '${path}' is nested too deeply. Criteria expressions are limited to ${MAX_EXPRESSION_DEPTH} levels.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
+    const { operator, operands, sources } = expression;
+
+    if (typeof operator !== 'string' || !validOperator.includes(operator)) {
+        throw new ApolloError(
+            `Field '${path}.operator' is required and must be one of: ${validOperator.join(', ')}.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
+    if (['AND', 'OR', 'NOT'].includes(operator)) {
+        if (!Array.isArray(operands) || operands.length === 0) {
+            throw new ApolloError(`Field '${path}.operands' must be a non-empty array when 'operator' is '${operator}'.`, 'BAD_USER_INPUT');
+        }
+        if (operator === 'NOT' && operands.length !== 1) {
+            throw new ApolloError(`Field '${path}.operands' must contain exactly one expression when 'operator' is 'NOT'.`, 'BAD_USER_INPUT');
+        }
+        if (Array.isArray(sources) && sources.length) {
+            throw new ApolloError(`Field '${path}.sources' cannot be set when 'operator' is '${operator}'.`, 'BAD_USER_INPUT');
+        }
+
+        operands.forEach((operand, operandIndex) => {
+            ValidateCriteriaExpression({
+                expression: operand,
+                path: `${path}.operands[${operandIndex}]`,
+                validateSource,
+                depth: depth + 1
+            });
+        });
+        return;
+    }
+
+    if (Array.isArray(operands) && operands.length) {
+        throw new ApolloError(`Field '${path}.operands' cannot be set when 'operator' is '${operator}'.`, 'BAD_USER_INPUT');
+    }
+
+    if (operator === 'COMPARE' && Array.isArray(sources) && sources.length > 1) {
+        throw new ApolloError(`Field '${path}.sources' must contain at most one source when 'operator' is 'COMPARE'.`, 'BAD_USER_INPUT');
+    }
+
+    if (typeof expression.comparison_operator !== 'string' || !validComparisonOperator.includes(expression.comparison_operator)) {
+        throw new ApolloError(
+            `Field '${path}.comparison_operator' is required and must be one of: ${validComparisonOperator.join(', ')}.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
+    if (typeof expression.mark !== 'number' || expression.mark < 0) {
+        throw new ApolloError(`Field '${path}.mark' is required and must be a number ≥ 0.`, 'BAD_USER_INPUT');
+    }
+
+    if (expression.comparison_operator === 'BETWEEN' && (typeof expression.mark_max !== 'number' || expression.mark_max < expression.mark)) {
+        throw new ApolloError(
+            `Field '${path}.mark_max' is required and must be a number ≥ 'mark' when 'comparison_operator' is 'BETWEEN'.`,
+            'BAD_USER_INPUT'
+        );
+    }
+
+    if (operator === 'AT_LEAST') {
+        if (!Number.isInteger(expression.min_count) || expression.min_count < 1) {
+            throw new ApolloError(`Field '${path}.min_count' is required and must be an integer ≥ 1 when 'operator' is 'AT_LEAST'.`, 'BAD_USER_INPUT');
+        }
+        if (Array.isArray(sources) && sources.length && expression.min_count > sources.length) {
+            throw new ApolloError(`Field '${path}.min_count' cannot be greater than the number of sources.`, 'BAD_USER_INPUT');
+        }
+    }
+
+    (sources || []).forEach((source, sourceIndex) => {
+        const sourcePath = `${path}.sources[${sourceIndex}]`;
+
+        if (!source || typeof source.source_type !== 'string' || !validSourceType.includes(source.source_type)) {
+            throw new ApolloError(
+                `Field '${sourcePath}.source_type' is required and must be one of: ${validSourceType.join(', ')}.`,
+                'BAD_USER_INPUT'
+            );
+        }
+
+        validateSource(source, sourcePath);
+    });
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = ValidateCriteriaExpression;
\ No newline at end of file
@@ -0,0 +1,103 @@
+// *************** IMPORT CORE ***************
+const assert = require('assert');
+
+// *************** IMPORT MODULE ***************
+const ValidateCriteriaExpression = require('./criteria_expression');
+
+// *************** IMPORT UTILITIES ***************
+const RunTestCases = require('../test/run_test_cases');
+
+/**
+ * Validates an expression with a source callback that accepts every source.
+ * @param {object} expression - The expression to validate.
+ * @returns {void}
+ */
+function validate(expression) {
+    ValidateCriteriaExpression({ expression, path: 'pass_criteria.expression', validateSource: () => {} });
+}
+
+/**
+ * Asserts that validating an expression is refused with a message about the given field.
+ * @param {object} expression - The expression to validate.
+ * @param {string} fieldPath - The path of the field the error message must name.
+ * @returns {void}
+ */
+function assertRejected(expression, fieldPath) {
+    assert.throws(() => validate(expression), (error) => {
+        assert.strictEqual(error.extensions.code, 'BAD_USER_INPUT');
+        assert.ok(error.message.includes(`'${fieldPath}`), error.message);
+        return true;
+    });
+}
+
+const tests = {
+    'Nested AND, OR and NOT expressions with ranges are accepted': () => {
+        validate({
+            operator: 'AND',
+            operands: [
+                { operator: 'OR', operands: [{ operator: 'COMPARE', comparison_operator: 'BETWEEN', mark: 10, mark_max: 12 }] },
+                { operator: 'NOT', operands: [{ operator: 'AT_LEAST', min_count: 1, comparison_operator: 'LT', mark: 8 }] }
+            ]
+        });
+    },
+
+    'Logical operators require operands and no sources': () => {
+        assertRejected({ operator: 'AND', operands: [] }, 'pass_criteria.expression.operands');
+        assertRejected({ operator: 'NOT', operands: [{ operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 }, { operator: 'COMPARE', comparison_operator: 'GTE', mark: 12 }] }, 'pass_criteria.expression.operands');
+        assertRejected(
+            { operator: 'OR', operands: [{ operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 }], sources: [{ source_type: 'SELF' }] },
+            'pass_criteria.expression.sources'
+        );
+    },
+
+    'Comparisons require a valid threshold': () => {
+        assertRejected({ operator: 'COMPARE', comparison_operator: 'GTE' }, 'pass_criteria.expression.mark');
+        assertRejected({ operator: 'COMPARE', comparison_operator: 'BETWEEN', mark: 12, mark_max: 10 }, 'pass_criteria.expression.mark_max');
+        assertRejected({ operator: 'COMPARE', comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'SELF' }, { source_type: 'SELF' }] }, 'pass_criteria.expression.sources');
+    },
+
+    'AT_LEAST cannot ask for more sources than it lists': () => {
+        assertRejected({ operator: 'AT_LEAST', comparison_operator: 'GTE', mark: 10 }, 'pass_criteria.expression.min_count');
+        assertRejected(
+            { operator: 'AT_LEAST', min_count: 2, comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'SELF' }] },
+            'pass_criteria.expression.min_count'
+        );
+    },
+
+    'Errors name the path of the invalid operand': () => {
+        assertRejected(
+            { operator: 'AND', operands: [{ operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 }, { operator: 'XOR' }] },
+            'pass_criteria.expression.operands[1].operator'
+        );
+    },
+
+    'Expressions nested too deeply are refused': () => {
+        let expression = { operator: 'COMPARE', comparison_operator: 'GTE', mark: 10 };
+        for (let depth = 0; depth < 10; depth++) {
+            expression = { operator: 'NOT', operands: [expression] };
+        }
+
+        assertRejected(expression, 'pass_criteria.expression.operands');
+    },
+
+    'Each source is checked by the entity once its own shape is valid': () => {
+        const checkedSources = [];
+        const expression = {
+            operator: 'ALL',
+            comparison_operator: 'GTE',
+            mark: 10,
+            sources: [{ source_type: 'TEST', test: 'test-a' }, { source_type: 'SUBJECT', subject: 'subject-a' }]
+        };
+
+        ValidateCriteriaExpression({
+            expression,
+            path: 'pass_criteria.expression',
+            validateSource: (source, sourcePath) => checkedSources.push(sourcePath)
+        });
+
+        assert.deepStrictEqual(checkedSources, ['pass_criteria.expression.sources[0]', 'pass_criteria.expression.sources[1]']);
+        assertRejected({ operator: 'ALL', comparison_operator: 'GTE', mark: 10, sources: [{ source_type: 'BLOCK' }] }, 'pass_criteria.expression.sources[0].source_type');
+    }
+};
+
+RunTestCases(tests);
\ No newline at end of file
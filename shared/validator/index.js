@@ -2,10 +2,18 @@
 const ValidateObjectId = require('./mongoose_object_id');
 const ValidateObjectIdArray = require('./mongoose_object_id_array');
 const ValidateInputTypeObject = require('./object');
+const ValidatePasswordPolicy = require('./password_policy');
+const ValidatePasswordNotReused = require('./password_history');
+const ValidateSchoolScope = require('./school_scope');
+const ValidateCriteriaExpression = require('./criteria_expression');
 
 // *************** EXPORT MODULE ***************
 module.exports = {
     ValidateObjectId,
     ValidateObjectIdArray,
-    ValidateInputTypeObject
+    ValidateInputTypeObject,
+    ValidatePasswordPolicy,
+    ValidatePasswordNotReused,
+    ValidateSchoolScope,
+    ValidateCriteriaExpression
 }
\ No newline at end of file
@@ -0,0 +1,21 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+const bcrypt = require('bcrypt');
+
+/**
+ * Validates that a new password is neither the current password nor one of the previous passwords kept in the history.
+ * @param {object} args - The arguments for the validation.
+ * @param {string} args.password - The new plaintext password.
+ * @param {Array<string>} args.passwordHashes - The hashes of the current and previous passwords of the account.
+ * @returns {Promise<void>} - This function does not return a value but throws an error if validation fails.
+ */
+async function ValidatePasswordNotReused({ password, passwordHashes }) {
+    for (const passwordHash of passwordHashes || []) {
+        if (passwordHash && await bcrypt.compare(password, passwordHash)) {
+            throw new ApolloError('Password must not be one of your recent passwords.', 'BAD_USER_INPUT', { field: 'password' });
+        }
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = ValidatePasswordNotReused;
\ No newline at end of file
@@ -0,0 +1,66 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT MODULE ***************
+const config = require('../../core/config');
+
+/**
+ * Reads the password policy from the configuration, falling back to defaults.
+ * @returns {object} The minimum length and the required character classes.
+ */
+function getPasswordPolicy() {
+    return {
+        minLength: parseInt(config.PASSWORD_MIN_LENGTH) || 8,
+        requireUppercase: config.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+        requireLowercase: config.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+        requireDigit: config.PASSWORD_REQUIRE_DIGIT !== 'false',
+        requireSymbol: config.PASSWORD_REQUIRE_SYMBOL !== 'false'
+    };
+}
+
+/**
+ * Validates a new password against the configured password policy.
+ * @param {object} args - The arguments for the validation.
+ * @param {string} args.password - The new plaintext password.
+ * @param {string} [args.email] - Optional. The email address of the account, which the password must not be equal to.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidatePasswordPolicy({ password, email }) {
+    const policy = getPasswordPolicy();
+
+    const rules = [
+        {
+            validate: (val) => typeof val === 'string' && val.length >= policy.minLength,
+            message: `Password must be at least ${policy.minLength} characters long.`,
+        },
+        {
+            validate: (val) => !policy.requireUppercase || /[A-Z]/.test(val),
+            message: 'Password must contain at least one uppercase letter.',
+        },
+        {
+            validate: (val) => !policy.requireLowercase || /[a-z]/.test(val),
+            message: 'Password must contain at least one lowercase letter.',
+        },
+        {
+            validate: (val) => !policy.requireDigit || /[0-9]/.test(val),
+            message: 'Password must contain at least one digit.',
+        },
+        {
+            validate: (val) => !policy.requireSymbol || /[^A-Za-z0-9]/.test(val),
+            message: 'Password must contain at least one symbol.',
+        },
+        {
+            validate: (val) => !email || val.trim().toLowerCase() !== email.trim().toLowerCase(),
+            message: 'Password must not be the same as the email address.',
+        },
+    ];
+
+    for (const rule of rules) {
+        if (!rule.validate(password)) {
+            throw new ApolloError(rule.message, 'BAD_USER_INPUT', { field: 'password' });
+        }
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = ValidatePasswordPolicy;
\ No newline at end of file
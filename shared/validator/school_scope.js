@@ -0,0 +1,36 @@
+// *************** IMPORT LIBRARY ***************
+const { ApolloError } = require('apollo-server');
+
+// *************** IMPORT UTILITES ***************
+const GetSchoolScope = require('../helper/get_school_scope');
+
+/**
+ * Validates that an account can access a record belonging to the given schools.
+ * By default one shared school is enough to read or change the record; when schools are being assigned,
+ * every one of them must be accessible so that nobody can attach data to a school they do not belong to.
+ * @param {object} args - The arguments for the validation.
+ * @param {object} args.user - The authenticated account from the GraphQL context.
+ * @param {Array<string>} args.schoolIds - The IDs of the schools of the record.
+ * @param {boolean} [args.requireAll=false] - Optional. Whether every school must be accessible, instead of at least one.
+ * @returns {void} - This function does not return a value but throws an error if validation fails.
+ */
+function ValidateSchoolScope({ user, schoolIds, requireAll = false }) {
+    const schoolScope = GetSchoolScope(user);
+    if (!schoolScope) {
+        return;
+    }
+
+    const scopeIds = schoolScope.map(String);
+
+    const ids = (schoolIds || []).map(String);
+    const isInScope = requireAll
+        ? ids.every(id => scopeIds.includes(id))
+        : ids.some(id => scopeIds.includes(id));
+
+    if (!isInScope) {
+        throw new ApolloError('You do not have access to this school.', 'FORBIDDEN');
+    }
+}
+
+// *************** EXPORT MODULE ***************
+module.exports = ValidateSchoolScope;
\ No newline at end of file